@@ -0,0 +1,201 @@
+import React, { useState } from 'react';
+import { Users, Lock, X, Save, Loader2 } from 'lucide-react';
+
+import { describeAuthError } from './account';
+
+// Account dialog. Modes:
+//   'upgrade' – keep a guest story by adding email/Google sign-in to the same account
+//   'signin'  – sign in to an existing account
+//   'profile' – change the display name or sign out
+// When `onClose` is omitted it renders as a full page (used after signing out).
+const AccountPanel = ({
+  initialMode = 'upgrade', isAnonymous, displayName = '', email = '',
+  onUpgradeWithEmail, onUpgradeWithGoogle, onSignInWithEmail, onSignInWithGoogle,
+  onSaveProfile, onSignOut, onContinueAsGuest, onClose
+}) => {
+  const [mode, setMode] = useState(initialMode);
+  const [formEmail, setFormEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [name, setName] = useState(displayName);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const run = async (action) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      console.error("Account action failed:", err);
+      setError(describeAuthError(err));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const tabClass = (tab) => `flex-1 px-3 py-2 text-sm rounded-lg transition-colors ${
+    mode === tab ? 'bg-purple-100 text-purple-700' : 'text-gray-600 hover:bg-gray-100'
+  }`;
+
+  const credentialFields = (
+    <>
+      <div>
+        <label htmlFor="accountEmail" className="block text-sm font-medium text-gray-700 mb-1">Email</label>
+        <input
+          id="accountEmail"
+          type="email"
+          value={formEmail}
+          onChange={(e) => setFormEmail(e.target.value)}
+          className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+          autoComplete="email"
+        />
+      </div>
+      <div>
+        <label htmlFor="accountPassword" className="block text-sm font-medium text-gray-700 mb-1">Password</label>
+        <input
+          id="accountPassword"
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+          autoComplete={mode === 'signin' ? 'current-password' : 'new-password'}
+        />
+      </div>
+    </>
+  );
+
+  const panel = (
+    <div className="bg-white rounded-xl shadow-2xl p-6 w-full max-w-md relative">
+      {onClose && (
+        <button onClick={onClose} className="absolute top-4 right-4 text-gray-400 hover:text-gray-600">
+          <X className="w-6 h-6" />
+        </button>
+      )}
+      <h2 className="text-2xl font-bold text-gray-800 mb-4 flex items-center space-x-2">
+        <Users className="w-6 h-6 text-purple-600" />
+        <span>{mode === 'profile' ? 'Your Profile' : mode === 'signin' ? 'Sign In' : 'Save Your Story'}</span>
+      </h2>
+
+      {mode !== 'profile' && (
+        <div className="flex space-x-2 mb-4">
+          {isAnonymous !== false && (
+            <button onClick={() => setMode('upgrade')} className={tabClass('upgrade')}>Create account</button>
+          )}
+          <button onClick={() => setMode('signin')} className={tabClass('signin')}>Sign in</button>
+        </div>
+      )}
+
+      {error && <div className="bg-red-50 text-red-700 text-sm p-3 rounded-lg mb-4">{error}</div>}
+
+      {mode === 'upgrade' && (
+        <div className="space-y-4">
+          <p className="text-sm text-gray-600">
+            You're writing as a guest. Add a sign-in method so your entries, AI questions and photo requests are safe even if this browser is cleared.
+          </p>
+          {credentialFields}
+          <button
+            disabled={busy}
+            onClick={() => run(() => onUpgradeWithEmail(formEmail, password))}
+            className="w-full px-4 py-2 bg-purple-500 text-white rounded-lg hover:bg-purple-600 transition-colors shadow-md flex items-center justify-center space-x-2 disabled:opacity-50"
+          >
+            {busy ? <Loader2 className="w-5 h-5 animate-spin" /> : <Lock className="w-5 h-5" />}
+            <span>Save with Email</span>
+          </button>
+          <button
+            disabled={busy}
+            onClick={() => run(onUpgradeWithGoogle)}
+            className="w-full px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50"
+          >
+            Save with Google
+          </button>
+        </div>
+      )}
+
+      {mode === 'signin' && (
+        <div className="space-y-4">
+          {isAnonymous && (
+            <p className="text-sm text-yellow-800 bg-yellow-50 p-3 rounded-lg">
+              Signing in to another account switches to that account's story. Entries written as a guest stay with the guest account.
+            </p>
+          )}
+          {credentialFields}
+          <button
+            disabled={busy}
+            onClick={() => run(() => onSignInWithEmail(formEmail, password))}
+            className="w-full px-4 py-2 bg-purple-500 text-white rounded-lg hover:bg-purple-600 transition-colors shadow-md flex items-center justify-center space-x-2 disabled:opacity-50"
+          >
+            {busy ? <Loader2 className="w-5 h-5 animate-spin" /> : <Lock className="w-5 h-5" />}
+            <span>Sign In</span>
+          </button>
+          <button
+            disabled={busy}
+            onClick={() => run(onSignInWithGoogle)}
+            className="w-full px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50"
+          >
+            Sign in with Google
+          </button>
+          {onContinueAsGuest && (
+            <button onClick={() => run(onContinueAsGuest)} className="w-full text-sm text-purple-600 hover:underline">
+              Continue as a guest
+            </button>
+          )}
+        </div>
+      )}
+
+      {mode === 'profile' && (
+        <div className="space-y-4">
+          {email && <p className="text-sm text-gray-600">Signed in as <strong>{email}</strong></p>}
+          <div>
+            <label htmlFor="profileDisplayName" className="block text-sm font-medium text-gray-700 mb-1">Display name</label>
+            <input
+              id="profileDisplayName"
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+              placeholder="e.g., Mike"
+            />
+            <p className="text-xs text-gray-500 mt-1">Shown on your entries, comments and shared story.</p>
+          </div>
+          <button
+            disabled={busy}
+            onClick={() => run(() => onSaveProfile(name))}
+            className="w-full px-4 py-2 bg-purple-500 text-white rounded-lg hover:bg-purple-600 transition-colors shadow-md flex items-center justify-center space-x-2 disabled:opacity-50"
+          >
+            <Save className="w-5 h-5" />
+            <span>Save Profile</span>
+          </button>
+          {isAnonymous ? (
+            <button onClick={() => setMode('upgrade')} className="w-full text-sm text-purple-600 hover:underline">
+              Add email or Google sign-in to keep your story safe
+            </button>
+          ) : (
+            <button
+              disabled={busy}
+              onClick={() => run(onSignOut)}
+              className="w-full px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors disabled:opacity-50"
+            >
+              Sign Out
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+
+  if (!onClose) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-purple-50 to-blue-50 p-4">
+        {panel}
+      </div>
+    );
+  }
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50 p-4">
+      {panel}
+    </div>
+  );
+};
+
+export default AccountPanel;
@@ -1,16 +1,66 @@
-import React, { useState, useEffect, useCallback } from 'react';
-import { Calendar, Users, Brain, Plus, Search, Filter, Share2, Lock, Globe, Heart, MessageCircle, Camera, Video, FileText, Edit3, Save, X, Eye, EyeOff, MapPin, Clock, Lightbulb, Image, HelpCircle, ChevronRight, ChevronDown, Zap, Archive, Map, Loader2 } from 'lucide-react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { Calendar, Users, Brain, Plus, Search, Filter, Share2, Lock, Globe, Heart, Camera, Video, FileText, Edit3, Save, X, Eye, EyeOff, MapPin, Clock, Lightbulb, Image, HelpCircle, ChevronRight, ChevronDown, Zap, Archive, Map, Loader2, Trash2, Contact, Link2, BookOpen } from 'lucide-react';
 
 // Firebase Imports
 import { initializeApp } from 'firebase/app';
 import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
-import { getFirestore, collection, doc, getDocs, getDoc, addDoc, setDoc, updateDoc, deleteDoc, onSnapshot, query, where } from 'firebase/firestore';
+import { collection, doc, getDocs, getDoc, setDoc, updateDoc, onSnapshot, query, where } from 'firebase/firestore';
+import { getStorage } from 'firebase/storage';
+
+import { initOfflineFirestore, withRevision, recordEdit, clearEdit, reconcileEdits } from './offlineSync';
+import { buildTimeline } from './timeline';
+import { createSearchIndex, updateSearchIndex, searchEntries, highlightText, snippetFor } from './search';
+import { createQuestionProvider } from './questionGenerator';
+import { createSentimentProvider, analysisSignature } from './sentiment';
+import MoodDashboard from './MoodDashboard';
+import { createStoryProvider } from './storyWeaving';
+import StoryWeaver from './StoryWeaver';
+import { analyzeCoverage, coverageQuestions, saveLifeOutline } from './coverage';
+import StoryCoverage from './StoryCoverage';
+import { answerQuestion, skipQuestion, snoozeQuestion, reopenQuestion, questionChapter } from './interview';
+import InterviewPanel from './InterviewPanel';
+import { draftEntryFromQuestion } from './questionDrafts';
+import { DEFAULT_VIEW, applyFacets, computeFacetCounts, isDefaultView, readViewParams, writeViewParams, saveView, deleteSavedView } from './facets';
+import FacetPanel from './FacetPanel';
+import { fetchPublishedEntries, syncSharedEntries, isSharedPrivacy, createInvite, buildInviteLink, acceptInvite, removeFriend, fetchVisibleEntries, friendsPath, updateSharedProfile } from './sharing';
+import { upgradeWithEmail, upgradeWithGoogle, signInWithEmail, signInWithGoogle, signOutUser, saveProfile, profilePath } from './account';
+import AccountPanel from './AccountPanel';
+import ExportPanel from './ExportPanel';
+import BackupPanel from './BackupPanel';
+import MapView from './MapView';
+import { createGeocoder, toCoordinates } from './geocoding';
+import { fetchCommentCounts } from './comments';
+import EntryComments from './EntryComments';
+import RevisionHistory from './RevisionHistory';
+import MarkdownEditor from './MarkdownEditor';
+import MarkdownContent from './MarkdownContent';
+import { CONTENT_FORMAT, entryMarkdown, dropInlineImages } from './markdown';
+import PeopleView from './PeopleView';
+import EntryDetail from './EntryDetail';
+import PhotoRequestsView from './PhotoRequestsView';
+import PhotoRequestForm from './PhotoRequestForm';
+import { createPhotoRequest, withResponsePhotos, markResponsesAttached, draftFromEntry, EMPTY_PHOTO_REQUEST } from './photoRequests';
+import HistoricalLibrary from './HistoricalLibrary';
+import HistoricalImageForm from './HistoricalImageForm';
+import EntryHistoricalContext from './EntryHistoricalContext';
+import { subscribeToHistoricalImages, entryDecades, addHistoricalImage, deleteHistoricalImage, contributionFromEntry, EMPTY_HISTORICAL_IMAGE } from './historicalImages';
+import { DEFAULT_ROUTE, parseRoute, pushRoute, subscribeToRoute, buildRouteLink } from './router';
+import { addPerson, updatePerson, deletePerson, extractMentionIds, unlinkMentions, renameMentions } from './people';
+import { recordRevision, snapshotEntry, REVISION_FIELDS } from './revisions';
+import { isTrashed, trashEntry, restoreEntry, purgeEntry, findExpiredEntries, trashExpiresAt, saveTrashRetention, DEFAULT_TRASH_RETENTION_DAYS, TRASH_RETENTION_OPTIONS } from './trash';
+import { createFirebaseMediaStorage, createMemoryMediaStorage, uploadMediaFile, removeMediaFiles, findOrphanedMedia, validateMediaFile, entryMediaItems, MEDIA_LIMITS } from './mediaStorage';
 
 const AutobiographyApp = () => {
   // --- Firebase State and Initialization ---
   const [db, setDb] = useState(null);
   const [auth, setAuth] = useState(null);
+  const [mediaStorage, setMediaStorage] = useState(null);
   const [userId, setUserId] = useState(null);
+  const [userDisplayName, setUserDisplayName] = useState('');
+  const [isAnonymous, setIsAnonymous] = useState(true);
+  const [userEmail, setUserEmail] = useState('');
+  const [signedOut, setSignedOut] = useState(false); // Explicitly signed out: show sign-in instead of a new guest account
+  const signedOutRef = useRef(false);
   const [isAuthReady, setIsAuthReady] = useState(false);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -19,6 +69,10 @@ const AutobiographyApp = () => {
   const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-autobiography-app';
   const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : {};
   const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
+  const aiEndpoint = typeof __ai_endpoint !== 'undefined' ? __ai_endpoint : null;
+  const aiApiKey = typeof __ai_api_key !== 'undefined' ? __ai_api_key : null;
+  const mediaStorageMode = typeof __media_storage !== 'undefined' ? __media_storage : null; // 'firebase' (default) or 'memory'
+  const geocoderEndpoint = typeof __geocoder_endpoint !== 'undefined' ? __geocoder_endpoint : null; // Nominatim-compatible search URL
 
   useEffect(() => {
     const initFirebase = async () => {
@@ -31,18 +85,38 @@ const AutobiographyApp = () => {
         }
 
         const app = initializeApp(firebaseConfig);
-        const firestoreDb = getFirestore(app);
+        const firestoreDb = initOfflineFirestore(app); // Persistent cache: reads and queued writes work offline
         const firebaseAuth = getAuth(app);
 
         setDb(firestoreDb);
         setAuth(firebaseAuth);
+        // Media is kept in memory only when asked for (tests, emulator runs); its URLs
+        // die with the page. Without a storage bucket, uploads are turned off instead.
+        if (mediaStorageMode === 'memory') {
+          setMediaStorage(createMemoryMediaStorage());
+        } else if (firebaseConfig.storageBucket) {
+          setMediaStorage(createFirebaseMediaStorage(getStorage(app)));
+        } else {
+          console.error("Firebase config has no storageBucket; media uploads are turned off.");
+          setMediaStorage(null);
+        }
 
         // Listen for auth state changes
         const unsubscribe = onAuthStateChanged(firebaseAuth, async (user) => {
           if (user) {
+            signedOutRef.current = false;
+            setSignedOut(false);
             setUserId(user.uid);
+            setUserDisplayName(user.displayName || '');
+            setIsAnonymous(user.isAnonymous);
+            setUserEmail(user.email || '');
             setIsAuthReady(true);
             console.log("Firebase Auth State Changed: User is signed in.", user.uid);
+          } else if (signedOutRef.current) {
+            // After an explicit sign-out, wait for the user to sign in or continue as a guest
+            setUserId(null);
+            setIsAuthReady(false);
+            setSignedOut(true);
           } else {
             console.log("Firebase Auth State Changed: No user signed in. Attempting sign-in...");
             try {
@@ -70,68 +144,156 @@ const AutobiographyApp = () => {
     };
 
     initFirebase();
-  }, [firebaseConfig, initialAuthToken]); // Re-run if config or token changes
+  }, [firebaseConfig, initialAuthToken, mediaStorageMode]); // Re-run if config or token changes
 
   // --- App Data States ---
   const [entries, setEntries] = useState([]);
   const [timelineEvents, setTimelineEvents] = useState([]);
   const [aiQuestions, setAiQuestions] = useState([]);
+  const [entryAnalyses, setEntryAnalyses] = useState({}); // entryId -> { score, label, themes, ... }
+  const [analyzingEntries, setAnalyzingEntries] = useState(false);
+  const analysisCacheRef = useRef({ provider: null, byEntry: {} }); // byEntry: entryId -> { signature, analysis }
   const [photoRequests, setPhotoRequests] = useState([]);
-  const [historicalImages, setHistoricalImages] = useState([
-    {
-      id: 'hi1',
-      location: 'University of Florida, Gainesville',
-      year: 2024,
-      description: 'Graduation ceremony at Ben Hill Griffin Stadium',
-      imageUrl: 'https://placehold.co/300x200/E0E7FF/4F46E5?text=UF+Stadium',
-      source: 'UF Archives'
-    },
-    {
-      id: 'hi2',
-      location: 'Lincoln High School, Orlando',
-      year: 2015,
-      description: 'Main entrance of Lincoln High School',
-      imageUrl: 'https://placehold.co/300x200/F0F9FF/0B69FF?text=Lincoln+High',
-      source: 'School District Archives'
-    }
-  ]); // Historical images can be static or fetched from a public collection
+  const [people, setPeople] = useState([]); // People who appear in the story, @-mentioned in entries
+  const [entriesOwnerId, setEntriesOwnerId] = useState(null); // uid whose entries snapshot is loaded
+  const [trashedEntries, setTrashedEntries] = useState([]); // Soft-deleted entries, shown only in the Trash view
+  const [trashRetentionDays, setTrashRetentionDays] = useState(null); // null until the profile has loaded
+  const [lifeOutline, setLifeOutline] = useState({ birthYear: null, lifeStages: [] }); // For story coverage
+  const [pendingEntryIds, setPendingEntryIds] = useState(new Set()); // Entries with local changes not yet on the server
+  const [syncConflicts, setSyncConflicts] = useState([]); // Entries edited on two devices: { entryId, mine, theirs }
+  const [friends, setFriends] = useState([]); // People allowed to read 'friends' entries
+  const [following, setFollowing] = useState([]); // Stories other people shared with this user
+  const [historicalImages, setHistoricalImages] = useState([]); // Shared historical image library
 
   // --- UI States ---
-  const [currentView, setCurrentView] = useState('entries');
-  const [searchQuery, setSearchQuery] = useState('');
-  const [filterBy, setFilterBy] = useState('all');
+  // The view and its parameters come from the URL hash, so views can be bookmarked
+  // and the browser's back and forward buttons move between them (see router.js)
+  const [route, setRoute] = useState(() => (
+    typeof window === 'undefined' ? DEFAULT_ROUTE : parseRoute(window.location.hash) || DEFAULT_ROUTE
+  ));
+  const currentView = route.view;
+  const selectedPersonId = currentView === 'people' ? route.params.personId || null : null; // Person whose profile the People view shows
+  // Search query and facet filters for My Entries, restored from the URL on load
+  const [entryView, setEntryView] = useState(() => (
+    typeof window === 'undefined' ? { ...DEFAULT_VIEW } : readViewParams(new URLSearchParams(window.location.search))
+  ));
+  const [showFacets, setShowFacets] = useState(() => !isDefaultView(entryView));
+  const [savedViews, setSavedViews] = useState([]);
+  const [commentCounts, setCommentCounts] = useState({}); // entryId -> number of comments, for the comments facet
+  const searchIndexRef = useRef(createSearchIndex()); // Updated incrementally as entries change
   const [selectedTimelineYear, setSelectedTimelineYear] = useState(null);
   const [showNewEntry, setShowNewEntry] = useState(false);
   const [editingEntry, setEditingEntry] = useState(null); // State to hold entry being edited
   const [showFeedback, setShowFeedback] = useState(false);
+  const [feedbackAction, setFeedbackAction] = useState(null); // Optional toast button: { label, onClick }
+  const feedbackTimerRef = useRef(null);
   const [feedbackMessage, setFeedbackMessage] = useState('');
   const [feedbackType, setFeedbackType] = useState('success'); // 'success' or 'error'
+  const [isOnline, setIsOnline] = useState(typeof navigator === 'undefined' ? true : navigator.onLine);
+  const [pendingWrites, setPendingWrites] = useState([]); // Writes waiting for the server: { id, label, queuedAt }
+  const [showSyncDetails, setShowSyncDetails] = useState(false);
+  const [showHistory, setShowHistory] = useState(false); // Revision history panel in the edit modal
+  const [showDetailHistory, setShowDetailHistory] = useState(false); // Revision history on the entry page
+  const [photoRequestDraft, setPhotoRequestDraft] = useState(null); // Pre-filled photo request form, null when closed
+  const [imageContribution, setImageContribution] = useState(null); // { draft, entryId } while the library form is open
+  const [showExport, setShowExport] = useState(false);
+  const [showBackup, setShowBackup] = useState(false);
+  const [inviteLink, setInviteLink] = useState('');
+  const [reader, setReader] = useState(null); // { ownerId, ownerName, entries, isFriend, loading, asVisitor }
+  const [uploads, setUploads] = useState([]); // In-progress media uploads: { id, name, progress }
+  const sessionUploadsRef = useRef([]); // Media uploaded since the entry modal was opened
+  const mediaInputRef = useRef(null);
 
   // --- New Entry/Edit Entry Form State ---
   const [formEntry, setFormEntry] = useState({
     title: '',
     content: '',
+    contentFormat: CONTENT_FORMAT, // Markdown; entries without it are plain text
     date: new Date().toISOString().split('T')[0],
     location: '',
     tags: [],
     privacy: 'private',
     type: 'personal',
     mediaUrls: [], // For image/video uploads
-    collaborativeEntries: [] // For collaborative comments
+    media: [], // Uploaded media items with storage paths, parallel to mediaUrls
+    collaborativeEntries: [], // For collaborative comments
+    datePrecision: 'day', // 'year' when only the year is known
+    sourceQuestionId: null, // AI question this entry was drafted from
+    sourceQuestion: null,
+    relatedEntryId: null,
+    sourceEntryIds: [], // Entries a woven story cites
+    coordinates: null // { lat, lng, label, source } picked for the location
   });
+  const [locationMatches, setLocationMatches] = useState(null); // Geocoder results for the entry modal
+
+  // --- Geocoding ---
+  // Uses the configured geocoding endpoint when there is one, otherwise the offline gazetteer
+  const geocoder = useMemo(() => createGeocoder({ endpoint: geocoderEndpoint }), [geocoderEndpoint]);
+
+  // --- AI Question Provider ---
+  // Uses the configured LLM endpoint when there is one, otherwise the offline rule-based provider
+  const questionProvider = useMemo(
+    () => createQuestionProvider({ endpoint: aiEndpoint, apiKey: aiApiKey }),
+    [aiEndpoint, aiApiKey]
+  );
+
+  // --- Story Provider ---
+  // Drafts woven stories with the same endpoint; the offline templates otherwise
+  const storyProvider = useMemo(
+    () => createStoryProvider({ endpoint: aiEndpoint, apiKey: aiApiKey }),
+    [aiEndpoint, aiApiKey]
+  );
+
+  // --- Sentiment Provider ---
+  // Same endpoint as the question provider; the offline lexicon otherwise
+  const sentimentProvider = useMemo(
+    () => createSentimentProvider({ endpoint: aiEndpoint, apiKey: aiApiKey }),
+    [aiEndpoint, aiApiKey]
+  );
 
   // --- Feedback Message Handler ---
-  const showUserFeedback = useCallback((message, type = 'success') => {
+  // `action` adds a button to the toast (e.g. Undo) and keeps it up a little longer
+  const showUserFeedback = useCallback((message, type = 'success', action = null) => {
     setFeedbackMessage(message);
     setFeedbackType(type);
+    setFeedbackAction(action);
     setShowFeedback(true);
+    clearTimeout(feedbackTimerRef.current); // A newer message gets its full time on screen
     const timer = setTimeout(() => {
       setShowFeedback(false);
       setFeedbackMessage('');
-    }, 3000);
+      setFeedbackAction(null);
+    }, action ? 6000 : 3000);
+    feedbackTimerRef.current = timer;
     return () => clearTimeout(timer);
   }, []);
 
+  // --- Navigation ---
+  // Moves to a view and records it in the browser history
+  const navigateTo = useCallback((view, params = {}, { replace = false } = {}) => {
+    const next = { view, params };
+    setRoute(next);
+    if (typeof window === 'undefined') return;
+    if (pushRoute(next, { replace }) && !replace) {
+      window.scrollTo(0, 0);
+    }
+  }, []);
+
+  // Follows back/forward and edited URLs; an unknown hash falls back to My Entries
+  useEffect(() => {
+    if (typeof window === 'undefined') return;
+    if (!parseRoute(window.location.hash)) {
+      pushRoute(DEFAULT_ROUTE, { replace: true });
+    }
+    return subscribeToRoute(setRoute);
+  }, []);
+
+  // Entry pages keep their own history panel closed until asked
+  const detailEntryId = currentView === 'entry' ? route.params.entryId : null;
+  useEffect(() => {
+    setShowDetailHistory(false);
+  }, [detailEntryId]);
+
   // --- Firestore Data Fetching ---
   useEffect(() => {
     if (!db || !userId || !isAuthReady) return;
@@ -151,56 +313,576 @@ const AutobiographyApp = () => {
     };
 
     // Fetch all relevant collections
-    const unsubscribeEntries = fetchCollection('entries', setEntries);
+    // Entries also listen to metadata changes to know which ones are still waiting to sync
+    const unsubscribeEntries = onSnapshot(
+      collection(db, `artifacts/${appId}/users/${userId}/entries`),
+      { includeMetadataChanges: true },
+      (snapshot) => {
+        const allEntries = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        setEntries(allEntries.filter(entry => !isTrashed(entry)));
+        setTrashedEntries(allEntries.filter(isTrashed));
+        setPendingEntryIds(new Set(snapshot.docs.filter(doc => doc.metadata.hasPendingWrites).map(doc => doc.id)));
+        setEntriesOwnerId(userId);
+      },
+      (err) => {
+        console.error("Error fetching entries:", err);
+        showUserFeedback(`Error loading entries: ${err.message}`, 'error');
+      }
+    );
     const unsubscribeTimeline = fetchCollection('timelineEvents', setTimelineEvents);
     const unsubscribeAiQuestions = fetchCollection('aiQuestions', setAiQuestions);
     const unsubscribePhotoRequests = fetchCollection('photoRequests', setPhotoRequests);
+    const unsubscribeFollowing = fetchCollection('following', setFollowing);
+    const unsubscribeSavedViews = fetchCollection('savedViews', setSavedViews);
+    const unsubscribePeople = fetchCollection('people', setPeople);
+
+    // The friend list lives outside the private user tree so security rules can check it
+    const unsubscribeFriends = onSnapshot(collection(db, friendsPath(appId, userId)), (snapshot) => {
+      setFriends(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    }, (err) => {
+      console.error("Error fetching friends:", err);
+      showUserFeedback(`Error loading friends: ${err.message}`, 'error');
+    });
+
+    // Profile (display name) is a single document
+    const unsubscribeProfile = onSnapshot(doc(db, profilePath(appId, userId), 'main'), (snapshot) => {
+      const profile = snapshot.exists() ? snapshot.data() : {};
+      if (profile.displayName) {
+        setUserDisplayName(profile.displayName);
+      }
+      setTrashRetentionDays(typeof profile.trashRetentionDays === 'number' ? profile.trashRetentionDays : DEFAULT_TRASH_RETENTION_DAYS);
+      setLifeOutline({ birthYear: profile.birthYear || null, lifeStages: profile.lifeStages || [] });
+    }, (err) => {
+      console.error("Error fetching profile:", err);
+    });
 
     // Cleanup function for all listeners
     return () => {
+      unsubscribeProfile();
       unsubscribeEntries();
       unsubscribeTimeline();
       unsubscribeAiQuestions();
       unsubscribePhotoRequests();
+      unsubscribeFollowing();
+      unsubscribeSavedViews();
+      unsubscribePeople();
+      unsubscribeFriends();
     };
   }, [db, userId, isAuthReady, appId, showUserFeedback]);
 
+  // The historical image library is shared by everyone; only the decades the
+  // entries cover are loaded. The key keeps edits within them from resubscribing.
+  const historicalDecadesKey = useMemo(() => entryDecades(entries).join(','), [entries]);
+  useEffect(() => {
+    if (!db || !userId || !isAuthReady) return;
+    const decades = historicalDecadesKey ? historicalDecadesKey.split(',').map(Number) : [];
+    return subscribeToHistoricalImages(db, appId, decades, setHistoricalImages, (err) => {
+      console.error("Error fetching historical images:", err);
+    });
+  }, [db, userId, isAuthReady, appId, historicalDecadesKey]);
+
+  // --- Offline Sync ---
+
+  useEffect(() => {
+    const handleOnline = () => setIsOnline(true);
+    const handleOffline = () => setIsOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, []);
+
+  // Firestore applies writes to the local cache immediately and resolves once the
+  // server has them. Writes are tracked here instead of awaited so the app never
+  // blocks on the network; failures still reach the user.
+  const trackWrite = useCallback((label, writePromise) => {
+    const writeId = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    setPendingWrites(prev => [...prev, { id: writeId, label, queuedAt: new Date() }]);
+    return writePromise
+      .catch((err) => {
+        console.error(`Error syncing "${label}":`, err);
+        showUserFeedback(`Failed to sync ${label}: ${err.message}`, 'error');
+      })
+      .finally(() => setPendingWrites(prev => prev.filter(write => write.id !== writeId)));
+  }, [showUserFeedback]);
+
+  // Check edits made on this device against what the server ended up with
+  useEffect(() => {
+    if (!userId || entriesOwnerId !== userId) return;
+    setSyncConflicts(reconcileEdits(appId, userId, entries, pendingEntryIds));
+  }, [appId, userId, entries, entriesOwnerId, pendingEntryIds]);
+
+  const resolveConflictKeepMine = (conflict) => {
+    const { id, ...mine } = conflict.mine;
+    const entryData = withRevision({ ...mine, timestamp: new Date() }, conflict.theirs);
+    recordEdit(appId, userId, conflict.entryId, entryData);
+    trackWrite(`"${entryData.title}"`, setDoc(doc(db, `artifacts/${appId}/users/${userId}/entries`, conflict.entryId), entryData));
+    saveRevision(conflict.entryId, entryData);
+    setSyncConflicts(prev => prev.filter(c => c.entryId !== conflict.entryId));
+    showUserFeedback('Kept your version.');
+  };
+
+  const resolveConflictKeepTheirs = (conflict) => {
+    clearEdit(appId, userId, conflict.entryId);
+    setSyncConflicts(prev => prev.filter(c => c.entryId !== conflict.entryId));
+    showUserFeedback('Kept the other version.');
+  };
+
+  // --- Revision History ---
+
+  // Keeps a copy of every saved version of an entry; queued like the entry write itself
+  const saveRevision = (entryId, entryData) => {
+    recordRevision(db, appId, userId, entryId, entryData, { uid: userId, displayName: userDisplayName })
+      .catch(err => console.error("Error recording revision:", err));
+  };
+
+  // Writes a change to some fields of an entry from outside the editor. Like a save
+  // it moves the revision on and logs the edit, so a clash with another device is
+  // caught; changes to versioned fields (REVISION_FIELDS) also go into the history.
+  const patchEntry = (entry, changes, label) => {
+    const { id, ...current } = entry;
+    const revisedData = withRevision({ ...current, ...changes, timestamp: new Date() }, entry);
+    recordEdit(appId, userId, id, revisedData);
+    trackWrite(label, updateDoc(doc(db, `artifacts/${appId}/users/${userId}/entries`, id), {
+      ...changes,
+      timestamp: revisedData.timestamp,
+      revision: revisedData.revision,
+      baseRevision: revisedData.baseRevision,
+      deviceId: revisedData.deviceId
+    }));
+    if (Object.keys(changes).some(field => REVISION_FIELDS.includes(field))) {
+      if (!entry.revision) saveRevision(id, entry);
+      saveRevision(id, revisedData);
+    }
+  };
+
+  // Loads an earlier version into the edit form; saving it then records a new revision
+  const handleRestoreRevision = (revision) => {
+    const restored = snapshotEntry(revision);
+    setFormEntry(prev => ({
+      ...prev,
+      ...restored,
+      content: dropInlineImages(entryMarkdown(restored), url => (prev.mediaUrls || []).includes(url)),
+      contentFormat: CONTENT_FORMAT,
+      tags: restored.tags || [],
+      location: restored.location || '',
+      coordinates: restored.coordinates || null,
+      datePrecision: restored.datePrecision || 'day'
+    }));
+    setShowHistory(false);
+    showUserFeedback('Earlier version loaded. Save to keep it.');
+  };
+
+  // --- Map ---
+
+  const handleFindLocation = async () => {
+    try {
+      const results = await geocoder.geocode(formEntry.location);
+      setLocationMatches(results);
+    } catch (err) {
+      console.error("Error finding location:", err);
+      showUserFeedback(`Could not look up the location: ${err.message}`, 'error');
+    }
+  };
+
+  const handleSetCoordinates = (entryId, coordinates) => {
+    const entry = entries.find(e => e.id === entryId);
+    if (!entry) return;
+    patchEntry(entry, { coordinates }, 'map location');
+  };
+
+  // --- People ---
+
+  // Adds a person typed as a new @-mention; returns it so the mention can be inserted
+  const handleCreatePerson = (name) => {
+    try {
+      const { person, write } = addPerson(db, appId, userId, { name });
+      trackWrite(`person "${person.name}"`, write);
+      return person;
+    } catch (err) {
+      showUserFeedback(err.message, 'error');
+      return null;
+    }
+  };
+
+  // Returns true when the person was saved, so the form can close. A new name is
+  // written into the mentions in every entry that tags them.
+  const handleSavePerson = (personId, data) => {
+    try {
+      if (personId) {
+        trackWrite(`person "${data.name.trim()}"`, updatePerson(db, appId, userId, personId, data));
+        const renamed = { id: personId, name: data.name.trim() };
+        entries
+          .filter(entry => extractMentionIds(entry.content).includes(personId))
+          .forEach((entry) => {
+            const content = renameMentions(entry.content, renamed);
+            if (content !== entry.content) patchEntry(entry, { content }, `"${entry.title}"`);
+          });
+      } else {
+        const { person, write } = addPerson(db, appId, userId, data);
+        trackWrite(`person "${person.name}"`, write);
+      }
+      showUserFeedback('Person saved!');
+      return true;
+    } catch (err) {
+      showUserFeedback(err.message, 'error');
+      return false;
+    }
+  };
+
+  // Deleting a person keeps their name in the text of every entry that mentioned them
+  const handleDeletePerson = (person) => {
+    const mentioning = entries.filter(entry => extractMentionIds(entry.content).includes(person.id));
+    const note = mentioning.length > 0 ? ` Their name stays in ${mentioning.length} ${mentioning.length === 1 ? 'entry' : 'entries'} as plain text.` : '';
+    if (!window.confirm(`Delete ${person.name} from your people?${note}`)) return;
+    mentioning.forEach((entry) => {
+      const content = unlinkMentions(entry.content, person.id);
+      patchEntry(entry, { content, mentions: extractMentionIds(content) }, `"${entry.title}"`);
+    });
+    trackWrite(`removal of ${person.name}`, deletePerson(db, appId, userId, person.id));
+    navigateTo('people', {}, { replace: true });
+    showUserFeedback(`${person.name} removed.`);
+  };
+
+  const openPerson = (personId) => {
+    navigateTo('people', personId ? { personId } : {});
+  };
+
+  // Shows My Entries filtered to the memories that mention a person
+  const filterEntriesByPerson = (personId) => {
+    setEntryView({ ...DEFAULT_VIEW, people: [personId] });
+    setShowFacets(true);
+    navigateTo('entries');
+  };
+
+  // Draws an @-mention in entry text as a link to the person's profile, under their
+  // current name
+  const renderMention = (node, key) => {
+    const person = people.find(p => p.id === node.personId);
+    if (!person) return <span key={key}>{node.name}</span>;
+    return (
+      <button key={key} onClick={() => openPerson(node.personId)} className="text-purple-700 font-medium hover:underline">
+        {person.name}
+      </button>
+    );
+  };
+
+  // --- Sharing ---
+
+  // Keep published copies of 'friends' and 'public' entries in sync with the entries
+  // themselves. Waits for this user's first snapshot so an empty initial state (or the
+  // previous account's entries) never changes what is published, and skips snapshots
+  // still holding local writes, since the server's echo of them follows. Syncs run one
+  // after another, each diffing against what the previous one published; the
+  // published copies are only read back at the start or after a failed sync.
+  const publishedEntriesRef = useRef(null); // Promise of entryId -> shared copy, or of null when unknown
+  useEffect(() => {
+    publishedEntriesRef.current = null;
+  }, [userId]);
+  useEffect(() => {
+    if (!db || !userId || entriesOwnerId !== userId || pendingEntryIds.size > 0) return;
+    publishedEntriesRef.current = (publishedEntriesRef.current || Promise.resolve(null))
+      .then(published => published || fetchPublishedEntries(db, appId, userId))
+      .then(published => syncSharedEntries(db, appId, userId, entries, published))
+      .catch((err) => {
+        console.error("Error publishing shared entries:", err);
+        showUserFeedback(`Failed to update shared entries: ${err.message}`, 'error');
+        return null;
+      });
+  }, [db, userId, appId, entries, entriesOwnerId, pendingEntryIds, showUserFeedback]);
+
+  // Opens the reader view for someone's story, or one entry of it
+  const openReader = useCallback((ownerId, entryId = null) => {
+    navigateTo('reader', entryId ? { ownerId, entryId } : { ownerId });
+  }, [navigateTo]);
+
+  // Loads the story the reader route points at. Owners opening their own story see
+  // what a non-friend sees, which is how they check their public page.
+  const readerOwnerId = currentView === 'reader' ? route.params.ownerId : null;
+  useEffect(() => {
+    if (!db || !userId || !isAuthReady || !readerOwnerId) return;
+    let cancelled = false;
+    const asVisitor = readerOwnerId === userId;
+    setReader({ ownerId: readerOwnerId, ownerName: '', entries: [], isFriend: false, loading: true, asVisitor });
+    fetchVisibleEntries(db, appId, readerOwnerId, asVisitor ? null : userId)
+      .then((visible) => {
+        if (!cancelled) setReader({ ownerId: readerOwnerId, asVisitor, loading: false, ...visible });
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        console.error("Error loading shared story:", err);
+        setReader(null);
+        navigateTo('sharing', {}, { replace: true });
+        showUserFeedback(`Failed to load shared story: ${err.message}`, 'error');
+      });
+    return () => { cancelled = true; };
+  }, [db, appId, userId, isAuthReady, readerOwnerId, navigateTo, showUserFeedback]);
+
+  // Invite and reader links: ?invite=<id> joins a friend list, ?reader=<uid> opens a story
+  useEffect(() => {
+    if (!db || !userId || !isAuthReady || typeof window === 'undefined') return;
+    const params = new URLSearchParams(window.location.search);
+    const inviteId = params.get('invite');
+    const readerId = params.get('reader');
+    if (!inviteId && !readerId) return;
+
+    window.history.replaceState(null, '', `${window.location.pathname}${window.location.hash}`); // Handle each link once
+    if (inviteId) {
+      acceptInvite(db, appId, inviteId, userId, userDisplayName)
+        .then((invite) => {
+          showUserFeedback(`You can now read ${invite.ownerName || 'their'} story!`);
+          openReader(invite.ownerId);
+        })
+        .catch((err) => {
+          console.error("Error accepting invite:", err);
+          showUserFeedback(err.message, 'error');
+        });
+    } else {
+      navigateTo('reader', { ownerId: readerId }, { replace: true });
+    }
+  }, [db, userId, isAuthReady, appId, userDisplayName, openReader, navigateTo, showUserFeedback]);
+
+  const handleCreateInvite = async () => {
+    if (!db || !userId) {
+      showUserFeedback("Database not ready. Please try again.", 'error');
+      return;
+    }
+    try {
+      const inviteId = await createInvite(db, appId, userId, userDisplayName);
+      const link = buildInviteLink(inviteId);
+      setInviteLink(link);
+      if (navigator.clipboard) {
+        await navigator.clipboard.writeText(link);
+        showUserFeedback('Invite link copied to clipboard!');
+      } else {
+        showUserFeedback('Invite link created!');
+      }
+    } catch (err) {
+      console.error("Error creating invite:", err);
+      showUserFeedback(`Failed to create invite: ${err.message}`, 'error');
+    }
+  };
+
+  const handleRemoveFriend = async (friendId) => {
+    if (!db || !userId) {
+      showUserFeedback("Database not ready. Please try again.", 'error');
+      return;
+    }
+    if (window.confirm("Remove this friend? They will no longer see your 'Friends' entries.")) {
+      try {
+        await removeFriend(db, appId, userId, friendId);
+        showUserFeedback('Friend removed.');
+      } catch (err) {
+        console.error("Error removing friend:", err);
+        showUserFeedback(`Failed to remove friend: ${err.message}`, 'error');
+      }
+    }
+  };
+
+  // --- Account ---
+  const [accountPanelMode, setAccountPanelMode] = useState(null); // null, 'upgrade', 'signin' or 'profile'
+
+  // Linking does not fire onAuthStateChanged, so refresh account state by hand
+  const applyAuthUser = (user) => {
+    if (!user) return;
+    setIsAnonymous(user.isAnonymous);
+    setUserEmail(user.email || '');
+    if (user.displayName) setUserDisplayName(user.displayName);
+  };
+
+  const handleUpgradeWithEmail = async (email, password) => {
+    applyAuthUser(await upgradeWithEmail(auth, email, password));
+    setAccountPanelMode(null);
+    showUserFeedback('Your story is now saved to your account!');
+  };
+
+  const handleUpgradeWithGoogle = async () => {
+    applyAuthUser(await upgradeWithGoogle(auth));
+    setAccountPanelMode(null);
+    showUserFeedback('Your story is now saved to your account!');
+  };
+
+  const handleSignInWithEmail = async (email, password) => {
+    await signInWithEmail(auth, email, password);
+    setAccountPanelMode(null);
+  };
+
+  const handleSignInWithGoogle = async () => {
+    await signInWithGoogle(auth);
+    setAccountPanelMode(null);
+  };
+
+  const handleSignOut = async () => {
+    signedOutRef.current = true;
+    await signOutUser(auth);
+    // Drop the previous account's data so it never shows under the next sign-in
+    setEntries([]);
+    setTrashedEntries([]);
+    setTrashRetentionDays(null);
+    setLifeOutline({ birthYear: null, lifeStages: [] });
+    setEntriesOwnerId(null);
+    setTimelineEvents([]);
+    setAiQuestions([]);
+    setPhotoRequests([]);
+    setFriends([]);
+    setFollowing([]);
+    setSavedViews([]);
+    setPeople([]);
+    setCommentCounts({});
+    setReader(null);
+    setUserDisplayName('');
+    navigateTo('entries', {}, { replace: true });
+    setAccountPanelMode(null);
+  };
+
+  const handleContinueAsGuest = async () => {
+    signedOutRef.current = false;
+    await signInAnonymously(auth);
+  };
+
+  const handleSaveProfile = async (displayName) => {
+    const name = await saveProfile(auth, db, appId, userId, { displayName });
+    setUserDisplayName(name);
+    await updateSharedProfile(db, appId, userId, name);
+    setAccountPanelMode(null);
+    showUserFeedback('Profile saved!');
+  };
+
   // --- CRUD Operations for Entries ---
 
-  // Function to open the new entry modal or edit entry modal
-  const openEntryModal = (entryToEdit = null) => {
+  // Function to open the new entry modal or edit entry modal.
+  // `draft` pre-fills a new entry, e.g. one promoted from an AI question answer.
+  const openEntryModal = (entryToEdit = null, draft = null) => {
     if (entryToEdit) {
       setEditingEntry(entryToEdit);
       setFormEntry({
         title: entryToEdit.title,
-        content: entryToEdit.content,
+        content: entryMarkdown(entryToEdit), // Plain-text entries are converted to Markdown here
+        contentFormat: CONTENT_FORMAT,
         date: entryToEdit.date,
         location: entryToEdit.location,
         tags: entryToEdit.tags || [],
         privacy: entryToEdit.privacy,
         type: entryToEdit.type,
         mediaUrls: entryToEdit.mediaUrls || [],
-        collaborativeEntries: entryToEdit.collaborativeEntries || []
+        media: entryToEdit.media || [],
+        collaborativeEntries: entryToEdit.collaborativeEntries || [],
+        datePrecision: entryToEdit.datePrecision || 'day',
+        sourceQuestionId: entryToEdit.sourceQuestionId || null,
+        sourceQuestion: entryToEdit.sourceQuestion || null,
+        relatedEntryId: entryToEdit.relatedEntryId || null,
+        sourceEntryIds: entryToEdit.sourceEntryIds || [],
+        coordinates: entryToEdit.coordinates || null
       });
     } else {
       setEditingEntry(null);
       setFormEntry({
         title: '',
         content: '',
+        contentFormat: CONTENT_FORMAT,
         date: new Date().toISOString().split('T')[0],
         location: '',
         tags: [],
         privacy: 'private',
         type: 'personal',
         mediaUrls: [],
-        collaborativeEntries: []
+        media: [],
+        collaborativeEntries: [],
+        datePrecision: 'day',
+        sourceQuestionId: null,
+        sourceQuestion: null,
+        relatedEntryId: null,
+        sourceEntryIds: [],
+        coordinates: null,
+        ...(draft || {})
       });
     }
+    sessionUploadsRef.current = [];
+    setUploads([]);
+    setLocationMatches(null);
     setShowNewEntry(true);
   };
 
+  // Closes the entry modal without saving, deleting any media uploaded in the meantime
+  const closeEntryModal = () => {
+    if (mediaStorage && sessionUploadsRef.current.length > 0) {
+      removeMediaFiles(mediaStorage, sessionUploadsRef.current);
+    }
+    sessionUploadsRef.current = [];
+    setShowNewEntry(false);
+    setShowHistory(false);
+    setEditingEntry(null);
+  };
+
+  // Uploads files picked in the entry modal, tracking progress per file
+  const handleMediaFiles = async (fileList) => {
+    if (db && !mediaStorage) {
+      showUserFeedback("Photo and video uploads are turned off: no storage bucket is configured.", 'error');
+      return;
+    }
+    if (!mediaStorage || !userId) {
+      showUserFeedback("Media storage not ready. Please try again.", 'error');
+      return;
+    }
+    for (const file of Array.from(fileList)) {
+      const validationError = validateMediaFile(file);
+      if (validationError) {
+        showUserFeedback(validationError, 'error');
+        continue;
+      }
+      const uploadId = `${file.name}-${Date.now()}`;
+      setUploads(prev => [...prev, { id: uploadId, name: file.name, progress: 0 }]);
+      try {
+        const mediaItem = await uploadMediaFile(
+          mediaStorage,
+          `artifacts/${appId}/users/${userId}/media`,
+          file,
+          (progress) => setUploads(prev => prev.map(u => (u.id === uploadId ? { ...u, progress } : u)))
+        );
+        sessionUploadsRef.current.push(mediaItem);
+        setFormEntry(prev => ({
+          ...prev,
+          mediaUrls: [...prev.mediaUrls, mediaItem.url],
+          media: [...prev.media, mediaItem]
+        }));
+      } catch (err) {
+        console.error("Error uploading media:", err);
+        showUserFeedback(`Failed to upload ${file.name}: ${err.message}`, 'error');
+      } finally {
+        setUploads(prev => prev.filter(u => u.id !== uploadId));
+      }
+    }
+  };
+
+  // Removes one media item from the form; the stored file is cleaned up on save
+  const removeFormMedia = (index) => {
+    const url = formEntry.mediaUrls[index];
+    setFormEntry({
+      ...formEntry,
+      mediaUrls: formEntry.mediaUrls.filter((_, i) => i !== index),
+      media: formEntry.media.filter(item => item.url !== url)
+    });
+  };
+
+  // Memory prompts shown on the entry card. They are written once the provider
+  // answers, so a slow or failing provider never holds up a save; the provider only
+  // sees the saved entry and the people it mentions. Suggestions are not an edit,
+  // so they leave the entry's revision alone.
+  const suggestForEntry = (entryRef, entryData) => {
+    questionProvider.generateQuestions({
+      entries: [],
+      people: people.filter(person => entryData.mentions.includes(person.id)),
+      entry: { ...entryData, id: entryRef.id },
+      limit: 3
+    })
+      .then(suggestions => updateDoc(entryRef, { aiSuggestions: suggestions.map(q => q.question) }))
+      .catch(err => console.warn("Could not generate AI suggestions:", err));
+  };
+
   // Function to handle saving a new entry or updating an existing one
-  const handleSaveEntry = async () => {
+  const handleSaveEntry = () => {
     if (!db || !userId) {
       showUserFeedback("Database not ready. Please try again.", 'error');
       return;
@@ -214,23 +896,46 @@ const AutobiographyApp = () => {
       const entryData = {
         ...formEntry,
         author: userId, // Store the actual user ID
-        authorName: 'You', // Display name
+        authorName: userDisplayName || 'You', // Display name
         tags: formEntry.tags.map(tag => tag.trim()).filter(tag => tag !== ''), // Clean up tags
+        mentions: extractMentionIds(formEntry.content), // People tagged with @, for filtering
         timestamp: new Date() // Add a timestamp for ordering
       };
 
+      const offlineNote = isOnline ? '' : ' It will sync when you are back online.';
       if (editingEntry) {
         // Update existing entry
+        const revisedData = withRevision(entryData, editingEntry);
         const entryRef = doc(db, `artifacts/${appId}/users/${userId}/entries`, editingEntry.id);
-        await updateDoc(entryRef, entryData);
-        showUserFeedback('Entry updated successfully!');
+        recordEdit(appId, userId, editingEntry.id, revisedData);
+        trackWrite(`"${revisedData.title}"`, updateDoc(entryRef, revisedData));
+        // Entries written before history existed get their original version kept too
+        if (!editingEntry.revision) saveRevision(editingEntry.id, editingEntry);
+        saveRevision(editingEntry.id, revisedData);
+        suggestForEntry(entryRef, revisedData);
+        showUserFeedback(`Entry updated successfully!${offlineNote}`);
       } else {
-        // Add new entry
-        const entriesColRef = collection(db, `artifacts/${appId}/users/${userId}/entries`);
-        await addDoc(entriesColRef, entryData);
-        showUserFeedback('New entry added successfully!');
+        // Add new entry; the id is generated locally so it works offline
+        const revisedData = withRevision(entryData);
+        const newEntryRef = doc(collection(db, `artifacts/${appId}/users/${userId}/entries`));
+        trackWrite(`"${revisedData.title}"`, setDoc(newEntryRef, revisedData));
+        saveRevision(newEntryRef.id, revisedData);
+        suggestForEntry(newEntryRef, revisedData);
+        // Link the AI question back to the entry drafted from its answer
+        if (revisedData.sourceQuestionId) {
+          const questionRef = doc(db, `artifacts/${appId}/users/${userId}/aiQuestions`, revisedData.sourceQuestionId);
+          trackWrite('AI question link', updateDoc(questionRef, { entryId: newEntryRef.id }));
+        }
+        showUserFeedback(`New entry added successfully!${offlineNote}`);
+      }
+      // Delete files that were removed from the entry or uploaded and then discarded
+      if (mediaStorage) {
+        const previousMedia = editingEntry ? editingEntry.media || [] : [];
+        removeMediaFiles(mediaStorage, findOrphanedMedia([...previousMedia, ...sessionUploadsRef.current], entryData.media));
       }
+      sessionUploadsRef.current = [];
       setShowNewEntry(false);
+      setShowHistory(false);
       setEditingEntry(null);
     } catch (err) {
       console.error("Error saving entry:", err);
@@ -239,191 +944,460 @@ const AutobiographyApp = () => {
   };
 
   // Function to handle deleting an entry
-  const handleDeleteEntry = async (entryId) => {
+  // Deleting moves the entry to the Trash; the toast offers an immediate Undo
+  const handleDeleteEntry = (entryId) => {
     if (!db || !userId) {
       showUserFeedback("Database not ready. Please try again.", 'error');
       return;
     }
-    if (window.confirm("Are you sure you want to delete this entry? This action cannot be undone.")) {
-      try {
-        const entryRef = doc(db, `artifacts/${appId}/users/${userId}/entries`, entryId);
-        await deleteDoc(entryRef);
-        showUserFeedback('Entry deleted successfully!');
-      } catch (err) {
-        console.error("Error deleting entry:", err);
-        showUserFeedback(`Failed to delete entry: ${err.message}`, 'error');
-      }
+    const entryToDelete = entries.find(entry => entry.id === entryId);
+    const title = entryToDelete ? entryToDelete.title : 'Entry';
+    clearEdit(appId, userId, entryId);
+    trackWrite(`deletion of "${title}"`, trashEntry(db, appId, userId, entryId));
+    showUserFeedback(`"${title}" moved to Trash.`, 'success', { label: 'Undo', onClick: () => handleRestoreEntry(entryId) });
+  };
+
+  // --- Entry Pages ---
+
+  const openEntryPage = (entry) => {
+    navigateTo('entry', { entryId: entry.id });
+  };
+
+  // Copies a link to the entry in the reader, where friends or the public can open it
+  const handleCopyEntryLink = async (entry) => {
+    const link = buildRouteLink({ view: 'reader', params: { ownerId: userId, entryId: entry.id } });
+    try {
+      await navigator.clipboard.writeText(link);
+      showUserFeedback('Link copied to clipboard!');
+    } catch (err) {
+      console.error("Error copying link:", err);
+      showUserFeedback(`Copy this link: ${link}`);
     }
   };
 
+  const handleDeleteFromPage = (entry) => {
+    handleDeleteEntry(entry.id);
+    navigateTo('entries', {}, { replace: true });
+  };
+
+  // Opens the edit form with an earlier version loaded, from the entry page's history
+  const handleRestoreFromPage = (entry, revision) => {
+    openEntryModal(entry);
+    handleRestoreRevision(revision);
+    setShowDetailHistory(false);
+  };
+
+  // --- Trash ---
+
+  const handleRestoreEntry = (entryId) => {
+    trackWrite('restored entry', restoreEntry(db, appId, userId, entryId));
+    showUserFeedback('Entry restored.');
+  };
+
+  const handlePurgeEntry = (entry) => {
+    if (!window.confirm(`Permanently delete "${entry.title}"? This cannot be undone.`)) return;
+    trackWrite(`permanent deletion of "${entry.title}"`, purgeEntry(db, appId, userId, entry, mediaStorage));
+    showUserFeedback('Entry permanently deleted.');
+  };
+
+  const handleEmptyTrash = () => {
+    if (!window.confirm(`Permanently delete all ${trashedEntries.length} entries in the Trash? This cannot be undone.`)) return;
+    trashedEntries.forEach((entry) => {
+      trackWrite(`permanent deletion of "${entry.title}"`, purgeEntry(db, appId, userId, entry, mediaStorage));
+    });
+    showUserFeedback('Trash emptied.');
+  };
+
+  const handleTrashRetentionChange = (days) => {
+    setTrashRetentionDays(days);
+    trackWrite('Trash setting', saveTrashRetention(db, appId, userId, days));
+  };
+
+  // Purges entries whose time in the Trash has run out. Snapshots keep arriving while
+  // a purge is under way, so each entry is purged at most once per session; one that
+  // fails is tried again the next time the app opens.
+  const purgedEntryIdsRef = useRef(new Set());
+  useEffect(() => {
+    purgedEntryIdsRef.current = new Set();
+  }, [userId]);
+  useEffect(() => {
+    if (!db || !userId || entriesOwnerId !== userId || trashRetentionDays === null) return;
+    findExpiredEntries(trashedEntries, trashRetentionDays)
+      .filter(entry => !pendingEntryIds.has(entry.id) && !purgedEntryIdsRef.current.has(entry.id))
+      .forEach((entry) => {
+        purgedEntryIdsRef.current.add(entry.id);
+        trackWrite(`expired "${entry.title}"`, purgeEntry(db, appId, userId, entry, mediaStorage));
+      });
+  }, [db, appId, userId, entriesOwnerId, trashedEntries, trashRetentionDays, pendingEntryIds, mediaStorage, trackWrite]);
+
   // --- AI Assistant Functions ---
 
-  // Function to handle answering an AI question
-  const handleAnswerAIQuestion = async (questionId, answerContent) => {
+  // Saves an interview answer and adds follow-up questions about it, which the
+  // interview asks next. Returns true when the answer was queued; follow-ups are
+  // generated in the background and join the queue when they arrive.
+  const handleAnswerAIQuestion = (question, answerContent) => {
     if (!db || !userId) {
       showUserFeedback("Database not ready. Please try again.", 'error');
-      return;
+      return false;
     }
     if (!answerContent.trim()) {
       showUserFeedback("Please provide an answer.", 'error');
+      return false;
+    }
+
+    trackWrite('AI answer', answerQuestion(db, appId, userId, question.id, answerContent));
+    showUserFeedback('Memory saved!', 'success', {
+      label: 'Create entry',
+      onClick: () => openEntryModal(null, draftEntryFromQuestion(question, answerContent, entries))
+    });
+    // Follow-ups stay in the same life chapter; a failing provider should never lose the answer
+    const chapter = questionChapter(question, { entries, birthYear: lifeOutline.birthYear });
+    questionProvider.generateQuestions({ entries, people, answer: { question, text: answerContent }, limit: 2 })
+      .then(followUps => saveGeneratedQuestions(followUps.map(followUp => ({ ...followUp, chapter }))))
+      .catch(err => console.warn("Could not generate follow-up questions:", err));
+    return true;
+  };
+
+  // Skipped questions wait until asked for again; snoozed ones come back on their own
+  const handleSkipQuestion = (question) => {
+    trackWrite('skipped question', skipQuestion(db, appId, userId, question.id));
+  };
+
+  const handleSnoozeQuestion = (question, days) => {
+    trackWrite('snoozed question', snoozeQuestion(db, appId, userId, question.id, days));
+  };
+
+  const handleReopenQuestion = (question) => {
+    trackWrite('question', reopenQuestion(db, appId, userId, question.id));
+  };
+
+  // Writes generated questions to aiQuestions, skipping any that already exist so
+  // answered questions are never reset. Returns the number of new questions.
+  const saveGeneratedQuestions = async (questions) => {
+    const existingIds = new Set(aiQuestions.map(q => q.id));
+    const newQuestions = questions.filter(q => !existingIds.has(q.id));
+    const aiQuestionsColRef = collection(db, `artifacts/${appId}/users/${userId}/aiQuestions`);
+    for (const q of newQuestions) {
+      await setDoc(doc(aiQuestionsColRef, q.id), { ...q, createdAt: new Date() }); // Use setDoc with custom ID
+    }
+    return newQuestions.length;
+  };
+
+  // Function to generate new AI questions based on a timeline year
+  const generateAIQuestionsForYear = async (year) => {
+    if (!db || !userId) {
+      showUserFeedback("Database not ready. Please try again.", 'error');
       return;
     }
 
     try {
-      const questionRef = doc(db, `artifacts/${appId}/users/${userId}/aiQuestions`, questionId);
-      await updateDoc(questionRef, {
-        answered: true,
-        answer: answerContent,
-        answeredAt: new Date()
-      });
-      showUserFeedback('Memory saved to AI Assistant!');
-      // Optionally, you could create a new entry from this answer
-      // For now, it just marks the question as answered.
+      const questions = await questionProvider.generateQuestions({ entries, people, year });
+      const added = await saveGeneratedQuestions(questions);
+      showUserFeedback(added > 0 ? `New AI questions generated for ${year}!` : `No new questions for ${year} right now.`);
     } catch (err) {
-      console.error("Error answering AI question:", err);
-      showUserFeedback(`Failed to save answer: ${err.message}`, 'error');
+      console.error("Error generating AI questions:", err);
+      showUserFeedback(`Failed to generate AI questions: ${err.message}`, 'error');
     }
   };
 
-  // Function to simulate AI generating a new question based on a timeline year
-  const generateAIQuestionsForYear = async (year) => {
+  // Function to generate AI questions from the whole story (content, people, places and gaps)
+  const generateAIQuestionsFromStory = async () => {
     if (!db || !userId) {
       showUserFeedback("Database not ready. Please try again.", 'error');
       return;
     }
-    // Simulate AI generating questions
-    const newQuestions = [
-      {
-        id: `q${Date.now()}a`,
-        question: `What were your biggest aspirations or dreams during ${year}?`,
-        relatedEntry: null,
-        type: 'reflection',
-        answered: false
-      },
-      {
-        id: `q${Date.now()}b`,
-        question: `Who were your closest friends or mentors in ${year} and how did they influence you?`,
-        relatedEntry: null,
-        type: 'people',
-        answered: false
-      }
-    ];
 
     try {
-      const aiQuestionsColRef = collection(db, `artifacts/${appId}/users/${userId}/aiQuestions`);
-      for (const q of newQuestions) {
-        await setDoc(doc(aiQuestionsColRef, q.id), q); // Use setDoc with custom ID
-      }
-      showUserFeedback(`New AI questions generated for ${year}!`);
+      const questions = await questionProvider.generateQuestions({ entries, people });
+      const added = await saveGeneratedQuestions(questions);
+      showUserFeedback(added > 0 ? `${added} new AI questions generated!` : 'No new questions right now. Try adding more entries!');
     } catch (err) {
       console.error("Error generating AI questions:", err);
       showUserFeedback(`Failed to generate AI questions: ${err.message}`, 'error');
     }
   };
 
-  // --- Photo Request Functions ---
+  // --- Story Coverage Functions ---
 
-  // Function to request historical photos
-  const requestHistoricalPhotos = async (location, timeframe, description) => {
+  // Saves the birth year and life stages coverage is measured against. Returns true when saved.
+  const handleSaveLifeOutline = (outline) => {
     if (!db || !userId) {
       showUserFeedback("Database not ready. Please try again.", 'error');
-      return;
+      return false;
     }
     try {
-      const photoRequestsColRef = collection(db, `artifacts/${appId}/users/${userId}/photoRequests`);
-      await addDoc(photoRequestsColRef, {
-        location,
-        timeframe,
-        description,
-        status: 'pending',
-        responses: 0,
-        requestedAt: new Date()
-      });
-      showUserFeedback('Photo request submitted successfully!');
+      trackWrite('Life stages', saveLifeOutline(db, appId, userId, outline));
+      showUserFeedback('Life stages saved.');
+      return true;
     } catch (err) {
-      console.error("Error submitting photo request:", err);
-      showUserFeedback(`Failed to submit photo request: ${err.message}`, 'error');
+      showUserFeedback(err.message, 'error');
+      return false;
     }
   };
 
-  // --- Collaborative Entry Functions (Simulated) ---
-  const handleAddCollaborativeComment = async (entryId, authorName, content) => {
+  // Adds `gap` questions for the least covered periods to the AI Assistant
+  const handleAskAboutGaps = async () => {
     if (!db || !userId) {
       showUserFeedback("Database not ready. Please try again.", 'error');
       return;
     }
-    if (!content.trim()) {
-      showUserFeedback("Comment cannot be empty.", 'error');
-      return;
+
+    try {
+      const added = await saveGeneratedQuestions(coverageQuestions(analyzeCoverage(entries, lifeOutline)));
+      showUserFeedback(
+        added > 0 ? `${added} new questions about the gaps in your story.` : 'You already have questions for these gaps.',
+        'success',
+        { label: 'View', onClick: () => navigateTo('ai-assistant') }
+      );
+    } catch (err) {
+      console.error("Error creating gap questions:", err);
+      showUserFeedback(`Failed to create questions: ${err.message}`, 'error');
     }
+  };
 
+  // --- Photo Request Functions ---
+
+  // Opens the request form, pre-filled from an entry when one is given
+  const openPhotoRequestForm = (entry = null) => {
+    setPhotoRequestDraft(entry ? draftFromEntry(entry) : EMPTY_PHOTO_REQUEST);
+  };
+
+  // Function to request historical photos; the request is also posted to the
+  // community board so other members can answer it. Returns true when saved.
+  const requestHistoricalPhotos = (draft) => {
+    if (!db || !userId) {
+      showUserFeedback("Database not ready. Please try again.", 'error');
+      return false;
+    }
     try {
-      const entryRef = doc(db, `artifacts/${appId}/users/${userId}/entries`, entryId);
-      const entryDoc = await getDoc(entryRef);
-      if (entryDoc.exists()) {
-        const currentCollaborativeEntries = entryDoc.data().collaborativeEntries || [];
-        const newCollaborativeEntry = {
-          id: `c${Date.now()}`,
-          author: authorName,
-          content: content,
-          likes: 0,
-          timestamp: new Date()
-        };
-        await updateDoc(entryRef, {
-          collaborativeEntries: [...currentCollaborativeEntries, newCollaborativeEntry]
-        });
-        showUserFeedback('Collaborative comment added!');
-      }
+      const { write } = createPhotoRequest(db, appId, currentUser, draft);
+      trackWrite('photo request', write);
+      showUserFeedback(
+        'Photo request submitted successfully!',
+        'success',
+        currentView === 'photo-requests' ? null : { label: 'View', onClick: () => navigateTo('photo-requests') }
+      );
+      return true;
     } catch (err) {
-      console.error("Error adding collaborative comment:", err);
-      showUserFeedback(`Failed to add comment: ${err.message}`, 'error');
+      showUserFeedback(err.message, 'error');
+      return false;
     }
   };
 
-  const handleLikeCollaborativeComment = async (entryId, commentId) => {
+  // Adds accepted response photos to an entry's media
+  const handleAttachResponses = (request, responses, entryId) => {
+    const entry = entries.find(e => e.id === entryId);
+    if (!entry || responses.length === 0) return;
+    patchEntry(entry, withResponsePhotos(entry, responses), `photos for "${entry.title}"`);
+    trackWrite('photo responses', markResponsesAttached(db, appId, request.id, responses.map(response => response.id), entry.id));
+    showUserFeedback(
+      `${responses.length} ${responses.length === 1 ? 'photo' : 'photos'} attached to "${entry.title}".`,
+      'success',
+      { label: 'View', onClick: () => openEntryPage(entry) }
+    );
+  };
+
+  // --- Historical Images ---
+
+  // Opens the library form; from an entry it is pre-filled and the image gets pinned to it
+  const openImageContribution = (entry = null) => {
+    setImageContribution({ draft: entry ? contributionFromEntry(entry) : EMPTY_HISTORICAL_IMAGE, entryId: entry ? entry.id : null });
+  };
+
+  // Resolves to true when the image was added, so the form can close
+  const handleContributeImage = async (draft) => {
     if (!db || !userId) {
       showUserFeedback("Database not ready. Please try again.", 'error');
-      return;
+      return false;
     }
     try {
-      const entryRef = doc(db, `artifacts/${appId}/users/${userId}/entries`, entryId);
-      const entryDoc = await getDoc(entryRef);
-      if (entryDoc.exists()) {
-        const currentCollaborativeEntries = entryDoc.data().collaborativeEntries || [];
-        const updatedCollaborativeEntries = currentCollaborativeEntries.map(comment =>
-          comment.id === commentId ? { ...comment, likes: (comment.likes || 0) + 1 } : comment
-        );
-        await updateDoc(entryRef, { collaborativeEntries: updatedCollaborativeEntries });
-        showUserFeedback('Comment liked!');
+      let coordinates = null;
+      try {
+        const [best] = await geocoder.geocode(draft.location, { limit: 1 });
+        if (best) coordinates = toCoordinates(best);
+      } catch (geocodeError) {
+        console.warn("Could not place the historical image on the map:", geocodeError);
       }
+      const imageId = await addHistoricalImage(db, appId, mediaStorage, currentUser, draft, coordinates);
+      const entry = imageContribution && entries.find(e => e.id === imageContribution.entryId);
+      if (entry) handlePinImage(entry, imageId);
+      showUserFeedback(entry ? `Image added to the library and pinned to "${entry.title}".` : 'Image added to the library. Thank you!');
+      return true;
     } catch (err) {
-      console.error("Error liking comment:", err);
-      showUserFeedback(`Failed to like comment: ${err.message}`, 'error');
+      console.error("Error adding historical image:", err);
+      showUserFeedback(err.message, 'error');
+      return false;
     }
   };
 
-  // --- Filtering and Sorting ---
-  const filteredEntries = entries
-    .filter(entry => {
-      const matchesSearch = entry.title.toLowerCase().includes(searchQuery.toLowerCase()) ||
-                           entry.content.toLowerCase().includes(searchQuery.toLowerCase()) ||
-                           (entry.tags && entry.tags.some(tag => tag.toLowerCase().includes(searchQuery.toLowerCase()))) ||
-                           entry.location.toLowerCase().includes(searchQuery.toLowerCase());
-      const matchesFilter = filterBy === 'all' || entry.type === filterBy;
-      return matchesSearch && matchesFilter;
-    })
-    .sort((a, b) => new Date(b.date) - new Date(a.date)); // Sort by date descending
+  const handleDeleteHistoricalImage = (image) => {
+    if (!window.confirm(`Remove "${image.description}" from the library? It will disappear from everyone's entries.`)) return;
+    trackWrite('historical image removal', deleteHistoricalImage(db, appId, image.id));
+    if (mediaStorage) removeMediaFiles(mediaStorage, [image]);
+  };
+
+  const handlePinImage = (entry, imageId) => {
+    const pinnedImageIds = [...(entry.pinnedImageIds || []).filter(id => id !== imageId), imageId];
+    patchEntry(entry, { pinnedImageIds }, 'pinned image');
+  };
+
+  const handleUnpinImage = (entry, imageId) => {
+    const pinnedImageIds = (entry.pinnedImageIds || []).filter(id => id !== imageId);
+    patchEntry(entry, { pinnedImageIds }, 'unpinned image');
+  };
+
+  // --- Collaborative Comments ---
+  // Comment threads are handled by EntryComments; this is the signed-in commenter
+  const currentUser = useMemo(
+    () => (userId ? { uid: userId, displayName: userDisplayName } : null),
+    [userId, userDisplayName]
+  );
+
+  // --- Search, Filtering and Sorting ---
+  const searchQuery = entryView.q;
+  const searchIndex = useMemo(() => updateSearchIndex(searchIndexRef.current, entries), [entries]);
+  // null when there is no query; otherwise entries ranked by relevance
+  const searchResults = useMemo(() => searchEntries(searchIndex, searchQuery), [searchIndex, entries, searchQuery]);
+
+  const searchedEntries = useMemo(() => (searchResults
+    ? searchResults.map(result => result.entry)
+    : [...entries].sort((a, b) => new Date(b.date) - new Date(a.date)) // Sort by date descending
+  ), [searchResults, entries]);
+  const facetCounts = useMemo(
+    () => computeFacetCounts(searchedEntries, entryView, commentCounts),
+    [searchedEntries, entryView, commentCounts]
+  );
+  const filteredEntries = useMemo(
+    () => applyFacets(searchedEntries, entryView, commentCounts),
+    [searchedEntries, entryView, commentCounts]
+  );
+
+  // Comment counts for the comments facet. Every entry can have a thread: readers
+  // comment on shared ones and the owner can comment on private ones too. Counted
+  // whenever the list is shown or entries come and go, not kept live.
+  const ownedEntryIds = entries.map(entry => entry.id).sort().join(',');
+  const showingEntryList = currentView === 'entries';
+  useEffect(() => {
+    if (!db || !userId || !ownedEntryIds) {
+      setCommentCounts({});
+      return undefined;
+    }
+    if (!showingEntryList) return undefined;
+    let cancelled = false;
+    fetchCommentCounts(db, appId, userId, ownedEntryIds.split(','))
+      .then((counts) => {
+        if (!cancelled) setCommentCounts(counts);
+      })
+      .catch(err => console.error("Error counting comments:", err));
+    return () => { cancelled = true; };
+  }, [db, appId, userId, ownedEntryIds, showingEntryList]);
+
+  // Keeps the entry view in the URL so it can be bookmarked or shared
+  useEffect(() => {
+    if (typeof window === 'undefined' || currentView !== 'entries') return;
+    const params = writeViewParams(new URLSearchParams(window.location.search), entryView);
+    const search = params.toString();
+    if (search !== window.location.search.replace(/^\?/, '')) {
+      window.history.replaceState(null, '', `${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`);
+    }
+  }, [entryView, currentView]);
+
+  const handleSaveView = (name) => {
+    try {
+      trackWrite(`view "${name.trim()}"`, saveView(db, appId, userId, name, entryView));
+      showUserFeedback('View saved!');
+      return true;
+    } catch (err) {
+      showUserFeedback(err.message, 'error');
+      return false;
+    }
+  };
+
+  const handleDeleteView = (savedView) => {
+    if (!window.confirm(`Delete the saved view "${savedView.name}"?`)) return;
+    trackWrite('saved view removal', deleteSavedView(db, appId, userId, savedView.id));
+  };
+
+  // Renders text with the search matches marked
+  const renderHighlighted = parts => parts.map((part, index) => (
+    part.match ? <mark key={index} className="bg-yellow-200 text-gray-900 rounded-sm">{part.text}</mark> : <span key={index}>{part.text}</span>
+  ));
+
+  // --- Life Timeline ---
+  // Derived from entries so it stays current as entries are saved or deleted;
+  // hand-curated timelineEvents are merged into the matching years.
+  const timeline = useMemo(() => buildTimeline(entries, timelineEvents), [entries, timelineEvents]);
+
+  // --- Mood & Themes ---
+  // Entries are analyzed while the timeline is open. Results are cached by entry and
+  // only entries whose text or tags changed since their last analysis are sent again;
+  // a different provider starts the cache over.
+  useEffect(() => {
+    if (currentView !== 'timeline') return undefined;
+    if (analysisCacheRef.current.provider !== sentimentProvider) {
+      analysisCacheRef.current = { provider: sentimentProvider, byEntry: {} };
+    }
+    const cache = analysisCacheRef.current.byEntry;
+    const publish = () => setEntryAnalyses(Object.fromEntries(
+      entries.filter(entry => cache[entry.id]).map(entry => [entry.id, cache[entry.id].analysis])
+    ));
+    const stale = entries.filter(entry => !cache[entry.id] || cache[entry.id].signature !== analysisSignature(entry));
+    if (stale.length === 0) {
+      publish();
+      setAnalyzingEntries(false);
+      return undefined;
+    }
+
+    let cancelled = false;
+    setAnalyzingEntries(true);
+    sentimentProvider.analyzeEntries(stale)
+      .then((results) => {
+        stale.forEach((entry) => {
+          if (results[entry.id]) cache[entry.id] = { signature: analysisSignature(entry), analysis: results[entry.id] };
+        });
+        if (!cancelled) publish();
+      })
+      .catch(error => console.error("Error analyzing entries:", error))
+      .finally(() => {
+        if (!cancelled) setAnalyzingEntries(false);
+      });
+    // A newer run sets the flag again if it still has work; leaving the timeline clears it
+    return () => {
+      cancelled = true;
+      setAnalyzingEntries(false);
+    };
+  }, [currentView, entries, sentimentProvider]);
+
+  // Opens the entry a timeline item was built from
+  const openTimelineItem = (item) => {
+    const sourceEntry = entries.find(entry => entry.id === item.entryId);
+    if (sourceEntry) {
+      openEntryPage(sourceEntry);
+    }
+  };
 
   // --- Render Logic ---
   if (loading) {
     return (
       <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-purple-50 to-blue-50">
         <Loader2 className="w-12 h-12 text-purple-500 animate-spin" />
-        <p className="ml-4 text-lg text-gray-700">Loading your story, Mike...</p>
+        <p className="ml-4 text-lg text-gray-700">Loading your story{userDisplayName ? `, ${userDisplayName}` : ''}...</p>
       </div>
     );
   }
 
+  if (signedOut) {
+    return (
+      <AccountPanel
+        initialMode="signin"
+        isAnonymous={false}
+        onSignInWithEmail={handleSignInWithEmail}
+        onSignInWithGoogle={handleSignInWithGoogle}
+        onContinueAsGuest={handleContinueAsGuest}
+      />
+    );
+  }
+
   if (error) {
     return (
       <div className="min-h-screen flex flex-col items-center justify-center bg-red-50 text-red-800 p-6 rounded-lg m-4">
@@ -453,6 +1427,21 @@ const AutobiographyApp = () => {
     }
   };
 
+  const renderPrivacyBadge = privacy => (
+    <div className={`flex items-center space-x-1 text-sm ${getPrivacyColor(privacy)}`}>
+      {getPrivacyIcon(privacy)}
+      <span className="capitalize">{privacy}</span>
+    </div>
+  );
+
+  // Entry pages look in the Trash too, so an old link still finds a deleted entry
+  const detailEntry = detailEntryId
+    ? entries.find(entry => entry.id === detailEntryId) || trashedEntries.find(entry => entry.id === detailEntryId) || null
+    : null;
+  const readerEntry = currentView === 'reader' && reader && route.params.entryId
+    ? reader.entries.find(entry => entry.id === route.params.entryId) || null
+    : null;
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-purple-50 to-blue-50 font-sans text-gray-800">
       {/* Feedback Message */}
@@ -460,10 +1449,38 @@ const AutobiographyApp = () => {
         <div className={`fixed top-4 right-4 p-4 rounded-lg shadow-lg z-50 transition-transform transform ${
           feedbackType === 'success' ? 'bg-green-500 text-white' : 'bg-red-500 text-white'
         } translate-x-0 opacity-100`}>
-          {feedbackMessage}
+          <span>{feedbackMessage}</span>
+          {feedbackAction && (
+            <button
+              onClick={() => {
+                feedbackAction.onClick();
+                setFeedbackAction(null);
+              }}
+              className="ml-4 font-semibold underline hover:no-underline"
+            >
+              {feedbackAction.label}
+            </button>
+          )}
         </div>
       )}
 
+      {/* Account Dialog */}
+      {accountPanelMode && (
+        <AccountPanel
+          initialMode={accountPanelMode}
+          isAnonymous={isAnonymous}
+          displayName={userDisplayName}
+          email={userEmail}
+          onUpgradeWithEmail={handleUpgradeWithEmail}
+          onUpgradeWithGoogle={handleUpgradeWithGoogle}
+          onSignInWithEmail={handleSignInWithEmail}
+          onSignInWithGoogle={handleSignInWithGoogle}
+          onSaveProfile={handleSaveProfile}
+          onSignOut={handleSignOut}
+          onClose={() => setAccountPanelMode(null)}
+        />
+      )}
+
       {/* Header */}
       <div className="bg-white shadow-sm border-b">
         <div className="max-w-7xl mx-auto px-4 py-4">
@@ -475,9 +1492,9 @@ const AutobiographyApp = () => {
               </div>
               <div className="hidden md:flex space-x-4">
                 <button
-                  onClick={() => setCurrentView('entries')}
+                  onClick={() => navigateTo('entries')}
                   className={`px-4 py-2 rounded-lg transition-colors flex items-center space-x-2 ${
-                    currentView === 'entries' 
+                    currentView === 'entries' || currentView === 'entry'
                       ? 'bg-purple-100 text-purple-700' 
                       : 'text-gray-600 hover:bg-gray-100'
                   }`}
@@ -485,7 +1502,7 @@ const AutobiographyApp = () => {
                   <FileText className="w-4 h-4" /> <span>My Entries</span>
                 </button>
                 <button
-                  onClick={() => setCurrentView('timeline')}
+                  onClick={() => navigateTo('timeline')}
                   className={`px-4 py-2 rounded-lg transition-colors flex items-center space-x-2 ${
                     currentView === 'timeline' 
                       ? 'bg-purple-100 text-purple-700' 
@@ -495,7 +1512,27 @@ const AutobiographyApp = () => {
                   <Clock className="w-4 h-4" /> <span>Life Timeline</span>
                 </button>
                 <button
-                  onClick={() => setCurrentView('ai-assistant')}
+                  onClick={() => navigateTo('map')}
+                  className={`px-4 py-2 rounded-lg transition-colors flex items-center space-x-2 ${
+                    currentView === 'map' 
+                      ? 'bg-purple-100 text-purple-700' 
+                      : 'text-gray-600 hover:bg-gray-100'
+                  }`}
+                >
+                  <Map className="w-4 h-4" /> <span>Map</span>
+                </button>
+                <button
+                  onClick={() => openPerson(null)}
+                  className={`px-4 py-2 rounded-lg transition-colors flex items-center space-x-2 ${
+                    currentView === 'people' 
+                      ? 'bg-purple-100 text-purple-700' 
+                      : 'text-gray-600 hover:bg-gray-100'
+                  }`}
+                >
+                  <Contact className="w-4 h-4" /> <span>People</span>
+                </button>
+                <button
+                  onClick={() => navigateTo('ai-assistant')}
                   className={`px-4 py-2 rounded-lg transition-colors flex items-center space-x-2 ${
                     currentView === 'ai-assistant' 
                       ? 'bg-purple-100 text-purple-700' 
@@ -505,7 +1542,7 @@ const AutobiographyApp = () => {
                   <Brain className="w-4 h-4" /> <span>AI Memory Helper</span>
                 </button>
                 <button
-                  onClick={() => setCurrentView('photo-requests')}
+                  onClick={() => navigateTo('photo-requests')}
                   className={`px-4 py-2 rounded-lg transition-colors flex items-center space-x-2 ${
                     currentView === 'photo-requests' 
                       ? 'bg-purple-100 text-purple-700' 
@@ -514,14 +1551,69 @@ const AutobiographyApp = () => {
                 >
                   <Camera className="w-4 h-4" /> <span>Photo Requests</span>
                 </button>
+                <button
+                  onClick={() => navigateTo('sharing')}
+                  className={`px-4 py-2 rounded-lg transition-colors flex items-center space-x-2 ${
+                    currentView === 'sharing' || currentView === 'reader'
+                      ? 'bg-purple-100 text-purple-700' 
+                      : 'text-gray-600 hover:bg-gray-100'
+                  }`}
+                >
+                  <Share2 className="w-4 h-4" /> <span>Sharing</span>
+                </button>
               </div>
             </div>
             <div className="flex items-center space-x-3">
+              <div className="relative">
+                <button
+                  onClick={() => setShowSyncDetails(!showSyncDetails)}
+                  className={`text-sm flex items-center space-x-1 px-2 py-2 rounded-lg hover:bg-gray-100 ${
+                    !isOnline ? 'text-yellow-700' : pendingWrites.length > 0 ? 'text-blue-600' : 'text-gray-500'
+                  }`}
+                  title="Sync status"
+                >
+                  {pendingWrites.length > 0 && isOnline ? <Loader2 className="w-4 h-4 animate-spin" /> : <Clock className="w-4 h-4" />}
+                  <span>
+                    {!isOnline
+                      ? `Offline${pendingWrites.length > 0 ? ` · ${pendingWrites.length} waiting` : ''}`
+                      : pendingWrites.length > 0 ? `Syncing ${pendingWrites.length}` : 'All saved'}
+                  </span>
+                </button>
+                {showSyncDetails && (
+                  <div className="absolute right-0 mt-2 w-72 bg-white border border-gray-200 rounded-lg shadow-lg p-3 z-40 text-sm">
+                    <p className="font-medium text-gray-800 mb-2">{isOnline ? 'Online' : 'Offline: changes are saved on this device'}</p>
+                    {pendingWrites.length > 0 ? (
+                      <ul className="space-y-1 text-gray-600">
+                        {pendingWrites.map(write => (
+                          <li key={write.id} className="flex justify-between">
+                            <span className="truncate">{write.label}</span>
+                            <span className="text-xs text-gray-400 ml-2 flex-shrink-0">{write.queuedAt.toLocaleTimeString()}</span>
+                          </li>
+                        ))}
+                      </ul>
+                    ) : (
+                      <p className="text-gray-500">Everything is synced.</p>
+                    )}
+                  </div>
+                )}
+              </div>
+              {userId && isAnonymous && (
+                <button
+                  onClick={() => setAccountPanelMode('upgrade')}
+                  className="text-sm px-3 py-2 bg-yellow-50 text-yellow-800 rounded-lg hover:bg-yellow-100 transition-colors flex items-center space-x-1"
+                >
+                  <Lock className="w-4 h-4" />
+                  <span>Save your story</span>
+                </button>
+              )}
               {userId && (
-                <div className="text-sm text-gray-600 flex items-center space-x-1">
+                <button
+                  onClick={() => setAccountPanelMode('profile')}
+                  className="text-sm text-gray-600 flex items-center space-x-1 px-2 py-2 rounded-lg hover:bg-gray-100"
+                >
                   <Users className="w-4 h-4 text-gray-500" />
-                  <span>User ID: <span className="font-mono text-xs bg-gray-100 px-2 py-1 rounded">{userId}</span></span>
-                </div>
+                  <span>{userDisplayName || (isAnonymous ? 'Guest' : userEmail)}</span>
+                </button>
               )}
               <button
                 onClick={() => openEntryModal()}
@@ -535,27 +1627,47 @@ const AutobiographyApp = () => {
           {/* Mobile Navigation */}
           <div className="md:hidden mt-4 flex justify-center space-x-2 overflow-x-auto pb-2">
             <button
-              onClick={() => setCurrentView('entries')}
+              onClick={() => navigateTo('entries')}
+              className={`flex-shrink-0 px-3 py-1.5 rounded-lg text-sm transition-colors ${
+                currentView === 'entries' || currentView === 'entry'
+                  ? 'bg-purple-100 text-purple-700' 
+                  : 'text-gray-600 hover:bg-gray-100'
+              }`}
+            >
+              Entries
+            </button>
+            <button
+              onClick={() => navigateTo('timeline')}
+              className={`flex-shrink-0 px-3 py-1.5 rounded-lg text-sm transition-colors ${
+                currentView === 'timeline' 
+                  ? 'bg-purple-100 text-purple-700' 
+                  : 'text-gray-600 hover:bg-gray-100'
+              }`}
+            >
+              Timeline
+            </button>
+            <button
+              onClick={() => navigateTo('map')}
               className={`flex-shrink-0 px-3 py-1.5 rounded-lg text-sm transition-colors ${
-                currentView === 'entries' 
+                currentView === 'map' 
                   ? 'bg-purple-100 text-purple-700' 
                   : 'text-gray-600 hover:bg-gray-100'
               }`}
             >
-              Entries
+              Map
             </button>
             <button
-              onClick={() => setCurrentView('timeline')}
+              onClick={() => openPerson(null)}
               className={`flex-shrink-0 px-3 py-1.5 rounded-lg text-sm transition-colors ${
-                currentView === 'timeline' 
+                currentView === 'people' 
                   ? 'bg-purple-100 text-purple-700' 
                   : 'text-gray-600 hover:bg-gray-100'
               }`}
             >
-              Timeline
+              People
             </button>
             <button
-              onClick={() => setCurrentView('ai-assistant')}
+              onClick={() => navigateTo('ai-assistant')}
               className={`flex-shrink-0 px-3 py-1.5 rounded-lg text-sm transition-colors ${
                 currentView === 'ai-assistant' 
                   ? 'bg-purple-100 text-purple-700' 
@@ -565,7 +1677,7 @@ const AutobiographyApp = () => {
               AI Helper
             </button>
             <button
-              onClick={() => setCurrentView('photo-requests')}
+              onClick={() => navigateTo('photo-requests')}
               className={`flex-shrink-0 px-3 py-1.5 rounded-lg text-sm transition-colors ${
                 currentView === 'photo-requests' 
                   ? 'bg-purple-100 text-purple-700' 
@@ -574,17 +1686,70 @@ const AutobiographyApp = () => {
             >
               Photos
             </button>
+            <button
+              onClick={() => navigateTo('sharing')}
+              className={`flex-shrink-0 px-3 py-1.5 rounded-lg text-sm transition-colors ${
+                currentView === 'sharing' || currentView === 'reader'
+                  ? 'bg-purple-100 text-purple-700' 
+                  : 'text-gray-600 hover:bg-gray-100'
+              }`}
+            >
+              Sharing
+            </button>
           </div>
         </div>
       </div>
 
       <div className="max-w-7xl mx-auto px-4 py-6">
+        {/* Book Export Modal */}
+        {showExport && (
+          <ExportPanel
+            entries={entries}
+            aiQuestions={aiQuestions}
+            authorName={userDisplayName}
+            onClose={() => setShowExport(false)}
+            onFeedback={showUserFeedback}
+          />
+        )}
+
+        {/* Backup & Restore Modal */}
+        {showBackup && (
+          <BackupPanel
+            db={db}
+            appId={appId}
+            userId={userId}
+            data={{ entries: [...entries, ...trashedEntries], timelineEvents, aiQuestions, photoRequests, people }}
+            onClose={() => setShowBackup(false)}
+            onFeedback={showUserFeedback}
+          />
+        )}
+
+        {/* Photo Request Modal */}
+        {photoRequestDraft && (
+          <PhotoRequestForm
+            initial={photoRequestDraft}
+            entries={entries}
+            onSubmit={requestHistoricalPhotos}
+            onClose={() => setPhotoRequestDraft(null)}
+          />
+        )}
+
+        {/* Historical Image Modal */}
+        {imageContribution && (
+          <HistoricalImageForm
+            initial={imageContribution.draft}
+            entries={entries}
+            onSubmit={handleContributeImage}
+            onClose={() => setImageContribution(null)}
+          />
+        )}
+
         {/* New Entry/Edit Entry Modal */}
         {showNewEntry && (
           <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50 p-4">
-            <div className="bg-white rounded-xl shadow-2xl p-6 w-full max-w-lg relative">
+            <div className="bg-white rounded-xl shadow-2xl p-6 w-full max-w-lg relative max-h-full overflow-y-auto">
               <button
-                onClick={() => setShowNewEntry(false)}
+                onClick={closeEntryModal}
                 className="absolute top-4 right-4 text-gray-400 hover:text-gray-600"
               >
                 <X className="w-6 h-6" />
@@ -592,7 +1757,39 @@ const AutobiographyApp = () => {
               <h2 className="text-2xl font-bold text-gray-800 mb-6 flex items-center space-x-2">
                 {editingEntry ? <Edit3 className="w-6 h-6 text-purple-600" /> : <Plus className="w-6 h-6 text-purple-600" />}
                 <span>{editingEntry ? 'Edit Entry' : 'Create New Entry'}</span>
+                {editingEntry && !showHistory && (
+                  <button
+                    onClick={() => setShowHistory(true)}
+                    className="text-sm font-normal text-purple-600 hover:text-purple-800 flex items-center space-x-1 pl-2"
+                  >
+                    <Clock className="w-4 h-4" />
+                    <span>History</span>
+                  </button>
+                )}
               </h2>
+              {editingEntry && showHistory && (
+                <RevisionHistory
+                  db={db}
+                  appId={appId}
+                  userId={userId}
+                  entryId={editingEntry.id}
+                  draft={formEntry}
+                  onRestore={handleRestoreRevision}
+                  onClose={() => setShowHistory(false)}
+                />
+              )}
+              {formEntry.sourceQuestion && (
+                <div className="bg-blue-50 p-3 rounded-lg mb-4 text-sm text-blue-800 flex items-start space-x-2">
+                  <Brain className="w-4 h-4 mt-0.5 flex-shrink-0" />
+                  <span>Drafted from your answer to: "{formEntry.sourceQuestion}"</span>
+                </div>
+              )}
+              {!editingEntry && formEntry.sourceEntryIds.length > 0 && (
+                <div className="bg-purple-50 p-3 rounded-lg mb-4 text-sm text-purple-800 flex items-start space-x-2">
+                  <BookOpen className="w-4 h-4 mt-0.5 flex-shrink-0" />
+                  <span>Woven from {formEntry.sourceEntryIds.length} {formEntry.sourceEntryIds.length === 1 ? 'entry' : 'entries'}. Edit the draft as you like; keep the Sources list so readers can find the originals.</span>
+                </div>
+              )}
               <div className="space-y-4">
                 <div>
                   <label htmlFor="entryTitle" className="block text-sm font-medium text-gray-700 mb-1">Title</label>
@@ -607,11 +1804,15 @@ const AutobiographyApp = () => {
                 </div>
                 <div>
                   <label htmlFor="entryContent" className="block text-sm font-medium text-gray-700 mb-1">Content</label>
-                  <textarea
+                  <MarkdownEditor
                     id="entryContent"
                     value={formEntry.content}
-                    onChange={(e) => setFormEntry({ ...formEntry, content: e.target.value })}
-                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent h-32 resize-y"
+                    onChange={content => setFormEntry(prev => ({ ...prev, content }))}
+                    people={people}
+                    onCreatePerson={handleCreatePerson}
+                    media={entryMediaItems(formEntry)}
+                    renderMention={renderMention}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-b-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent h-48 resize-y"
                     placeholder="Write about your memory here..."
                   />
                 </div>
@@ -622,7 +1823,7 @@ const AutobiographyApp = () => {
                       type="date"
                       id="entryDate"
                       value={formEntry.date}
-                      onChange={(e) => setFormEntry({ ...formEntry, date: e.target.value })}
+                      onChange={(e) => setFormEntry({ ...formEntry, date: e.target.value, datePrecision: 'day' })}
                       className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
                     />
                   </div>
@@ -632,10 +1833,45 @@ const AutobiographyApp = () => {
                       type="text"
                       id="entryLocation"
                       value={formEntry.location}
-                      onChange={(e) => setFormEntry({ ...formEntry, location: e.target.value })}
+                      onChange={(e) => {
+                        // A new place name needs its map location picked again
+                        setFormEntry({ ...formEntry, location: e.target.value, coordinates: null });
+                        setLocationMatches(null);
+                      }}
                       className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
                       placeholder="e.g., New York City"
                     />
+                    {formEntry.coordinates ? (
+                      <p className="text-xs text-gray-600 mt-1 flex items-center space-x-1">
+                        <MapPin className="w-3 h-3 text-purple-600" />
+                        <span className="truncate">On the map: {formEntry.coordinates.label}</span>
+                        <button onClick={() => setFormEntry({ ...formEntry, coordinates: null })} className="text-gray-400 hover:text-gray-600">
+                          <X className="w-3 h-3" />
+                        </button>
+                      </p>
+                    ) : formEntry.location.trim() && (
+                      <button onClick={handleFindLocation} className="text-xs text-purple-600 hover:text-purple-800 mt-1 flex items-center space-x-1">
+                        <MapPin className="w-3 h-3" /> <span>Place on map</span>
+                      </button>
+                    )}
+                    {locationMatches && !formEntry.coordinates && (
+                      <div className="mt-1 border border-gray-200 rounded-lg bg-white text-sm">
+                        {locationMatches.length > 0 ? locationMatches.map(match => (
+                          <button
+                            key={`${match.label}-${match.lat}-${match.lng}`}
+                            onClick={() => {
+                              setFormEntry({ ...formEntry, coordinates: toCoordinates(match) });
+                              setLocationMatches(null);
+                            }}
+                            className="block w-full text-left px-3 py-1.5 hover:bg-purple-50 truncate"
+                          >
+                            {match.label}
+                          </button>
+                        )) : (
+                          <p className="px-3 py-1.5 text-gray-500">No matching place found.</p>
+                        )}
+                      </div>
+                    )}
                   </div>
                 </div>
                 <div>
@@ -658,7 +1894,7 @@ const AutobiographyApp = () => {
                     className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent bg-white"
                   >
                     <option value="private">Private (Only you)</option>
-                    <option value="friends">Friends (Selected friends)</option>
+                    <option value="friends">Friends (People you invite)</option>
                     <option value="public">Public (Anyone can see)</option>
                   </select>
                 </div>
@@ -675,39 +1911,73 @@ const AutobiographyApp = () => {
                     <option value="reflection">Reflection</option>
                   </select>
                 </div>
-                {/* Media Upload Placeholder */}
+                {/* Media Upload */}
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-1">Media (Images/Videos)</label>
                   <div className="flex flex-wrap gap-2 mb-2">
-                    {formEntry.mediaUrls.map((url, index) => (
-                      <div key={index} className="relative group">
-                        <img src={url} alt="Uploaded media" className="w-20 h-20 object-cover rounded-lg" />
-                        <button
-                          onClick={() => setFormEntry({ ...formEntry, mediaUrls: formEntry.mediaUrls.filter((_, i) => i !== index) })}
-                          className="absolute top-0 right-0 bg-red-500 text-white rounded-full p-1 -mt-2 -mr-2 opacity-0 group-hover:opacity-100 transition-opacity"
-                        >
-                          <X className="w-3 h-3" />
-                        </button>
-                      </div>
-                    ))}
+                    {formEntry.mediaUrls.map((url, index) => {
+                      const mediaItem = formEntry.media.find(item => item.url === url);
+                      return (
+                        <div key={url} className="relative group">
+                          {mediaItem && mediaItem.kind === 'video' && !mediaItem.thumbnailUrl ? (
+                            <div className="w-20 h-20 bg-gray-100 rounded-lg flex items-center justify-center">
+                              <Video className="w-6 h-6 text-gray-500" />
+                            </div>
+                          ) : (
+                            <img src={(mediaItem && mediaItem.thumbnailUrl) || url} alt="Uploaded media" className="w-20 h-20 object-cover rounded-lg" />
+                          )}
+                          {mediaItem && mediaItem.kind === 'video' && (
+                            <Video className="absolute bottom-1 left-1 w-4 h-4 text-white drop-shadow" />
+                          )}
+                          <button
+                            onClick={() => removeFormMedia(index)}
+                            className="absolute top-0 right-0 bg-red-500 text-white rounded-full p-1 -mt-2 -mr-2 opacity-0 group-hover:opacity-100 transition-opacity"
+                          >
+                            <X className="w-3 h-3" />
+                          </button>
+                        </div>
+                      );
+                    })}
                   </div>
-                  <button
-                    onClick={() => {
-                      // In a real app, this would open a file picker and upload to storage (e.g., Firebase Storage)
-                      // For now, let's add a placeholder image
-                      const newMediaUrl = `https://placehold.co/100x100/A78BFA/FFFFFF?text=Media${formEntry.mediaUrls.length + 1}`;
-                      setFormEntry({ ...formEntry, mediaUrls: [...formEntry.mediaUrls, newMediaUrl] });
-                      showUserFeedback("Media upload simulated! (Requires actual storage)", "info");
+                  {uploads.length > 0 && (
+                    <div className="space-y-2 mb-2">
+                      {uploads.map(upload => (
+                        <div key={upload.id} className="text-xs text-gray-600">
+                          <div className="flex justify-between mb-1">
+                            <span className="truncate">{upload.name}</span>
+                            <span>{Math.round(upload.progress * 100)}%</span>
+                          </div>
+                          <div className="w-full h-1.5 bg-gray-200 rounded-full overflow-hidden">
+                            <div className="h-full bg-purple-500 transition-all" style={{ width: `${Math.round(upload.progress * 100)}%` }} />
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                  <input
+                    ref={mediaInputRef}
+                    type="file"
+                    multiple
+                    accept={[...MEDIA_LIMITS.image.types, ...MEDIA_LIMITS.video.types].join(',')}
+                    className="hidden"
+                    onChange={(e) => {
+                      handleMediaFiles(e.target.files);
+                      e.target.value = ''; // Allow picking the same file again
                     }}
+                  />
+                  <button
+                    onClick={() => mediaInputRef.current && mediaInputRef.current.click()}
                     className="w-full px-4 py-2 border-2 border-dashed border-gray-300 rounded-lg text-gray-600 hover:border-purple-500 hover:text-purple-600 transition-colors flex items-center justify-center space-x-2"
                   >
                     <Image className="w-5 h-5" />
                     <span>Add Photo/Video</span>
                   </button>
+                  <p className="text-xs text-gray-500 mt-1">Images up to 10 MB, videos up to 100 MB.</p>
                 </div>
                 <button
                   onClick={handleSaveEntry}
-                  className="w-full px-4 py-2 bg-purple-500 text-white rounded-lg hover:bg-purple-600 transition-colors flex items-center justify-center space-x-2 shadow-md"
+                  disabled={uploads.length > 0}
+                  className="w-full px-4 py-2 bg-purple-500 text-white rounded-lg hover:bg-purple-600 transition-colors flex items-center justify-center space-x-2 shadow-md disabled:opacity-50"
                 >
                   <Save className="w-5 h-5" />
                   <span>{editingEntry ? 'Update Entry' : 'Save Entry'}</span>
@@ -721,43 +1991,109 @@ const AutobiographyApp = () => {
         {currentView === 'entries' && (
           <div className="space-y-6">
             <div className="bg-white rounded-xl shadow-sm p-6">
-              <h2 className="text-2xl font-bold text-gray-800 mb-6 flex items-center space-x-2">
-                <FileText className="w-6 h-6 text-purple-600" />
-                <span>Your Autobiography Entries</span>
-              </h2>
+              <div className="flex flex-col sm:flex-row sm:items-center justify-between mb-6">
+                <h2 className="text-2xl font-bold text-gray-800 flex items-center space-x-2">
+                  <FileText className="w-6 h-6 text-purple-600" />
+                  <span>Your Autobiography Entries</span>
+                </h2>
+                <div className="flex space-x-2 mt-3 sm:mt-0">
+                  <button
+                    onClick={() => setShowExport(true)}
+                    className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors flex items-center space-x-2"
+                  >
+                    <Archive className="w-4 h-4" />
+                    <span>Export Book</span>
+                  </button>
+                  <button
+                    onClick={() => setShowBackup(true)}
+                    className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors flex items-center space-x-2"
+                  >
+                    <Save className="w-4 h-4" />
+                    <span>Backup</span>
+                  </button>
+                  <button
+                    onClick={() => navigateTo('trash')}
+                    className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors flex items-center space-x-2"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                    <span>Trash{trashedEntries.length > 0 ? ` (${trashedEntries.length})` : ''}</span>
+                  </button>
+                </div>
+              </div>
+              {syncConflicts.length > 0 && (
+                <div className="bg-yellow-50 border border-yellow-200 p-4 rounded-lg mb-6 space-y-3">
+                  <p className="text-yellow-800 font-medium">Some entries were edited on another device at the same time:</p>
+                  {syncConflicts.map(conflict => (
+                    <div key={conflict.entryId} className="flex flex-col sm:flex-row sm:items-center justify-between bg-white rounded-lg p-3 text-sm">
+                      <div className="mb-2 sm:mb-0">
+                        <p className="text-gray-800"><strong>Yours:</strong> {conflict.mine.title}</p>
+                        <p className="text-gray-600"><strong>Other device:</strong> {conflict.theirs.title}</p>
+                      </div>
+                      <div className="flex space-x-2">
+                        <button
+                          onClick={() => resolveConflictKeepMine(conflict)}
+                          className="px-3 py-1.5 bg-purple-500 text-white rounded-lg hover:bg-purple-600"
+                        >
+                          Keep mine
+                        </button>
+                        <button
+                          onClick={() => resolveConflictKeepTheirs(conflict)}
+                          className="px-3 py-1.5 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200"
+                        >
+                          Keep theirs
+                        </button>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
               <div className="flex flex-col sm:flex-row items-center space-y-4 sm:space-y-0 sm:space-x-4 mb-6">
                 <div className="relative w-full sm:w-1/2">
                   <Search className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400 w-5 h-5" />
                   <input
                     type="text"
-                    placeholder="Search entries by title, content, tags, or location..."
+                    placeholder='Search... try tag:family in:Paris after:1990 "first day"'
                     value={searchQuery}
-                    onChange={(e) => setSearchQuery(e.target.value)}
+                    onChange={(e) => setEntryView({ ...entryView, q: e.target.value })}
                     className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                    title='Words must all match. Operators: tag:, in: (location), type:, before:, after: and "quoted phrases".'
                   />
                 </div>
-                <div className="relative w-full sm:w-auto">
-                  <Filter className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400 w-5 h-5" />
-                  <select
-                    value={filterBy}
-                    onChange={(e) => setFilterBy(e.target.value)}
-                    className="w-full sm:w-auto pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent appearance-none bg-white"
-                  >
-                    <option value="all">All Types</option>
-                    <option value="personal">Personal Memory</option>
-                    <option value="event">Event</option>
-                    <option value="reflection">Reflection</option>
-                  </select>
-                  <ChevronDown className="absolute right-3 top-1/2 -translate-y-1/2 text-gray-400 pointer-events-none w-4 h-4" />
-                </div>
+                <button
+                  onClick={() => setShowFacets(!showFacets)}
+                  className={`w-full sm:w-auto px-4 py-2 rounded-lg transition-colors flex items-center justify-center space-x-2 ${
+                    showFacets || !isDefaultView({ ...entryView, q: '' }) ? 'bg-purple-100 text-purple-700' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                  }`}
+                >
+                  <Filter className="w-4 h-4" />
+                  <span>Filters</span>
+                  {showFacets ? <ChevronDown className="w-4 h-4" /> : <ChevronRight className="w-4 h-4" />}
+                </button>
               </div>
 
+              {showFacets && (
+                <FacetPanel
+                  view={entryView}
+                  counts={facetCounts}
+                  resultCount={filteredEntries.length}
+                  savedViews={savedViews}
+                  people={people}
+                  onChange={setEntryView}
+                  onSaveView={handleSaveView}
+                  onDeleteView={handleDeleteView}
+                />
+              )}
+
               <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
                 {filteredEntries.length > 0 ? (
                   filteredEntries.map(entry => (
                     <div key={entry.id} className="bg-white border border-gray-200 rounded-xl shadow-sm p-5 flex flex-col">
                       <div className="flex items-center justify-between mb-3">
-                        <h3 className="text-xl font-semibold text-gray-800 truncate">{entry.title}</h3>
+                        <h3 className="text-xl font-semibold text-gray-800 truncate">
+                          <button onClick={() => openEntryPage(entry)} className="hover:text-purple-700 text-left">
+                            {searchResults ? renderHighlighted(highlightText(entry.title, searchQuery)) : entry.title}
+                          </button>
+                        </h3>
                         <div className={`flex items-center space-x-1 text-sm ${getPrivacyColor(entry.privacy)}`}>
                           {getPrivacyIcon(entry.privacy)}
                           <span className="capitalize">{entry.privacy}</span>
@@ -766,6 +2102,14 @@ const AutobiographyApp = () => {
                       <p className="text-sm text-gray-600 mb-2 flex items-center space-x-1">
                         <Calendar className="w-4 h-4" />
                         <span>{entry.date}</span>
+                        {pendingEntryIds.has(entry.id) && (
+                          <span className="ml-2 flex items-center space-x-1 text-xs text-blue-600" title="Saved on this device, waiting to sync">
+                            <Clock className="w-3 h-3" /> <span>Not synced</span>
+                          </span>
+                        )}
+                        {syncConflicts.some(conflict => conflict.entryId === entry.id) && (
+                          <span className="ml-2 text-xs text-yellow-700">Conflict</span>
+                        )}
                       </p>
                       {entry.location && (
                         <p className="text-sm text-gray-600 mb-3 flex items-center space-x-1">
@@ -775,13 +2119,26 @@ const AutobiographyApp = () => {
                       )}
                       {entry.mediaUrls && entry.mediaUrls.length > 0 && (
                         <div className="mb-3">
-                          <img src={entry.mediaUrls[0]} alt="Entry media" className="w-full h-40 object-cover rounded-lg" />
+                          {entry.media && entry.media[0] && entry.media[0].url === entry.mediaUrls[0] && entry.media[0].kind === 'video' ? (
+                            <video src={entry.mediaUrls[0]} poster={entry.media[0].thumbnailUrl || undefined} controls className="w-full h-40 object-cover rounded-lg" />
+                          ) : (
+                            <img src={entry.mediaUrls[0]} alt="Entry media" className="w-full h-40 object-cover rounded-lg" />
+                          )}
                           {entry.mediaUrls.length > 1 && (
                             <p className="text-xs text-gray-500 mt-1">+{entry.mediaUrls.length - 1} more media</p>
                           )}
                         </div>
                       )}
-                      <p className="text-gray-700 text-base mb-4 line-clamp-3">{entry.content}</p>
+                      {searchResults ? (
+                        <p className="text-gray-700 text-base mb-4 line-clamp-3">{renderHighlighted(snippetFor(entry, searchQuery))}</p>
+                      ) : (
+                        <MarkdownContent
+                          source={entryMarkdown(entry)}
+                          renderMention={renderMention}
+                          compact
+                          className="text-gray-700 text-base mb-4 line-clamp-3"
+                        />
+                      )}
                       
                       {entry.tags && entry.tags.length > 0 && (
                         <div className="flex flex-wrap gap-2 mb-4">
@@ -807,46 +2164,24 @@ const AutobiographyApp = () => {
                         </div>
                       )}
 
-                      {entry.collaborativeEntries && entry.collaborativeEntries.length > 0 && (
-                        <div className="bg-green-50 p-3 rounded-lg mb-4">
-                          <div className="flex items-center space-x-2 text-green-800 mb-2">
-                            <Users className="w-4 h-4" />
-                            <span className="font-medium">Collaborative Memories:</span>
-                          </div>
-                          <div className="space-y-2">
-                            {entry.collaborativeEntries.map(collab => (
-                              <div key={collab.id} className="text-sm text-green-700 flex justify-between items-center">
-                                <div>
-                                  <strong>{collab.author}:</strong> {collab.content}
-                                </div>
-                                <button
-                                  onClick={() => handleLikeCollaborativeComment(entry.id, collab.id)}
-                                  className="flex items-center text-gray-500 hover:text-red-500 transition-colors text-xs ml-2"
-                                >
-                                  <Heart className="w-3 h-3 mr-1" fill={collab.likes > 0 ? 'currentColor' : 'none'} /> {collab.likes}
-                                </button>
-                              </div>
-                            ))}
-                          </div>
-                          {/* Add new collaborative comment form */}
-                          <div className="mt-3 pt-3 border-t border-green-100">
-                            <input
-                              type="text"
-                              placeholder="Add a comment..."
-                              className="w-full px-3 py-1.5 border border-gray-300 rounded-lg text-sm focus:ring-1 focus:ring-green-500"
-                              onKeyDown={(e) => {
-                                if (e.key === 'Enter' && e.currentTarget.value.trim()) {
-                                  handleAddCollaborativeComment(entry.id, 'Guest User', e.currentTarget.value);
-                                  e.currentTarget.value = '';
-                                }
-                              }}
-                            />
-                            <p className="text-xs text-gray-500 mt-1">Press Enter to add comment (simulated as "Guest User")</p>
-                          </div>
-                        </div>
-                      )}
+                      <EntryComments
+                        db={db}
+                        appId={appId}
+                        ownerId={userId}
+                        entryId={entry.id}
+                        currentUser={currentUser}
+                        legacyComments={entry.collaborativeEntries || []}
+                        onFeedback={showUserFeedback}
+                      />
 
                       <div className="mt-auto flex justify-end space-x-2 pt-4 border-t border-gray-100">
+                        <button
+                          onClick={() => openPhotoRequestForm(entry)}
+                          className="px-3 py-1.5 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 text-sm flex items-center space-x-1"
+                          title="Request photos for this memory"
+                        >
+                          <Camera className="w-4 h-4" /> <span>Photos</span>
+                        </button>
                         <button
                           onClick={() => openEntryModal(entry)}
                           className="px-3 py-1.5 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 text-sm flex items-center space-x-1"
@@ -873,57 +2208,277 @@ const AutobiographyApp = () => {
           </div>
         )}
 
+        {/* Entry Page: one entry in full, with its comments and history */}
+        {currentView === 'entry' && (
+          detailEntry ? (
+            <EntryDetail
+              entry={detailEntry}
+              badge={renderPrivacyBadge(detailEntry.privacy)}
+              renderMention={renderMention}
+              onBack={() => navigateTo('entries')}
+              backLabel="My Entries"
+              actions={!isTrashed(detailEntry) && (
+                <>
+                  {isSharedPrivacy(detailEntry.privacy) && (
+                    <button onClick={() => handleCopyEntryLink(detailEntry)} className="text-gray-500 hover:text-purple-600" title="Copy link for readers">
+                      <Link2 className="w-5 h-5" />
+                    </button>
+                  )}
+                  <button onClick={() => setShowDetailHistory(!showDetailHistory)} className="text-gray-500 hover:text-purple-600" title="Version history">
+                    <Clock className="w-5 h-5" />
+                  </button>
+                  <button onClick={() => openEntryModal(detailEntry)} className="text-gray-500 hover:text-purple-600" title="Edit entry">
+                    <Edit3 className="w-5 h-5" />
+                  </button>
+                  <button onClick={() => handleDeleteFromPage(detailEntry)} className="text-gray-500 hover:text-red-600" title="Delete entry">
+                    <Trash2 className="w-5 h-5" />
+                  </button>
+                </>
+              )}
+            >
+              {isTrashed(detailEntry) && (
+                <div className="bg-yellow-50 text-yellow-800 p-3 rounded-lg text-sm flex items-center justify-between">
+                  <span>This entry is in the Trash.</span>
+                  <button onClick={() => handleRestoreEntry(detailEntry.id)} className="font-medium hover:underline">Restore</button>
+                </div>
+              )}
+              {detailEntry.sourceEntryIds && detailEntry.sourceEntryIds.length > 0 && (
+                <div className="bg-purple-50 p-3 rounded-lg">
+                  <p className="text-purple-800 font-medium mb-2 flex items-center space-x-2">
+                    <BookOpen className="w-4 h-4" /> <span>Woven from</span>
+                  </p>
+                  <ol className="list-decimal list-inside text-sm space-y-1">
+                    {detailEntry.sourceEntryIds.map((sourceId) => {
+                      const sourceEntry = entries.find(entry => entry.id === sourceId);
+                      return (
+                        <li key={sourceId}>
+                          {sourceEntry ? (
+                            <button onClick={() => openEntryPage(sourceEntry)} className="text-purple-600 hover:underline">{sourceEntry.title}</button>
+                          ) : (
+                            <span className="text-gray-500">An entry that has since been deleted</span>
+                          )}
+                        </li>
+                      );
+                    })}
+                  </ol>
+                </div>
+              )}
+              {showDetailHistory && (
+                <RevisionHistory
+                  db={db}
+                  appId={appId}
+                  userId={userId}
+                  entryId={detailEntry.id}
+                  draft={detailEntry}
+                  onRestore={revision => handleRestoreFromPage(detailEntry, revision)}
+                  onClose={() => setShowDetailHistory(false)}
+                />
+              )}
+              {!isTrashed(detailEntry) && (
+                <EntryHistoricalContext
+                  entry={detailEntry}
+                  images={historicalImages}
+                  onPin={imageId => handlePinImage(detailEntry, imageId)}
+                  onUnpin={imageId => handleUnpinImage(detailEntry, imageId)}
+                  onContribute={() => openImageContribution(detailEntry)}
+                />
+              )}
+              <EntryComments
+                db={db}
+                appId={appId}
+                ownerId={userId}
+                entryId={detailEntry.id}
+                currentUser={currentUser}
+                legacyComments={detailEntry.collaborativeEntries || []}
+                onFeedback={showUserFeedback}
+              />
+            </EntryDetail>
+          ) : entriesOwnerId !== userId ? (
+            <div className="flex items-center justify-center py-10 text-gray-500">
+              <Loader2 className="w-6 h-6 animate-spin mr-2" /> <span>Loading entry...</span>
+            </div>
+          ) : (
+            <div className="bg-white rounded-xl shadow-sm p-6 text-center text-gray-500">
+              <p className="text-lg mb-2">This entry could not be found.</p>
+              <p>It may have been deleted for good. <button onClick={() => navigateTo('entries')} className="text-purple-600 hover:underline">Back to My Entries</button></p>
+            </div>
+          )
+        )}
+
+        {/* Trash View */}
+        {currentView === 'trash' && (
+          <div className="bg-white rounded-xl shadow-sm p-6">
+            <div className="flex flex-col sm:flex-row sm:items-center justify-between mb-6">
+              <h2 className="text-2xl font-bold text-gray-800 flex items-center space-x-2">
+                <Trash2 className="w-6 h-6 text-purple-600" />
+                <span>Trash</span>
+              </h2>
+              <div className="flex items-center space-x-2 mt-3 sm:mt-0">
+                <label htmlFor="trashRetention" className="text-sm text-gray-600">Delete after</label>
+                <select
+                  id="trashRetention"
+                  value={trashRetentionDays === null ? DEFAULT_TRASH_RETENTION_DAYS : trashRetentionDays}
+                  onChange={(e) => handleTrashRetentionChange(Number(e.target.value))}
+                  className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent bg-white text-sm"
+                >
+                  {TRASH_RETENTION_OPTIONS.map(option => (
+                    <option key={option.days} value={option.days}>{option.label}</option>
+                  ))}
+                </select>
+                <button
+                  onClick={handleEmptyTrash}
+                  disabled={trashedEntries.length === 0}
+                  className="px-4 py-2 bg-red-50 text-red-600 rounded-lg hover:bg-red-100 transition-colors text-sm disabled:opacity-50"
+                >
+                  Empty Trash
+                </button>
+              </div>
+            </div>
+            <button
+              onClick={() => navigateTo('entries')}
+              className="text-sm text-purple-600 hover:text-purple-800 mb-4"
+            >
+              ← Back to entries
+            </button>
+            {trashedEntries.length === 0 ? (
+              <p className="text-gray-500 text-center py-8">The Trash is empty.</p>
+            ) : (
+              <div className="space-y-3">
+                {trashedEntries.map(entry => {
+                  const expiresAt = trashExpiresAt(entry, trashRetentionDays);
+                  const deletedAt = typeof entry.deletedAt.toDate === 'function' ? entry.deletedAt.toDate() : new Date(entry.deletedAt);
+                  return (
+                    <div key={entry.id} className="border border-gray-200 rounded-lg p-4 flex flex-col sm:flex-row sm:items-center justify-between">
+                      <div className="mb-3 sm:mb-0">
+                        <h3 className="font-semibold text-gray-800">{entry.title}</h3>
+                        <p className="text-sm text-gray-500">
+                          {entry.date} · Deleted {deletedAt.toLocaleDateString()}
+                          {expiresAt ? ` · Removed for good on ${expiresAt.toLocaleDateString()}` : ''}
+                        </p>
+                      </div>
+                      <div className="flex space-x-2">
+                        <button
+                          onClick={() => handleRestoreEntry(entry.id)}
+                          className="px-3 py-1.5 bg-purple-500 text-white rounded-lg hover:bg-purple-600 text-sm"
+                        >
+                          Restore
+                        </button>
+                        <button
+                          onClick={() => handlePurgeEntry(entry)}
+                          className="px-3 py-1.5 bg-gray-100 text-red-600 rounded-lg hover:bg-gray-200 text-sm"
+                        >
+                          Delete Forever
+                        </button>
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+        )}
+
         {/* Life Timeline View */}
         {currentView === 'timeline' && (
           <div className="space-y-6">
-            <div className="bg-white rounded-xl shadow-sm p-6">
-              <h2 className="text-2xl font-bold text-gray-800 mb-6 flex items-center space-x-2">
-                <Clock className="w-6 h-6 text-purple-600" />
-                <span>Your Life Timeline</span>
-              </h2>
+            <div className="space-y-6 lg:space-y-0 lg:grid lg:grid-cols-3 lg:gap-6 lg:items-start">
+              <div className="bg-white rounded-xl shadow-sm p-6 lg:col-span-2">
+                <h2 className="text-2xl font-bold text-gray-800 mb-6 flex items-center space-x-2">
+                  <Clock className="w-6 h-6 text-purple-600" />
+                  <span>Your Life Timeline</span>
+                </h2>
               
-              <div className="relative">
-                <div className="absolute left-6 top-0 bottom-0 w-0.5 bg-gray-300"></div>
-                {timelineEvents.length > 0 ? (
-                  timelineEvents.sort((a, b) => b.year - a.year).map((timelineEvent) => (
-                    <div key={timelineEvent.id} className="relative flex items-center mb-8">
-                      <div className={`w-12 h-12 rounded-full ${timelineEvent.color || 'bg-gray-500'} flex items-center justify-center text-white font-bold text-sm relative z-10`}>
-                        {timelineEvent.year}
-                      </div>
-                      <div className="ml-6 flex-1">
-                        <div className="bg-white border border-gray-200 rounded-lg p-4 shadow-sm">
-                          <h3 className="font-semibold text-gray-800 mb-2">{timelineEvent.year}</h3>
-                          <div className="space-y-2">
-                            {timelineEvent.events && timelineEvent.events.length > 0 ? (
-                              timelineEvent.events.map((event, eventIndex) => (
-                                <div key={eventIndex} className="flex items-center justify-between">
-                                  <span className="text-gray-700">{event}</span>
-                                  <button
-                                    onClick={() => {
-                                      setSelectedTimelineYear(timelineEvent.year);
-                                      generateAIQuestionsForYear(timelineEvent.year); // Generate new questions
-                                    }}
-                                    className="text-purple-600 hover:text-purple-800 text-sm flex items-center space-x-1"
-                                  >
-                                    <Lightbulb className="w-4 h-4" />
-                                    <span>Remember more</span>
-                                  </button>
+                <div className="relative">
+                  <div className="absolute left-6 top-0 bottom-0 w-0.5 bg-gray-300"></div>
+                  {timeline.length > 0 ? (
+                    timeline.map((timelineYear) => (
+                      <div key={timelineYear.year} className="relative flex items-start mb-8">
+                        <div className={`w-12 h-12 rounded-full ${timelineYear.color} flex items-center justify-center text-white font-bold text-sm relative z-10 flex-shrink-0`}>
+                          {timelineYear.year}
+                        </div>
+                        <div className="ml-6 flex-1">
+                          <div className="bg-white border border-gray-200 rounded-lg p-4 shadow-sm">
+                            <div className="flex items-center justify-between mb-2">
+                              <h3 className="font-semibold text-gray-800">
+                                {timelineYear.year}
+                                <span className="ml-2 text-sm font-normal text-gray-500">
+                                  {timelineYear.entryCount} {timelineYear.entryCount === 1 ? 'entry' : 'entries'}
+                                </span>
+                              </h3>
+                              <button
+                                onClick={() => {
+                                  setSelectedTimelineYear(timelineYear.year);
+                                  generateAIQuestionsForYear(timelineYear.year); // Generate new questions
+                                }}
+                                className="text-purple-600 hover:text-purple-800 text-sm flex items-center space-x-1"
+                              >
+                                <Lightbulb className="w-4 h-4" />
+                                <span>Remember more</span>
+                              </button>
+                            </div>
+                            <div className="space-y-3">
+                              {timelineYear.curated.map((event) => (
+                                <div key={event.id} className="flex items-center space-x-2 text-gray-700">
+                                  <Zap className="w-4 h-4 text-yellow-500" />
+                                  <span>{event.title}</span>
                                 </div>
-                              ))
-                            ) : (
-                              <p className="text-gray-500 text-sm">No specific events recorded for this year.</p>
-                            )}
+                              ))}
+                              {timelineYear.months.map((timelineMonth) => (
+                                <div key={timelineMonth.label}>
+                                  <p className="text-xs font-semibold uppercase tracking-wide text-gray-500 mb-1">{timelineMonth.label}</p>
+                                  <div className="space-y-1">
+                                    {timelineMonth.items.map((item) => (
+                                      <button
+                                        key={item.id}
+                                        onClick={() => openTimelineItem(item)}
+                                        className="w-full text-left flex items-center justify-between px-2 py-1 rounded hover:bg-purple-50 transition-colors"
+                                      >
+                                        <span className="text-gray-700 truncate flex items-center space-x-1">
+                                          {item.fromQuestion && <Brain className="w-3 h-3 text-blue-500 flex-shrink-0" title="From an AI Memory Helper answer" />}
+                                          <span className="truncate">{item.title}</span>
+                                        </span>
+                                        <span className="flex items-center space-x-2 text-xs text-gray-500 flex-shrink-0 ml-2">
+                                          {item.location && (
+                                            <span className="hidden sm:flex items-center space-x-1">
+                                              <MapPin className="w-3 h-3" />
+                                              <span>{item.location}</span>
+                                            </span>
+                                          )}
+                                          <ChevronRight className="w-4 h-4" />
+                                        </span>
+                                      </button>
+                                    ))}
+                                  </div>
+                                </div>
+                              ))}
+                              {timelineYear.entryCount === 0 && timelineYear.curated.length === 0 && (
+                                <p className="text-gray-500 text-sm">No specific events recorded for this year.</p>
+                              )}
+                            </div>
                           </div>
                         </div>
                       </div>
+                    ))
+                  ) : (
+                    <div className="text-center py-10 text-gray-500">
+                      <p className="text-lg mb-2">No timeline events found.</p>
+                      <p>Add entries to automatically build your timeline!</p>
                     </div>
-                  ))
-                ) : (
-                  <div className="text-center py-10 text-gray-500">
-                    <p className="text-lg mb-2">No timeline events found.</p>
-                    <p>Add entries to automatically build your timeline!</p>
-                  </div>
-                )}
+                  )}
+                </div>
+              </div>
+              <div className="space-y-6">
+                <StoryCoverage
+                  entries={entries}
+                  outline={lifeOutline}
+                  onSaveOutline={handleSaveLifeOutline}
+                  onSelectYear={(year) => {
+                    setSelectedTimelineYear(year);
+                    generateAIQuestionsForYear(year);
+                  }}
+                  onAskAboutGaps={handleAskAboutGaps}
+                />
+                <MoodDashboard entries={entries} analyses={entryAnalyses} analyzing={analyzingEntries} />
               </div>
             </div>
 
@@ -964,184 +2519,283 @@ const AutobiographyApp = () => {
         {/* AI Assistant View */}
         {currentView === 'ai-assistant' && (
           <div className="space-y-6">
-            <div className="bg-white rounded-xl shadow-sm p-6">
-              <h2 className="text-2xl font-bold text-gray-800 mb-6 flex items-center space-x-2">
-                <Brain className="w-6 h-6 text-blue-600" />
-                <span>AI Memory Assistant</span>
-              </h2>
-              
-              <div className="space-y-4">
-                {aiQuestions.length > 0 ? (
-                  aiQuestions.map((question) => (
-                    <div key={question.id} className="border border-gray-200 rounded-xl p-4">
-                      <div className="flex items-start justify-between">
-                        <div className="flex-1">
-                          <div className="flex items-center space-x-2 mb-2">
-                            <div className="w-8 h-8 bg-blue-100 rounded-full flex items-center justify-center">
-                              <Brain className="w-4 h-4 text-blue-600" />
-                            </div>
-                            <span className="text-sm font-medium text-blue-600">
-                              {question.type === 'followup' ? 'Follow-up Question' : 
-                               question.type === 'detail' ? 'Detail Question' : 
-                               question.type === 'gap' ? 'Timeline Gap' : 'AI Prompt'}
-                            </span>
-                          </div>
-                          <p className="text-gray-800 mb-3">{question.question}</p>
-                          
-                          {!question.answered ? (
-                            <div className="space-y-2">
-                              <textarea
-                                placeholder="Share your memory here..."
-                                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent h-24 resize-none"
-                                id={`ai-answer-${question.id}`} // Unique ID for textarea
-                              />
-                              <div className="flex space-x-2">
-                                <button
-                                  onClick={() => handleAnswerAIQuestion(question.id, document.getElementById(`ai-answer-${question.id}`).value)}
-                                  className="px-4 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition-colors shadow-md"
-                                >
-                                  Save Memory
-                                </button>
-                                <button className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors">
-                                  Skip for now
-                                </button>
-                              </div>
-                            </div>
-                          ) : (
-                            <div className="bg-green-50 p-3 rounded-lg">
-                              <p className="text-green-800 text-sm">✓ Memory saved! This will be added to your timeline.</p>
-                              <p className="text-green-700 text-xs mt-1">Your Answer: "{question.answer}"</p>
-                            </div>
-                          )}
-                        </div>
-                      </div>
-                    </div>
-                  ))
-                ) : (
-                  <div className="text-center py-10 text-gray-500">
-                    <p className="text-lg mb-2">No AI memory prompts right now.</p>
-                    <p>The AI will suggest questions as you add more entries and build your timeline!</p>
-                  </div>
-                )}
-              </div>
-            </div>
+            <InterviewPanel
+              questions={aiQuestions}
+              entries={entries}
+              birthYear={lifeOutline.birthYear}
+              onAnswer={handleAnswerAIQuestion}
+              onSkip={handleSkipQuestion}
+              onSnooze={handleSnoozeQuestion}
+              onReopen={handleReopenQuestion}
+              onSuggest={generateAIQuestionsFromStory}
+              onOpenEntry={entry => openEntryModal(entry)}
+              onCreateEntry={question => openEntryModal(null, draftEntryFromQuestion(question, question.answer || '', entries))}
+            />
+
+            {/* Story Weaving */}
+            <StoryWeaver
+              entries={entries}
+              provider={storyProvider}
+              onUseDraft={draft => openEntryModal(null, draft)}
+              onFeedback={showUserFeedback}
+            />
 
             {/* Historical Context */}
-            <div className="bg-white rounded-xl shadow-sm p-6">
-              <h3 className="text-xl font-semibold text-gray-800 mb-4 flex items-center space-x-2">
-                <Archive className="w-5 h-5 text-purple-600" />
-                <span>Historical Context</span>
-              </h3>
-              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                {historicalImages.map((image) => (
-                  <div key={image.id} className="border border-gray-200 rounded-xl p-4">
-                    <img src={image.imageUrl} alt={image.description} className="w-full h-40 object-cover rounded-lg mb-3" />
-                    <h4 className="font-medium text-gray-800">{image.location}</h4>
-                    <p className="text-sm text-gray-600">{image.description}</p>
-                    <p className="text-xs text-gray-500 mt-1">Source: {image.source}</p>
-                  </div>
-                ))}
-              </div>
-              <div className="mt-6 p-4 bg-purple-50 rounded-lg text-purple-800">
-                <p className="font-semibold mb-2">Future AI Capabilities:</p>
-                <ul className="list-disc list-inside text-sm space-y-1">
-                  <li>**Dynamic Prompt Generation:** AI could generate questions based on your specific entry content and historical data.</li>
-                  <li>**Story Weaving:** AI could help you combine multiple entries into a cohesive narrative or summarize periods of your life.</li>
-                  <li>**Sentiment Analysis:** AI could analyze the emotional tone of your entries, providing insights into your feelings over time.</li>
-                  <li>**Image Generation:** AI could suggest and generate images based on your written memories to visualize your story.</li>
-                </ul>
-                <p className="text-xs mt-2">These features would typically require integration with a powerful language model API (like Gemini) and potentially image generation APIs.</p>
-              </div>
+            <HistoricalLibrary
+              images={historicalImages}
+              currentUserId={userId}
+              onContribute={() => openImageContribution()}
+              onDelete={handleDeleteHistoricalImage}
+            />
+            <div className="p-4 bg-purple-50 rounded-lg text-purple-800">
+              <p className="font-semibold mb-2">Future AI Capabilities:</p>
+              <ul className="list-disc list-inside text-sm space-y-1">
+                <li>**Image Generation:** AI could suggest and generate images based on your written memories to visualize your story.</li>
+              </ul>
+              <p className="text-xs mt-2">These features would typically require integration with a powerful language model API (like Gemini) and potentially image generation APIs.</p>
             </div>
           </div>
         )}
 
+        {/* Memory Map View */}
+        {currentView === 'map' && (
+          <MapView
+            entries={entries}
+            historicalImages={historicalImages}
+            geocoder={geocoder}
+            onSetCoordinates={handleSetCoordinates}
+            onOpenEntry={openEntryPage}
+            onFeedback={showUserFeedback}
+          />
+        )}
+
+        {/* People View */}
+        {currentView === 'people' && (
+          <PeopleView
+            people={people}
+            entries={entries}
+            selectedPersonId={selectedPersonId}
+            onSelectPerson={openPerson}
+            onSavePerson={handleSavePerson}
+            onDeletePerson={handleDeletePerson}
+            onOpenEntry={openEntryPage}
+            onFilterEntries={filterEntriesByPerson}
+          />
+        )}
+
         {/* Photo Requests View */}
         {currentView === 'photo-requests' && (
+          <PhotoRequestsView
+            db={db}
+            appId={appId}
+            mediaStorage={mediaStorage}
+            currentUser={currentUser}
+            requests={photoRequests}
+            entries={entries}
+            onNewRequest={() => openPhotoRequestForm()}
+            onAttach={handleAttachResponses}
+            onFeedback={showUserFeedback}
+          />
+        )}
+
+        {/* Sharing View */}
+        {currentView === 'sharing' && (
           <div className="space-y-6">
             <div className="bg-white rounded-xl shadow-sm p-6">
               <h2 className="text-2xl font-bold text-gray-800 mb-6 flex items-center space-x-2">
-                <Camera className="w-6 h-6 text-green-600" />
-                <span>Community Photo Requests</span>
+                <Share2 className="w-6 h-6 text-purple-600" />
+                <span>Share Your Story</span>
               </h2>
-              
-              <div className="bg-blue-50 p-4 rounded-lg mb-6">
-                <p className="text-blue-800">
-                  <strong>How it works:</strong> When you mention places or events, we can ask the community if anyone has photos from those times and places. This helps bring your memories to life with visual context!
-                </p>
-                <p className="text-sm text-blue-700 mt-2">
-                  <span className="font-semibold">Note:</span> In a full application, this would involve a community feature where other users could upload photos in response to your requests. For this demo, requests are saved, but responses are simulated.
+              <div className="bg-blue-50 p-4 rounded-lg mb-6 text-blue-800">
+                <p>
+                  <strong>Public</strong> entries can be read by anyone with your story link. <strong>Friends</strong> entries can only be read by people who joined through one of your invite links. <strong>Private</strong> entries never leave your account.
                 </p>
               </div>
-
-              <div className="space-y-4">
-                {photoRequests.length > 0 ? (
-                  photoRequests.map((request) => (
-                    <div key={request.id} className="border border-gray-200 rounded-xl p-4">
-                      <div className="flex flex-col sm:flex-row items-start sm:items-center justify-between">
-                        <div className="flex-1 mb-3 sm:mb-0">
-                          <div className="flex items-center space-x-2 mb-2">
-                            <MapPin className="w-4 h-4 text-gray-500" />
-                            <span className="font-medium text-gray-800">{request.location}</span>
-                            <span className="text-sm text-gray-500">• {request.timeframe}</span>
-                          </div>
-                          <p className="text-gray-700 mb-3">{request.description}</p>
-                          <div className="flex items-center space-x-4">
-                            <span className={`px-2 py-1 rounded-full text-xs font-semibold ${
-                              request.status === 'pending' ? 'bg-yellow-100 text-yellow-800' : 'bg-green-100 text-green-800'
-                            }`}>
-                              {request.status === 'pending' ? 'Pending' : 'Found'}
-                            </span>
-                            {request.responses > 0 && (
-                              <span className="text-sm text-gray-600 flex items-center space-x-1">
-                                <MessageCircle className="w-4 h-4" />
-                                <span>{request.responses} Responses</span>
-                              </span>
-                            )}
-                          </div>
+              <div className="flex flex-col sm:flex-row gap-3 mb-4">
+                <button
+                  onClick={handleCreateInvite}
+                  className="px-4 py-2 bg-purple-500 text-white rounded-lg hover:bg-purple-600 transition-colors shadow-md flex items-center justify-center space-x-2"
+                >
+                  <Users className="w-4 h-4" />
+                  <span>Create Invite Link</span>
+                </button>
+                <button
+                  onClick={() => openReader(userId)}
+                  className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors flex items-center justify-center space-x-2"
+                >
+                  <Eye className="w-4 h-4" />
+                  <span>Preview Public Page</span>
+                </button>
+              </div>
+              {inviteLink && (
+                <div className="mb-6">
+                  <label htmlFor="inviteLink" className="block text-sm font-medium text-gray-700 mb-1">Invite link (valid for 14 days)</label>
+                  <input
+                    id="inviteLink"
+                    type="text"
+                    readOnly
+                    value={inviteLink}
+                    onFocus={(e) => e.target.select()}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg font-mono text-xs bg-gray-50"
+                  />
+                </div>
+              )}
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                <div>
+                  <h3 className="text-lg font-semibold text-gray-800 mb-3 flex items-center space-x-2">
+                    <Users className="w-5 h-5 text-yellow-500" />
+                    <span>Friends ({friends.length})</span>
+                  </h3>
+                  {friends.length > 0 ? (
+                    <div className="space-y-2">
+                      {friends.map(friend => (
+                        <div key={friend.id} className="flex items-center justify-between border border-gray-200 rounded-lg px-3 py-2">
+                          <span className="text-gray-700">{friend.displayName || `Friend ${friend.id.slice(0, 6)}`}</span>
+                          <button
+                            onClick={() => handleRemoveFriend(friend.id)}
+                            className="text-sm text-red-600 hover:text-red-800 flex items-center space-x-1"
+                          >
+                            <X className="w-4 h-4" /> <span>Remove</span>
+                          </button>
                         </div>
-                        <div className="flex space-x-2 mt-3 sm:mt-0">
-                          {request.status === 'found' && (
-                            <button className="px-3 py-1.5 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition-colors text-sm flex items-center space-x-1 shadow-md">
-                              <Eye className="w-4 h-4" /> <span>View Responses</span>
-                            </button>
-                          )}
-                          {request.status === 'pending' && (
-                            <button
-                              onClick={() => {
-                                // Simulate response for demo purposes
-                                const updatedPhotoRequests = photoRequests.map(pr =>
-                                  pr.id === request.id ? { ...pr, status: 'found', responses: pr.responses + 1 } : pr
-                                );
-                                setPhotoRequests(updatedPhotoRequests);
-                                showUserFeedback("Simulated a response to your photo request!");
-                                // In a real app, this would be a delete request to Firestore
-                                // handleDeletePhotoRequest(request.id);
-                              }}
-                              className="px-3 py-1.5 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors text-sm flex items-center space-x-1"
-                            >
-                              <Zap className="w-4 h-4" /> <span>Simulate Response</span>
-                            </button>
-                          )}
+                      ))}
+                    </div>
+                  ) : (
+                    <p className="text-gray-500 text-sm">No friends yet. Send someone an invite link!</p>
+                  )}
+                </div>
+                <div>
+                  <h3 className="text-lg font-semibold text-gray-800 mb-3 flex items-center space-x-2">
+                    <Globe className="w-5 h-5 text-green-500" />
+                    <span>Shared with me ({following.length})</span>
+                  </h3>
+                  {following.length > 0 ? (
+                    <div className="space-y-2">
+                      {following.map(story => (
+                        <div key={story.id} className="flex items-center justify-between border border-gray-200 rounded-lg px-3 py-2">
+                          <span className="text-gray-700">{story.ownerName || `Story ${story.id.slice(0, 6)}`}</span>
+                          <button
+                            onClick={() => openReader(story.ownerId || story.id)}
+                            className="text-sm text-purple-600 hover:text-purple-800 flex items-center space-x-1"
+                          >
+                            <Eye className="w-4 h-4" /> <span>Read</span>
+                          </button>
                         </div>
-                      </div>
+                      ))}
                     </div>
-                  ))
-                ) : (
-                  <div className="text-center py-10 text-gray-500">
-                    <p className="text-lg mb-2">No photo requests submitted yet.</p>
-                    <p>Request photos from your past to enrich your memories!</p>
-                  </div>
-                )}
+                  ) : (
+                    <p className="text-gray-500 text-sm">When someone invites you, their story will appear here.</p>
+                  )}
+                </div>
+              </div>
+            </div>
+          </div>
+        )}
 
+        {/* Reader View: someone's story as the current visitor is allowed to see it */}
+        {currentView === 'reader' && reader && route.params.entryId && (
+          readerEntry ? (
+            <EntryDetail
+              entry={readerEntry}
+              badge={renderPrivacyBadge(readerEntry.privacy)}
+              onBack={() => openReader(reader.ownerId)}
+              backLabel={reader.asVisitor ? 'Your Public Page' : `All of ${reader.ownerName || 'this'}${reader.ownerName ? "'s" : ''} story`}
+            >
+              {!reader.asVisitor && (
+                <EntryComments
+                  db={db}
+                  appId={appId}
+                  ownerId={reader.ownerId}
+                  entryId={readerEntry.id}
+                  currentUser={currentUser}
+                  onFeedback={showUserFeedback}
+                />
+              )}
+            </EntryDetail>
+          ) : reader.loading ? (
+            <div className="flex items-center justify-center py-10 text-gray-500">
+              <Loader2 className="w-6 h-6 animate-spin mr-2" /> <span>Loading entry...</span>
+            </div>
+          ) : (
+            <div className="bg-white rounded-xl shadow-sm p-6 text-center text-gray-500">
+              <p className="text-lg mb-2">This entry is not shared with you.</p>
+              <p><button onClick={() => openReader(reader.ownerId)} className="text-purple-600 hover:underline">See what is shared</button></p>
+            </div>
+          )
+        )}
+        {currentView === 'reader' && reader && !route.params.entryId && (
+          <div className="space-y-6">
+            <div className="bg-white rounded-xl shadow-sm p-6">
+              <div className="flex items-center justify-between mb-6">
+                <h2 className="text-2xl font-bold text-gray-800 flex items-center space-x-2">
+                  <FileText className="w-6 h-6 text-purple-600" />
+                  <span>
+                    {reader.asVisitor ? 'Your Public Page' : `${reader.ownerName || 'A Shared'}${reader.ownerName ? "'s" : ''} Story`}
+                  </span>
+                </h2>
                 <button
-                  onClick={() => requestHistoricalPhotos(prompt("Enter location for photo request:"), prompt("Enter timeframe (e.g., 2010s):"), prompt("Enter a brief description:"))}
-                  className="w-full px-4 py-3 border-2 border-dashed border-gray-300 rounded-xl text-gray-600 hover:border-purple-500 hover:text-purple-600 transition-colors flex items-center justify-center space-x-2"
+                  onClick={() => navigateTo('sharing')}
+                  className="px-3 py-1.5 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 text-sm flex items-center space-x-1"
                 >
-                  <Plus className="w-5 h-5" />
-                  <span>Request New Photos</span>
+                  <X className="w-4 h-4" /> <span>Close</span>
                 </button>
               </div>
+              {!reader.loading && (
+                <p className="text-sm text-gray-500 mb-4 flex items-center space-x-1">
+                  {reader.isFriend ? <Users className="w-4 h-4" /> : <Globe className="w-4 h-4" />}
+                  <span>{reader.isFriend ? 'Showing public and friends-only entries.' : 'Showing public entries only.'}</span>
+                </p>
+              )}
+              {reader.loading ? (
+                <div className="flex items-center justify-center py-10 text-gray-500">
+                  <Loader2 className="w-6 h-6 animate-spin mr-2" /> <span>Loading story...</span>
+                </div>
+              ) : reader.entries.length > 0 ? (
+                <div className="space-y-4">
+                  {reader.entries.map(entry => (
+                    <div key={entry.id} className="border border-gray-200 rounded-xl p-5">
+                      <div className="flex items-center justify-between mb-2">
+                        <h3 className="text-xl font-semibold text-gray-800">
+                          <button onClick={() => openReader(reader.ownerId, entry.id)} className="hover:text-purple-700 text-left">{entry.title}</button>
+                        </h3>
+                        {renderPrivacyBadge(entry.privacy)}
+                      </div>
+                      <p className="text-sm text-gray-600 mb-2 flex items-center space-x-3">
+                        <span className="flex items-center space-x-1"><Calendar className="w-4 h-4" /> <span>{entry.date}</span></span>
+                        {entry.location && (
+                          <span className="flex items-center space-x-1"><MapPin className="w-4 h-4" /> <span>{entry.location}</span></span>
+                        )}
+                      </p>
+                      {entry.mediaUrls && entry.mediaUrls.length > 0 && (
+                        <img src={entry.mediaUrls[0]} alt="Entry media" className="w-full max-h-80 object-cover rounded-lg mb-3" />
+                      )}
+                      <MarkdownContent source={entryMarkdown(entry)} media={entryMediaItems(entry)} className="text-gray-700" />
+                      {entry.tags && entry.tags.length > 0 && (
+                        <div className="flex flex-wrap gap-2 mt-3 mb-4">
+                          {entry.tags.map((tag, index) => (
+                            <span key={index} className="px-3 py-1 bg-purple-100 text-purple-700 text-xs font-medium rounded-full">{tag}</span>
+                          ))}
+                        </div>
+                      )}
+                      {!reader.asVisitor && (
+                        <EntryComments
+                          db={db}
+                          appId={appId}
+                          ownerId={reader.ownerId}
+                          entryId={entry.id}
+                          currentUser={currentUser}
+                          onFeedback={showUserFeedback}
+                        />
+                      )}
+                    </div>
+                  ))}
+                </div>
+              ) : (
+                <div className="text-center py-10 text-gray-500">
+                  <p className="text-lg mb-2">Nothing to read here yet.</p>
+                  <p>No entries have been shared with you.</p>
+                </div>
+              )}
             </div>
           </div>
         )}
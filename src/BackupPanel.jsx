@@ -0,0 +1,183 @@
+import React, { useState, useMemo } from 'react';
+import { Archive, X, Loader2, Save, FileText } from 'lucide-react';
+
+import { createArchive, validateArchive, planRestore, applyRestore, readArchiveFile, BACKUP_COLLECTIONS } from './backup';
+import { downloadFile } from './bookExport';
+
+const COLLECTION_LABELS = {
+  entries: 'Entries',
+  timelineEvents: 'Timeline events',
+  aiQuestions: 'AI questions',
+  photoRequests: 'Photo requests',
+  people: 'People'
+};
+
+// Dialog for downloading a JSON backup and restoring one
+const BackupPanel = ({ db, appId, userId, data, onClose, onFeedback }) => {
+  const [archive, setArchive] = useState(null);
+  const [validation, setValidation] = useState(null);
+  const [mode, setMode] = useState('merge');
+  const [conflictStrategy, setConflictStrategy] = useState('keep-existing');
+  const [restoring, setRestoring] = useState(false);
+
+  const plan = useMemo(() => (
+    archive && validation && validation.valid ? planRestore(archive, data, { mode, conflictStrategy, userId }) : null
+  ), [archive, validation, data, mode, conflictStrategy, userId]);
+
+  const handleDownload = () => {
+    const backup = createArchive(data, { appId, userId });
+    const date = new Date().toISOString().split('T')[0];
+    downloadFile(JSON.stringify(backup, null, 2), `my-living-story-backup-${date}.json`, 'application/json');
+    onFeedback('Backup downloaded!');
+  };
+
+  const handleFile = async (file) => {
+    if (!file) return;
+    try {
+      const parsed = await readArchiveFile(file);
+      setArchive(parsed);
+      setValidation(validateArchive(parsed));
+    } catch (err) {
+      setArchive(null);
+      setValidation({ valid: false, errors: [err.message], warnings: [], counts: {} });
+    }
+  };
+
+  const handleRestore = async () => {
+    if (!plan) return;
+    if (mode === 'replace' && plan.deletes.length > 0
+      && !window.confirm(`Replace mode will delete ${plan.deletes.length} items that are not in the backup. Continue?`)) {
+      return;
+    }
+    setRestoring(true);
+    try {
+      const operations = await applyRestore(db, appId, userId, plan);
+      onFeedback(operations > 0 ? `Restore complete: ${operations} changes applied.` : 'Nothing to restore; your data already matches the backup.');
+      onClose();
+    } catch (err) {
+      console.error("Error restoring backup:", err);
+      onFeedback(`Failed to restore backup: ${err.message}`, 'error');
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl shadow-2xl p-6 w-full max-w-lg relative max-h-full overflow-y-auto">
+        <button onClick={onClose} className="absolute top-4 right-4 text-gray-400 hover:text-gray-600">
+          <X className="w-6 h-6" />
+        </button>
+        <h2 className="text-2xl font-bold text-gray-800 mb-6 flex items-center space-x-2">
+          <Save className="w-6 h-6 text-purple-600" />
+          <span>Backup &amp; Restore</span>
+        </h2>
+
+        <div className="space-y-6">
+          <div>
+            <h3 className="font-semibold text-gray-800 mb-2">Download a backup</h3>
+            <p className="text-sm text-gray-600 mb-3">
+              Saves {BACKUP_COLLECTIONS.map(name => `${(data[name] || []).length} ${COLLECTION_LABELS[name].toLowerCase()}`).join(', ')} to a JSON file. Photos and videos are included as links.
+            </p>
+            <button
+              onClick={handleDownload}
+              className="w-full px-4 py-2 bg-purple-500 text-white rounded-lg hover:bg-purple-600 transition-colors flex items-center justify-center space-x-2 shadow-md"
+            >
+              <Archive className="w-5 h-5" />
+              <span>Download Backup</span>
+            </button>
+          </div>
+
+          <div className="pt-6 border-t border-gray-100">
+            <h3 className="font-semibold text-gray-800 mb-2">Restore from a backup</h3>
+            <input
+              type="file"
+              accept="application/json,.json"
+              onChange={(e) => handleFile(e.target.files[0])}
+              className="w-full text-sm text-gray-600 mb-3"
+            />
+
+            {validation && !validation.valid && (
+              <div className="bg-red-50 text-red-700 text-sm p-3 rounded-lg mb-3">
+                <p className="font-medium mb-1">This backup cannot be restored:</p>
+                <ul className="list-disc list-inside">
+                  {validation.errors.map((message, index) => <li key={index}>{message}</li>)}
+                </ul>
+              </div>
+            )}
+            {validation && validation.warnings.length > 0 && (
+              <div className="bg-yellow-50 text-yellow-800 text-sm p-3 rounded-lg mb-3">
+                <ul className="list-disc list-inside">
+                  {validation.warnings.map((message, index) => <li key={index}>{message}</li>)}
+                </ul>
+              </div>
+            )}
+
+            {plan && (
+              <div className="space-y-3">
+                <p className="text-sm text-gray-600">
+                  Backup from {archive.exportedAt ? new Date(archive.exportedAt).toLocaleString() : 'an unknown date'}
+                  {archive.sourceUserId && archive.sourceUserId !== userId ? ' (another account)' : ''}.
+                </p>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <div>
+                    <label htmlFor="restoreMode" className="block text-sm font-medium text-gray-700 mb-1">Mode</label>
+                    <select
+                      id="restoreMode"
+                      value={mode}
+                      onChange={(e) => setMode(e.target.value)}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent bg-white"
+                    >
+                      <option value="merge">Merge with my data</option>
+                      <option value="replace">Replace my data</option>
+                    </select>
+                  </div>
+                  {mode === 'merge' && (
+                    <div>
+                      <label htmlFor="conflictStrategy" className="block text-sm font-medium text-gray-700 mb-1">When both changed</label>
+                      <select
+                        id="conflictStrategy"
+                        value={conflictStrategy}
+                        onChange={(e) => setConflictStrategy(e.target.value)}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent bg-white"
+                      >
+                        <option value="keep-existing">Keep my version</option>
+                        <option value="use-archive">Use the backup</option>
+                        <option value="newest">Keep the newest</option>
+                      </select>
+                    </div>
+                  )}
+                </div>
+                <div className="bg-gray-50 p-3 rounded-lg text-sm text-gray-700">
+                  <p>{plan.summary.added} new, {plan.summary.overwritten} overwritten, {plan.summary.unchanged} already up to date{mode === 'replace' ? `, ${plan.summary.deleted} deleted` : ''}.</p>
+                  {plan.conflicts.length > 0 && (
+                    <div className="mt-2">
+                      <p className="font-medium">{plan.conflicts.length} conflicts:</p>
+                      <ul className="list-disc list-inside text-xs mt-1 max-h-32 overflow-y-auto">
+                        {plan.conflicts.map(conflict => (
+                          <li key={`${conflict.collection}-${conflict.id}`}>
+                            {COLLECTION_LABELS[conflict.collection]}: "{conflict.title}" → {conflict.resolution === 'archive' ? 'backup version' : 'your version'}
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  )}
+                </div>
+                <button
+                  onClick={handleRestore}
+                  disabled={restoring || plan.writes.length + plan.deletes.length === 0}
+                  className="w-full px-4 py-2 bg-purple-500 text-white rounded-lg hover:bg-purple-600 transition-colors flex items-center justify-center space-x-2 shadow-md disabled:opacity-50"
+                >
+                  {restoring ? <Loader2 className="w-5 h-5 animate-spin" /> : <FileText className="w-5 h-5" />}
+                  <span>Restore {plan.writes.length + plan.deletes.length} Changes</span>
+                </button>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BackupPanel;
@@ -0,0 +1,164 @@
+import React, { useState, useEffect } from 'react';
+import { Users, Heart, Edit3, X, Save, EyeOff, Eye } from 'lucide-react';
+
+import { subscribeToComments, addComment, editComment, deleteComment, toggleCommentLike, setCommentHidden, canEditComment, canDeleteComment } from './comments';
+
+// Comment thread for one entry. Used on the owner's entry cards and in the reader
+// view, so `ownerId` is the entry owner and `currentUser` is whoever is signed in.
+const EntryComments = ({ db, appId, ownerId, entryId, currentUser, legacyComments = [], onFeedback }) => {
+  const [comments, setComments] = useState([]);
+  const [newComment, setNewComment] = useState('');
+  const [editingId, setEditingId] = useState(null);
+  const [editingContent, setEditingContent] = useState('');
+
+  const userId = currentUser ? currentUser.uid : null;
+  const isOwner = userId === ownerId;
+
+  useEffect(() => {
+    if (!db || !ownerId || !entryId) return;
+    return subscribeToComments(db, appId, ownerId, entryId, userId, setComments, (err) => {
+      console.error("Error fetching comments:", err);
+    });
+  }, [db, appId, ownerId, entryId, userId]);
+
+  // Runs a comment action and reports failures through the app's feedback toast
+  const run = async (action, successMessage) => {
+    try {
+      await action();
+      if (successMessage) onFeedback(successMessage);
+      return true;
+    } catch (err) {
+      console.error("Comment action failed:", err);
+      onFeedback(err.message, 'error');
+      return false;
+    }
+  };
+
+  const handleAdd = async () => {
+    if (!userId) {
+      onFeedback("Sign in to comment.", 'error');
+      return;
+    }
+    const added = await run(() => addComment(db, appId, ownerId, entryId, currentUser, newComment), 'Comment added!');
+    if (added) setNewComment('');
+  };
+
+  const handleSaveEdit = async (commentId) => {
+    const saved = await run(() => editComment(db, appId, ownerId, entryId, commentId, userId, editingContent), 'Comment updated!');
+    if (saved) setEditingId(null);
+  };
+
+  const handleDelete = (commentId) => {
+    if (window.confirm("Delete this comment?")) {
+      run(() => deleteComment(db, appId, ownerId, entryId, commentId), 'Comment deleted.');
+    }
+  };
+
+  // Hidden comments are only shown to the owner (for moderation) and their author
+  const visibleComments = comments.filter(c => !c.hidden || isOwner || c.authorId === userId);
+
+  return (
+    <div className="bg-green-50 p-3 rounded-lg mb-4">
+      <div className="flex items-center space-x-2 text-green-800 mb-2">
+        <Users className="w-4 h-4" />
+        <span className="font-medium">Collaborative Memories{visibleComments.length > 0 ? ` (${visibleComments.length})` : ''}:</span>
+      </div>
+      <div className="space-y-2">
+        {/* Comments written before they moved to their own collection */}
+        {legacyComments.map(collab => (
+          <div key={collab.id} className="text-sm text-green-700">
+            <strong>{collab.author}:</strong> {collab.content}
+          </div>
+        ))}
+        {visibleComments.map(comment => {
+          const liked = Boolean(userId) && (comment.likedBy || []).includes(userId);
+          return (
+            <div key={comment.id} className={`text-sm text-green-700 ${comment.hidden ? 'opacity-50' : ''}`}>
+              {editingId === comment.id ? (
+                <div className="flex items-center space-x-2">
+                  <input
+                    type="text"
+                    value={editingContent}
+                    onChange={(e) => setEditingContent(e.target.value)}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter') handleSaveEdit(comment.id);
+                      if (e.key === 'Escape') setEditingId(null);
+                    }}
+                    className="flex-1 px-2 py-1 border border-gray-300 rounded text-sm focus:ring-1 focus:ring-green-500"
+                  />
+                  <button onClick={() => handleSaveEdit(comment.id)} className="text-green-700 hover:text-green-900" title="Save">
+                    <Save className="w-4 h-4" />
+                  </button>
+                  <button onClick={() => setEditingId(null)} className="text-gray-500 hover:text-gray-700" title="Cancel">
+                    <X className="w-4 h-4" />
+                  </button>
+                </div>
+              ) : (
+                <div className="flex justify-between items-center">
+                  <div>
+                    <strong>{comment.authorName}:</strong> {comment.content}
+                    {comment.editedAt && <span className="text-xs text-gray-500 ml-1">(edited)</span>}
+                    {comment.hidden && <span className="text-xs text-gray-500 ml-1">(hidden)</span>}
+                  </div>
+                  <div className="flex items-center space-x-2 ml-2 flex-shrink-0">
+                    <button
+                      onClick={() => (userId
+                        ? run(() => toggleCommentLike(db, appId, ownerId, entryId, comment.id, userId))
+                        : onFeedback("Sign in to like comments.", 'error'))}
+                      className={`flex items-center transition-colors text-xs ${liked ? 'text-red-500' : 'text-gray-500 hover:text-red-500'}`}
+                      title={liked ? 'Unlike' : 'Like'}
+                    >
+                      <Heart className="w-3 h-3 mr-1" fill={liked ? 'currentColor' : 'none'} /> {comment.likes || 0}
+                    </button>
+                    {canEditComment(comment, userId) && (
+                      <button
+                        onClick={() => {
+                          setEditingId(comment.id);
+                          setEditingContent(comment.content);
+                        }}
+                        className="text-gray-500 hover:text-gray-700"
+                        title="Edit"
+                      >
+                        <Edit3 className="w-3 h-3" />
+                      </button>
+                    )}
+                    {isOwner && (
+                      <button
+                        onClick={() => run(() => setCommentHidden(db, appId, ownerId, entryId, comment.id, !comment.hidden), comment.hidden ? 'Comment shown.' : 'Comment hidden.')}
+                        className="text-gray-500 hover:text-gray-700"
+                        title={comment.hidden ? 'Show comment' : 'Hide comment'}
+                      >
+                        {comment.hidden ? <Eye className="w-3 h-3" /> : <EyeOff className="w-3 h-3" />}
+                      </button>
+                    )}
+                    {canDeleteComment(comment, userId, ownerId) && (
+                      <button onClick={() => handleDelete(comment.id)} className="text-gray-500 hover:text-red-600" title="Delete">
+                        <X className="w-3 h-3" />
+                      </button>
+                    )}
+                  </div>
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+      {/* Add new collaborative comment form */}
+      <div className="mt-3 pt-3 border-t border-green-100">
+        <input
+          type="text"
+          placeholder="Add a comment..."
+          value={newComment}
+          onChange={(e) => setNewComment(e.target.value)}
+          className="w-full px-3 py-1.5 border border-gray-300 rounded-lg text-sm focus:ring-1 focus:ring-green-500"
+          onKeyDown={(e) => {
+            if (e.key === 'Enter' && newComment.trim()) handleAdd();
+          }}
+        />
+        <p className="text-xs text-gray-500 mt-1">Press Enter to comment as {(currentUser && currentUser.displayName) || 'Anonymous'}</p>
+      </div>
+    </div>
+  );
+};
+
+export default EntryComments;
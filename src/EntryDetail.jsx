@@ -0,0 +1,104 @@
+import React, { useState } from 'react';
+import { Calendar, MapPin, ChevronRight, X } from 'lucide-react';
+
+import MarkdownContent from './MarkdownContent';
+import { entryMarkdown, inlineImageUrls } from './markdown';
+import { entryMediaItems } from './mediaStorage';
+import { formatEntryDate } from './bookExport';
+
+// Full page for one entry: the whole text, every photo and video, and whatever the
+// caller puts below it (comments, history). Used for the owner's own entries and
+// for entries opened from someone's shared story.
+const EntryDetail = ({ entry, badge, actions, renderMention, onBack, backLabel = 'Back', children }) => {
+  const [viewingIndex, setViewingIndex] = useState(null); // Gallery item shown large
+  const source = entryMarkdown(entry);
+  const media = entryMediaItems(entry);
+  const inline = new Set(inlineImageUrls(source));
+  const gallery = media.filter(item => !inline.has(item.url));
+  const viewing = viewingIndex === null ? null : gallery[viewingIndex];
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm p-6">
+      <button onClick={onBack} className="text-sm text-purple-600 hover:text-purple-800 mb-4">
+        ← {backLabel}
+      </button>
+      <div className="flex flex-col sm:flex-row sm:items-start justify-between gap-3 mb-2">
+        <h2 className="text-3xl font-bold text-gray-800">{entry.title}</h2>
+        <div className="flex items-center space-x-3 flex-shrink-0">
+          {badge}
+          {actions}
+        </div>
+      </div>
+      <p className="text-sm text-gray-600 mb-6 flex flex-wrap items-center gap-x-4 gap-y-1">
+        <span className="flex items-center space-x-1"><Calendar className="w-4 h-4" /> <span>{formatEntryDate(entry) || entry.date}</span></span>
+        {entry.location && (
+          <span className="flex items-center space-x-1"><MapPin className="w-4 h-4" /> <span>{entry.location}</span></span>
+        )}
+        {entry.authorName && <span>by {entry.authorName}</span>}
+      </p>
+
+      <MarkdownContent source={source} media={media} renderMention={renderMention} className="text-gray-700 text-lg leading-relaxed" />
+
+      {gallery.length > 0 && (
+        <div className="mt-6">
+          <h3 className="text-sm font-medium text-gray-700 mb-2">Photos and videos</h3>
+          <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+            {gallery.map((item, index) => (
+              <button key={item.url} onClick={() => setViewingIndex(index)} className="rounded-lg overflow-hidden hover:ring-2 hover:ring-purple-400">
+                {item.kind === 'video' && !item.thumbnailUrl ? (
+                  <span className="h-28 flex items-center justify-center bg-gray-100 text-sm text-gray-500">Video</span>
+                ) : (
+                  <img src={item.thumbnailUrl || item.url} alt={item.name || entry.title} className="w-full h-28 object-cover" />
+                )}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {entry.tags && entry.tags.length > 0 && (
+        <div className="flex flex-wrap gap-2 mt-6">
+          {entry.tags.map((tag, index) => (
+            <span key={index} className="px-3 py-1 bg-purple-100 text-purple-700 text-xs font-medium rounded-full">{tag}</span>
+          ))}
+        </div>
+      )}
+
+      {children && <div className="mt-6 space-y-4">{children}</div>}
+
+      {viewing && (
+        <div className="fixed inset-0 bg-black bg-opacity-80 flex items-center justify-center z-50 p-4" onClick={() => setViewingIndex(null)}>
+          <button onClick={() => setViewingIndex(null)} className="absolute top-4 right-4 text-white hover:text-gray-300">
+            <X className="w-8 h-8" />
+          </button>
+          <div className="max-w-4xl w-full" onClick={e => e.stopPropagation()}>
+            {viewing.kind === 'video' ? (
+              <video src={viewing.url} poster={viewing.thumbnailUrl || undefined} controls autoPlay className="w-full rounded-lg" style={{ maxHeight: '80vh' }} />
+            ) : (
+              <img src={viewing.url} alt={viewing.name || entry.title} className="w-full object-contain rounded-lg" style={{ maxHeight: '80vh' }} />
+            )}
+            {(viewing.caption || viewing.attribution) && (
+              <p className="text-white text-sm mt-2">
+                {viewing.caption}
+                {viewing.attribution && <span className="text-gray-300">{viewing.caption ? ' · ' : ''}Photo: {viewing.attribution}</span>}
+              </p>
+            )}
+            {gallery.length > 1 && (
+              <div className="flex justify-between items-center text-white mt-3 text-sm">
+                <button onClick={() => setViewingIndex((viewingIndex - 1 + gallery.length) % gallery.length)} className="hover:text-gray-300">
+                  ← Previous
+                </button>
+                <span>{viewingIndex + 1} of {gallery.length}</span>
+                <button onClick={() => setViewingIndex((viewingIndex + 1) % gallery.length)} className="hover:text-gray-300 flex items-center">
+                  Next <ChevronRight className="w-4 h-4" />
+                </button>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EntryDetail;
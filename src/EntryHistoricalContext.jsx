@@ -0,0 +1,69 @@
+import React, { useMemo } from 'react';
+import { Archive, Pin, PinOff, Plus } from 'lucide-react';
+
+import { matchHistoricalImages, pinnedImages, imageTimeframe, licenseLabel, safeImageUrl } from './historicalImages';
+
+// Historical images for one entry: the ones pinned to it, then library images that
+// match its place and date, which can be pinned with one click.
+const EntryHistoricalContext = ({ entry, images, onPin, onUnpin, onContribute }) => {
+  const pinned = useMemo(() => pinnedImages(entry, images), [entry, images]);
+  const suggested = useMemo(() => matchHistoricalImages(entry, images), [entry, images]);
+
+  if (pinned.length === 0 && suggested.length === 0 && !entry.location) return null;
+
+  const renderImage = (image, isPinned) => (
+    <div key={image.id} className="border border-gray-200 rounded-lg overflow-hidden">
+      {safeImageUrl(image.imageUrl) && (
+        <a href={safeImageUrl(image.imageUrl)} target="_blank" rel="noopener noreferrer">
+          <img src={safeImageUrl(image.thumbnailUrl) || safeImageUrl(image.imageUrl)} alt={image.description} className="w-full h-28 object-cover" />
+        </a>
+      )}
+      <div className="p-2">
+        <p className="text-sm text-gray-800">{image.description}</p>
+        <p className="text-xs text-gray-500">
+          {[image.location, imageTimeframe(image)].filter(Boolean).join(' · ')}
+        </p>
+        <p className="text-xs text-gray-500">{image.source} · {licenseLabel(image.license)}</p>
+        <button
+          onClick={() => (isPinned ? onUnpin(image.id) : onPin(image.id))}
+          className="mt-1 text-xs text-purple-600 hover:text-purple-800 flex items-center space-x-1"
+        >
+          {isPinned ? <PinOff className="w-3 h-3" /> : <Pin className="w-3 h-3" />}
+          <span>{isPinned ? 'Unpin' : 'Pin to this memory'}</span>
+        </button>
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="bg-purple-50 p-3 rounded-lg">
+      <div className="flex items-center justify-between mb-2">
+        <span className="flex items-center space-x-2 text-purple-800 font-medium">
+          <Archive className="w-4 h-4" /> <span>Historical Context</span>
+        </span>
+        <button onClick={onContribute} className="text-sm text-purple-600 hover:text-purple-800 flex items-center space-x-1">
+          <Plus className="w-4 h-4" /> <span>Contribute</span>
+        </button>
+      </div>
+      {pinned.length > 0 && (
+        <div className="grid grid-cols-2 sm:grid-cols-3 gap-2 mb-3">
+          {pinned.map(image => renderImage(image, true))}
+        </div>
+      )}
+      {suggested.length > 0 ? (
+        <>
+          <p className="text-xs text-purple-700 mb-2">From the library, matching {entry.location || 'this memory'} around this time:</p>
+          <div className="grid grid-cols-2 sm:grid-cols-3 gap-2">
+            {suggested.map(image => renderImage(image, false))}
+          </div>
+        </>
+      ) : (
+        <p className="text-sm text-purple-700">
+          No library images match this memory yet. Have a photo of {entry.location || 'this place'} from back then? Contribute it.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default EntryHistoricalContext;
@@ -0,0 +1,186 @@
+import React, { useState, useMemo } from 'react';
+import { FileText, X, Loader2, Archive } from 'lucide-react';
+
+import { EXPORT_FORMATS, DEFAULT_EXPORT_OPTIONS, listChapters, compileBook, exportBook } from './bookExport';
+
+const PRIVACY_OPTIONS = [
+  { value: 'private', label: 'Private' },
+  { value: 'friends', label: 'Friends' },
+  { value: 'public', label: 'Public' }
+];
+
+const TYPE_OPTIONS = [
+  { value: 'personal', label: 'Personal Memory' },
+  { value: 'event', label: 'Event' },
+  { value: 'reflection', label: 'Reflection' }
+];
+
+// Toggles a value in a list, used for the checkbox groups
+const toggle = (list, value) => (list.includes(value) ? list.filter(v => v !== value) : [...list, value]);
+
+// Dialog for exporting the autobiography as a book
+const ExportPanel = ({ entries, aiQuestions, authorName, onClose, onFeedback }) => {
+  const [format, setFormat] = useState('pdf');
+  const [options, setOptions] = useState({ ...DEFAULT_EXPORT_OPTIONS, author: authorName || '' });
+  const [excludedChapters, setExcludedChapters] = useState([]);
+  const [exporting, setExporting] = useState(false);
+
+  const chapters = useMemo(() => listChapters(entries, options), [entries, options]);
+  const selectedChapters = chapters.filter(chapter => !excludedChapters.includes(chapter.key));
+  const entryCount = selectedChapters.reduce((total, chapter) => total + chapter.count, 0);
+
+  const handleExport = async () => {
+    if (entryCount === 0) {
+      onFeedback("Nothing to export with the current selection.", 'error');
+      return;
+    }
+    setExporting(true);
+    try {
+      const book = compileBook(entries, aiQuestions, { ...options, chapterKeys: selectedChapters.map(chapter => chapter.key) });
+      await exportBook(book, format);
+      onFeedback(`Exported ${entryCount} ${entryCount === 1 ? 'entry' : 'entries'} as ${EXPORT_FORMATS[format].label}!`);
+      onClose();
+    } catch (err) {
+      console.error("Error exporting book:", err);
+      onFeedback(`Failed to export: ${err.message}`, 'error');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl shadow-2xl p-6 w-full max-w-lg relative max-h-full overflow-y-auto">
+        <button onClick={onClose} className="absolute top-4 right-4 text-gray-400 hover:text-gray-600">
+          <X className="w-6 h-6" />
+        </button>
+        <h2 className="text-2xl font-bold text-gray-800 mb-6 flex items-center space-x-2">
+          <Archive className="w-6 h-6 text-purple-600" />
+          <span>Export Your Book</span>
+        </h2>
+        <div className="space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label htmlFor="bookTitle" className="block text-sm font-medium text-gray-700 mb-1">Title</label>
+              <input
+                id="bookTitle"
+                type="text"
+                value={options.title}
+                onChange={(e) => setOptions({ ...options, title: e.target.value })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+              />
+            </div>
+            <div>
+              <label htmlFor="bookAuthor" className="block text-sm font-medium text-gray-700 mb-1">Author</label>
+              <input
+                id="bookAuthor"
+                type="text"
+                value={options.author}
+                onChange={(e) => setOptions({ ...options, author: e.target.value })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+              />
+            </div>
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label htmlFor="bookFormat" className="block text-sm font-medium text-gray-700 mb-1">Format</label>
+              <select
+                id="bookFormat"
+                value={format}
+                onChange={(e) => setFormat(e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent bg-white"
+              >
+                {Object.entries(EXPORT_FORMATS).map(([value, { label }]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="bookChapters" className="block text-sm font-medium text-gray-700 mb-1">Chapters</label>
+              <select
+                id="bookChapters"
+                value={options.groupBy}
+                onChange={(e) => {
+                  setOptions({ ...options, groupBy: e.target.value });
+                  setExcludedChapters([]);
+                }}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent bg-white"
+              >
+                <option value="year">One per year</option>
+                <option value="period">One per decade</option>
+              </select>
+            </div>
+          </div>
+          <div>
+            <p className="block text-sm font-medium text-gray-700 mb-1">Include privacy levels</p>
+            <div className="flex flex-wrap gap-4">
+              {PRIVACY_OPTIONS.map(option => (
+                <label key={option.value} className="flex items-center space-x-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={options.privacyLevels.includes(option.value)}
+                    onChange={() => setOptions({ ...options, privacyLevels: toggle(options.privacyLevels, option.value) })}
+                  />
+                  <span>{option.label}</span>
+                </label>
+              ))}
+            </div>
+          </div>
+          <div>
+            <p className="block text-sm font-medium text-gray-700 mb-1">Include entry types</p>
+            <div className="flex flex-wrap gap-4">
+              {TYPE_OPTIONS.map(option => (
+                <label key={option.value} className="flex items-center space-x-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={options.types.includes(option.value)}
+                    onChange={() => setOptions({ ...options, types: toggle(options.types, option.value) })}
+                  />
+                  <span>{option.label}</span>
+                </label>
+              ))}
+            </div>
+          </div>
+          <div>
+            <p className="block text-sm font-medium text-gray-700 mb-1">Chapters to include</p>
+            {chapters.length > 0 ? (
+              <div className="flex flex-wrap gap-2">
+                {chapters.map(chapter => (
+                  <button
+                    key={chapter.key}
+                    onClick={() => setExcludedChapters(toggle(excludedChapters, chapter.key))}
+                    className={`px-3 py-1 rounded-full text-xs font-medium transition-colors ${
+                      excludedChapters.includes(chapter.key) ? 'bg-gray-100 text-gray-400 line-through' : 'bg-purple-100 text-purple-700'
+                    }`}
+                  >
+                    {chapter.title} ({chapter.count})
+                  </button>
+                ))}
+              </div>
+            ) : (
+              <p className="text-sm text-gray-500">No entries match these settings.</p>
+            )}
+          </div>
+          <label className="flex items-center space-x-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={options.includeQuestions}
+              onChange={() => setOptions({ ...options, includeQuestions: !options.includeQuestions })}
+            />
+            <span>Include answered AI Memory Helper questions</span>
+          </label>
+          <button
+            onClick={handleExport}
+            disabled={exporting || entryCount === 0}
+            className="w-full px-4 py-2 bg-purple-500 text-white rounded-lg hover:bg-purple-600 transition-colors flex items-center justify-center space-x-2 shadow-md disabled:opacity-50"
+          >
+            {exporting ? <Loader2 className="w-5 h-5 animate-spin" /> : <FileText className="w-5 h-5" />}
+            <span>Export {entryCount} {entryCount === 1 ? 'Entry' : 'Entries'}</span>
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ExportPanel;
@@ -0,0 +1,226 @@
+import React, { useState } from 'react';
+import { Filter, Save, X } from 'lucide-react';
+
+import { DEFAULT_VIEW, ENTRY_TYPES, PRIVACY_LEVELS, isDefaultView, toggleFacetValue } from './facets';
+
+const COLLAPSED_CHIP_LIMIT = 12;
+
+const countOf = (items, value) => {
+  const item = items.find(i => i.value === value);
+  return item ? item.count : 0;
+};
+
+// One toggleable facet value with its count
+const FacetChip = ({ label, count, active, onClick }) => (
+  <button
+    onClick={onClick}
+    disabled={!active && count === 0}
+    className={`px-3 py-1 rounded-full text-xs font-medium transition-colors disabled:opacity-40 ${
+      active ? 'bg-purple-500 text-white' : 'bg-purple-100 text-purple-700 hover:bg-purple-200'
+    }`}
+  >
+    {label} <span className={active ? 'text-purple-100' : 'text-purple-400'}>{count}</span>
+  </button>
+);
+
+const FacetGroup = ({ title, children }) => (
+  <div>
+    <p className="text-sm font-medium text-gray-700 mb-2">{title}</p>
+    <div className="flex flex-wrap gap-2">{children}</div>
+  </div>
+);
+
+// Facet filters and saved views for the My Entries list. `people` names the person ids
+// in the mentions facet.
+const FacetPanel = ({ view, counts, resultCount, savedViews, people = [], onChange, onSaveView, onDeleteView }) => {
+  const [showAllTags, setShowAllTags] = useState(false);
+  const [showAllLocations, setShowAllLocations] = useState(false);
+  const [viewName, setViewName] = useState('');
+
+  // Selected values stay visible even when the current combination leaves them at zero
+  const withSelected = (items, selected) => [
+    ...items,
+    ...selected.filter(value => !items.some(item => item.value === value)).map(value => ({ value, count: 0 }))
+  ];
+  const tags = withSelected(counts.tags, view.tags);
+  const locations = withSelected(counts.locations, view.locations);
+  const mentioned = withSelected(counts.people, view.people);
+  const personName = (personId) => {
+    const person = people.find(p => p.id === personId);
+    return person ? person.name : 'Removed person';
+  };
+  const visibleTags = showAllTags ? tags : tags.slice(0, COLLAPSED_CHIP_LIMIT);
+  const visibleLocations = showAllLocations ? locations : locations.slice(0, COLLAPSED_CHIP_LIMIT);
+
+  const handleSave = () => {
+    if (onSaveView(viewName)) setViewName('');
+  };
+
+  const selectedSavedView = savedViews.find(saved => JSON.stringify({ ...DEFAULT_VIEW, ...saved.view }) === JSON.stringify(view));
+
+  return (
+    <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 mb-6 space-y-4">
+      <div className="flex flex-col md:flex-row md:items-center justify-between gap-3">
+        <p className="text-sm text-gray-600 flex items-center space-x-2">
+          <Filter className="w-4 h-4" />
+          <span>{resultCount} {resultCount === 1 ? 'entry' : 'entries'} match</span>
+          {!isDefaultView(view) && (
+            <button onClick={() => onChange({ ...DEFAULT_VIEW })} className="text-purple-600 hover:text-purple-800 flex items-center">
+              <X className="w-4 h-4" /> <span>Clear all</span>
+            </button>
+          )}
+        </p>
+        <div className="flex flex-wrap items-center gap-2">
+          <select
+            value={selectedSavedView ? selectedSavedView.id : ''}
+            onChange={(e) => {
+              const saved = savedViews.find(s => s.id === e.target.value);
+              if (saved) onChange({ ...DEFAULT_VIEW, ...saved.view });
+            }}
+            className="px-3 py-1.5 border border-gray-300 rounded-lg bg-white text-sm"
+          >
+            <option value="">{savedViews.length > 0 ? 'Saved views...' : 'No saved views'}</option>
+            {savedViews.map(saved => <option key={saved.id} value={saved.id}>{saved.name}</option>)}
+          </select>
+          {selectedSavedView && (
+            <button
+              onClick={() => onDeleteView(selectedSavedView)}
+              className="text-sm text-gray-500 hover:text-red-600"
+              title="Delete this saved view"
+            >
+              <X className="w-4 h-4" />
+            </button>
+          )}
+          <input
+            type="text"
+            value={viewName}
+            onChange={(e) => setViewName(e.target.value)}
+            placeholder="e.g., College years, public only"
+            className="px-3 py-1.5 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+          />
+          <button
+            onClick={handleSave}
+            disabled={!viewName.trim() || isDefaultView(view)}
+            className="px-3 py-1.5 bg-purple-500 text-white rounded-lg hover:bg-purple-600 text-sm flex items-center space-x-1 disabled:opacity-50"
+          >
+            <Save className="w-4 h-4" /> <span>Save view</span>
+          </button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <FacetGroup title="Type">
+          {ENTRY_TYPES.map(type => (
+            <FacetChip
+              key={type.value}
+              label={type.label}
+              count={countOf(counts.types, type.value)}
+              active={view.types.includes(type.value)}
+              onClick={() => onChange(toggleFacetValue(view, 'types', type.value))}
+            />
+          ))}
+        </FacetGroup>
+        <FacetGroup title="Privacy">
+          {PRIVACY_LEVELS.map(level => (
+            <FacetChip
+              key={level.value}
+              label={level.label}
+              count={countOf(counts.privacy, level.value)}
+              active={view.privacy.includes(level.value)}
+              onClick={() => onChange(toggleFacetValue(view, 'privacy', level.value))}
+            />
+          ))}
+        </FacetGroup>
+        {tags.length > 0 && (
+          <FacetGroup title="Tags">
+            {visibleTags.map(tag => (
+              <FacetChip
+                key={tag.value}
+                label={tag.value}
+                count={tag.count}
+                active={view.tags.includes(tag.value)}
+                onClick={() => onChange(toggleFacetValue(view, 'tags', tag.value))}
+              />
+            ))}
+            {tags.length > COLLAPSED_CHIP_LIMIT && (
+              <button onClick={() => setShowAllTags(!showAllTags)} className="text-xs text-purple-600 hover:text-purple-800">
+                {showAllTags ? 'Show fewer' : `Show all ${tags.length}`}
+              </button>
+            )}
+          </FacetGroup>
+        )}
+        {locations.length > 0 && (
+          <FacetGroup title="Location">
+            {visibleLocations.map(location => (
+              <FacetChip
+                key={location.value}
+                label={location.label || location.value}
+                count={location.count}
+                active={view.locations.includes(location.value)}
+                onClick={() => onChange(toggleFacetValue(view, 'locations', location.value))}
+              />
+            ))}
+            {locations.length > COLLAPSED_CHIP_LIMIT && (
+              <button onClick={() => setShowAllLocations(!showAllLocations)} className="text-xs text-purple-600 hover:text-purple-800">
+                {showAllLocations ? 'Show fewer' : `Show all ${locations.length}`}
+              </button>
+            )}
+          </FacetGroup>
+        )}
+        {mentioned.length > 0 && (
+          <FacetGroup title="People">
+            {mentioned.map(item => (
+              <FacetChip
+                key={item.value}
+                label={personName(item.value)}
+                count={item.count}
+                active={view.people.includes(item.value)}
+                onClick={() => onChange(toggleFacetValue(view, 'people', item.value))}
+              />
+            ))}
+          </FacetGroup>
+        )}
+        <FacetGroup title="Years">
+          <select
+            value={view.yearFrom === null ? '' : view.yearFrom}
+            onChange={(e) => onChange({ ...view, yearFrom: e.target.value === '' ? null : Number(e.target.value) })}
+            className="px-3 py-1.5 border border-gray-300 rounded-lg bg-white text-sm"
+          >
+            <option value="">From any year</option>
+            {counts.years.map(year => <option key={year.value} value={year.value}>{year.value} ({year.count})</option>)}
+          </select>
+          <select
+            value={view.yearTo === null ? '' : view.yearTo}
+            onChange={(e) => onChange({ ...view, yearTo: e.target.value === '' ? null : Number(e.target.value) })}
+            className="px-3 py-1.5 border border-gray-300 rounded-lg bg-white text-sm"
+          >
+            <option value="">To any year</option>
+            {counts.years.map(year => <option key={year.value} value={year.value}>{year.value} ({year.count})</option>)}
+          </select>
+        </FacetGroup>
+        <FacetGroup title="Photos, videos and comments">
+          <select
+            value={view.media}
+            onChange={(e) => onChange({ ...view, media: e.target.value })}
+            className="px-3 py-1.5 border border-gray-300 rounded-lg bg-white text-sm"
+          >
+            <option value="any">Any media</option>
+            <option value="with">With photos/videos ({countOf(counts.media, 'with')})</option>
+            <option value="without">Without photos/videos ({countOf(counts.media, 'without')})</option>
+          </select>
+          <select
+            value={view.comments}
+            onChange={(e) => onChange({ ...view, comments: e.target.value })}
+            className="px-3 py-1.5 border border-gray-300 rounded-lg bg-white text-sm"
+          >
+            <option value="any">Any comments</option>
+            <option value="with">With comments ({countOf(counts.comments, 'with')})</option>
+            <option value="without">Without comments ({countOf(counts.comments, 'without')})</option>
+          </select>
+        </FacetGroup>
+      </div>
+    </div>
+  );
+};
+
+export default FacetPanel;
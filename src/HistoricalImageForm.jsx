@@ -0,0 +1,163 @@
+import React, { useState, useMemo } from 'react';
+import { Archive, X, Upload, Loader2 } from 'lucide-react';
+
+import { EMPTY_HISTORICAL_IMAGE, LICENSES, validateHistoricalImage } from './historicalImages';
+import { locationSuggestions } from './photoRequests';
+
+const INPUT_CLASS = 'w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent';
+
+// Dialog for contributing an image to the historical library. `onSubmit(draft)`
+// resolves to true when the image was saved, which closes the dialog.
+const HistoricalImageForm = ({ initial, entries, onSubmit, onClose }) => {
+  const [draft, setDraft] = useState({ ...EMPTY_HISTORICAL_IMAGE, ...initial });
+  const [showErrors, setShowErrors] = useState(false); // Only after the first submit attempt
+  const [busy, setBusy] = useState(false);
+
+  const suggestions = useMemo(() => locationSuggestions(entries), [entries]);
+  const errors = validateHistoricalImage(draft);
+
+  const update = (field, value) => setDraft({ ...draft, [field]: value });
+
+  const handleSubmit = async () => {
+    if (Object.keys(errors).length > 0) {
+      setShowErrors(true);
+      return;
+    }
+    setBusy(true);
+    const saved = await onSubmit(draft);
+    setBusy(false);
+    if (saved) onClose();
+  };
+
+  const fieldClass = field => `${INPUT_CLASS} ${showErrors && errors[field] ? 'border-red-400' : 'border-gray-300'}`;
+  const fieldError = field => showErrors && errors[field] && (
+    <p className="text-xs text-red-600 mt-1">{errors[field]}</p>
+  );
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl shadow-2xl p-6 w-full max-w-lg relative max-h-full overflow-y-auto">
+        <button onClick={onClose} className="absolute top-4 right-4 text-gray-400 hover:text-gray-600">
+          <X className="w-6 h-6" />
+        </button>
+        <h2 className="text-2xl font-bold text-gray-800 mb-4 flex items-center space-x-2">
+          <Archive className="w-6 h-6 text-purple-600" />
+          <span>Contribute a Historical Image</span>
+        </h2>
+        <div className="space-y-4">
+          <div>
+            <span className="block text-sm font-medium text-gray-700 mb-1">Photo</span>
+            <input
+              type="file"
+              accept="image/*"
+              onChange={e => update('file', e.target.files[0] || null)}
+              className="block w-full text-sm text-gray-600"
+            />
+            {!draft.file && (
+              <input
+                type="url"
+                value={draft.imageUrl}
+                onChange={e => update('imageUrl', e.target.value)}
+                className={`${fieldClass('image')} mt-2`}
+                placeholder="...or a link to the image, e.g. from an archive"
+              />
+            )}
+            {fieldError('image')}
+          </div>
+          <div>
+            <label htmlFor="historicalImageLocation" className="block text-sm font-medium text-gray-700 mb-1">Location</label>
+            <input
+              id="historicalImageLocation"
+              type="text"
+              list="historicalImageLocations"
+              value={draft.location}
+              onChange={e => update('location', e.target.value)}
+              className={fieldClass('location')}
+              placeholder="e.g., Lincoln High School, Orlando"
+            />
+            <datalist id="historicalImageLocations">
+              {suggestions.map(location => <option key={location} value={location} />)}
+            </datalist>
+            {fieldError('location')}
+          </div>
+          <div>
+            <span className="block text-sm font-medium text-gray-700 mb-1">Year taken</span>
+            <div className="flex items-center space-x-2">
+              <input
+                type="number"
+                value={draft.fromYear}
+                onChange={e => update('fromYear', e.target.value)}
+                className={fieldClass('fromYear')}
+                placeholder="Year"
+                aria-label="From year"
+              />
+              <span className="text-gray-500">to</span>
+              <input
+                type="number"
+                value={draft.toYear}
+                onChange={e => update('toYear', e.target.value)}
+                className={fieldClass('toYear')}
+                placeholder="(if unsure)"
+                aria-label="To year"
+              />
+            </div>
+            {fieldError('fromYear')}
+            {fieldError('toYear')}
+          </div>
+          <div>
+            <label htmlFor="historicalImageDescription" className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+            <input
+              id="historicalImageDescription"
+              type="text"
+              value={draft.description}
+              onChange={e => update('description', e.target.value)}
+              className={fieldClass('description')}
+              placeholder="e.g., Main entrance on the first day of school"
+            />
+            {fieldError('description')}
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            <div>
+              <label htmlFor="historicalImageSource" className="block text-sm font-medium text-gray-700 mb-1">Source</label>
+              <input
+                id="historicalImageSource"
+                type="text"
+                value={draft.source}
+                onChange={e => update('source', e.target.value)}
+                className={fieldClass('source')}
+                placeholder="e.g., City Archives"
+              />
+              {fieldError('source')}
+            </div>
+            <div>
+              <label htmlFor="historicalImageLicense" className="block text-sm font-medium text-gray-700 mb-1">License</label>
+              <select
+                id="historicalImageLicense"
+                value={draft.license}
+                onChange={e => update('license', e.target.value)}
+                className={`${fieldClass('license')} bg-white`}
+              >
+                <option value="">Choose...</option>
+                {LICENSES.map(license => <option key={license.value} value={license.value}>{license.label}</option>)}
+              </select>
+              {fieldError('license')}
+            </div>
+          </div>
+          <div className="flex justify-end space-x-2">
+            <button onClick={onClose} className="px-4 py-2 text-gray-600 hover:text-gray-800">Cancel</button>
+            <button
+              onClick={handleSubmit}
+              disabled={busy}
+              className="px-4 py-2 bg-purple-500 text-white rounded-lg hover:bg-purple-600 transition-colors shadow-md flex items-center space-x-2 disabled:opacity-50"
+            >
+              {busy ? <Loader2 className="w-4 h-4 animate-spin" /> : <Upload className="w-4 h-4" />}
+              <span>{busy ? 'Saving...' : 'Add to Library'}</span>
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default HistoricalImageForm;
@@ -0,0 +1,88 @@
+import React, { useState, useMemo } from 'react';
+import { Archive, Plus, Search, Trash2 } from 'lucide-react';
+
+import { imageTimeframe, licenseLabel, safeImageUrl } from './historicalImages';
+
+// One library image with its credits. `action` is an optional button, e.g. delete.
+const HistoricalImageCard = ({ image, action }) => (
+  <div className="border border-gray-200 rounded-xl p-4">
+    {safeImageUrl(image.imageUrl) && (
+      <a href={safeImageUrl(image.imageUrl)} target="_blank" rel="noopener noreferrer">
+        <img src={safeImageUrl(image.thumbnailUrl) || safeImageUrl(image.imageUrl)} alt={image.description} className="w-full h-40 object-cover rounded-lg mb-3" />
+      </a>
+    )}
+    <div className="flex justify-between items-start">
+      <h4 className="font-medium text-gray-800">{image.location}</h4>
+      {action}
+    </div>
+    <p className="text-sm text-gray-600">{image.description}</p>
+    <p className="text-xs text-gray-500 mt-1">
+      {[imageTimeframe(image), `Source: ${image.source}`, licenseLabel(image.license)].filter(Boolean).join(' · ')}
+    </p>
+  </div>
+);
+
+// The shared historical image library, searchable by place, year and description
+const HistoricalLibrary = ({ images, currentUserId, onContribute, onDelete }) => {
+  const [search, setSearch] = useState('');
+
+  const shown = useMemo(() => {
+    const term = search.trim().toLowerCase();
+    if (!term) return images;
+    return images.filter(image => [image.location, image.description, image.source, imageTimeframe(image)]
+      .some(value => (value || '').toLowerCase().includes(term)));
+  }, [images, search]);
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm p-6">
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between mb-4 gap-3">
+        <h3 className="text-xl font-semibold text-gray-800 flex items-center space-x-2">
+          <Archive className="w-5 h-5 text-purple-600" />
+          <span>Historical Context</span>
+        </h3>
+        <button
+          onClick={onContribute}
+          className="px-3 py-1.5 bg-purple-500 text-white rounded-lg hover:bg-purple-600 text-sm flex items-center space-x-1"
+        >
+          <Plus className="w-4 h-4" /> <span>Contribute an Image</span>
+        </button>
+      </div>
+      <p className="text-sm text-gray-600 mb-4">
+        Photos of places as they were, shared by the community. Matching images appear on your entries automatically, and you can pin them to keep them there.
+      </p>
+      {images.length > 0 && (
+        <div className="relative mb-4">
+          <Search className="w-4 h-4 text-gray-400 absolute left-3 top-3" />
+          <input
+            type="text"
+            value={search}
+            onChange={e => setSearch(e.target.value)}
+            className="w-full pl-9 pr-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+            placeholder="Search by place, year or description..."
+          />
+        </div>
+      )}
+      {shown.length > 0 ? (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {shown.map(image => (
+            <HistoricalImageCard
+              key={image.id}
+              image={image}
+              action={image.contributorId === currentUserId && (
+                <button onClick={() => onDelete(image)} className="text-gray-400 hover:text-red-600" title="Remove from library">
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              )}
+            />
+          ))}
+        </div>
+      ) : (
+        <p className="text-center py-6 text-gray-500">
+          {images.length > 0 ? 'No images match your search.' : 'The library is empty. Be the first to contribute a photo!'}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default HistoricalLibrary;
@@ -0,0 +1,223 @@
+import React, { useState, useMemo } from 'react';
+import { Brain, Zap, Clock, ChevronDown, ChevronRight, FileText, Plus, RotateCcw } from 'lucide-react';
+
+import {
+  SNOOZE_OPTIONS, interviewQueue, chapterProgress, questionChapter, questionStatus, isDue, chapterLabel
+} from './interview';
+
+const TYPE_LABELS = {
+  followup: 'Follow-up Question',
+  detail: 'Detail Question',
+  gap: 'Timeline Gap',
+  people: 'About Someone',
+  reflection: 'Reflection'
+};
+
+const toDate = value => (value && typeof value.toDate === 'function' ? value.toDate() : new Date(value));
+
+// A collapsible list of questions under a heading with a count
+const QuestionSection = ({ title, questions, renderQuestion }) => {
+  const [open, setOpen] = useState(false);
+  if (questions.length === 0) return null;
+  return (
+    <div className="border-t border-gray-200 pt-3">
+      <button onClick={() => setOpen(!open)} className="flex items-center space-x-1 text-sm font-medium text-gray-700 hover:text-gray-900">
+        {open ? <ChevronDown className="w-4 h-4" /> : <ChevronRight className="w-4 h-4" />}
+        <span>{title} ({questions.length})</span>
+      </button>
+      {open && <div className="mt-2 space-y-2">{questions.map(renderQuestion)}</div>}
+    </div>
+  );
+};
+
+// The AI Memory Assistant as a guided interview: one question at a time, with
+// follow-ups to each answer asked next. Questions can be skipped (until asked for
+// again) or snoozed (until a date); all of it is saved on the questions, so an
+// interview picks up where it was left. `onAnswer(question, text)` returns true
+// once the answer is queued; the interview moves on without waiting for follow-ups.
+const InterviewPanel = ({ questions, entries, birthYear, onAnswer, onSkip, onSnooze, onReopen, onSuggest, onOpenEntry, onCreateEntry }) => {
+  const [active, setActive] = useState(false);
+  const [chapter, setChapter] = useState(null); // Narrows the interview to one life chapter
+  const [answer, setAnswer] = useState('');
+  const [currentId, setCurrentId] = useState(null); // Holds the question being answered while the queue changes
+
+  const context = useMemo(() => ({ entries, birthYear }), [entries, birthYear]);
+  const progress = useMemo(() => chapterProgress(questions, context), [questions, context]);
+  const queue = useMemo(() => interviewQueue(questions, { ...context, chapter }), [questions, context, chapter]);
+  const current = queue.find(question => question.id === currentId) || queue[0] || null;
+  const parent = current && current.parentQuestionId
+    ? questions.find(question => question.id === current.parentQuestionId)
+    : null;
+
+  const answered = questions.filter(question => questionStatus(question) === 'answered');
+  const skipped = questions.filter(question => questionStatus(question) === 'skipped');
+  const snoozed = questions.filter(question => questionStatus(question) === 'snoozed' && !isDue(question));
+
+  const moveOn = (action) => {
+    setAnswer('');
+    setCurrentId(null);
+    action(current);
+  };
+
+  const handleAnswer = () => {
+    if (!answer.trim()) return;
+    if (onAnswer(current, answer)) {
+      setAnswer('');
+      setCurrentId(null);
+    }
+  };
+
+  const renderAnswered = question => (
+    <div key={question.id} className="bg-green-50 p-3 rounded-lg">
+      <p className="text-gray-800 text-sm mb-1">{question.question}</p>
+      <p className="text-green-700 text-xs">Your answer: "{question.answer}"</p>
+      {question.entryId && entries.some(entry => entry.id === question.entryId) ? (
+        <button
+          onClick={() => onOpenEntry(entries.find(entry => entry.id === question.entryId))}
+          className="mt-2 text-sm text-green-700 hover:text-green-900 flex items-center space-x-1"
+        >
+          <FileText className="w-4 h-4" /> <span>View entry</span>
+        </button>
+      ) : (
+        <button onClick={() => onCreateEntry(question)} className="mt-2 text-sm text-green-700 hover:text-green-900 flex items-center space-x-1">
+          <Plus className="w-4 h-4" /> <span>Create entry from answer</span>
+        </button>
+      )}
+    </div>
+  );
+
+  const renderWaiting = question => (
+    <div key={question.id} className="flex items-start justify-between gap-3 bg-gray-50 p-3 rounded-lg">
+      <div>
+        <p className="text-gray-800 text-sm">{question.question}</p>
+        {questionStatus(question) === 'snoozed' && (
+          <p className="text-xs text-gray-500 mt-1">Back on {toDate(question.snoozedUntil).toLocaleDateString()}</p>
+        )}
+      </div>
+      <button onClick={() => onReopen(question)} className="text-sm text-blue-600 hover:text-blue-800 flex items-center space-x-1 flex-shrink-0">
+        <RotateCcw className="w-4 h-4" /> <span>Ask again</span>
+      </button>
+    </div>
+  );
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm p-6">
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between mb-6">
+        <h2 className="text-2xl font-bold text-gray-800 flex items-center space-x-2">
+          <Brain className="w-6 h-6 text-blue-600" />
+          <span>AI Memory Assistant</span>
+        </h2>
+        <button
+          onClick={onSuggest}
+          className="mt-3 sm:mt-0 px-4 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition-colors shadow-md flex items-center space-x-2"
+        >
+          <Zap className="w-4 h-4" />
+          <span>Suggest Questions</span>
+        </button>
+      </div>
+
+      {progress.length > 0 && (
+        <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-4 gap-2 mb-6">
+          {progress.map(item => (
+            <button
+              key={item.id}
+              onClick={() => setChapter(chapter === item.id ? null : item.id)}
+              className={`text-left p-2 rounded-lg border transition-colors ${
+                chapter === item.id ? 'border-blue-500 bg-blue-50' : 'border-gray-200 hover:border-blue-300'
+              }`}
+            >
+              <div className="flex justify-between text-sm">
+                <span className="font-medium text-gray-800">{item.label}</span>
+                <span className="text-gray-500">{item.answered}/{item.total}</span>
+              </div>
+              <div className="h-1.5 bg-gray-100 rounded-full overflow-hidden mt-1">
+                <div className="h-full bg-blue-500 rounded-full" style={{ width: `${Math.round((item.answered / item.total) * 100)}%` }} />
+              </div>
+            </button>
+          ))}
+        </div>
+      )}
+
+      {current && active ? (
+        <div className="border border-blue-200 rounded-xl p-4">
+          <div className="flex items-center justify-between mb-2">
+            <span className="text-sm font-medium text-blue-600">
+              {TYPE_LABELS[current.type] || 'AI Prompt'} · {chapterLabel(questionChapter(current, context))}
+            </span>
+            <span className="text-xs text-gray-500">{queue.length} waiting{chapter ? ` in ${chapterLabel(chapter)}` : ''}</span>
+          </div>
+          {parent && (
+            <div className="bg-gray-50 rounded-lg p-3 mb-3 text-sm">
+              <p className="text-gray-600">Following up on: {parent.question}</p>
+              {parent.answer && <p className="text-gray-500 mt-1">You said: "{parent.answer}"</p>}
+            </div>
+          )}
+          <p className="text-lg text-gray-800 mb-3">{current.question}</p>
+          <textarea
+            value={answer}
+            onChange={(e) => {
+              setAnswer(e.target.value);
+              setCurrentId(current.id);
+            }}
+            placeholder="Share your memory here..."
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent h-32 resize-none"
+          />
+          <div className="flex flex-wrap items-center gap-2 mt-2">
+            <button
+              onClick={handleAnswer}
+              disabled={!answer.trim()}
+              className="px-4 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition-colors shadow-md disabled:opacity-50"
+            >
+              Save & Continue
+            </button>
+            <button onClick={() => moveOn(onSkip)} className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors">
+              Skip for now
+            </button>
+            <span className="flex items-center space-x-1 text-sm text-gray-500">
+              <Clock className="w-4 h-4" />
+              <span>Ask me</span>
+              {SNOOZE_OPTIONS.map((option, index) => (
+                <React.Fragment key={option.days}>
+                  {index > 0 && <span>·</span>}
+                  <button onClick={() => moveOn(question => onSnooze(question, option.days))} className="text-blue-600 hover:text-blue-800">
+                    {option.label.toLowerCase()}
+                  </button>
+                </React.Fragment>
+              ))}
+            </span>
+            <button onClick={() => setActive(false)} className="ml-auto text-sm text-gray-500 hover:text-gray-700">
+              Take a break
+            </button>
+          </div>
+        </div>
+      ) : current ? (
+        <div className="text-center py-6">
+          <p className="text-gray-700 mb-3">
+            {queue.length} {queue.length === 1 ? 'question is' : 'questions are'} waiting{chapter ? ` in ${chapterLabel(chapter)}` : ''}.
+          </p>
+          <button
+            onClick={() => setActive(true)}
+            className="px-4 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition-colors shadow-md"
+          >
+            {answered.length > 0 ? 'Resume Interview' : 'Start Interview'}
+          </button>
+        </div>
+      ) : (
+        <div className="text-center py-10 text-gray-500">
+          <p className="text-lg mb-2">
+            {chapter ? `No questions waiting in ${chapterLabel(chapter)}.` : questions.length > 0 ? "You're all caught up." : 'No AI memory prompts right now.'}
+          </p>
+          <p>{questions.length > 0 ? 'Suggest more questions, or ask again any you skipped.' : 'The AI will suggest questions as you add more entries and build your timeline!'}</p>
+        </div>
+      )}
+
+      <div className="mt-6 space-y-3">
+        <QuestionSection title="Skipped" questions={skipped} renderQuestion={renderWaiting} />
+        <QuestionSection title="Snoozed" questions={snoozed} renderQuestion={renderWaiting} />
+        <QuestionSection title="Your answers" questions={answered} renderQuestion={renderAnswered} />
+      </div>
+    </div>
+  );
+};
+
+export default InterviewPanel;
@@ -0,0 +1,249 @@
+import React, { useState, useMemo, useRef } from 'react';
+import { Map, MapPin, Plus, X, Loader2, Image } from 'lucide-react';
+
+import {
+  MAP_WIDTH, MAP_TOP_LAT, MAP_BOTTOM_LAT, WORLD_OUTLINES,
+  project, outlinePath, buildMapPoints, clusterPoints, findUnplacedEntries
+} from './memoryMap';
+import { toCoordinates } from './geocoding';
+
+const MIN_ZOOM = 1;
+const MAX_ZOOM = 32;
+const CLUSTER_RADIUS = 14; // Screen-ish units at zoom 1
+
+const TOP_Y = project(MAP_TOP_LAT, 0).y;
+const BOTTOM_Y = project(MAP_BOTTOM_LAT, 0).y;
+const BASE_HEIGHT = BOTTOM_Y - TOP_Y;
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+// Map of the user's memories (and located historical images), clustered, with a
+// year slider. Entries that have a location but no coordinates can be placed here.
+const MapView = ({ entries, historicalImages, geocoder, onSetCoordinates, onOpenEntry, onFeedback }) => {
+  const [zoom, setZoom] = useState(MIN_ZOOM);
+  const [center, setCenter] = useState({ x: MAP_WIDTH / 2, y: TOP_Y + BASE_HEIGHT / 2 });
+  const [selectedYear, setSelectedYear] = useState(null); // null shows every year
+  const [showHistorical, setShowHistorical] = useState(true);
+  const [selectedCluster, setSelectedCluster] = useState(null);
+  const [placing, setPlacing] = useState(false);
+  const svgRef = useRef(null);
+  const dragRef = useRef(null);
+
+  const allPoints = useMemo(() => buildMapPoints(entries, historicalImages), [entries, historicalImages]);
+  const years = useMemo(
+    () => Array.from(new Set(allPoints.map(point => point.year).filter(year => year !== null))).sort((a, b) => a - b),
+    [allPoints]
+  );
+  const points = useMemo(() => allPoints.filter(point => (showHistorical || point.kind === 'entry')
+    && (selectedYear === null || point.year === selectedYear)), [allPoints, showHistorical, selectedYear]);
+  const clusters = useMemo(() => clusterPoints(points, CLUSTER_RADIUS / zoom), [points, zoom]);
+  const unplaced = useMemo(() => findUnplacedEntries(entries), [entries]);
+
+  // Visible window in map units
+  const width = MAP_WIDTH / zoom;
+  const height = BASE_HEIGHT / zoom;
+  const x0 = clamp(center.x - width / 2, 0, MAP_WIDTH - width);
+  const y0 = clamp(center.y - height / 2, TOP_Y, BOTTOM_Y - height);
+
+  const zoomTo = (nextZoom, focus = center) => {
+    setZoom(clamp(nextZoom, MIN_ZOOM, MAX_ZOOM));
+    setCenter(focus);
+  };
+
+  const handleClusterClick = (cluster) => {
+    const spread = Math.max(...cluster.points.map(p => Math.hypot(p.x - cluster.x, p.y - cluster.y)));
+    if (cluster.points.length === 1 || zoom >= MAX_ZOOM || spread < 0.01) {
+      setSelectedCluster(cluster);
+    } else {
+      setSelectedCluster(null);
+      zoomTo(zoom * 2, { x: cluster.x, y: cluster.y });
+    }
+  };
+
+  const handlePointerDown = (e) => {
+    dragRef.current = { clientX: e.clientX, clientY: e.clientY, center: { x: x0 + width / 2, y: y0 + height / 2 } };
+  };
+
+  const handlePointerMove = (e) => {
+    if (!dragRef.current || !svgRef.current) return;
+    const scale = width / svgRef.current.clientWidth;
+    setCenter({
+      x: dragRef.current.center.x - (e.clientX - dragRef.current.clientX) * scale,
+      y: dragRef.current.center.y - (e.clientY - dragRef.current.clientY) * scale
+    });
+  };
+
+  const handlePlaceAll = async () => {
+    setPlacing(true);
+    let placed = 0;
+    try {
+      for (const entry of unplaced) {
+        const [best] = await geocoder.geocode(entry.location, { limit: 1 });
+        if (best) {
+          onSetCoordinates(entry.id, toCoordinates(best));
+          placed++;
+        }
+      }
+      const missed = unplaced.length - placed;
+      onFeedback(`Placed ${placed} ${placed === 1 ? 'memory' : 'memories'} on the map.${missed > 0 ? ` ${missed} could not be found; edit them to pick a place.` : ''}`);
+    } catch (err) {
+      console.error("Error placing entries:", err);
+      onFeedback(`Failed to place entries: ${err.message}`, 'error');
+    } finally {
+      setPlacing(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm p-6">
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between mb-4">
+        <h2 className="text-2xl font-bold text-gray-800 flex items-center space-x-2">
+          <Map className="w-6 h-6 text-purple-600" />
+          <span>Memory Map</span>
+        </h2>
+        <label className="flex items-center space-x-2 text-sm text-gray-700 mt-3 sm:mt-0">
+          <input type="checkbox" checked={showHistorical} onChange={() => setShowHistorical(!showHistorical)} />
+          <span>Show historical images</span>
+        </label>
+      </div>
+
+      {unplaced.length > 0 && (
+        <div className="bg-blue-50 p-3 rounded-lg mb-4 text-sm text-blue-800 flex flex-col sm:flex-row sm:items-center justify-between">
+          <span>{unplaced.length} {unplaced.length === 1 ? 'memory has a location' : 'memories have locations'} that {unplaced.length === 1 ? 'is' : 'are'} not on the map yet.</span>
+          <button
+            onClick={handlePlaceAll}
+            disabled={placing}
+            className="mt-2 sm:mt-0 px-3 py-1.5 bg-blue-500 text-white rounded-lg hover:bg-blue-600 flex items-center space-x-1 disabled:opacity-50"
+          >
+            {placing ? <Loader2 className="w-4 h-4 animate-spin" /> : <MapPin className="w-4 h-4" />}
+            <span>Place them automatically</span>
+          </button>
+        </div>
+      )}
+
+      <div className="relative border border-gray-200 rounded-lg overflow-hidden bg-blue-50">
+        <svg
+          ref={svgRef}
+          viewBox={`${x0} ${y0} ${width} ${height}`}
+          className="w-full h-auto cursor-grab select-none touch-none"
+          style={{ aspectRatio: `${MAP_WIDTH} / ${BASE_HEIGHT}` }}
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={() => { dragRef.current = null; }}
+          onPointerLeave={() => { dragRef.current = null; }}
+        >
+          {WORLD_OUTLINES.map((ring, index) => (
+            <path key={index} d={outlinePath(ring)} fill="#E5E7EB" stroke="#D1D5DB" strokeWidth={1 / zoom} />
+          ))}
+          {clusters.map((cluster) => {
+            const count = cluster.points.length;
+            const historicalOnly = cluster.points.every(point => point.kind === 'historical');
+            const radius = (count > 1 ? 7 + Math.log2(count) * 2 : 5) / zoom;
+            return (
+              <g
+                key={cluster.id}
+                onClick={() => handleClusterClick(cluster)}
+                onPointerDown={e => e.stopPropagation()}
+                className="cursor-pointer"
+              >
+                <circle
+                  cx={cluster.x}
+                  cy={cluster.y}
+                  r={radius}
+                  fill={historicalOnly ? '#3B82F6' : '#8B5CF6'}
+                  fillOpacity={0.85}
+                  stroke="#FFFFFF"
+                  strokeWidth={1.5 / zoom}
+                />
+                {count > 1 && (
+                  <text x={cluster.x} y={cluster.y} dy={3 / zoom} textAnchor="middle" fontSize={8 / zoom} fill="#FFFFFF" fontWeight="bold">
+                    {count}
+                  </text>
+                )}
+              </g>
+            );
+          })}
+        </svg>
+
+        <div className="absolute top-2 right-2 flex flex-col space-y-1">
+          <button onClick={() => zoomTo(zoom * 2)} className="w-8 h-8 bg-white rounded shadow text-gray-700 hover:bg-gray-100 flex items-center justify-center" title="Zoom in">
+            <Plus className="w-4 h-4" />
+          </button>
+          <button onClick={() => zoomTo(zoom / 2)} className="w-8 h-8 bg-white rounded shadow text-gray-700 hover:bg-gray-100 flex items-center justify-center font-bold" title="Zoom out">
+            −
+          </button>
+          <button
+            onClick={() => zoomTo(MIN_ZOOM, { x: MAP_WIDTH / 2, y: TOP_Y + BASE_HEIGHT / 2 })}
+            className="w-8 h-8 bg-white rounded shadow text-gray-700 hover:bg-gray-100 flex items-center justify-center"
+            title="Show the whole world"
+          >
+            <Map className="w-4 h-4" />
+          </button>
+        </div>
+
+        {selectedCluster && (
+          <div className="absolute bottom-2 left-2 right-2 sm:right-auto sm:w-80 bg-white rounded-lg shadow-lg p-3 max-h-56 overflow-y-auto">
+            <div className="flex justify-between items-start mb-2">
+              <p className="text-sm font-medium text-gray-800">{selectedCluster.points.length} {selectedCluster.points.length === 1 ? 'memory' : 'memories'} here</p>
+              <button onClick={() => setSelectedCluster(null)} className="text-gray-400 hover:text-gray-600">
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+            <ul className="space-y-2">
+              {selectedCluster.points.map(point => (
+                <li key={point.id} className="text-sm">
+                  {point.kind === 'entry' ? (
+                    <button onClick={() => onOpenEntry(point.item)} className="text-left hover:text-purple-700">
+                      <span className="font-medium">{point.title}</span>
+                      <span className="block text-xs text-gray-500">{point.subtitle}</span>
+                    </button>
+                  ) : (
+                    <div className="flex items-start space-x-2">
+                      <Image className="w-4 h-4 text-blue-500 mt-0.5 flex-shrink-0" />
+                      <span>
+                        <span className="font-medium">{point.title}</span>
+                        <span className="block text-xs text-gray-500">{point.subtitle}</span>
+                      </span>
+                    </div>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </div>
+
+      {years.length > 0 ? (
+        <div className="mt-4">
+          <div className="flex items-center justify-between text-sm text-gray-700 mb-1">
+            <span>{selectedYear === null ? 'All years' : `Memories from ${selectedYear}`} · {points.length} on the map</span>
+            {selectedYear !== null && (
+              <button onClick={() => setSelectedYear(null)} className="text-purple-600 hover:text-purple-800">Show all years</button>
+            )}
+          </div>
+          <input
+            type="range"
+            min={0}
+            max={years.length - 1}
+            value={selectedYear === null ? years.length - 1 : Math.max(0, years.indexOf(selectedYear))}
+            onChange={(e) => {
+              setSelectedYear(years[Number(e.target.value)]);
+              setSelectedCluster(null);
+            }}
+            className="w-full accent-purple-600"
+          />
+          <div className="flex justify-between text-xs text-gray-500">
+            <span>{years[0]}</span>
+            <span>{years[years.length - 1]}</span>
+          </div>
+        </div>
+      ) : (
+        <p className="text-gray-500 text-center py-6">
+          No memories on the map yet. Add a location to an entry and pick its place, or place them automatically above.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default MapView;
@@ -0,0 +1,86 @@
+import React from 'react';
+
+import { parseMarkdown, soleImage } from './markdown';
+
+const HEADING_CLASSES = {
+  1: 'text-2xl font-bold text-gray-800 mt-4 mb-2',
+  2: 'text-xl font-semibold text-gray-800 mt-4 mb-2',
+  3: 'text-lg font-semibold text-gray-800 mt-3 mb-1'
+};
+
+// Renders entry Markdown as React elements; nothing is injected as HTML.
+// `media` lists the entry's own uploads ({ url, kind, thumbnailUrl }); inline images
+// pointing anywhere else show only their caption. `renderMention(node, key)` draws
+// @-mentions (plain names by default). `compact` drops media and shrinks headings
+// for card previews.
+const MarkdownContent = ({ source, media = [], renderMention, compact = false, className = '' }) => {
+  const mediaByUrl = {};
+  media.forEach((item) => { mediaByUrl[item.url] = item; });
+
+  const renderMedia = (node, key) => {
+    const item = mediaByUrl[node.url];
+    if (!item || compact) return node.alt ? <span key={key} className="italic">{node.alt}</span> : null;
+    if (item.kind === 'video') {
+      return <video key={key} src={item.url} poster={item.thumbnailUrl || undefined} controls className="w-full rounded-lg my-2" />;
+    }
+    return <img key={key} src={item.url} alt={node.alt} className="max-w-full rounded-lg my-2" />;
+  };
+
+  const renderInline = nodes => nodes.map((node, index) => {
+    switch (node.type) {
+      case 'text': return <React.Fragment key={index}>{node.text}</React.Fragment>;
+      case 'break': return <br key={index} />;
+      case 'code': return <code key={index} className="px-1 bg-gray-100 rounded text-sm">{node.text}</code>;
+      case 'strong': return <strong key={index}>{renderInline(node.children)}</strong>;
+      case 'em': return <em key={index}>{renderInline(node.children)}</em>;
+      case 'link': return (
+        <a key={index} href={node.url} target="_blank" rel="noopener noreferrer" className="text-purple-700 underline">
+          {renderInline(node.children)}
+        </a>
+      );
+      case 'mention': return renderMention ? renderMention(node, index) : <React.Fragment key={index}>{node.name}</React.Fragment>;
+      case 'image': return renderMedia(node, index);
+      default: return null;
+    }
+  });
+
+  const renderBlocks = blocks => blocks.map((block, index) => {
+    const image = soleImage(block);
+    if (image) {
+      if (compact) return null;
+      return (
+        <figure key={index} className="my-3">
+          {renderMedia(image, 'media')}
+          {image.alt && mediaByUrl[image.url] && <figcaption className="text-sm text-gray-500 text-center">{image.alt}</figcaption>}
+        </figure>
+      );
+    }
+    switch (block.type) {
+      case 'heading': {
+        if (compact) return <p key={index} className="font-semibold">{renderInline(block.children)}</p>;
+        const Tag = `h${block.level + 2}`; // Below the entry title
+        return <Tag key={index} className={HEADING_CLASSES[block.level]}>{renderInline(block.children)}</Tag>;
+      }
+      case 'paragraph': return <p key={index} className={compact ? '' : 'mb-3'}>{renderInline(block.children)}</p>;
+      case 'quote': return (
+        <blockquote key={index} className="border-l-4 border-purple-200 pl-3 text-gray-600 italic my-2">
+          {renderBlocks(block.blocks)}
+        </blockquote>
+      );
+      case 'list': {
+        const Tag = block.ordered ? 'ol' : 'ul';
+        return (
+          <Tag key={index} className={`${block.ordered ? 'list-decimal' : 'list-disc'} pl-6 ${compact ? '' : 'mb-3'}`}>
+            {block.items.map((item, itemIndex) => <li key={itemIndex}>{renderInline(item)}</li>)}
+          </Tag>
+        );
+      }
+      case 'rule': return compact ? null : <hr key={index} className="my-4 border-gray-200" />;
+      default: return null;
+    }
+  });
+
+  return <div className={className}>{renderBlocks(parseMarkdown(source))}</div>;
+};
+
+export default MarkdownContent;
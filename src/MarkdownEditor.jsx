@@ -0,0 +1,123 @@
+import React, { useState, useRef } from 'react';
+import { Heading, Bold, Italic, Quote, List, ListOrdered, Image } from 'lucide-react';
+
+import MentionTextarea from './MentionTextarea';
+import MarkdownContent from './MarkdownContent';
+import { wrapSelection, toggleLinePrefix, insertBlock, imageMarkdown } from './markdown';
+
+const TOOLBAR_BUTTON = 'p-1.5 rounded text-gray-600 hover:bg-gray-200 hover:text-gray-800';
+
+// Markdown editor for entry content: a formatting toolbar over the @-mention textarea,
+// a picker for inserting the entry's own photos and videos inline, and a preview tab.
+const MarkdownEditor = ({ id, value, onChange, people, onCreatePerson, media = [], renderMention, placeholder, className }) => {
+  const [mode, setMode] = useState('write'); // 'write' or 'preview'
+  const [showMediaPicker, setShowMediaPicker] = useState(false);
+  const textareaRef = useRef(null);
+
+  // Applies an edit helper to the current selection and restores the selection after
+  const apply = (edit) => {
+    const textarea = textareaRef.current;
+    const start = textarea ? textarea.selectionStart : value.length;
+    const end = textarea ? textarea.selectionEnd : value.length;
+    const result = edit(value, start, end);
+    onChange(result.text);
+    setTimeout(() => {
+      if (!textareaRef.current) return;
+      textareaRef.current.focus();
+      textareaRef.current.setSelectionRange(result.selectionStart, result.selectionEnd);
+    }, 0);
+  };
+
+  const insertMedia = (item) => {
+    apply((text, start) => insertBlock(text, start, imageMarkdown(item.url, item.name ? item.name.replace(/\.[^.]+$/, '') : '')));
+    setShowMediaPicker(false);
+  };
+
+  const tools = [
+    { label: 'Heading', icon: Heading, edit: (text, start, end) => toggleLinePrefix(text, start, end, '## ') },
+    { label: 'Bold', icon: Bold, edit: (text, start, end) => wrapSelection(text, start, end, '**', 'bold text') },
+    { label: 'Italic', icon: Italic, edit: (text, start, end) => wrapSelection(text, start, end, '*', 'italic text') },
+    { label: 'Quote', icon: Quote, edit: (text, start, end) => toggleLinePrefix(text, start, end, '> ') },
+    { label: 'Bulleted list', icon: List, edit: (text, start, end) => toggleLinePrefix(text, start, end, '- ') },
+    { label: 'Numbered list', icon: ListOrdered, edit: (text, start, end) => toggleLinePrefix(text, start, end, '1. ') }
+  ];
+
+  return (
+    <div>
+      <div className="flex items-center justify-between border border-b-0 border-gray-300 rounded-t-lg bg-gray-50 px-2 py-1">
+        <div className="flex items-center space-x-1">
+          {tools.map(tool => (
+            <button
+              key={tool.label}
+              type="button"
+              onClick={() => apply(tool.edit)}
+              disabled={mode === 'preview'}
+              className={`${TOOLBAR_BUTTON} disabled:opacity-40`}
+              title={tool.label}
+            >
+              <tool.icon className="w-4 h-4" />
+            </button>
+          ))}
+          <div className="relative">
+            <button
+              type="button"
+              onClick={() => setShowMediaPicker(!showMediaPicker)}
+              disabled={mode === 'preview' || media.length === 0}
+              className={`${TOOLBAR_BUTTON} disabled:opacity-40`}
+              title={media.length === 0 ? 'Upload photos or videos below to place them in the text' : 'Insert a photo or video'}
+            >
+              <Image className="w-4 h-4" />
+            </button>
+            {showMediaPicker && (
+              <div className="absolute left-0 z-10 mt-1 w-64 bg-white border border-gray-200 rounded-lg shadow-lg p-2 grid grid-cols-3 gap-2">
+                {media.map(item => (
+                  <button key={item.url} type="button" onClick={() => insertMedia(item)} className="rounded overflow-hidden hover:ring-2 hover:ring-purple-400">
+                    {item.kind === 'video' && !item.thumbnailUrl ? (
+                      <span className="h-16 flex items-center justify-center bg-gray-100 text-xs text-gray-500">Video</span>
+                    ) : (
+                      <img src={item.thumbnailUrl || item.url} alt={item.name || 'Entry media'} className="w-full h-16 object-cover" />
+                    )}
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+        <div className="flex text-sm">
+          {['write', 'preview'].map(tab => (
+            <button
+              key={tab}
+              type="button"
+              onClick={() => setMode(tab)}
+              className={`px-2 py-1 rounded capitalize ${mode === tab ? 'bg-white text-purple-700 shadow-sm' : 'text-gray-500 hover:text-gray-700'}`}
+            >
+              {tab}
+            </button>
+          ))}
+        </div>
+      </div>
+      {mode === 'write' ? (
+        <MentionTextarea
+          id={id}
+          value={value}
+          onChange={onChange}
+          people={people}
+          onCreatePerson={onCreatePerson}
+          textareaRef={textareaRef}
+          className={className}
+          placeholder={placeholder}
+        />
+      ) : (
+        <div className="border border-gray-300 rounded-b-lg px-3 py-2 h-48 overflow-y-auto text-gray-700">
+          {value.trim() ? (
+            <MarkdownContent source={value} media={media} renderMention={renderMention} />
+          ) : (
+            <p className="text-gray-400">Nothing to preview yet.</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MarkdownEditor;
@@ -0,0 +1,114 @@
+import React, { useState, useRef } from 'react';
+import { UserPlus } from 'lucide-react';
+
+import { findMentionQuery, insertMention, matchPeople } from './people';
+
+// Textarea that suggests people while typing "@name". Picking one inserts a mention
+// token; when nobody matches, `onCreatePerson(name)` adds the person and returns it.
+// `textareaRef` lets a wrapper (e.g. a formatting toolbar) read the selection.
+const MentionTextarea = ({ id, value, onChange, people, onCreatePerson, className, placeholder, textareaRef: externalRef }) => {
+  const [mention, setMention] = useState(null); // { start, query } while typing after "@"
+  const [activeIndex, setActiveIndex] = useState(0);
+  const ownRef = useRef(null);
+  const textareaRef = externalRef || ownRef;
+
+  const matches = mention ? matchPeople(people, mention.query) : [];
+  const canCreate = mention && mention.query.trim() && !people.some(person => person.name.toLowerCase() === mention.query.trim().toLowerCase());
+  const optionCount = matches.length + (canCreate ? 1 : 0);
+
+  const updateMention = (text, caret) => {
+    setMention(findMentionQuery(text, caret));
+    setActiveIndex(0);
+  };
+
+  const pick = (person) => {
+    const caret = textareaRef.current ? textareaRef.current.selectionStart : value.length;
+    const result = insertMention(value, mention.start, caret, person);
+    onChange(result.text);
+    setMention(null);
+    // Put the caret after the inserted mention once React has re-rendered
+    setTimeout(() => {
+      if (!textareaRef.current) return;
+      textareaRef.current.focus();
+      textareaRef.current.setSelectionRange(result.caret, result.caret);
+    }, 0);
+  };
+
+  const pickIndex = (index) => {
+    if (index < matches.length) {
+      pick(matches[index]);
+    } else if (canCreate) {
+      const person = onCreatePerson(mention.query.trim());
+      if (person) pick(person);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (!mention || optionCount === 0) return;
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveIndex((activeIndex + 1) % optionCount);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex((activeIndex - 1 + optionCount) % optionCount);
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault();
+      pickIndex(activeIndex);
+    } else if (e.key === 'Escape') {
+      e.stopPropagation();
+      setMention(null);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <textarea
+        ref={textareaRef}
+        id={id}
+        value={value}
+        onChange={(e) => {
+          onChange(e.target.value);
+          updateMention(e.target.value, e.target.selectionStart);
+        }}
+        onKeyDown={handleKeyDown}
+        onClick={e => updateMention(e.target.value, e.target.selectionStart)}
+        onBlur={() => setTimeout(() => setMention(null), 150)}
+        className={className}
+        placeholder={placeholder}
+      />
+      {mention && optionCount > 0 && (
+        <ul className="absolute left-0 right-0 z-10 mt-1 bg-white border border-gray-200 rounded-lg shadow-lg text-sm overflow-hidden">
+          {matches.map((person, index) => (
+            <li key={person.id}>
+              <button
+                type="button"
+                onMouseDown={e => e.preventDefault()}
+                onClick={() => pickIndex(index)}
+                className={`w-full text-left px-3 py-2 ${index === activeIndex ? 'bg-purple-100 text-purple-800' : 'text-gray-700 hover:bg-gray-50'}`}
+              >
+                <span className="font-medium">{person.name}</span>
+                {person.relationship && <span className="text-xs text-gray-500"> · {person.relationship}</span>}
+              </button>
+            </li>
+          ))}
+          {canCreate && (
+            <li>
+              <button
+                type="button"
+                onMouseDown={e => e.preventDefault()}
+                onClick={() => pickIndex(matches.length)}
+                className={`w-full text-left px-3 py-2 flex items-center space-x-2 ${activeIndex === matches.length ? 'bg-purple-100 text-purple-800' : 'text-gray-700 hover:bg-gray-50'}`}
+              >
+                <UserPlus className="w-4 h-4" />
+                <span>Add "{mention.query.trim()}" to your people</span>
+              </button>
+            </li>
+          )}
+        </ul>
+      )}
+      <p className="text-xs text-gray-500 mt-1">Type @ to tag someone from your people.</p>
+    </div>
+  );
+};
+
+export default MentionTextarea;
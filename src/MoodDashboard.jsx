@@ -0,0 +1,128 @@
+import React, { useState, useMemo } from 'react';
+import { Activity, Loader2 } from 'lucide-react';
+
+import { summarizeByYear, recurringThemes, themeLabel } from './sentiment';
+
+const BAR_SLOT = 20;
+const BAR_WIDTH = 14;
+const CHART_HEIGHT = 120;
+const HALF = CHART_HEIGHT / 2;
+
+const LABEL_STYLES = [
+  { label: 'positive', text: 'positive', className: 'bg-green-100 text-green-700' },
+  { label: 'mixed', text: 'mixed', className: 'bg-yellow-100 text-yellow-700' },
+  { label: 'neutral', text: 'neutral', className: 'bg-gray-100 text-gray-600' },
+  { label: 'negative', text: 'difficult', className: 'bg-red-100 text-red-700' }
+];
+
+const describeMood = mood => (mood >= 0.2 ? 'mostly positive' : mood <= -0.2 ? 'mostly difficult' : 'mixed or neutral');
+
+// Mood and recurring themes by year, from the entry analyses. Bars above the line
+// are years that read positive, bars below read difficult. Picking a theme fades
+// the years it does not appear in.
+const MoodDashboard = ({ entries, analyses, analyzing }) => {
+  const [selectedTheme, setSelectedTheme] = useState(null);
+
+  const years = useMemo(() => summarizeByYear(entries, analyses), [entries, analyses]);
+  const themes = useMemo(() => recurringThemes(analyses).slice(0, 8), [analyses]);
+
+  const labelCounts = useMemo(() => {
+    const counts = {};
+    Object.values(analyses).forEach((analysis) => {
+      counts[analysis.label] = (counts[analysis.label] || 0) + 1;
+    });
+    return counts;
+  }, [analyses]);
+
+  const themeCount = year => (year.themes.find(theme => theme.id === selectedTheme) || { count: 0 }).count;
+  const width = Math.max(years.length * BAR_SLOT, BAR_SLOT);
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm p-6">
+      <h3 className="text-xl font-semibold text-gray-800 mb-4 flex items-center space-x-2">
+        <Activity className="w-5 h-5 text-purple-600" />
+        <span>Mood & Themes</span>
+        {analyzing && <Loader2 className="w-4 h-4 text-purple-400 animate-spin" />}
+      </h3>
+
+      {years.length === 0 ? (
+        <p className="text-sm text-gray-500">
+          {analyzing ? 'Reading your entries...' : 'Add dated entries to see how the tone of your story changes over the years.'}
+        </p>
+      ) : (
+        <>
+          <div className="flex flex-wrap gap-1 mb-3">
+            {LABEL_STYLES.filter(style => labelCounts[style.label]).map(style => (
+              <span key={style.label} className={`px-2 py-0.5 rounded-full text-xs ${style.className}`}>
+                {labelCounts[style.label]} {style.text}
+              </span>
+            ))}
+          </div>
+
+          <svg viewBox={`0 0 ${width} ${CHART_HEIGHT}`} preserveAspectRatio="none" className="w-full h-32" role="img" aria-label="Mood by year">
+            <line x1={0} x2={width} y1={HALF} y2={HALF} stroke="#D1D5DB" strokeWidth={1} />
+            {years.map((year, index) => {
+              const height = Math.max(Math.abs(year.mood) * (HALF - 4), 1);
+              const faded = selectedTheme && themeCount(year) === 0;
+              return (
+                <rect
+                  key={year.year}
+                  x={index * BAR_SLOT + (BAR_SLOT - BAR_WIDTH) / 2}
+                  y={year.mood >= 0 ? HALF - height : HALF}
+                  width={BAR_WIDTH}
+                  height={height}
+                  rx={2}
+                  fill={year.mood >= 0 ? '#22C55E' : '#EF4444'}
+                  fillOpacity={faded ? 0.2 : 0.85}
+                >
+                  <title>
+                    {`${year.year}: ${describeMood(year.mood)} across ${year.count} ${year.count === 1 ? 'entry' : 'entries'}`}
+                    {selectedTheme ? ` · ${themeLabel(selectedTheme)} in ${themeCount(year)}` : ''}
+                  </title>
+                </rect>
+              );
+            })}
+          </svg>
+          <div className="flex justify-between text-xs text-gray-500 mt-1 mb-4">
+            <span>{years[0].year}</span>
+            {years.length > 1 && <span>{years[years.length - 1].year}</span>}
+          </div>
+
+          <p className="text-sm font-medium text-gray-700 mb-2">Recurring themes</p>
+          {themes.length > 0 ? (
+            <div className="flex flex-wrap gap-2 mb-3">
+              {themes.map(theme => (
+                <button
+                  key={theme.id}
+                  onClick={() => setSelectedTheme(selectedTheme === theme.id ? null : theme.id)}
+                  className={`px-2 py-1 rounded-full text-xs transition-colors ${
+                    selectedTheme === theme.id ? 'bg-purple-500 text-white' : 'bg-purple-50 text-purple-700 hover:bg-purple-100'
+                  }`}
+                >
+                  {theme.label} · {theme.count}
+                </button>
+              ))}
+            </div>
+          ) : (
+            <p className="text-sm text-gray-500 mb-3">No theme shows up in more than one entry yet.</p>
+          )}
+
+          <div className="space-y-1">
+            {years.filter(year => !selectedTheme || themeCount(year) > 0).map(year => (
+              <div key={year.year} className="flex items-baseline text-sm">
+                <span className="w-12 flex-shrink-0 font-medium text-gray-700">{year.year}</span>
+                <span className="text-gray-500 truncate">
+                  {selectedTheme
+                    ? `${themeCount(year)} of ${year.count} ${year.count === 1 ? 'entry' : 'entries'}`
+                    : year.themes.slice(0, 3).map(theme => themeLabel(theme.id)).join(', ') || 'No clear theme'}
+                </span>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default MoodDashboard;
@@ -0,0 +1,198 @@
+import React, { useState, useMemo } from 'react';
+import { Users, UserPlus, Edit3, Trash2, ChevronRight, Calendar, MapPin, Save } from 'lucide-react';
+
+import { RELATIONSHIPS, countMentions, entriesMentioning } from './people';
+import { entryPlainText } from './markdown';
+
+const EMPTY_PERSON = { name: '', relationship: '', born: '', met: '', died: '', notes: '' };
+
+const DATE_FIELDS = [
+  { key: 'born', label: 'Born' },
+  { key: 'met', label: 'Met' },
+  { key: 'died', label: 'Died' }
+];
+
+// Add/edit form for one person. Dates are free text ("1952", "summer 1978").
+const PersonForm = ({ initial, onSave, onCancel }) => {
+  const [person, setPerson] = useState({ ...EMPTY_PERSON, ...initial });
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-4 mb-4 bg-gray-50 space-y-3">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        <input
+          type="text"
+          value={person.name}
+          onChange={(e) => setPerson({ ...person, name: e.target.value })}
+          className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+          placeholder="Name, e.g. Aunt Rosa"
+        />
+        <select
+          value={person.relationship}
+          onChange={(e) => setPerson({ ...person, relationship: e.target.value })}
+          className="px-3 py-2 border border-gray-300 rounded-lg bg-white focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+        >
+          <option value="">Relationship...</option>
+          {RELATIONSHIPS.map(relationship => <option key={relationship} value={relationship}>{relationship}</option>)}
+        </select>
+      </div>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+        {DATE_FIELDS.map(field => (
+          <input
+            key={field.key}
+            type="text"
+            value={person[field.key]}
+            onChange={(e) => setPerson({ ...person, [field.key]: e.target.value })}
+            className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+            placeholder={`${field.label} (e.g., 1978)`}
+          />
+        ))}
+      </div>
+      <textarea
+        value={person.notes}
+        onChange={(e) => setPerson({ ...person, notes: e.target.value })}
+        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent h-20 resize-y"
+        placeholder="Notes about this person..."
+      />
+      <div className="flex justify-end space-x-2">
+        <button onClick={onCancel} className="px-4 py-2 text-gray-600 hover:text-gray-800">Cancel</button>
+        <button
+          onClick={() => onSave(person)}
+          disabled={!person.name.trim()}
+          className="px-4 py-2 bg-purple-500 text-white rounded-lg hover:bg-purple-600 flex items-center space-x-1 disabled:opacity-50"
+        >
+          <Save className="w-4 h-4" /> <span>Save</span>
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const personDates = person => DATE_FIELDS
+  .filter(field => person[field.key])
+  .map(field => `${field.label} ${person[field.key]}`)
+  .join(' · ');
+
+// The People page: everyone in the story with how often they appear, and a profile
+// for the selected person listing every memory that mentions them.
+const PeopleView = ({ people, entries, selectedPersonId, onSelectPerson, onSavePerson, onDeletePerson, onOpenEntry, onFilterEntries }) => {
+  const [editing, setEditing] = useState(null); // null, 'new' or a person id
+
+  const mentionCounts = useMemo(() => countMentions(entries), [entries]);
+  const sortedPeople = useMemo(
+    () => [...people].sort((a, b) => (mentionCounts[b.id] || 0) - (mentionCounts[a.id] || 0) || a.name.localeCompare(b.name)),
+    [people, mentionCounts]
+  );
+  const selected = people.find(person => person.id === selectedPersonId) || null;
+  const memories = useMemo(
+    () => (selected ? entriesMentioning(entries, selected.id) : []),
+    [entries, selected]
+  );
+
+  const handleSave = (personId, data) => {
+    if (onSavePerson(personId, data)) setEditing(null);
+  };
+
+  if (selected) {
+    return (
+      <div className="bg-white rounded-xl shadow-sm p-6">
+        <button onClick={() => onSelectPerson(null)} className="text-sm text-purple-600 hover:text-purple-800 mb-4">
+          ← All people
+        </button>
+        {editing === selected.id ? (
+          <PersonForm initial={selected} onSave={data => handleSave(selected.id, data)} onCancel={() => setEditing(null)} />
+        ) : (
+          <div className="flex flex-col sm:flex-row sm:items-start justify-between mb-6">
+            <div>
+              <h2 className="text-2xl font-bold text-gray-800">{selected.name}</h2>
+              <p className="text-gray-600">{[selected.relationship, personDates(selected)].filter(Boolean).join(' · ')}</p>
+              {selected.notes && <p className="text-gray-700 mt-2 whitespace-pre-wrap">{selected.notes}</p>}
+            </div>
+            <div className="flex space-x-2 mt-3 sm:mt-0">
+              <button onClick={() => setEditing(selected.id)} className="text-gray-500 hover:text-purple-600" title="Edit person">
+                <Edit3 className="w-5 h-5" />
+              </button>
+              <button onClick={() => onDeletePerson(selected)} className="text-gray-500 hover:text-red-600" title="Delete person">
+                <Trash2 className="w-5 h-5" />
+              </button>
+            </div>
+          </div>
+        )}
+
+        <div className="flex items-center justify-between mb-3">
+          <h3 className="text-lg font-semibold text-gray-800">
+            {memories.length} {memories.length === 1 ? 'memory' : 'memories'} with {selected.name}
+          </h3>
+          {memories.length > 0 && (
+            <button onClick={() => onFilterEntries(selected.id)} className="text-sm text-purple-600 hover:text-purple-800">
+              Show in My Entries
+            </button>
+          )}
+        </div>
+        {memories.length === 0 ? (
+          <p className="text-gray-500">No memories mention {selected.name} yet. Type @ in an entry to tag them.</p>
+        ) : (
+          <ul className="space-y-3">
+            {memories.map(entry => (
+              <li key={entry.id}>
+                <button onClick={() => onOpenEntry(entry)} className="w-full text-left border border-gray-200 rounded-lg p-4 hover:border-purple-300 transition-colors">
+                  <p className="font-semibold text-gray-800">{entry.title}</p>
+                  <p className="text-sm text-gray-500 flex items-center space-x-3 mt-1">
+                    <span className="flex items-center space-x-1"><Calendar className="w-4 h-4" /><span>{entry.date}</span></span>
+                    {entry.location && <span className="flex items-center space-x-1"><MapPin className="w-4 h-4" /><span>{entry.location}</span></span>}
+                  </p>
+                  <p className="text-sm text-gray-700 mt-2 line-clamp-2">{entryPlainText(entry)}</p>
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm p-6">
+      <div className="flex items-center justify-between mb-6">
+        <h2 className="text-2xl font-bold text-gray-800 flex items-center space-x-2">
+          <Users className="w-6 h-6 text-purple-600" />
+          <span>People</span>
+        </h2>
+        {editing !== 'new' && (
+          <button
+            onClick={() => setEditing('new')}
+            className="px-4 py-2 bg-purple-500 text-white rounded-lg hover:bg-purple-600 flex items-center space-x-2"
+          >
+            <UserPlus className="w-4 h-4" /> <span>Add Person</span>
+          </button>
+        )}
+      </div>
+      {editing === 'new' && (
+        <PersonForm initial={EMPTY_PERSON} onSave={data => handleSave(null, data)} onCancel={() => setEditing(null)} />
+      )}
+      {sortedPeople.length === 0 ? (
+        <p className="text-gray-500 text-center py-8">
+          No people yet. Add the people in your story here, or type @ while writing an entry.
+        </p>
+      ) : (
+        <ul className="divide-y divide-gray-100">
+          {sortedPeople.map(person => (
+            <li key={person.id}>
+              <button onClick={() => onSelectPerson(person.id)} className="w-full flex items-center justify-between py-3 text-left hover:bg-gray-50 px-2 rounded">
+                <span>
+                  <span className="font-medium text-gray-800">{person.name}</span>
+                  {person.relationship && <span className="text-sm text-gray-500"> · {person.relationship}</span>}
+                </span>
+                <span className="flex items-center space-x-2 text-sm text-gray-500">
+                  <span>{mentionCounts[person.id] || 0} {mentionCounts[person.id] === 1 ? 'memory' : 'memories'}</span>
+                  <ChevronRight className="w-4 h-4" />
+                </span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default PeopleView;
@@ -0,0 +1,127 @@
+import React, { useState, useMemo } from 'react';
+import { Camera, X, Send } from 'lucide-react';
+
+import { EMPTY_PHOTO_REQUEST, MIN_REQUEST_YEAR, validatePhotoRequest, locationSuggestions } from './photoRequests';
+
+const INPUT_CLASS = 'w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent';
+
+// Dialog for a new photo request. `initial` pre-fills it, e.g. from an entry card.
+// `onSubmit(draft)` returns true when the request was saved, which closes the dialog.
+const PhotoRequestForm = ({ initial, entries, onSubmit, onClose }) => {
+  const [draft, setDraft] = useState({ ...EMPTY_PHOTO_REQUEST, ...initial });
+  const [showErrors, setShowErrors] = useState(false); // Only after the first submit attempt
+
+  const suggestions = useMemo(() => locationSuggestions(entries), [entries]);
+  const errors = validatePhotoRequest(draft);
+  const currentYear = new Date().getFullYear();
+
+  const update = (field, value) => setDraft({ ...draft, [field]: value });
+
+  const handleSubmit = () => {
+    if (Object.keys(errors).length > 0) {
+      setShowErrors(true);
+      return;
+    }
+    if (onSubmit(draft)) onClose();
+  };
+
+  const fieldClass = field => `${INPUT_CLASS} ${showErrors && errors[field] ? 'border-red-400' : 'border-gray-300'}`;
+  const fieldError = field => showErrors && errors[field] && (
+    <p className="text-xs text-red-600 mt-1">{errors[field]}</p>
+  );
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl shadow-2xl p-6 w-full max-w-lg relative max-h-full overflow-y-auto">
+        <button onClick={onClose} className="absolute top-4 right-4 text-gray-400 hover:text-gray-600">
+          <X className="w-6 h-6" />
+        </button>
+        <h2 className="text-2xl font-bold text-gray-800 mb-4 flex items-center space-x-2">
+          <Camera className="w-6 h-6 text-green-600" />
+          <span>Request Photos</span>
+        </h2>
+        <div className="space-y-4">
+          <div>
+            <label htmlFor="photoRequestLocation" className="block text-sm font-medium text-gray-700 mb-1">Location</label>
+            <input
+              id="photoRequestLocation"
+              type="text"
+              list="photoRequestLocations"
+              value={draft.location}
+              onChange={e => update('location', e.target.value)}
+              className={fieldClass('location')}
+              placeholder="e.g., Main Street, Springfield"
+            />
+            <datalist id="photoRequestLocations">
+              {suggestions.map(location => <option key={location} value={location} />)}
+            </datalist>
+            {fieldError('location')}
+          </div>
+          <div>
+            <span className="block text-sm font-medium text-gray-700 mb-1">Timeframe</span>
+            <div className="flex items-center space-x-2">
+              <input
+                type="number"
+                min={MIN_REQUEST_YEAR}
+                max={currentYear}
+                value={draft.fromYear}
+                onChange={e => update('fromYear', e.target.value)}
+                className={fieldClass('fromYear')}
+                placeholder="From year"
+                aria-label="From year"
+              />
+              <span className="text-gray-500">to</span>
+              <input
+                type="number"
+                min={MIN_REQUEST_YEAR}
+                max={currentYear}
+                value={draft.toYear}
+                onChange={e => update('toYear', e.target.value)}
+                className={fieldClass('toYear')}
+                placeholder="To year (optional)"
+                aria-label="To year"
+              />
+            </div>
+            {fieldError('fromYear')}
+            {fieldError('toYear')}
+          </div>
+          <div>
+            <label htmlFor="photoRequestDescription" className="block text-sm font-medium text-gray-700 mb-1">What are you hoping to see?</label>
+            <textarea
+              id="photoRequestDescription"
+              value={draft.description}
+              onChange={e => update('description', e.target.value)}
+              className={`${fieldClass('description')} h-24 resize-y`}
+              placeholder="e.g., The old bakery on the corner, or the school's first graduating class"
+            />
+            {fieldError('description')}
+          </div>
+          <div>
+            <label htmlFor="photoRequestEntry" className="block text-sm font-medium text-gray-700 mb-1">Linked entry (optional)</label>
+            <select
+              id="photoRequestEntry"
+              value={draft.entryId}
+              onChange={e => update('entryId', e.target.value)}
+              className={`${INPUT_CLASS} border-gray-300 bg-white`}
+            >
+              <option value="">None</option>
+              {entries.map(entry => <option key={entry.id} value={entry.id}>{entry.title}</option>)}
+            </select>
+            <p className="text-xs text-gray-500 mt-1">Photos you accept can be attached to this entry. It is not shown to others.</p>
+          </div>
+          <div className="flex justify-end space-x-2">
+            <button onClick={onClose} className="px-4 py-2 text-gray-600 hover:text-gray-800">Cancel</button>
+            <button
+              onClick={handleSubmit}
+              className="px-4 py-2 bg-purple-500 text-white rounded-lg hover:bg-purple-600 transition-colors shadow-md flex items-center space-x-2"
+            >
+              <Send className="w-4 h-4" /> <span>Send Request</span>
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PhotoRequestForm;
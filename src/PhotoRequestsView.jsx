@@ -0,0 +1,371 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Camera, MapPin, MessageCircle, Eye, EyeOff, Plus, Check, X, Upload, Loader2, Paperclip } from 'lucide-react';
+
+import {
+  REQUEST_STATUS, RESPONSE_STATUS, MAX_CAPTION_LENGTH, subscribeToCommunityRequests, subscribeToResponses,
+  submitPhotoResponse, reviewPhotoResponse, setPhotoRequestStatus, summarizeResponses,
+  unreviewedPhotoRequests, publishPhotoRequests, keepPhotoRequestsPrivate
+} from './photoRequests';
+
+const EMPTY_RESPONSE = { file: null, caption: '', attribution: '' };
+
+// Form another user fills in to answer a request with a photo
+const ResponseForm = ({ onSubmit, onCancel }) => {
+  const [response, setResponse] = useState(EMPTY_RESPONSE);
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async () => {
+    setSubmitting(true);
+    const sent = await onSubmit(response);
+    setSubmitting(false);
+    if (sent) setResponse(EMPTY_RESPONSE);
+  };
+
+  return (
+    <div className="mt-3 border border-gray-200 rounded-lg p-3 bg-gray-50 space-y-2">
+      <input
+        type="file"
+        accept="image/*"
+        onChange={e => setResponse({ ...response, file: e.target.files[0] || null })}
+        className="block w-full text-sm text-gray-600"
+      />
+      <input
+        type="text"
+        value={response.caption}
+        maxLength={MAX_CAPTION_LENGTH}
+        onChange={e => setResponse({ ...response, caption: e.target.value })}
+        className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+        placeholder="Caption, e.g. Main Street on parade day, 1968"
+      />
+      <input
+        type="text"
+        value={response.attribution}
+        onChange={e => setResponse({ ...response, attribution: e.target.value })}
+        className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+        placeholder="Photo by / source, e.g. my father, or County Historical Society"
+      />
+      <div className="flex justify-end space-x-2">
+        <button onClick={onCancel} className="px-3 py-1.5 text-sm text-gray-600 hover:text-gray-800">Cancel</button>
+        <button
+          onClick={handleSubmit}
+          disabled={submitting || !response.file || !response.attribution.trim()}
+          className="px-3 py-1.5 bg-green-500 text-white rounded-lg hover:bg-green-600 text-sm flex items-center space-x-1 disabled:opacity-50"
+        >
+          {submitting ? <Loader2 className="w-4 h-4 animate-spin" /> : <Upload className="w-4 h-4" />}
+          <span>{submitting ? 'Uploading...' : 'Share Photo'}</span>
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const RESPONSE_BADGES = {
+  [RESPONSE_STATUS.pending]: { label: 'New', className: 'bg-yellow-100 text-yellow-800' },
+  [RESPONSE_STATUS.accepted]: { label: 'Accepted', className: 'bg-green-100 text-green-800' },
+  [RESPONSE_STATUS.rejected]: { label: 'Rejected', className: 'bg-gray-100 text-gray-600' }
+};
+
+// The requester's review of the photos sent for one request
+const ResponseReview = ({ request, responses, entries, onReview, onAttach }) => {
+  // Preselect the linked entry, or else an entry about the requested place
+  const [entryId, setEntryId] = useState(() => {
+    if (request.entryId && entries.some(entry => entry.id === request.entryId)) return request.entryId;
+    const place = (request.location || '').toLowerCase();
+    const match = place && entries.find(entry => entry.location && entry.location.toLowerCase().includes(place));
+    return match ? match.id : '';
+  });
+  const attachable = responses.filter(r => r.status === RESPONSE_STATUS.accepted && r.attachedTo !== entryId);
+  const entryTitle = id => (entries.find(entry => entry.id === id) || {}).title;
+
+  if (responses.length === 0) {
+    return <p className="mt-3 text-sm text-gray-500">No photos yet. You will see them here as people respond.</p>;
+  }
+
+  return (
+    <div className="mt-4 space-y-3">
+      {responses.map(response => (
+        <div key={response.id} className={`flex space-x-3 border border-gray-100 rounded-lg p-3 ${response.status === RESPONSE_STATUS.rejected ? 'opacity-60' : ''}`}>
+          {response.photo && response.photo.url ? (
+            <a href={response.photo.url} target="_blank" rel="noopener noreferrer" className="flex-shrink-0">
+              <img src={response.photo.thumbnailUrl || response.photo.url} alt={response.caption || 'Shared photo'} className="w-24 h-24 object-cover rounded-lg" />
+            </a>
+          ) : (
+            <div className="w-24 h-24 flex-shrink-0 rounded-lg bg-gray-100 flex items-center justify-center text-xs text-gray-500">No photo</div>
+          )}
+          <div className="flex-1 min-w-0">
+            <div className="flex items-center justify-between">
+              <span className="text-sm font-medium text-gray-800">{response.authorName}</span>
+              <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${RESPONSE_BADGES[response.status].className}`}>
+                {RESPONSE_BADGES[response.status].label}
+              </span>
+            </div>
+            {response.caption && <p className="text-sm text-gray-700 mt-1">{response.caption}</p>}
+            <p className="text-xs text-gray-500 mt-1">Photo: {response.attribution}</p>
+            {response.attachedTo && (
+              <p className="text-xs text-green-700 mt-1">Attached to "{entryTitle(response.attachedTo) || 'a deleted entry'}"</p>
+            )}
+            <div className="flex space-x-3 mt-2 text-sm">
+              {response.status !== RESPONSE_STATUS.accepted && (
+                <button onClick={() => onReview(response, RESPONSE_STATUS.accepted)} className="text-green-600 hover:text-green-800 flex items-center space-x-1">
+                  <Check className="w-4 h-4" /> <span>Accept</span>
+                </button>
+              )}
+              {response.status !== RESPONSE_STATUS.rejected && (
+                <button onClick={() => onReview(response, RESPONSE_STATUS.rejected)} className="text-gray-500 hover:text-red-600 flex items-center space-x-1">
+                  <X className="w-4 h-4" /> <span>Reject</span>
+                </button>
+              )}
+            </div>
+          </div>
+        </div>
+      ))}
+      {responses.some(r => r.status === RESPONSE_STATUS.accepted) && (
+        <div className="flex flex-col sm:flex-row sm:items-center gap-2 pt-2">
+          <select
+            value={entryId}
+            onChange={e => setEntryId(e.target.value)}
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-lg bg-white text-sm focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+          >
+            <option value="">Choose an entry...</option>
+            {entries.map(entry => <option key={entry.id} value={entry.id}>{entry.title}</option>)}
+          </select>
+          <button
+            onClick={() => onAttach(attachable, entryId)}
+            disabled={!entryId || attachable.length === 0}
+            className="px-3 py-2 bg-purple-500 text-white rounded-lg hover:bg-purple-600 text-sm flex items-center justify-center space-x-1 disabled:opacity-50"
+          >
+            <Paperclip className="w-4 h-4" />
+            <span>Attach {attachable.length || ''} accepted {attachable.length === 1 ? 'photo' : 'photos'}</span>
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Photo requests: the user's own requests with the photos people sent, and the
+// community board of other people's open requests they can answer.
+const PhotoRequestsView = ({ db, appId, mediaStorage, currentUser, requests, entries, onNewRequest, onAttach, onFeedback }) => {
+  const [responses, setResponses] = useState({}); // requestId -> responses
+  const [communityRequests, setCommunityRequests] = useState([]);
+  const [expandedId, setExpandedId] = useState(null); // Own request whose responses are shown
+  const [answeringId, setAnsweringId] = useState(null); // Community request being answered
+
+  const userId = currentUser ? currentUser.uid : null;
+  // Only published requests can be answered, so only they have responses to load
+  const requestIds = requests.filter(request => request.published).map(request => request.id).sort().join(',');
+  const unreviewed = useMemo(() => unreviewedPhotoRequests(requests), [requests]);
+
+  useEffect(() => {
+    if (!db || !requestIds) return;
+    return subscribeToResponses(db, appId, requestIds.split(','), setResponses);
+  }, [db, appId, requestIds]);
+
+  useEffect(() => {
+    if (!db || !userId) return;
+    return subscribeToCommunityRequests(db, appId, setCommunityRequests, (err) => {
+      console.error("Error fetching community photo requests:", err);
+    });
+  }, [db, appId, userId]);
+
+  const otherRequests = useMemo(
+    () => communityRequests.filter(request => request.ownerId !== userId),
+    [communityRequests, userId]
+  );
+
+  // Runs a request action and reports failures through the app's feedback toast
+  const run = async (action, successMessage) => {
+    try {
+      await action();
+      if (successMessage) onFeedback(successMessage);
+      return true;
+    } catch (err) {
+      console.error("Photo request action failed:", err);
+      onFeedback(err.message, 'error');
+      return false;
+    }
+  };
+
+  const handleSubmitResponse = async (request, response) => {
+    if (!mediaStorage) {
+      onFeedback("Photo uploads are not available right now.", 'error');
+      return false;
+    }
+    const sent = await run(
+      () => submitPhotoResponse(db, appId, mediaStorage, request, currentUser, response),
+      `Thanks! Your photo was sent to ${request.ownerName}.`
+    );
+    if (sent) setAnsweringId(null);
+    return sent;
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-xl shadow-sm p-6">
+        <h2 className="text-2xl font-bold text-gray-800 mb-6 flex items-center space-x-2">
+          <Camera className="w-6 h-6 text-green-600" />
+          <span>Community Photo Requests</span>
+        </h2>
+
+        <div className="bg-blue-50 p-4 rounded-lg mb-6">
+          <p className="text-blue-800">
+            <strong>How it works:</strong> When you mention places or events, you can ask the community if anyone has photos from those times and places. Other members answer with photos, you accept the ones you like and attach them to your entries.
+          </p>
+        </div>
+
+        {unreviewed.length > 0 && (
+          <div className="border border-yellow-200 bg-yellow-50 p-4 rounded-lg mb-6">
+            <p className="text-yellow-800 mb-3">
+              {unreviewed.length === 1 ? 'One of your requests was' : `${unreviewed.length} of your requests were`} made before the community board existed and only you can see {unreviewed.length === 1 ? 'it' : 'them'}. Post {unreviewed.length === 1 ? 'it' : 'them'} to the board so other members can answer?
+            </p>
+            <div className="flex space-x-2">
+              <button
+                onClick={() => run(
+                  () => publishPhotoRequests(db, appId, currentUser, unreviewed),
+                  unreviewed.length === 1 ? 'Request posted to the community board.' : 'Requests posted to the community board.'
+                )}
+                className="px-3 py-1.5 bg-green-500 text-white rounded-lg hover:bg-green-600 text-sm"
+              >
+                Post to Board
+              </button>
+              <button
+                onClick={() => run(() => keepPhotoRequestsPrivate(db, appId, userId, unreviewed))}
+                className="px-3 py-1.5 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 text-sm"
+              >
+                Keep Private
+              </button>
+            </div>
+          </div>
+        )}
+
+        <div className="space-y-4">
+          {requests.length > 0 ? (
+            requests.map((request) => {
+              const requestResponses = responses[request.id] || [];
+              const summary = summarizeResponses(requestResponses);
+              const fulfilled = request.status === REQUEST_STATUS.fulfilled;
+              const expanded = expandedId === request.id;
+              const linkedEntry = request.entryId ? entries.find(entry => entry.id === request.entryId) : null;
+              return (
+                <div key={request.id} className="border border-gray-200 rounded-xl p-4">
+                  <div className="flex flex-col sm:flex-row items-start sm:items-center justify-between">
+                    <div className="flex-1 mb-3 sm:mb-0">
+                      <div className="flex items-center space-x-2 mb-2">
+                        <MapPin className="w-4 h-4 text-gray-500" />
+                        <span className="font-medium text-gray-800">{request.location}</span>
+                        <span className="text-sm text-gray-500">• {request.timeframe}</span>
+                      </div>
+                      <p className="text-gray-700 mb-3">{request.description}</p>
+                      {linkedEntry && <p className="text-sm text-gray-500 -mt-2 mb-3">For "{linkedEntry.title}"</p>}
+                      <div className="flex items-center space-x-4">
+                        <span className={`px-2 py-1 rounded-full text-xs font-semibold ${
+                          fulfilled ? 'bg-green-100 text-green-800' : 'bg-yellow-100 text-yellow-800'
+                        }`}>
+                          {fulfilled ? 'Fulfilled' : 'Pending'}
+                        </span>
+                        {!request.published && (
+                          <span className="px-2 py-1 rounded-full text-xs font-semibold bg-gray-100 text-gray-600">Not on the board</span>
+                        )}
+                        {summary.total > 0 && (
+                          <span className="text-sm text-gray-600 flex items-center space-x-1">
+                            <MessageCircle className="w-4 h-4" />
+                            <span>
+                              {summary.total} {summary.total === 1 ? 'Response' : 'Responses'}
+                              {summary.pending > 0 && ` (${summary.pending} new)`}
+                            </span>
+                          </span>
+                        )}
+                      </div>
+                    </div>
+                    <div className="flex space-x-2 mt-3 sm:mt-0">
+                      <button
+                        onClick={() => setExpandedId(expanded ? null : request.id)}
+                        className="px-3 py-1.5 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition-colors text-sm flex items-center space-x-1 shadow-md"
+                      >
+                        {expanded ? <EyeOff className="w-4 h-4" /> : <Eye className="w-4 h-4" />}
+                        <span>{expanded ? 'Hide Responses' : 'View Responses'}</span>
+                      </button>
+                      <button
+                        onClick={() => run(
+                          () => setPhotoRequestStatus(db, appId, userId, request, fulfilled ? REQUEST_STATUS.pending : REQUEST_STATUS.fulfilled),
+                          fulfilled ? 'Request reopened.' : 'Request marked as fulfilled.'
+                        )}
+                        className="px-3 py-1.5 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors text-sm flex items-center space-x-1"
+                      >
+                        <Check className="w-4 h-4" /> <span>{fulfilled ? 'Reopen' : 'Mark Fulfilled'}</span>
+                      </button>
+                    </div>
+                  </div>
+                  {expanded && (
+                    <ResponseReview
+                      request={request}
+                      responses={requestResponses}
+                      entries={entries}
+                      onReview={(response, status) => run(() => reviewPhotoResponse(db, appId, request.id, response.id, status))}
+                      onAttach={(accepted, entryId) => onAttach(request, accepted, entryId)}
+                    />
+                  )}
+                </div>
+              );
+            })
+          ) : (
+            <div className="text-center py-10 text-gray-500">
+              <p className="text-lg mb-2">No photo requests submitted yet.</p>
+              <p>Request photos from your past to enrich your memories!</p>
+            </div>
+          )}
+
+          <button
+            onClick={onNewRequest}
+            className="w-full px-4 py-3 border-2 border-dashed border-gray-300 rounded-xl text-gray-600 hover:border-purple-500 hover:text-purple-600 transition-colors flex items-center justify-center space-x-2"
+          >
+            <Plus className="w-5 h-5" />
+            <span>Request New Photos</span>
+          </button>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-xl shadow-sm p-6">
+        <h3 className="text-xl font-semibold text-gray-800 mb-2">Help Others Find Photos</h3>
+        <p className="text-sm text-gray-600 mb-4">Open requests from other members. Share a photo if you have one from that place and time.</p>
+        {otherRequests.length > 0 ? (
+          <div className="space-y-4">
+            {otherRequests.map(request => (
+              <div key={request.id} className="border border-gray-200 rounded-xl p-4">
+                <div className="flex flex-col sm:flex-row sm:items-start justify-between">
+                  <div>
+                    <div className="flex items-center space-x-2 mb-1">
+                      <MapPin className="w-4 h-4 text-gray-500" />
+                      <span className="font-medium text-gray-800">{request.location}</span>
+                      <span className="text-sm text-gray-500">• {request.timeframe}</span>
+                    </div>
+                    {request.description && <p className="text-gray-700">{request.description}</p>}
+                    <p className="text-xs text-gray-500 mt-1">Asked by {request.ownerName}</p>
+                  </div>
+                  {answeringId !== request.id && (
+                    <button
+                      onClick={() => setAnsweringId(request.id)}
+                      className="mt-3 sm:mt-0 px-3 py-1.5 bg-green-500 text-white rounded-lg hover:bg-green-600 text-sm flex items-center space-x-1 flex-shrink-0"
+                    >
+                      <Camera className="w-4 h-4" /> <span>Share a Photo</span>
+                    </button>
+                  )}
+                </div>
+                {answeringId === request.id && (
+                  <ResponseForm
+                    onSubmit={response => handleSubmitResponse(request, response)}
+                    onCancel={() => setAnsweringId(null)}
+                  />
+                )}
+              </div>
+            ))}
+          </div>
+        ) : (
+          <p className="text-center py-6 text-gray-500">No open requests from others right now.</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PhotoRequestsView;
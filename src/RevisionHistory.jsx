@@ -0,0 +1,128 @@
+import React, { useState, useEffect } from 'react';
+import { Clock, X } from 'lucide-react';
+
+import { subscribeToRevisions, diffWords, changedFields, snapshotEntry } from './revisions';
+import { entryMarkdown } from './markdown';
+
+const FIELD_LABELS = {
+  title: 'Title',
+  date: 'Date',
+  datePrecision: 'Date precision',
+  location: 'Location',
+  coordinates: 'Map location',
+  tags: 'Tags',
+  privacy: 'Privacy',
+  type: 'Type'
+};
+
+const formatSavedAt = (savedAt) => {
+  if (!savedAt) return 'Unknown time';
+  const date = typeof savedAt.toDate === 'function' ? savedAt.toDate() : new Date(savedAt);
+  return date.toLocaleString();
+};
+
+// History panel for the edit modal. Compares a saved revision with the one before
+// it or with the current draft, and hands a revision back to restore into the form.
+const RevisionHistory = ({ db, appId, userId, entryId, draft, onRestore, onClose }) => {
+  const [revisions, setRevisions] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [compareWith, setCompareWith] = useState('previous');
+
+  useEffect(() => {
+    if (!db || !userId || !entryId) return;
+    return subscribeToRevisions(db, appId, userId, entryId, setRevisions, (err) => {
+      console.error("Error fetching revisions:", err);
+    });
+  }, [db, appId, userId, entryId]);
+
+  const selectedIndex = revisions.findIndex(revision => revision.id === selectedId);
+  const selected = selectedIndex >= 0 ? revisions[selectedIndex] : revisions[0];
+  const activeIndex = selectedIndex >= 0 ? selectedIndex : 0;
+
+  // Older version on the left of the diff, newer on the right
+  let before = null;
+  let after = null;
+  if (selected) {
+    if (compareWith === 'draft') {
+      before = snapshotEntry(selected);
+      after = snapshotEntry(draft);
+    } else {
+      const previous = revisions[activeIndex + 1];
+      before = previous ? snapshotEntry(previous) : { content: '', contentFormat: 'markdown' };
+      after = snapshotEntry(selected);
+    }
+  }
+  // Plain-text versions from before Markdown are compared in their converted form
+  const parts = before ? diffWords(entryMarkdown(before), entryMarkdown(after)) : [];
+  const fields = before ? changedFields(before, after) : [];
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-4 mb-4 bg-gray-50">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="font-semibold text-gray-800 flex items-center space-x-2">
+          <Clock className="w-4 h-4 text-purple-600" />
+          <span>History</span>
+        </h3>
+        <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+
+      {revisions.length === 0 ? (
+        <p className="text-sm text-gray-500">No earlier versions yet. Each time you save, a version is kept here.</p>
+      ) : (
+        <div className="space-y-3">
+          <ul className="max-h-32 overflow-y-auto space-y-1 text-sm">
+            {revisions.map((revision, index) => (
+              <li key={revision.id}>
+                <button
+                  onClick={() => setSelectedId(revision.id)}
+                  className={`w-full text-left px-2 py-1 rounded ${revision.id === selected.id ? 'bg-purple-100 text-purple-800' : 'text-gray-700 hover:bg-gray-100'}`}
+                >
+                  {formatSavedAt(revision.savedAt)} · {revision.authorName}
+                  {index === 0 && <span className="text-xs text-gray-500"> (latest saved)</span>}
+                </button>
+              </li>
+            ))}
+          </ul>
+
+          <div className="flex items-center justify-between text-sm">
+            <select
+              value={compareWith}
+              onChange={(e) => setCompareWith(e.target.value)}
+              className="px-2 py-1 border border-gray-300 rounded-lg bg-white"
+            >
+              <option value="previous">Compare with the version before</option>
+              <option value="draft">Compare with my current draft</option>
+            </select>
+            <button
+              onClick={() => onRestore(selected)}
+              className="px-3 py-1 bg-purple-500 text-white rounded-lg hover:bg-purple-600"
+            >
+              Restore this version
+            </button>
+          </div>
+
+          {fields.length > 0 && (
+            <p className="text-xs text-gray-600">
+              Also changed: {fields.map(field => FIELD_LABELS[field]).join(', ')}
+            </p>
+          )}
+          <div className="bg-white border border-gray-200 rounded-lg p-3 text-sm text-gray-700 whitespace-pre-wrap max-h-48 overflow-y-auto">
+            {parts.length === 0 || parts.every(part => part.type === 'same') ? (
+              <span className="text-gray-500">The content is the same.</span>
+            ) : (
+              parts.map((part, index) => {
+                if (part.type === 'added') return <ins key={index} className="bg-green-100 text-green-800 no-underline">{part.text}</ins>;
+                if (part.type === 'removed') return <del key={index} className="bg-red-100 text-red-700">{part.text}</del>;
+                return <span key={index}>{part.text}</span>;
+              })
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RevisionHistory;
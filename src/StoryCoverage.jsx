@@ -0,0 +1,221 @@
+import React, { useState, useMemo } from 'react';
+import { Flag, Plus, X, HelpCircle } from 'lucide-react';
+
+import { analyzeCoverage, weakestPeriods, validateLifeOutline, EMPTY_LIFE_STAGE } from './coverage';
+import { formatTimeframe } from './photoRequests';
+
+const INPUT_CLASS = 'px-3 py-2 border rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent';
+
+// Heatmap shades by coverage level (0 = no entries)
+const LEVEL_CLASSES = ['bg-gray-100', 'bg-purple-200', 'bg-purple-300', 'bg-purple-500', 'bg-purple-700'];
+
+// Birth year and life-stage editor. `onSave(outline)` resolves to true when saved.
+const LifeOutlineForm = ({ outline, onSave, onCancel }) => {
+  const [draft, setDraft] = useState({
+    birthYear: outline.birthYear ? String(outline.birthYear) : '',
+    lifeStages: (outline.lifeStages || []).map(stage => ({ ...stage, fromYear: String(stage.fromYear), toYear: stage.toYear ? String(stage.toYear) : '' }))
+  });
+  const [showErrors, setShowErrors] = useState(false); // Only after the first save attempt
+  const errors = validateLifeOutline(draft);
+
+  const updateStage = (index, field, value) => setDraft({
+    ...draft,
+    lifeStages: draft.lifeStages.map((stage, i) => (i === index ? { ...stage, [field]: value } : stage))
+  });
+
+  const handleSave = async () => {
+    if (Object.keys(errors).length > 0) {
+      setShowErrors(true);
+      return;
+    }
+    if (await onSave(draft)) onCancel();
+  };
+
+  const fieldClass = field => `${INPUT_CLASS} ${showErrors && errors[field] ? 'border-red-400' : 'border-gray-300'}`;
+
+  return (
+    <div className="border border-purple-200 rounded-lg p-4 mb-4 space-y-3">
+      <div>
+        <label htmlFor="coverageBirthYear" className="block text-sm font-medium text-gray-700 mb-1">Year you were born (optional)</label>
+        <input
+          id="coverageBirthYear"
+          type="number"
+          value={draft.birthYear}
+          onChange={e => setDraft({ ...draft, birthYear: e.target.value })}
+          className={`${fieldClass('birthYear')} w-32`}
+          placeholder="e.g., 1965"
+        />
+        {showErrors && errors.birthYear && <p className="text-xs text-red-600 mt-1">{errors.birthYear}</p>}
+      </div>
+      <div>
+        <span className="block text-sm font-medium text-gray-700 mb-1">Life stages</span>
+        <p className="text-xs text-gray-500 mb-2">
+          Mark the chapters of your life, like "College" or "Living in Ohio". Without them, coverage is measured by age.
+        </p>
+        <div className="space-y-2">
+          {draft.lifeStages.map((stage, index) => (
+            <div key={stage.id || index}>
+              <div className="flex items-center space-x-2">
+                <input
+                  type="text"
+                  value={stage.label}
+                  onChange={e => updateStage(index, 'label', e.target.value)}
+                  className={`${fieldClass(`stage-${index}`)} flex-1 min-w-0`}
+                  placeholder="Stage"
+                  aria-label="Stage name"
+                />
+                <input
+                  type="number"
+                  value={stage.fromYear}
+                  onChange={e => updateStage(index, 'fromYear', e.target.value)}
+                  className={`${fieldClass(`stage-${index}`)} w-24`}
+                  placeholder="From"
+                  aria-label="From year"
+                />
+                <input
+                  type="number"
+                  value={stage.toYear}
+                  onChange={e => updateStage(index, 'toYear', e.target.value)}
+                  className={`${fieldClass(`stage-${index}`)} w-24`}
+                  placeholder="Now"
+                  aria-label="To year"
+                />
+                <button
+                  onClick={() => setDraft({ ...draft, lifeStages: draft.lifeStages.filter((_, i) => i !== index) })}
+                  className="text-gray-400 hover:text-red-600"
+                  title="Remove stage"
+                >
+                  <X className="w-4 h-4" />
+                </button>
+              </div>
+              {showErrors && errors[`stage-${index}`] && <p className="text-xs text-red-600 mt-1">{errors[`stage-${index}`]}</p>}
+            </div>
+          ))}
+        </div>
+        <button
+          onClick={() => setDraft({ ...draft, lifeStages: [...draft.lifeStages, { ...EMPTY_LIFE_STAGE }] })}
+          className="mt-2 text-sm text-purple-600 hover:text-purple-800 flex items-center space-x-1"
+        >
+          <Plus className="w-4 h-4" /> <span>Add a stage</span>
+        </button>
+      </div>
+      <div className="flex justify-end space-x-2">
+        <button onClick={onCancel} className="px-4 py-2 text-gray-600 hover:text-gray-800">Cancel</button>
+        <button onClick={handleSave} className="px-4 py-2 bg-purple-500 text-white rounded-lg hover:bg-purple-600 transition-colors">Save</button>
+      </div>
+    </div>
+  );
+};
+
+// How well each year and life period is covered, as a heatmap of years by decade
+// and a bar per period. Clicking a year calls `onSelectYear(year)`; the weakest
+// periods can be turned into questions with `onAskAboutGaps()`.
+const StoryCoverage = ({ entries, outline, onSaveOutline, onSelectYear, onAskAboutGaps }) => {
+  const [editing, setEditing] = useState(false);
+
+  const coverage = useMemo(() => analyzeCoverage(entries, outline), [entries, outline]);
+  const weakest = useMemo(() => weakestPeriods(coverage), [coverage]);
+
+  // Rows of ten years, one per decade
+  const decades = useMemo(() => {
+    const rows = [];
+    coverage.years.forEach((year) => {
+      const decade = Math.floor(year.year / 10) * 10;
+      if (rows.length === 0 || rows[rows.length - 1].decade !== decade) {
+        rows.push({ decade, cells: Array(10).fill(null) });
+      }
+      rows[rows.length - 1].cells[year.year - decade] = year;
+    });
+    return rows;
+  }, [coverage]);
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm p-6">
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between mb-4 gap-3">
+        <h3 className="text-xl font-semibold text-gray-800 flex items-center space-x-2">
+          <Flag className="w-5 h-5 text-purple-600" />
+          <span>Story Coverage</span>
+        </h3>
+        <div className="flex items-center space-x-3">
+          {!editing && (
+            <button onClick={() => setEditing(true)} className="text-sm text-purple-600 hover:text-purple-800">
+              {outline.birthYear || (outline.lifeStages || []).length > 0 ? 'Edit life stages' : 'Add birth year & life stages'}
+            </button>
+          )}
+          {weakest.length > 0 && (
+            <button
+              onClick={onAskAboutGaps}
+              className="px-3 py-1.5 bg-blue-500 text-white rounded-lg hover:bg-blue-600 text-sm flex items-center space-x-1"
+            >
+              <HelpCircle className="w-4 h-4" /> <span>Ask About the Gaps</span>
+            </button>
+          )}
+        </div>
+      </div>
+
+      {editing && <LifeOutlineForm outline={outline} onSave={onSaveOutline} onCancel={() => setEditing(false)} />}
+
+      {coverage.years.length === 0 ? (
+        <p className="text-sm text-gray-500">Add dated entries, or your birth year, to see which parts of your life your story covers.</p>
+      ) : (
+        <>
+          <div className="overflow-x-auto">
+            <div className="inline-block space-y-1">
+              {decades.map(row => (
+                <div key={row.decade} className="flex items-center space-x-1">
+                  <span className="w-12 text-xs text-gray-500">{row.decade}s</span>
+                  {row.cells.map((year, index) => (year ? (
+                    <button
+                      key={year.year}
+                      onClick={() => onSelectYear(year.year)}
+                      className={`w-6 h-6 rounded ${LEVEL_CLASSES[year.level]} hover:ring-2 hover:ring-purple-400`}
+                      title={`${year.year}: ${year.count} ${year.count === 1 ? 'entry' : 'entries'}${outline.birthYear ? ` (age ${year.year - outline.birthYear})` : ''}`}
+                    />
+                  ) : (
+                    <span key={`empty-${index}`} className="w-6 h-6" />
+                  )))}
+                </div>
+              ))}
+            </div>
+          </div>
+          <div className="flex items-center space-x-1 text-xs text-gray-500 mt-2">
+            <span>Fewer</span>
+            {LEVEL_CLASSES.map(className => <span key={className} className={`w-3 h-3 rounded ${className}`} />)}
+            <span>More entries</span>
+          </div>
+
+          {coverage.periods.length > 0 && (
+            <div className="mt-4 space-y-2">
+              {coverage.periods.map(period => (
+                <div key={period.id} className="text-sm">
+                  <div className="flex justify-between">
+                    <span className={period.weak ? 'text-gray-800 font-medium' : 'text-gray-700'}>
+                      {period.label} <span className="text-gray-500 font-normal">{formatTimeframe(period.fromYear, period.toYear)}</span>
+                    </span>
+                    <span className="text-gray-500">
+                      {period.count} {period.count === 1 ? 'entry' : 'entries'}
+                    </span>
+                  </div>
+                  <div className="h-2 bg-gray-100 rounded-full overflow-hidden" title={`${period.coveredYears} of its years have an entry`}>
+                    <div
+                      className={`h-full rounded-full ${period.weak ? 'bg-orange-400' : 'bg-purple-500'}`}
+                      style={{ width: `${Math.round(period.coverage * 100)}%` }}
+                    />
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {weakest.length > 0 && (
+            <p className="text-sm text-gray-600 mt-4">
+              Least covered: {weakest.map(period => period.label || formatTimeframe(period.fromYear, period.toYear)).join(', ')}.
+            </p>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default StoryCoverage;
@@ -0,0 +1,181 @@
+import React, { useState, useMemo } from 'react';
+import { BookOpen, Loader2, Edit3, RefreshCw } from 'lucide-react';
+
+import MarkdownContent from './MarkdownContent';
+import {
+  EMPTY_STORY_SELECTION, STORY_SOURCES, STORY_KINDS,
+  selectStoryEntries, validateStorySelection, weaveStoryDraft
+} from './storyWeaving';
+
+const INPUT_CLASS = 'w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent';
+
+// Weaves a chapter or a period summary from chosen entries, years or a tag and
+// shows the draft. `onUseDraft(draft)` opens it in the entry editor to be saved.
+const StoryWeaver = ({ entries, provider, onUseDraft, onFeedback }) => {
+  const [selection, setSelection] = useState(EMPTY_STORY_SELECTION);
+  const [showErrors, setShowErrors] = useState(false); // Only after the first attempt
+  const [busy, setBusy] = useState(false);
+  const [draft, setDraft] = useState(null);
+
+  const tags = useMemo(
+    () => [...new Set(entries.flatMap(entry => entry.tags || []).map(tag => tag.trim()).filter(Boolean))].sort(),
+    [entries]
+  );
+  const candidates = useMemo(() => selectStoryEntries(entries, { source: 'entries', entryIds: entries.map(entry => entry.id) }), [entries]);
+  const errors = validateStorySelection(selection, entries);
+  const matching = Object.keys(errors).length === 0 ? selectStoryEntries(entries, selection).length : 0;
+
+  const update = (field, value) => {
+    setSelection({ ...selection, [field]: value });
+    setDraft(null);
+  };
+
+  const toggleEntry = entryId => update(
+    'entryIds',
+    selection.entryIds.includes(entryId) ? selection.entryIds.filter(id => id !== entryId) : [...selection.entryIds, entryId]
+  );
+
+  const handleWeave = async () => {
+    if (Object.keys(errors).length > 0) {
+      setShowErrors(true);
+      return;
+    }
+    setBusy(true);
+    try {
+      setDraft(await weaveStoryDraft(provider, entries, selection));
+    } catch (err) {
+      console.error("Error weaving story:", err);
+      onFeedback(`Could not draft the story: ${err.message}`, 'error');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const fieldClass = field => `${INPUT_CLASS} ${showErrors && errors[field] ? 'border-red-400' : 'border-gray-300'}`;
+  const fieldError = field => showErrors && errors[field] && (
+    <p className="text-xs text-red-600 mt-1">{errors[field]}</p>
+  );
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm p-6">
+      <h3 className="text-xl font-semibold text-gray-800 mb-2 flex items-center space-x-2">
+        <BookOpen className="w-5 h-5 text-purple-600" />
+        <span>Story Weaving</span>
+      </h3>
+      <p className="text-sm text-gray-600 mb-4">
+        Draft a chapter or a summary from several memories. The draft cites the entries it draws on, and you can edit it before saving it as a reflection.
+      </p>
+
+      <div className="space-y-4">
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+          <div>
+            <label htmlFor="storySource" className="block text-sm font-medium text-gray-700 mb-1">Weave from</label>
+            <select id="storySource" value={selection.source} onChange={e => update('source', e.target.value)} className={`${INPUT_CLASS} border-gray-300 bg-white`}>
+              {STORY_SOURCES.map(source => <option key={source.value} value={source.value}>{source.label}</option>)}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="storyKind" className="block text-sm font-medium text-gray-700 mb-1">Draft a</label>
+            <select id="storyKind" value={selection.kind} onChange={e => update('kind', e.target.value)} className={`${INPUT_CLASS} border-gray-300 bg-white`}>
+              {STORY_KINDS.map(kind => <option key={kind.value} value={kind.value}>{kind.label}</option>)}
+            </select>
+          </div>
+        </div>
+
+        {selection.source === 'years' && (
+          <div>
+            <span className="block text-sm font-medium text-gray-700 mb-1">Years</span>
+            <div className="flex items-center space-x-2">
+              <input
+                type="number"
+                value={selection.fromYear}
+                onChange={e => update('fromYear', e.target.value)}
+                className={fieldClass('fromYear')}
+                placeholder="From"
+                aria-label="From year"
+              />
+              <span className="text-gray-500">to</span>
+              <input
+                type="number"
+                value={selection.toYear}
+                onChange={e => update('toYear', e.target.value)}
+                className={fieldClass('toYear')}
+                placeholder="(same year)"
+                aria-label="To year"
+              />
+            </div>
+            {fieldError('fromYear')}
+            {fieldError('toYear')}
+          </div>
+        )}
+
+        {selection.source === 'tag' && (
+          <div>
+            <label htmlFor="storyTag" className="block text-sm font-medium text-gray-700 mb-1">Tag</label>
+            <select id="storyTag" value={selection.tag} onChange={e => update('tag', e.target.value)} className={`${fieldClass('tag')} bg-white`}>
+              <option value="">Choose...</option>
+              {tags.map(tag => <option key={tag} value={tag}>{tag}</option>)}
+            </select>
+            {fieldError('tag')}
+          </div>
+        )}
+
+        {selection.source === 'entries' && (
+          <div className={`border rounded-lg max-h-56 overflow-y-auto divide-y ${showErrors && errors.entryIds ? 'border-red-400' : 'border-gray-200'}`}>
+            {candidates.map(entry => (
+              <label key={entry.id} className="flex items-center space-x-3 px-3 py-2 text-sm hover:bg-purple-50 cursor-pointer">
+                <input type="checkbox" checked={selection.entryIds.includes(entry.id)} onChange={() => toggleEntry(entry.id)} />
+                <span className="flex-1 text-gray-800 truncate">{entry.title}</span>
+                <span className="text-xs text-gray-500">{entry.date}</span>
+              </label>
+            ))}
+          </div>
+        )}
+        {fieldError('entryIds')}
+
+        <div>
+          <label htmlFor="storyTitle" className="block text-sm font-medium text-gray-700 mb-1">Title (optional)</label>
+          <input
+            id="storyTitle"
+            type="text"
+            value={selection.title}
+            onChange={e => update('title', e.target.value)}
+            className={`${INPUT_CLASS} border-gray-300`}
+            placeholder="e.g., The College Years"
+          />
+        </div>
+
+        <div className="flex items-center justify-between">
+          <span className="text-sm text-gray-500">
+            {matching > 0 && `${matching} ${matching === 1 ? 'entry' : 'entries'} selected`}
+          </span>
+          <button
+            onClick={handleWeave}
+            disabled={busy}
+            className="px-4 py-2 bg-purple-500 text-white rounded-lg hover:bg-purple-600 transition-colors shadow-md flex items-center space-x-2 disabled:opacity-50"
+          >
+            {busy ? <Loader2 className="w-4 h-4 animate-spin" /> : draft ? <RefreshCw className="w-4 h-4" /> : <BookOpen className="w-4 h-4" />}
+            <span>{busy ? 'Weaving...' : draft ? 'Weave Again' : 'Weave Draft'}</span>
+          </button>
+        </div>
+      </div>
+
+      {draft && (
+        <div className="mt-6 border border-purple-200 rounded-xl p-4 bg-purple-50">
+          <div className="flex justify-between items-start mb-2 gap-3">
+            <h4 className="text-lg font-semibold text-gray-800">{draft.title}</h4>
+            <button
+              onClick={() => onUseDraft(draft)}
+              className="px-3 py-1.5 bg-purple-500 text-white rounded-lg hover:bg-purple-600 text-sm flex items-center space-x-1 flex-shrink-0"
+            >
+              <Edit3 className="w-4 h-4" /> <span>Edit & Save as Reflection</span>
+            </button>
+          </div>
+          <MarkdownContent source={draft.content} className="text-gray-700" />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default StoryWeaver;
@@ -0,0 +1,63 @@
+// --- Accounts ---
+// New visitors start with an anonymous Firebase account. Upgrading links an email or
+// Google credential to that same account, so the uid (and everything stored under
+// artifacts/{appId}/users/{uid}) stays the same. Signing in to a different existing
+// account is a separate action and does not move any data.
+
+import {
+  EmailAuthProvider, GoogleAuthProvider, linkWithCredential, linkWithPopup, signInWithEmailAndPassword,
+  createUserWithEmailAndPassword, signInWithPopup, signOut, updateProfile
+} from 'firebase/auth';
+import { doc, setDoc } from 'firebase/firestore';
+
+export const profilePath = (appId, userId) => `artifacts/${appId}/users/${userId}/profile`;
+
+// Readable messages for the auth errors users are likely to hit
+const AUTH_ERROR_MESSAGES = {
+  'auth/email-already-in-use': 'That email already has an account. Sign in instead.',
+  'auth/credential-already-in-use': 'That account already exists. Sign in to it instead (your guest entries will stay with this guest account).',
+  'auth/provider-already-linked': 'Your account is already linked to this sign-in method.',
+  'auth/invalid-email': 'Please enter a valid email address.',
+  'auth/weak-password': 'Passwords must be at least 6 characters.',
+  'auth/wrong-password': 'Incorrect email or password.',
+  'auth/invalid-credential': 'Incorrect email or password.',
+  'auth/user-not-found': 'Incorrect email or password.',
+  'auth/popup-closed-by-user': 'The sign-in window was closed before finishing.'
+};
+
+export const describeAuthError = (err) => AUTH_ERROR_MESSAGES[err && err.code] || (err && err.message) || 'Something went wrong.';
+
+// Upgrades the current (anonymous) user with an email/password credential.
+// A signed-out visitor gets a brand new account instead.
+export const upgradeWithEmail = async (auth, email, password) => {
+  const user = auth.currentUser;
+  if (user && user.isAnonymous) {
+    const credential = EmailAuthProvider.credential(email.trim(), password);
+    return (await linkWithCredential(user, credential)).user;
+  }
+  return (await createUserWithEmailAndPassword(auth, email.trim(), password)).user;
+};
+
+export const upgradeWithGoogle = async (auth) => {
+  const provider = new GoogleAuthProvider();
+  const user = auth.currentUser;
+  if (user && user.isAnonymous) {
+    return (await linkWithPopup(user, provider)).user;
+  }
+  return (await signInWithPopup(auth, provider)).user;
+};
+
+// Sign in to an existing account (switches to that account's uid)
+export const signInWithEmail = async (auth, email, password) => (await signInWithEmailAndPassword(auth, email.trim(), password)).user;
+export const signInWithGoogle = async (auth) => (await signInWithPopup(auth, new GoogleAuthProvider())).user;
+
+export const signOutUser = (auth) => signOut(auth);
+
+// Saves the display name on the auth user and on the profile document
+export const saveProfile = async (auth, db, appId, userId, { displayName }) => {
+  const name = (displayName || '').trim();
+  if (!name) throw new Error('Display name cannot be empty.');
+  if (auth.currentUser) await updateProfile(auth.currentUser, { displayName: name });
+  await setDoc(doc(db, profilePath(appId, userId), 'main'), { displayName: name, updatedAt: new Date() }, { merge: true });
+  return name;
+};
@@ -0,0 +1,259 @@
+// --- Backup & Restore ---
+// A versioned JSON archive of a user's data collections. Timestamps are tagged
+// so they survive the round trip, and uploaded media is listed by reference (the
+// files stay in storage; the archive keeps their URLs).
+//
+// {
+//   format: 'my-living-story-backup', version: 2, exportedAt, appId, sourceUserId,
+//   collections: { entries: [...], timelineEvents: [...], aiQuestions: [...], photoRequests: [...], people: [...] },
+//   media: [{ entryId, url, path, thumbnailUrl, kind, contentType }]
+// }
+//
+// Version 2 added `people`; version 1 archives simply have none.
+
+import { collection, doc, writeBatch } from 'firebase/firestore';
+
+export const ARCHIVE_FORMAT = 'my-living-story-backup';
+export const ARCHIVE_VERSION = 2;
+export const BACKUP_COLLECTIONS = ['entries', 'timelineEvents', 'aiQuestions', 'photoRequests', 'people'];
+
+// The archive version each collection first appeared in, when later than 1
+const COLLECTION_VERSIONS = { people: 2 };
+
+const BATCH_LIMIT = 450; // Firestore allows 500 writes per batch
+
+// --- Serialization ---
+
+const isTimestamp = value => value && typeof value.toDate === 'function';
+
+// Converts Firestore values to JSON-safe ones, tagging dates
+export const serializeValue = (value) => {
+  if (value instanceof Date) return { __type: 'timestamp', value: value.toISOString() };
+  if (isTimestamp(value)) return { __type: 'timestamp', value: value.toDate().toISOString() };
+  if (Array.isArray(value)) return value.map(serializeValue);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, serializeValue(v)]));
+  }
+  return value;
+};
+
+export const deserializeValue = (value) => {
+  if (Array.isArray(value)) return value.map(deserializeValue);
+  if (value && typeof value === 'object') {
+    if (value.__type === 'timestamp') return new Date(value.value);
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, deserializeValue(v)]));
+  }
+  return value;
+};
+
+// `data` maps collection name → array of documents ({ id, ...fields })
+export const createArchive = (data, { appId, userId }) => {
+  const collections = {};
+  BACKUP_COLLECTIONS.forEach((name) => {
+    collections[name] = (data[name] || []).map(serializeValue);
+  });
+  const media = (data.entries || []).flatMap(entry => (entry.media || []).map(item => ({
+    entryId: entry.id,
+    url: item.url,
+    path: item.path || null,
+    thumbnailUrl: item.thumbnailUrl || null,
+    kind: item.kind || null,
+    contentType: item.contentType || null
+  })));
+  return {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    exportedAt: new Date().toISOString(),
+    appId,
+    sourceUserId: userId,
+    collections,
+    media
+  };
+};
+
+// --- Validation ---
+
+// Returns { valid, errors, warnings, counts }
+export const validateArchive = (archive) => {
+  const errors = [];
+  const warnings = [];
+  const counts = {};
+
+  if (!archive || typeof archive !== 'object') {
+    return { valid: false, errors: ['The file is not a backup archive.'], warnings, counts };
+  }
+  if (archive.format !== ARCHIVE_FORMAT) errors.push('The file is not a My Living Story backup.');
+  if (typeof archive.version !== 'number') {
+    errors.push('The backup has no version.');
+  } else if (archive.version > ARCHIVE_VERSION) {
+    errors.push(`This backup was made by a newer version of the app (v${archive.version}).`);
+  }
+  if (!archive.collections || typeof archive.collections !== 'object') {
+    errors.push('The backup has no collections.');
+    return { valid: false, errors, warnings, counts };
+  }
+
+  BACKUP_COLLECTIONS.forEach((name) => {
+    const docs = archive.collections[name];
+    if (docs === undefined) {
+      // Older archives cannot have collections added after them
+      if (archive.version >= (COLLECTION_VERSIONS[name] || 1)) warnings.push(`The backup has no ${name}.`);
+      counts[name] = 0;
+      return;
+    }
+    if (!Array.isArray(docs)) {
+      errors.push(`"${name}" must be a list.`);
+      return;
+    }
+    const ids = new Set();
+    docs.forEach((d, index) => {
+      if (!d || typeof d !== 'object' || typeof d.id !== 'string' || !d.id) {
+        errors.push(`${name} #${index + 1} has no id.`);
+      } else if (ids.has(d.id)) {
+        warnings.push(`${name} contains "${d.id}" more than once; the last copy wins.`);
+      } else {
+        ids.add(d.id);
+      }
+    });
+    if (name === 'entries') {
+      docs.forEach((d) => {
+        if (d && d.id && (!d.title || !d.content)) warnings.push(`Entry "${d.id}" is missing a title or content.`);
+      });
+    }
+    counts[name] = ids.size;
+  });
+
+  Object.keys(archive.collections)
+    .filter(name => !BACKUP_COLLECTIONS.includes(name))
+    .forEach(name => warnings.push(`Ignoring unknown collection "${name}".`));
+
+  return { valid: errors.length === 0, errors, warnings, counts };
+};
+
+// --- Restore planning ---
+
+// Fields that change on every save and should not count as a conflict
+const VOLATILE_FIELDS = ['timestamp'];
+
+// JSON with sorted keys at every level, so field order does not matter
+const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const comparable = (d) => {
+  const copy = { ...serializeValue(d) };
+  VOLATILE_FIELDS.forEach(field => delete copy[field]);
+  return stableStringify(copy);
+};
+
+const timeOf = (d) => {
+  const value = d.timestamp || d.answeredAt || d.requestedAt || d.createdAt;
+  if (!value) return 0;
+  return (isTimestamp(value) ? value.toDate() : new Date(value)).getTime() || 0;
+};
+
+// Restored media still points at the source account's files; without the storage
+// paths, deleting the restored entry never tries to remove someone else's files.
+export const detachForeignMedia = (entry) => ({
+  ...entry,
+  media: (entry.media || []).map(item => ({ ...item, path: null, thumbnailPath: null }))
+});
+
+// Works out what a restore would do, without writing anything.
+//   mode: 'merge' keeps existing data, 'replace' makes the account match the archive
+//   conflictStrategy (merge only): 'keep-existing', 'use-archive' or 'newest'
+// Returns { writes, deletes, conflicts, unchanged, summary }
+export const planRestore = (archive, current, { mode = 'merge', conflictStrategy = 'keep-existing', userId = null } = {}) => {
+  const writes = [];
+  const deletes = [];
+  const conflicts = [];
+  let unchanged = 0;
+  const foreign = archive.sourceUserId && userId && archive.sourceUserId !== userId;
+
+  BACKUP_COLLECTIONS.forEach((name) => {
+    // De-duplicate archived docs by id (last copy wins)
+    const archived = new Map();
+    (archive.collections[name] || []).forEach((d) => {
+      if (d && d.id) archived.set(d.id, deserializeValue(d));
+    });
+    const existing = new Map((current[name] || []).map(d => [d.id, d]));
+
+    archived.forEach((archivedDoc, id) => {
+      const restoredDoc = name === 'entries' && foreign ? detachForeignMedia(archivedDoc) : archivedDoc;
+      const existingDoc = existing.get(id);
+      if (!existingDoc) {
+        writes.push({ collection: name, id, data: restoredDoc });
+      } else if (comparable(existingDoc) === comparable(archivedDoc)) {
+        unchanged++;
+      } else if (mode === 'replace') {
+        writes.push({ collection: name, id, data: restoredDoc });
+      } else {
+        const archiveIsNewer = timeOf(archivedDoc) > timeOf(existingDoc);
+        const useArchive = conflictStrategy === 'use-archive' || (conflictStrategy === 'newest' && archiveIsNewer);
+        conflicts.push({
+          collection: name,
+          id,
+          title: archivedDoc.title || archivedDoc.question || archivedDoc.location || id,
+          resolution: useArchive ? 'archive' : 'existing'
+        });
+        if (useArchive) writes.push({ collection: name, id, data: restoredDoc });
+      }
+    });
+
+    // A collection the archive does not have (e.g. people in a version 1 archive) is
+    // left alone rather than emptied
+    if (mode === 'replace' && archive.collections[name] !== undefined) {
+      existing.forEach((_, id) => {
+        if (!archived.has(id)) deletes.push({ collection: name, id });
+      });
+    }
+  });
+
+  return {
+    writes,
+    deletes,
+    conflicts,
+    unchanged,
+    summary: {
+      added: writes.filter(w => !(current[w.collection] || []).some(d => d.id === w.id)).length,
+      overwritten: writes.filter(w => (current[w.collection] || []).some(d => d.id === w.id)).length,
+      deleted: deletes.length,
+      conflicts: conflicts.length,
+      unchanged
+    }
+  };
+};
+
+// Applies a plan in batches
+export const applyRestore = async (db, appId, userId, plan) => {
+  const operations = [
+    ...plan.deletes.map(op => ({ ...op, type: 'delete' })),
+    ...plan.writes.map(op => ({ ...op, type: 'set' }))
+  ];
+  for (let i = 0; i < operations.length; i += BATCH_LIMIT) {
+    const batch = writeBatch(db);
+    operations.slice(i, i + BATCH_LIMIT).forEach((op) => {
+      const ref = doc(collection(db, `artifacts/${appId}/users/${userId}/${op.collection}`), op.id);
+      if (op.type === 'delete') {
+        batch.delete(ref);
+      } else {
+        const { id, ...data } = op.data; // The id is the document name, not a field
+        batch.set(ref, data);
+      }
+    });
+    await batch.commit();
+  }
+  return operations.length;
+};
+
+export const readArchiveFile = async (file) => {
+  try {
+    return JSON.parse(await file.text());
+  } catch (err) {
+    throw new Error('The file is not valid JSON.');
+  }
+};
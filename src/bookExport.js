@@ -0,0 +1,383 @@
+// --- Book Export ---
+// Compiles entries into a book (chapters by year or by decade) and renders it as
+// Markdown, printable HTML (print to PDF from the browser) or EPUB 3.
+
+import { parseEntryDate, MONTH_NAMES } from './timeline';
+import { createZip } from './zip';
+import { stripMentions } from './people';
+import { entryMarkdown, markdownToHtml, inlineImageUrls, shiftHeadings } from './markdown';
+
+export const EXPORT_FORMATS = {
+  markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown' },
+  html: { label: 'Printable HTML', extension: 'html', mimeType: 'text/html' },
+  pdf: { label: 'PDF (via print dialog)', extension: 'pdf', mimeType: 'application/pdf' },
+  epub: { label: 'EPUB e-book', extension: 'epub', mimeType: 'application/epub+zip' }
+};
+
+export const DEFAULT_EXPORT_OPTIONS = {
+  title: 'My Living Story',
+  author: '',
+  groupBy: 'year', // 'year' or 'period' (decades)
+  privacyLevels: ['private', 'friends', 'public'],
+  types: ['personal', 'event', 'reflection'],
+  chapterKeys: null, // null means every chapter
+  includeQuestions: false
+};
+
+const UNDATED_KEY = 'undated';
+
+const chapterFor = (entry, groupBy) => {
+  const parsed = parseEntryDate(entry.date);
+  if (!parsed) return { key: UNDATED_KEY, title: 'Undated Memories', sortKey: Infinity };
+  if (groupBy === 'period') {
+    const decade = Math.floor(parsed.year / 10) * 10;
+    return { key: `${decade}s`, title: `The ${decade}s`, sortKey: decade };
+  }
+  return { key: `${parsed.year}`, title: `${parsed.year}`, sortKey: parsed.year };
+};
+
+// Human-readable entry date, respecting year-only dates
+export const formatEntryDate = (entry) => {
+  const parsed = parseEntryDate(entry.date);
+  if (!parsed) return '';
+  if (entry.datePrecision === 'year' || parsed.month === null) return `${parsed.year}`;
+  return parsed.day ? `${MONTH_NAMES[parsed.month]} ${parsed.day}, ${parsed.year}` : `${MONTH_NAMES[parsed.month]} ${parsed.year}`;
+};
+
+const matchesOptions = (entry, options) => (
+  options.privacyLevels.includes(entry.privacy || 'private') && options.types.includes(entry.type || 'personal')
+);
+
+// Chapters available for the current privacy/type selection, for the chapter picker
+export const listChapters = (entries, options = DEFAULT_EXPORT_OPTIONS) => {
+  const chapters = new Map();
+  entries.filter(entry => matchesOptions(entry, options)).forEach((entry) => {
+    const chapter = chapterFor(entry, options.groupBy);
+    if (!chapters.has(chapter.key)) chapters.set(chapter.key, { ...chapter, count: 0 });
+    chapters.get(chapter.key).count++;
+  });
+  return Array.from(chapters.values()).sort((a, b) => a.sortKey - b.sortKey);
+};
+
+// Builds { title, author, chapters: [{ key, title, entries, questions }] } in chronological order
+export const compileBook = (entries, aiQuestions = [], userOptions = {}) => {
+  const options = { ...DEFAULT_EXPORT_OPTIONS, ...userOptions };
+  const chapters = new Map();
+
+  const selected = entries
+    .filter(entry => matchesOptions(entry, options))
+    .filter(entry => !options.chapterKeys || options.chapterKeys.includes(chapterFor(entry, options.groupBy).key))
+    .sort((a, b) => (a.date || '').localeCompare(b.date || ''));
+
+  selected.forEach((entry) => {
+    const chapter = chapterFor(entry, options.groupBy);
+    if (!chapters.has(chapter.key)) chapters.set(chapter.key, { ...chapter, entries: [], questions: [] });
+    chapters.get(chapter.key).entries.push({ ...entry, questions: [] });
+  });
+
+  // Answered questions that were not already turned into entries
+  if (options.includeQuestions) {
+    aiQuestions.filter(q => q.answered && q.answer && !q.entryId).forEach((question) => {
+      const relatedChapter = Array.from(chapters.values()).find(chapter => chapter.entries.some(e => e.id === question.relatedEntry));
+      if (relatedChapter) {
+        relatedChapter.entries.find(e => e.id === question.relatedEntry).questions.push(question);
+      } else if (question.year) {
+        const chapter = chapterFor({ date: `${question.year}` }, options.groupBy);
+        if (chapters.has(chapter.key)) chapters.get(chapter.key).questions.push(question);
+      }
+    });
+  }
+
+  return {
+    title: options.title || DEFAULT_EXPORT_OPTIONS.title,
+    author: options.author || '',
+    chapters: Array.from(chapters.values()).sort((a, b) => a.sortKey - b.sortKey)
+  };
+};
+
+export const escapeHtml = (text = '') => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Splits media into images (embedded) and videos (linked), using the uploaded
+// media items where available to tell them apart. Images already placed inline in
+// the text are left out of `images` so they are not shown twice.
+const entryMedia = (entry) => {
+  const videoUrls = new Set((entry.media || []).filter(item => item.kind === 'video').map(item => item.url));
+  const urls = entry.mediaUrls || [];
+  const inline = new Set(inlineImageUrls(entryMarkdown(entry)));
+  return {
+    images: urls.filter(url => !videoUrls.has(url) && !inline.has(url)),
+    videos: urls.filter(url => videoUrls.has(url)),
+    isImage: url => urls.includes(url) && !videoUrls.has(url)
+  };
+};
+
+// Entry text as Markdown with mentions turned into plain names
+const entrySource = entry => stripMentions(entryMarkdown(entry));
+
+const entryMeta = (entry) => [
+  formatEntryDate(entry),
+  entry.location,
+  entry.tags && entry.tags.length ? entry.tags.map(tag => `#${tag}`).join(' ') : ''
+].filter(Boolean);
+
+// --- Markdown ---
+
+export const toMarkdown = (book) => {
+  const lines = [`# ${book.title}`, ''];
+  if (book.author) lines.push(`*by ${book.author}*`, '');
+
+  book.chapters.forEach((chapter) => {
+    lines.push(`## ${chapter.title}`, '');
+    chapter.entries.forEach((entry) => {
+      lines.push(`### ${entry.title}`, '');
+      const meta = entryMeta(entry);
+      if (meta.length) lines.push(`*${meta.join(' · ')}*`, '');
+      const { images, videos } = entryMedia(entry);
+      images.forEach(url => lines.push(`![${entry.title}](${url})`, ''));
+      videos.forEach(url => lines.push(`[Video](${url})`, ''));
+      // Entry headings sit below the entry's own ### heading
+      lines.push(shiftHeadings(entrySource(entry), 3).trim(), '');
+      entry.questions.forEach(q => lines.push(`> **${q.question}**`, '>', `> ${q.answer}`, ''));
+    });
+    chapter.questions.forEach(q => lines.push(`**${q.question}**`, '', q.answer, ''));
+  });
+
+  return lines.join('\n');
+};
+
+// --- HTML / XHTML ---
+
+// Renders one chapter's body. `imageSrc` maps a media URL to what the document
+// should reference (the URL itself, or a packaged file inside an EPUB).
+const chapterBodyHtml = (chapter, imageSrc = url => url) => {
+  const parts = [`<h2>${escapeHtml(chapter.title)}</h2>`];
+  chapter.entries.forEach((entry) => {
+    parts.push('<section class="entry">', `<h3>${escapeHtml(entry.title)}</h3>`);
+    const meta = entryMeta(entry);
+    if (meta.length) parts.push(`<p class="meta">${escapeHtml(meta.join(' · '))}</p>`);
+    const { images, videos, isImage } = entryMedia(entry);
+    images.forEach((url) => {
+      const src = imageSrc(url);
+      if (src) parts.push(`<figure><img src="${escapeHtml(src)}" alt="${escapeHtml(entry.title)}"/></figure>`);
+    });
+    videos.forEach(url => parts.push(`<p><a href="${escapeHtml(url)}">Watch video</a></p>`));
+    // Only the entry's own images can appear inline; anything else shows its caption
+    parts.push(markdownToHtml(entrySource(entry), url => (isImage(url) ? imageSrc(url) : null)));
+    entry.questions.forEach(q => parts.push(
+      `<blockquote><p class="question">${escapeHtml(q.question)}</p><p>${escapeHtml(q.answer)}</p></blockquote>`
+    ));
+    parts.push('</section>');
+  });
+  chapter.questions.forEach(q => parts.push(
+    `<blockquote><p class="question">${escapeHtml(q.question)}</p><p>${escapeHtml(q.answer)}</p></blockquote>`
+  ));
+  return parts.join('\n');
+};
+
+const BOOK_CSS = `
+body { font-family: Georgia, 'Times New Roman', serif; line-height: 1.6; color: #1f2937; max-width: 40em; margin: 2em auto; padding: 0 1em; }
+h1 { text-align: center; font-size: 2.5em; margin-top: 3em; }
+.author { text-align: center; font-style: italic; }
+h2 { font-size: 1.8em; border-bottom: 1px solid #d1d5db; padding-bottom: 0.3em; }
+h3 { font-size: 1.3em; margin-bottom: 0.2em; }
+.meta { color: #6b7280; font-style: italic; margin-top: 0; }
+figure { margin: 1em 0; text-align: center; }
+img { max-width: 100%; max-height: 24em; }
+blockquote { border-left: 3px solid #a78bfa; margin: 1em 0; padding-left: 1em; color: #374151; }
+.question { font-weight: bold; }
+.chapter { page-break-before: always; }
+@media print { body { margin: 0; } }
+`.trim();
+
+export const toHtml = (book) => [
+  '<!DOCTYPE html>',
+  '<html lang="en">',
+  '<head>',
+  '<meta charset="utf-8"/>',
+  `<title>${escapeHtml(book.title)}</title>`,
+  `<style>${BOOK_CSS}</style>`,
+  '</head>',
+  '<body>',
+  `<h1>${escapeHtml(book.title)}</h1>`,
+  book.author ? `<p class="author">by ${escapeHtml(book.author)}</p>` : '',
+  ...book.chapters.map(chapter => `<div class="chapter">\n${chapterBodyHtml(chapter)}\n</div>`),
+  '</body>',
+  '</html>'
+].join('\n');
+
+// --- EPUB ---
+
+const IMAGE_EXTENSIONS = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/gif': 'gif', 'image/webp': 'webp' };
+
+// EPUB readers only show packaged images, so media is downloaded into the book.
+// Images that cannot be fetched (offline, CORS) are left out.
+const fetchImages = async (book, fetchImpl) => {
+  const images = new Map();
+  const urls = Array.from(new Set(book.chapters.flatMap(c => c.entries.flatMap((entry) => {
+    const { isImage } = entryMedia(entry);
+    return (entry.mediaUrls || []).filter(isImage);
+  }))));
+  for (const url of urls) {
+    try {
+      const response = await fetchImpl(url);
+      if (!response.ok) continue;
+      const contentType = (response.headers.get('content-type') || '').split(';')[0];
+      const extension = IMAGE_EXTENSIONS[contentType];
+      if (!extension) continue;
+      images.set(url, {
+        href: `images/image-${images.size + 1}.${extension}`,
+        mediaType: contentType,
+        data: new Uint8Array(await response.arrayBuffer())
+      });
+    } catch (err) {
+      console.warn(`Could not include ${url} in the EPUB:`, err);
+    }
+  }
+  return images;
+};
+
+const xhtmlDocument = (title, body) => [
+  '<?xml version="1.0" encoding="utf-8"?>',
+  '<!DOCTYPE html>',
+  '<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" lang="en" xml:lang="en">',
+  '<head>',
+  `<title>${escapeHtml(title)}</title>`,
+  '<link rel="stylesheet" type="text/css" href="style.css"/>',
+  '</head>',
+  `<body>\n${body}\n</body>`,
+  '</html>'
+].join('\n');
+
+export const toEpub = async (book, { fetchImpl = (typeof fetch !== 'undefined' ? fetch : null) } = {}) => {
+  const images = fetchImpl ? await fetchImages(book, fetchImpl) : new Map();
+  const bookId = `urn:uuid:${typeof crypto !== 'undefined' && crypto.randomUUID ? crypto.randomUUID() : Date.now()}`;
+  const modified = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+
+  const chapterFiles = book.chapters.map((chapter, index) => ({
+    id: `chapter-${index + 1}`,
+    href: `chapter-${index + 1}.xhtml`,
+    title: chapter.title,
+    content: xhtmlDocument(chapter.title, chapterBodyHtml(chapter, url => (images.has(url) ? images.get(url).href : null)))
+  }));
+
+  const titlePage = xhtmlDocument(book.title, [
+    `<h1>${escapeHtml(book.title)}</h1>`,
+    book.author ? `<p class="author">by ${escapeHtml(book.author)}</p>` : ''
+  ].join('\n'));
+
+  const nav = xhtmlDocument('Contents', [
+    '<nav epub:type="toc" id="toc">',
+    '<h2>Contents</h2>',
+    '<ol>',
+    ...chapterFiles.map(file => `<li><a href="${file.href}">${escapeHtml(file.title)}</a></li>`),
+    '</ol>',
+    '</nav>'
+  ].join('\n'));
+
+  const opf = [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id">',
+    '<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">',
+    `<dc:identifier id="book-id">${bookId}</dc:identifier>`,
+    `<dc:title>${escapeHtml(book.title)}</dc:title>`,
+    book.author ? `<dc:creator>${escapeHtml(book.author)}</dc:creator>` : '',
+    '<dc:language>en</dc:language>',
+    `<meta property="dcterms:modified">${modified}</meta>`,
+    '</metadata>',
+    '<manifest>',
+    '<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>',
+    '<item id="title" href="title.xhtml" media-type="application/xhtml+xml"/>',
+    '<item id="style" href="style.css" media-type="text/css"/>',
+    ...chapterFiles.map(file => `<item id="${file.id}" href="${file.href}" media-type="application/xhtml+xml"/>`),
+    ...Array.from(images.values()).map((image, index) => `<item id="image-${index + 1}" href="${image.href}" media-type="${image.mediaType}"/>`),
+    '</manifest>',
+    '<spine>',
+    '<itemref idref="title"/>',
+    '<itemref idref="nav"/>',
+    ...chapterFiles.map(file => `<itemref idref="${file.id}"/>`),
+    '</spine>',
+    '</package>'
+  ].filter(Boolean).join('\n');
+
+  const container = [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">',
+    '<rootfiles><rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/></rootfiles>',
+    '</container>'
+  ].join('\n');
+
+  return createZip([
+    { name: 'mimetype', data: 'application/epub+zip' }, // Must be the first file
+    { name: 'META-INF/container.xml', data: container },
+    { name: 'OEBPS/content.opf', data: opf },
+    { name: 'OEBPS/nav.xhtml', data: nav },
+    { name: 'OEBPS/title.xhtml', data: titlePage },
+    { name: 'OEBPS/style.css', data: BOOK_CSS },
+    ...chapterFiles.map(file => ({ name: `OEBPS/${file.href}`, data: file.content })),
+    ...Array.from(images.values()).map(image => ({ name: `OEBPS/${image.href}`, data: image.data }))
+  ]);
+};
+
+// --- Delivery ---
+
+export const slugify = (text) => (text || 'my-living-story').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'my-living-story';
+
+export const downloadFile = (data, fileName, mimeType) => {
+  const blob = data instanceof Blob ? data : new Blob([data], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+// Opens the HTML book in a new window and brings up the print dialog ("Save as PDF")
+export const printHtml = (html) => {
+  const printWindow = window.open('', '_blank');
+  if (!printWindow) throw new Error('Please allow pop-ups to print your book.');
+  printWindow.document.open();
+  printWindow.document.write(html);
+  printWindow.document.close();
+  printWindow.focus();
+  // The written document has already loaded, so `onload` would never fire; print
+  // now, or once the photos still downloading have arrived
+  const pending = Array.from(printWindow.document.images).filter(image => !image.complete);
+  if (pending.length === 0) {
+    printWindow.print();
+    return;
+  }
+  let remaining = pending.length;
+  const settle = () => {
+    remaining -= 1;
+    if (remaining === 0) printWindow.print();
+  };
+  pending.forEach((image) => {
+    image.addEventListener('load', settle, { once: true });
+    image.addEventListener('error', settle, { once: true });
+  });
+};
+
+// Renders and delivers the book in the chosen format
+export const exportBook = async (book, format) => {
+  const { extension, mimeType } = EXPORT_FORMATS[format];
+  const fileName = `${slugify(book.title)}.${extension}`;
+  if (format === 'markdown') {
+    downloadFile(toMarkdown(book), fileName, mimeType);
+  } else if (format === 'html') {
+    downloadFile(toHtml(book), fileName, mimeType);
+  } else if (format === 'pdf') {
+    printHtml(toHtml(book));
+  } else if (format === 'epub') {
+    downloadFile(await toEpub(book), fileName, mimeType);
+  } else {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+};
@@ -0,0 +1,129 @@
+// --- Collaborative Comments ---
+// Comments live in a subcollection next to the entry's published copy, so friends
+// and public readers can comment on entries they are allowed to see:
+//
+//   artifacts/{appId}/shared/{ownerId}/entries/{entryId}/comments/{commentId}
+//
+// Each comment records its author's uid and display name. Likes are a `likedBy`
+// list of uids (one like per user) with `likes` kept as its length. Every
+// read-modify-write goes through a transaction so concurrent edits are not lost.
+
+import { collection, doc, addDoc, deleteDoc, getDocs, getCountFromServer, onSnapshot, orderBy, query, where, runTransaction, writeBatch } from 'firebase/firestore';
+
+export const MAX_COMMENT_LENGTH = 2000;
+export const MAX_AUTHOR_NAME_LENGTH = 100;
+
+export const commentsPath = (appId, ownerId, entryId) => `artifacts/${appId}/shared/${ownerId}/entries/${entryId}/comments`;
+
+const commentRef = (db, appId, ownerId, entryId, commentId) => doc(db, commentsPath(appId, ownerId, entryId), commentId);
+
+const cleanContent = (content) => {
+  const trimmed = (content || '').trim();
+  if (!trimmed) throw new Error('Comment cannot be empty.');
+  if (trimmed.length > MAX_COMMENT_LENGTH) throw new Error(`Comments are limited to ${MAX_COMMENT_LENGTH} characters.`);
+  return trimmed;
+};
+
+const toMillis = value => (value && typeof value.toDate === 'function' ? value.toDate() : new Date(value)).getTime();
+
+// Live comments for an entry as `viewerId` may see them, oldest first. The owner
+// gets every comment; others get the visible ones plus their own hidden ones, since
+// security rules refuse a query that could return someone else's hidden comment.
+// Returns the unsubscribe function.
+export const subscribeToComments = (db, appId, ownerId, entryId, viewerId, onChange, onError) => {
+  const comments = collection(db, commentsPath(appId, ownerId, entryId));
+  if (viewerId && viewerId === ownerId) {
+    return onSnapshot(
+      query(comments, orderBy('timestamp', 'asc')),
+      snapshot => onChange(snapshot.docs.map(d => ({ id: d.id, ...d.data() }))),
+      onError
+    );
+  }
+
+  // Sorted here rather than with orderBy so the queries need no composite index
+  const results = { visible: [], own: [] };
+  const publish = () => {
+    const byId = {};
+    [...results.visible, ...results.own].forEach((comment) => { byId[comment.id] = comment; });
+    onChange(Object.values(byId).sort((a, b) => toMillis(a.timestamp) - toMillis(b.timestamp)));
+  };
+  const listen = (key, constraint) => onSnapshot(
+    query(comments, constraint),
+    (snapshot) => {
+      results[key] = snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+      publish();
+    },
+    onError
+  );
+  const unsubscribes = [listen('visible', where('hidden', '==', false))];
+  if (viewerId) unsubscribes.push(listen('own', where('authorId', '==', viewerId)));
+  return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+};
+
+// Comment counts for several entries as { entryId: count }, counted by the server
+// without downloading the comments. Used by the entry list's "has comments" filter;
+// fetched when the list is shown rather than kept live.
+export const fetchCommentCounts = async (db, appId, ownerId, entryIds) => {
+  const counts = await Promise.all(entryIds.map(entryId => (
+    getCountFromServer(collection(db, commentsPath(appId, ownerId, entryId))).then(snapshot => snapshot.data().count)
+  )));
+  return Object.fromEntries(entryIds.map((entryId, index) => [entryId, counts[index]]));
+};
+
+export const addComment = (db, appId, ownerId, entryId, author, content) => addDoc(
+  collection(db, commentsPath(appId, ownerId, entryId)),
+  {
+    authorId: author.uid,
+    authorName: ((author.displayName || '').trim() || 'Anonymous').slice(0, MAX_AUTHOR_NAME_LENGTH),
+    content: cleanContent(content),
+    likedBy: [],
+    likes: 0,
+    hidden: false,
+    timestamp: new Date(),
+    editedAt: null
+  }
+);
+
+// Edits are limited to the comment's author
+export const editComment = (db, appId, ownerId, entryId, commentId, userId, content) => runTransaction(db, async (transaction) => {
+  const ref = commentRef(db, appId, ownerId, entryId, commentId);
+  const snap = await transaction.get(ref);
+  if (!snap.exists()) throw new Error('This comment no longer exists.');
+  if (snap.data().authorId !== userId) throw new Error('You can only edit your own comments.');
+  transaction.update(ref, { content: cleanContent(content), editedAt: new Date() });
+});
+
+// Adds or removes the user's single like. Resolves to true when the comment is now liked.
+export const toggleCommentLike = (db, appId, ownerId, entryId, commentId, userId) => runTransaction(db, async (transaction) => {
+  const ref = commentRef(db, appId, ownerId, entryId, commentId);
+  const snap = await transaction.get(ref);
+  if (!snap.exists()) throw new Error('This comment no longer exists.');
+  const likedBy = snap.data().likedBy || [];
+  const liked = likedBy.includes(userId);
+  const nextLikedBy = liked ? likedBy.filter(uid => uid !== userId) : [...likedBy, userId];
+  transaction.update(ref, { likedBy: nextLikedBy, likes: nextLikedBy.length });
+  return !liked;
+});
+
+// Owner moderation: hide a comment from readers without deleting it
+export const setCommentHidden = (db, appId, ownerId, entryId, commentId, hidden) => runTransaction(db, async (transaction) => {
+  const ref = commentRef(db, appId, ownerId, entryId, commentId);
+  const snap = await transaction.get(ref);
+  if (!snap.exists()) throw new Error('This comment no longer exists.');
+  transaction.update(ref, { hidden });
+});
+
+// Authors can delete their own comments; the entry owner can delete any comment
+export const deleteComment = (db, appId, ownerId, entryId, commentId) => deleteDoc(commentRef(db, appId, ownerId, entryId, commentId));
+
+// Removes a whole thread, used when the entry itself is deleted
+export const deleteEntryComments = async (db, appId, ownerId, entryId) => {
+  const snapshot = await getDocs(collection(db, commentsPath(appId, ownerId, entryId)));
+  if (snapshot.empty) return;
+  const batch = writeBatch(db);
+  snapshot.docs.forEach(d => batch.delete(d.ref));
+  await batch.commit();
+};
+
+export const canEditComment = (comment, userId) => Boolean(userId) && comment.authorId === userId;
+export const canDeleteComment = (comment, userId, ownerId) => Boolean(userId) && (comment.authorId === userId || ownerId === userId);
@@ -0,0 +1,183 @@
+// --- Story Coverage ---
+// Measures how well each year and each period of a life is written about, so the
+// thin stretches can be filled in. Periods are the user's own life-stage markers
+// ("College", "Living in Ohio") when there are any, otherwise stages derived from
+// the birth year (childhood, teenage years, each decade of adulthood).
+//
+// Both live on the profile document:
+//   { birthYear, lifeStages: [{ id, label, fromYear, toYear }] }
+
+import { doc, setDoc } from 'firebase/firestore';
+
+import { profilePath } from './account';
+import { parseEntryDate } from './timeline';
+import { formatTimeframe } from './photoRequests';
+import { makeQuestion } from './questionGenerator';
+
+export const MIN_BIRTH_YEAR = 1900;
+export const EMPTY_LIFE_STAGE = { label: '', fromYear: '', toYear: '' };
+
+// Stages by age, used when the user has not marked any of their own
+const AGE_STAGES = [
+  { label: 'Your early childhood', fromAge: 0, toAge: 5 },
+  { label: 'Your childhood', fromAge: 6, toAge: 12 },
+  { label: 'Your teenage years', fromAge: 13, toAge: 19 },
+  { label: 'Your twenties', fromAge: 20, toAge: 29 },
+  { label: 'Your thirties', fromAge: 30, toAge: 39 },
+  { label: 'Your forties', fromAge: 40, toAge: 49 },
+  { label: 'Your fifties', fromAge: 50, toAge: 59 },
+  { label: 'Your sixties', fromAge: 60, toAge: 69 },
+  { label: 'Your seventies', fromAge: 70, toAge: 79 },
+  { label: 'Your eighties', fromAge: 80, toAge: 89 },
+  { label: 'Your nineties and beyond', fromAge: 90, toAge: 130 }
+];
+
+// Entry counts at which a year moves up a shade on the heatmap (levels 1–4)
+const LEVEL_THRESHOLDS = [1, 2, 4, 8];
+
+// A period counts as weak when fewer than this share of its years have an entry
+const WEAK_COVERAGE = 0.5;
+
+const parseYear = value => (/^\d{4}$/.test(String(value).trim()) ? Number(value) : null);
+
+export const coverageLevel = count => LEVEL_THRESHOLDS.filter(threshold => count >= threshold).length;
+
+// Problems with a birth year and stage list as { field: message }, where stage
+// fields are `stage-<index>`; empty when the outline can be saved
+export const validateLifeOutline = ({ birthYear, lifeStages = [] }, currentYear = new Date().getFullYear()) => {
+  const errors = {};
+  const birth = String(birthYear || '').trim() ? parseYear(birthYear) : null;
+  if (String(birthYear || '').trim() && (birth === null || birth < MIN_BIRTH_YEAR || birth > currentYear)) {
+    errors.birthYear = `Enter a year between ${MIN_BIRTH_YEAR} and ${currentYear}, or leave it empty.`;
+  }
+  lifeStages.forEach((stage, index) => {
+    const fromYear = parseYear(stage.fromYear);
+    const toYear = String(stage.toYear || '').trim() ? parseYear(stage.toYear) : currentYear;
+    if (!(stage.label || '').trim()) errors[`stage-${index}`] = 'Give the stage a name.';
+    else if (fromYear === null || fromYear > currentYear) errors[`stage-${index}`] = 'Enter the year it began.';
+    else if (toYear === null || toYear < fromYear) errors[`stage-${index}`] = `The end year must be ${fromYear} or later; leave it empty if it is ongoing.`;
+  });
+  return errors;
+};
+
+export const saveLifeOutline = (db, appId, userId, { birthYear, lifeStages = [] }) => {
+  const errors = Object.values(validateLifeOutline({ birthYear, lifeStages }));
+  if (errors.length > 0) throw new Error(errors[0]);
+  return setDoc(
+    doc(db, profilePath(appId, userId), 'main'),
+    {
+      birthYear: parseYear(birthYear),
+      lifeStages: lifeStages.map((stage, index) => ({
+        id: stage.id || `stage-${Date.now()}-${index}`,
+        label: stage.label.trim(),
+        fromYear: Number(stage.fromYear),
+        toYear: String(stage.toYear || '').trim() ? Number(stage.toYear) : null // null while ongoing
+      })),
+      updatedAt: new Date()
+    },
+    { merge: true }
+  );
+};
+
+// The periods coverage is measured over, oldest first: the user's stages, or the
+// age stages up to this year when only a birth year is known
+export const lifePeriods = ({ birthYear = null, lifeStages = [] } = {}, currentYear = new Date().getFullYear()) => {
+  if (lifeStages.length > 0) {
+    return lifeStages
+      .map(stage => ({ id: stage.id, label: stage.label, fromYear: stage.fromYear, toYear: stage.toYear || currentYear }))
+      .sort((a, b) => a.fromYear - b.fromYear);
+  }
+  if (!birthYear) return [];
+  return AGE_STAGES
+    .filter(stage => birthYear + stage.fromAge <= currentYear)
+    .map(stage => ({
+      id: `age-${stage.fromAge}`,
+      label: stage.label,
+      fromYear: birthYear + stage.fromAge,
+      toYear: Math.min(birthYear + stage.toAge, currentYear)
+    }));
+};
+
+// Coverage of a whole story:
+//   { years: [{ year, count, level }], periods: [{ ...period, count, coveredYears, coverage, weak }],
+//     gaps: [{ from, to }] }
+// Years run from the birth year (or the first dated entry) to this year (or the
+// last dated entry when no birth year is known).
+export const analyzeCoverage = (entries, outline = {}, currentYear = new Date().getFullYear()) => {
+  const counts = {};
+  entries.forEach((entry) => {
+    const parsed = parseEntryDate(entry.date);
+    if (parsed) counts[parsed.year] = (counts[parsed.year] || 0) + 1;
+  });
+  const entryYears = Object.keys(counts).map(Number);
+  const periods = lifePeriods(outline, currentYear);
+  const starts = [outline.birthYear, ...periods.map(period => period.fromYear), ...entryYears].filter(Boolean);
+  if (starts.length === 0) return { years: [], periods: [], gaps: [] };
+  const fromYear = Math.min(...starts);
+  const toYear = (outline.birthYear || periods.length > 0) ? currentYear : Math.max(...entryYears);
+
+  const years = [];
+  for (let year = fromYear; year <= toYear; year++) {
+    const count = counts[year] || 0;
+    years.push({ year, count, level: coverageLevel(count) });
+  }
+
+  const gaps = [];
+  years.forEach(({ year, count }) => {
+    if (count > 0) return;
+    const last = gaps[gaps.length - 1];
+    if (last && last.to === year - 1) last.to = year;
+    else gaps.push({ from: year, to: year });
+  });
+
+  return {
+    years,
+    gaps,
+    periods: periods.map((period) => {
+      const span = years.filter(({ year }) => year >= period.fromYear && year <= period.toYear);
+      const coveredYears = span.filter(({ count }) => count > 0).length;
+      const coverage = span.length > 0 ? coveredYears / span.length : 0;
+      return {
+        ...period,
+        count: span.reduce((sum, { count }) => sum + count, 0),
+        coveredYears,
+        coverage,
+        weak: coverage < WEAK_COVERAGE
+      };
+    })
+  };
+};
+
+// The thinnest stretches of the story, worst first: weak periods when there are
+// periods, otherwise the longest runs of years without entries
+export const weakestPeriods = (coverage, max = 3) => {
+  if (coverage.periods.length > 0) {
+    return coverage.periods
+      .filter(period => period.weak)
+      .sort((a, b) => a.coverage - b.coverage || a.count - b.count || a.fromYear - b.fromYear)
+      .slice(0, max);
+  }
+  return [...coverage.gaps]
+    .sort((a, b) => (b.to - b.from) - (a.to - a.from) || a.from - b.from)
+    .slice(0, max)
+    .map(gap => ({ id: null, label: null, fromYear: gap.from, toYear: gap.to, count: 0 }));
+};
+
+// `gap` questions for the weakest periods, in the shape saved to aiQuestions. The
+// wording leaves out entry counts so a period keeps the same question id as it fills in.
+export const coverageQuestions = (coverage, max = 3) => weakestPeriods(coverage, max).map((period) => {
+  const timeframe = formatTimeframe(period.fromYear, period.toYear);
+  const inSentence = period.label ? `${period.label.charAt(0).toLowerCase()}${period.label.slice(1)}` : '';
+  let question;
+  if (!period.label) {
+    question = `Your story has no entries from ${timeframe}. What was happening in your life then?`;
+  } else if (period.count === 0) {
+    question = `You have not written about ${inSentence} (${timeframe}) yet. What is one moment from that time you would like to keep?`;
+  } else {
+    question = `Only a few of your memories come from ${inSentence} (${timeframe}). What else happened in those years?`;
+  }
+  return {
+    ...makeQuestion(question, 'gap', { year: period.fromYear, source: 'coverage' }),
+    period: { label: period.label, fromYear: period.fromYear, toYear: period.toYear }
+  };
+});
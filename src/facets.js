@@ -0,0 +1,173 @@
+// --- Entry Views ---
+// The My Entries list is driven by a "view": a search query plus facet filters.
+// Facets combine with AND across facets and OR within one (tag:a or tag:b). Counts
+// for each facet are computed with every *other* facet applied, so they show how
+// many entries a click would add or leave.
+//
+// Views round-trip through the URL (?q=&tag=&from=...) and can be saved by name in
+//   artifacts/{appId}/users/{userId}/savedViews/{viewId}
+
+import { collection, doc, addDoc, deleteDoc } from 'firebase/firestore';
+
+import { parseEntryDate } from './timeline';
+import { extractMentionIds } from './people';
+
+export const DEFAULT_VIEW = {
+  q: '',
+  types: [],
+  tags: [],
+  locations: [],
+  people: [], // Person ids @-mentioned in the entry
+  privacy: [],
+  yearFrom: null,
+  yearTo: null,
+  media: 'any', // 'any' | 'with' | 'without'
+  comments: 'any'
+};
+
+export const ENTRY_TYPES = [
+  { value: 'personal', label: 'Personal Memory' },
+  { value: 'event', label: 'Event' },
+  { value: 'reflection', label: 'Reflection' }
+];
+
+export const PRIVACY_LEVELS = [
+  { value: 'private', label: 'Private' },
+  { value: 'friends', label: 'Friends' },
+  { value: 'public', label: 'Public' }
+];
+
+// Locations are grouped case-insensitively and without surrounding spaces
+const locationKey = location => (location || '').trim().toLowerCase();
+
+// The facet values of one entry. `commentCounts` maps entryId -> number of comments.
+const facetValues = (entry, commentCounts) => {
+  const parsed = parseEntryDate(entry.date);
+  return {
+    types: entry.type ? [entry.type] : [],
+    tags: (entry.tags || []).filter(Boolean),
+    locations: locationKey(entry.location) ? [locationKey(entry.location)] : [],
+    people: entry.mentions || extractMentionIds(entry.content),
+    privacy: entry.privacy ? [entry.privacy] : [],
+    year: parsed ? parsed.year : null,
+    media: (entry.mediaUrls || []).length > 0 ? 'with' : 'without',
+    comments: (commentCounts[entry.id] || 0) + (entry.collaborativeEntries || []).length > 0 ? 'with' : 'without'
+  };
+};
+
+const LIST_FACETS = ['types', 'tags', 'locations', 'people', 'privacy'];
+
+const matchesFacet = (values, view, facet) => {
+  if (LIST_FACETS.includes(facet)) {
+    return view[facet].length === 0 || values[facet].some(value => view[facet].includes(value));
+  }
+  if (facet === 'year') {
+    if (view.yearFrom === null && view.yearTo === null) return true;
+    if (values.year === null) return false;
+    return (view.yearFrom === null || values.year >= view.yearFrom) && (view.yearTo === null || values.year <= view.yearTo);
+  }
+  return view[facet] === 'any' || values[facet] === view[facet];
+};
+
+const ALL_FACETS = [...LIST_FACETS, 'year', 'media', 'comments'];
+
+const matchesAllExcept = (values, view, skipFacet) => ALL_FACETS
+  .every(facet => facet === skipFacet || matchesFacet(values, view, facet));
+
+// Entries that pass every facet filter, in their original order
+export const applyFacets = (entries, view, commentCounts = {}) => entries
+  .filter(entry => matchesAllExcept(facetValues(entry, commentCounts), view, null));
+
+const sortedCounts = counts => Array.from(counts.entries())
+  .map(([value, count]) => ({ value, count }))
+  .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)));
+
+// Returns { types, tags, locations, people, privacy, years, media, comments }, each a list of
+// { value, count } (locations also carry a display `label`).
+export const computeFacetCounts = (entries, view, commentCounts = {}) => {
+  const counts = {};
+  ALL_FACETS.forEach((facet) => { counts[facet] = new Map(); });
+  const locationLabels = new Map();
+
+  entries.forEach((entry) => {
+    const values = facetValues(entry, commentCounts);
+    if (values.locations[0] && !locationLabels.has(values.locations[0])) {
+      locationLabels.set(values.locations[0], entry.location.trim());
+    }
+    ALL_FACETS.forEach((facet) => {
+      if (!matchesAllExcept(values, view, facet)) return;
+      const facetList = facet === 'year' ? (values.year === null ? [] : [values.year]) : [].concat(values[facet]);
+      facetList.forEach(value => counts[facet].set(value, (counts[facet].get(value) || 0) + 1));
+    });
+  });
+
+  return {
+    types: sortedCounts(counts.types),
+    tags: sortedCounts(counts.tags),
+    locations: sortedCounts(counts.locations).map(item => ({ ...item, label: locationLabels.get(item.value) || item.value })),
+    people: sortedCounts(counts.people),
+    privacy: sortedCounts(counts.privacy),
+    years: sortedCounts(counts.year).sort((a, b) => a.value - b.value),
+    media: sortedCounts(counts.media),
+    comments: sortedCounts(counts.comments)
+  };
+};
+
+export const isDefaultView = view => JSON.stringify({ ...DEFAULT_VIEW, ...view }) === JSON.stringify(DEFAULT_VIEW);
+
+// Toggles one value of a list facet
+export const toggleFacetValue = (view, facet, value) => ({
+  ...view,
+  [facet]: view[facet].includes(value) ? view[facet].filter(v => v !== value) : [...view[facet], value]
+});
+
+// --- URL state ---
+
+// Query parameter for each list facet; other keys are q, from, to, media and comments
+const LIST_PARAMS = { types: 'type', tags: 'tag', locations: 'loc', people: 'person', privacy: 'privacy' };
+export const VIEW_PARAMS = ['q', 'from', 'to', 'media', 'comments', ...Object.values(LIST_PARAMS)];
+
+// Writes a view into URLSearchParams, replacing any previous view keys
+export const writeViewParams = (params, view) => {
+  VIEW_PARAMS.forEach(key => params.delete(key));
+  if (view.q) params.set('q', view.q);
+  Object.entries(LIST_PARAMS).forEach(([facet, key]) => view[facet].forEach(value => params.append(key, value)));
+  if (view.yearFrom !== null) params.set('from', String(view.yearFrom));
+  if (view.yearTo !== null) params.set('to', String(view.yearTo));
+  if (view.media !== 'any') params.set('media', view.media);
+  if (view.comments !== 'any') params.set('comments', view.comments);
+  return params;
+};
+
+const readYear = (value) => {
+  const year = parseInt(value, 10);
+  return Number.isNaN(year) ? null : year;
+};
+
+const readPresence = value => (value === 'with' || value === 'without' ? value : 'any');
+
+export const readViewParams = (params) => {
+  const view = { ...DEFAULT_VIEW, q: params.get('q') || '' };
+  Object.entries(LIST_PARAMS).forEach(([facet, key]) => { view[facet] = params.getAll(key).filter(Boolean); });
+  view.yearFrom = readYear(params.get('from'));
+  view.yearTo = readYear(params.get('to'));
+  view.media = readPresence(params.get('media'));
+  view.comments = readPresence(params.get('comments'));
+  return view;
+};
+
+// --- Saved views ---
+
+export const savedViewsPath = (appId, userId) => `artifacts/${appId}/users/${userId}/savedViews`;
+
+export const saveView = (db, appId, userId, name, view) => {
+  const trimmed = (name || '').trim();
+  if (!trimmed) throw new Error('Give the view a name.');
+  return addDoc(collection(db, savedViewsPath(appId, userId)), {
+    name: trimmed,
+    view: { ...DEFAULT_VIEW, ...view },
+    createdAt: new Date()
+  });
+};
+
+export const deleteSavedView = (db, appId, userId, viewId) => deleteDoc(doc(db, savedViewsPath(appId, userId), viewId));
@@ -0,0 +1,296 @@
+// --- Geocoding ---
+// Turns an entry's free-text location into coordinates through a geocoder:
+// { name, geocode(query) } resolving to [{ label, lat, lng, source }], best first.
+//
+// The gazetteer geocoder works offline from a small built-in list of cities and
+// countries. The HTTP geocoder calls a Nominatim-compatible search endpoint and
+// falls back to the gazetteer whenever the endpoint fails or finds nothing.
+//
+// The coordinates the user picks are stored on the entry as
+//   coordinates: { lat, lng, label, source }
+
+// [name, lat, lng, aliases]
+const PLACES = [
+  // North America
+  ['New York, USA', 40.71, -74.01, ['new york city', 'nyc', 'manhattan', 'brooklyn']],
+  ['Los Angeles, USA', 34.05, -118.24, ['la']],
+  ['Chicago, USA', 41.88, -87.63],
+  ['Houston, USA', 29.76, -95.37],
+  ['Phoenix, USA', 33.45, -112.07],
+  ['Philadelphia, USA', 39.95, -75.17],
+  ['San Antonio, USA', 29.42, -98.49],
+  ['San Diego, USA', 32.72, -117.16],
+  ['Dallas, USA', 32.78, -96.80],
+  ['Austin, USA', 30.27, -97.74],
+  ['San Francisco, USA', 37.77, -122.42],
+  ['Seattle, USA', 47.61, -122.33],
+  ['Portland, USA', 45.52, -122.68],
+  ['Denver, USA', 39.74, -104.99],
+  ['Las Vegas, USA', 36.17, -115.14],
+  ['Salt Lake City, USA', 40.76, -111.89],
+  ['Minneapolis, USA', 44.98, -93.27],
+  ['Detroit, USA', 42.33, -83.05],
+  ['Boston, USA', 42.36, -71.06],
+  ['Washington, D.C., USA', 38.91, -77.04, ['washington dc', 'dc']],
+  ['Baltimore, USA', 39.29, -76.61],
+  ['Atlanta, USA', 33.75, -84.39],
+  ['Nashville, USA', 36.16, -86.78],
+  ['New Orleans, USA', 29.95, -90.07],
+  ['Miami, USA', 25.76, -80.19],
+  ['Orlando, USA', 28.54, -81.38],
+  ['Tampa, USA', 27.95, -82.46],
+  ['Jacksonville, USA', 30.33, -81.66],
+  ['Gainesville, USA', 29.65, -82.32],
+  ['Tallahassee, USA', 30.44, -84.28],
+  ['Charlotte, USA', 35.23, -80.84],
+  ['Pittsburgh, USA', 40.44, -79.99],
+  ['Cleveland, USA', 41.50, -81.69],
+  ['St. Louis, USA', 38.63, -90.20, ['saint louis']],
+  ['Kansas City, USA', 39.10, -94.58],
+  ['Honolulu, USA', 21.31, -157.86],
+  ['Anchorage, USA', 61.22, -149.90],
+  ['Florida, USA', 27.99, -81.76],
+  ['California, USA', 36.78, -119.42],
+  ['Texas, USA', 31.97, -99.90],
+  ['United States', 39.83, -98.58, ['usa', 'us', 'america', 'united states of america']],
+  ['Toronto, Canada', 43.65, -79.38],
+  ['Montreal, Canada', 45.50, -73.57],
+  ['Vancouver, Canada', 49.28, -123.12],
+  ['Ottawa, Canada', 45.42, -75.70],
+  ['Calgary, Canada', 51.05, -114.07],
+  ['Canada', 56.13, -106.35],
+  ['Mexico City, Mexico', 19.43, -99.13],
+  ['Guadalajara, Mexico', 20.66, -103.35],
+  ['Cancun, Mexico', 21.16, -86.85],
+  ['Mexico', 23.63, -102.55],
+  ['Havana, Cuba', 23.11, -82.37],
+  ['Cuba', 21.52, -77.78],
+  ['San Juan, Puerto Rico', 18.47, -66.11],
+  ['Puerto Rico', 18.22, -66.59],
+  // South America
+  ['Bogotá, Colombia', 4.71, -74.07],
+  ['Colombia', 4.57, -74.30],
+  ['Lima, Peru', -12.05, -77.04],
+  ['Peru', -9.19, -75.02],
+  ['Santiago, Chile', -33.45, -70.67],
+  ['Buenos Aires, Argentina', -34.60, -58.38],
+  ['Argentina', -38.42, -63.62],
+  ['São Paulo, Brazil', -23.55, -46.63],
+  ['Rio de Janeiro, Brazil', -22.91, -43.17, ['rio']],
+  ['Brazil', -14.24, -51.93],
+  ['Caracas, Venezuela', 10.48, -66.90],
+  ['Quito, Ecuador', -0.18, -78.47],
+  // Europe
+  ['London, United Kingdom', 51.51, -0.13],
+  ['Manchester, United Kingdom', 53.48, -2.24],
+  ['Edinburgh, United Kingdom', 55.95, -3.19],
+  ['United Kingdom', 55.38, -3.44, ['uk', 'england', 'great britain', 'britain']],
+  ['Dublin, Ireland', 53.35, -6.26],
+  ['Ireland', 53.41, -8.24],
+  ['Paris, France', 48.86, 2.35],
+  ['Lyon, France', 45.76, 4.84],
+  ['Marseille, France', 43.30, 5.37],
+  ['France', 46.23, 2.21],
+  ['Madrid, Spain', 40.42, -3.70],
+  ['Barcelona, Spain', 41.39, 2.17],
+  ['Spain', 40.46, -3.75],
+  ['Lisbon, Portugal', 38.72, -9.14],
+  ['Portugal', 39.40, -8.22],
+  ['Rome, Italy', 41.90, 12.50],
+  ['Milan, Italy', 45.46, 9.19],
+  ['Venice, Italy', 45.44, 12.32],
+  ['Florence, Italy', 43.77, 11.26],
+  ['Naples, Italy', 40.85, 14.27],
+  ['Italy', 41.87, 12.57],
+  ['Berlin, Germany', 52.52, 13.40],
+  ['Munich, Germany', 48.14, 11.58],
+  ['Hamburg, Germany', 53.55, 9.99],
+  ['Frankfurt, Germany', 50.11, 8.68],
+  ['Germany', 51.17, 10.45],
+  ['Amsterdam, Netherlands', 52.37, 4.90],
+  ['Netherlands', 52.13, 5.29, ['holland']],
+  ['Brussels, Belgium', 50.85, 4.35],
+  ['Zurich, Switzerland', 47.38, 8.54],
+  ['Geneva, Switzerland', 46.20, 6.14],
+  ['Switzerland', 46.82, 8.23],
+  ['Vienna, Austria', 48.21, 16.37],
+  ['Prague, Czech Republic', 50.08, 14.44],
+  ['Warsaw, Poland', 52.23, 21.01],
+  ['Krakow, Poland', 50.06, 19.94],
+  ['Poland', 51.92, 19.15],
+  ['Budapest, Hungary', 47.50, 19.04],
+  ['Copenhagen, Denmark', 55.68, 12.57],
+  ['Stockholm, Sweden', 59.33, 18.07],
+  ['Oslo, Norway', 59.91, 10.75],
+  ['Helsinki, Finland', 60.17, 24.94],
+  ['Athens, Greece', 37.98, 23.73],
+  ['Greece', 39.07, 21.82],
+  ['Istanbul, Turkey', 41.01, 28.98],
+  ['Turkey', 38.96, 35.24],
+  ['Moscow, Russia', 55.76, 37.62],
+  ['St. Petersburg, Russia', 59.93, 30.34, ['saint petersburg']],
+  ['Russia', 61.52, 105.32],
+  ['Kyiv, Ukraine', 50.45, 30.52, ['kiev']],
+  ['Ukraine', 48.38, 31.17],
+  // Africa and the Middle East
+  ['Cairo, Egypt', 30.04, 31.24],
+  ['Egypt', 26.82, 30.80],
+  ['Lagos, Nigeria', 6.52, 3.38],
+  ['Nigeria', 9.08, 8.68],
+  ['Nairobi, Kenya', -1.29, 36.82],
+  ['Kenya', -0.02, 37.91],
+  ['Johannesburg, South Africa', -26.20, 28.05],
+  ['Cape Town, South Africa', -33.92, 18.42],
+  ['South Africa', -30.56, 22.94],
+  ['Casablanca, Morocco', 33.57, -7.59],
+  ['Morocco', 31.79, -7.09],
+  ['Addis Ababa, Ethiopia', 9.03, 38.74],
+  ['Accra, Ghana', 5.60, -0.19],
+  ['Tel Aviv, Israel', 32.09, 34.78],
+  ['Jerusalem, Israel', 31.77, 35.21],
+  ['Israel', 31.05, 34.85],
+  ['Dubai, United Arab Emirates', 25.20, 55.27],
+  ['Riyadh, Saudi Arabia', 24.71, 46.68],
+  ['Tehran, Iran', 35.69, 51.39],
+  // Asia and Oceania
+  ['Mumbai, India', 19.08, 72.88, ['bombay']],
+  ['Delhi, India', 28.70, 77.10, ['new delhi']],
+  ['Bangalore, India', 12.97, 77.59, ['bengaluru']],
+  ['Kolkata, India', 22.57, 88.36, ['calcutta']],
+  ['India', 20.59, 78.96],
+  ['Karachi, Pakistan', 24.86, 67.00],
+  ['Pakistan', 30.38, 69.35],
+  ['Dhaka, Bangladesh', 23.81, 90.41],
+  ['Beijing, China', 39.90, 116.41],
+  ['Shanghai, China', 31.23, 121.47],
+  ['Hong Kong', 22.32, 114.17],
+  ['China', 35.86, 104.20],
+  ['Taipei, Taiwan', 25.03, 121.57],
+  ['Tokyo, Japan', 35.68, 139.69],
+  ['Osaka, Japan', 34.69, 135.50],
+  ['Kyoto, Japan', 35.01, 135.77],
+  ['Japan', 36.20, 138.25],
+  ['Seoul, South Korea', 37.57, 126.98],
+  ['South Korea', 35.91, 127.77, ['korea']],
+  ['Manila, Philippines', 14.60, 120.98],
+  ['Philippines', 12.88, 121.77],
+  ['Bangkok, Thailand', 13.76, 100.50],
+  ['Thailand', 15.87, 100.99],
+  ['Hanoi, Vietnam', 21.03, 105.85],
+  ['Ho Chi Minh City, Vietnam', 10.82, 106.63, ['saigon']],
+  ['Vietnam', 14.06, 108.28],
+  ['Singapore', 1.35, 103.82],
+  ['Kuala Lumpur, Malaysia', 3.14, 101.69],
+  ['Jakarta, Indonesia', -6.21, 106.85],
+  ['Bali, Indonesia', -8.34, 115.09],
+  ['Indonesia', -0.79, 113.92],
+  ['Sydney, Australia', -33.87, 151.21],
+  ['Melbourne, Australia', -37.81, 144.96],
+  ['Brisbane, Australia', -27.47, 153.03],
+  ['Perth, Australia', -31.95, 115.86],
+  ['Australia', -25.27, 133.78],
+  ['Auckland, New Zealand', -36.85, 174.76],
+  ['Wellington, New Zealand', -41.29, 174.78],
+  ['New Zealand', -40.90, 174.89]
+];
+
+export const normalizePlace = text => (text || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[.]/g, '')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const DEFAULT_LIMIT = 5;
+
+const buildLookup = (places) => {
+  const lookup = new Map();
+  const add = (key, place) => {
+    const normalized = normalizePlace(key);
+    if (!lookup.has(normalized)) lookup.set(normalized, []);
+    lookup.get(normalized).push(place);
+  };
+  places.forEach(([label, lat, lng, aliases = []]) => {
+    const place = { label, lat, lng, source: 'gazetteer' };
+    add(label, place);
+    add(label.split(',')[0], place);
+    aliases.forEach(alias => add(alias, place));
+  });
+  return lookup;
+};
+
+// Offline geocoder. "University of Florida, Gainesville" is tried as a whole, then
+// one comma-separated part at a time, so the most specific known place wins.
+export const createGazetteerGeocoder = (places = PLACES) => {
+  const lookup = buildLookup(places);
+  return {
+    name: 'gazetteer',
+    geocode: async (query, { limit = DEFAULT_LIMIT } = {}) => {
+      const whole = normalizePlace(query);
+      if (!whole) return [];
+      const parts = whole.split(',').map(part => part.trim()).filter(Boolean);
+      const results = [];
+      [whole, ...parts].forEach((key) => {
+        (lookup.get(key) || []).forEach((place) => {
+          if (!results.includes(place)) results.push(place);
+        });
+      });
+      // A later part naming the country ("Paris, Texas") prefers places in it
+      const context = parts.slice(1);
+      return results
+        .map((place, index) => ({
+          place,
+          rank: index - (context.some(part => normalizePlace(place.label).endsWith(part)) ? results.length : 0)
+        }))
+        .sort((a, b) => a.rank - b.rank)
+        .map(({ place }) => ({ ...place }))
+        .slice(0, limit);
+    }
+  };
+};
+
+// Geocoder backed by a Nominatim-compatible endpoint (GET ?q=&format=json&limit=)
+export const createHttpGeocoder = ({ endpoint, fetchImpl = null, fallback = createGazetteerGeocoder() } = {}) => ({
+  name: 'http',
+  geocode: async (query, options = {}) => {
+    const { limit = DEFAULT_LIMIT } = options;
+    const doFetch = fetchImpl || (typeof fetch !== 'undefined' ? fetch : null);
+    if (!endpoint || !doFetch || !normalizePlace(query)) return fallback.geocode(query, options);
+
+    try {
+      const url = `${endpoint}${endpoint.includes('?') ? '&' : '?'}q=${encodeURIComponent(query)}&format=json&limit=${limit}`;
+      const response = await doFetch(url, { headers: { Accept: 'application/json' } });
+      if (!response.ok) throw new Error(`Geocoder responded with ${response.status}`);
+      const data = await response.json();
+      const results = (Array.isArray(data) ? data : [])
+        .map(item => ({
+          label: item.display_name || item.label || query,
+          lat: Number(item.lat),
+          lng: Number(item.lon !== undefined ? item.lon : item.lng),
+          source: 'http'
+        }))
+        .filter(item => Number.isFinite(item.lat) && Number.isFinite(item.lng));
+      if (results.length === 0) throw new Error('Geocoder found nothing');
+      return results.slice(0, limit);
+    } catch (err) {
+      console.warn("Geocoder failed, using the offline gazetteer:", err);
+      return fallback.geocode(query, options);
+    }
+  }
+});
+
+// Picks the HTTP geocoder when an endpoint is configured, otherwise the offline one
+export const createGeocoder = ({ endpoint = null } = {}) => (
+  endpoint ? createHttpGeocoder({ endpoint }) : createGazetteerGeocoder()
+);
+
+export const hasCoordinates = item => Boolean(item && item.coordinates
+  && Number.isFinite(item.coordinates.lat) && Number.isFinite(item.coordinates.lng));
+
+export const toCoordinates = result => ({
+  lat: result.lat,
+  lng: result.lng,
+  label: result.label,
+  source: result.source
+});
@@ -0,0 +1,228 @@
+// --- Historical Images ---
+// A shared library of historical photos that give entries context: what a street,
+// school or town looked like at the time. Any signed-in user can browse it and
+// contribute to it:
+//
+//   artifacts/{appId}/historicalImages/{imageId}
+//     { location, coordinates, fromYear, toYear, decades, description, imageUrl, path,
+//       thumbnailUrl, thumbnailPath, source, license, contributorId, contributorName, addedAt }
+//
+// `decades` lists the first year of every decade the image spans (1960, 1970), so
+// the library can be queried for the decades a user's entries cover instead of
+// being read whole. Entries get matching images automatically by place and date.
+// Images a user picks for an entry are kept on the entry as `pinnedImageIds`.
+
+import { collection, doc, setDoc, deleteDoc, onSnapshot, query, where, limit } from 'firebase/firestore';
+
+import { uploadMediaFile, getMediaKind } from './mediaStorage';
+import { normalizePlace, hasCoordinates } from './geocoding';
+import { parseEntryDate } from './timeline';
+import { formatTimeframe } from './photoRequests';
+
+export const LICENSES = [
+  { value: 'public-domain', label: 'Public domain' },
+  { value: 'cc0', label: 'CC0' },
+  { value: 'cc-by', label: 'CC BY' },
+  { value: 'cc-by-sa', label: 'CC BY-SA' },
+  { value: 'cc-by-nc', label: 'CC BY-NC' },
+  { value: 'with-permission', label: 'Used with permission' }
+];
+
+export const EMPTY_HISTORICAL_IMAGE = {
+  file: null, imageUrl: '', location: '', fromYear: '', toYear: '', description: '', source: '', license: ''
+};
+
+const LIBRARY_LIMIT = 500;
+const MAX_QUERY_DECADES = 30; // Most values an array-contains-any filter takes
+const YEAR_TOLERANCE = 5; // Images this many years outside an entry's year still match
+const NEARBY_KM = 25;
+
+export const historicalImagesPath = appId => `artifacts/${appId}/historicalImages`;
+
+const parseYear = value => (/^\d{4}$/.test(String(value).trim()) ? Number(value) : null);
+
+// The URL when it is https, otherwise null. Library documents are written by any
+// user, so links are checked again before they are rendered.
+export const safeImageUrl = url => (typeof url === 'string' && /^https:\/\/\S+$/i.test(url.trim()) ? url.trim() : null);
+
+export const licenseLabel = value => (LICENSES.find(license => license.value === value) || { label: value || 'Unknown license' }).label;
+
+// An image's years as { from, to }. Images from before ranges existed have `year`.
+export const imageYears = (image) => {
+  const from = image.fromYear || image.year || null;
+  return { from, to: image.toYear || from };
+};
+
+// First years of the decades from `fromYear` to `toYear`
+export const decadesBetween = (fromYear, toYear = fromYear) => {
+  const decades = [];
+  for (let decade = Math.floor(fromYear / 10) * 10; decade <= toYear; decade += 10) decades.push(decade);
+  return decades;
+};
+
+// The decades library images are loaded for: those of the dated entries, widened by
+// the years images may lie outside an entry's year and still match. Newest first,
+// since a query takes at most MAX_QUERY_DECADES of them.
+export const entryDecades = (entries) => {
+  const decades = new Set();
+  entries.forEach((entry) => {
+    const parsed = parseEntryDate(entry.date);
+    if (parsed) decadesBetween(parsed.year - YEAR_TOLERANCE, parsed.year + YEAR_TOLERANCE).forEach(decade => decades.add(decade));
+  });
+  return [...decades].sort((a, b) => b - a).slice(0, MAX_QUERY_DECADES);
+};
+
+export const imageTimeframe = (image) => {
+  const { from, to } = imageYears(image);
+  return from ? formatTimeframe(from, to) : '';
+};
+
+// Problems with a contribution as { field: message }; empty when it can be saved
+export const validateHistoricalImage = (draft, currentYear = new Date().getFullYear()) => {
+  const errors = {};
+  if (draft.file) {
+    if (getMediaKind(draft.file.type) !== 'image') errors.image = `"${draft.file.name}" is not a photo.`;
+  } else if (!safeImageUrl(draft.imageUrl)) {
+    errors.image = 'Upload a photo or give a link to one (https).';
+  }
+  if (!(draft.location || '').trim()) errors.location = 'Enter the place the photo shows.';
+  const fromYear = parseYear(draft.fromYear);
+  const toYear = String(draft.toYear || '').trim() ? parseYear(draft.toYear) : fromYear;
+  if (fromYear === null || fromYear > currentYear) {
+    errors.fromYear = 'Enter the four-digit year the photo was taken, or the first year of a range.';
+  } else if (toYear === null || toYear < fromYear || toYear > currentYear) {
+    errors.toYear = `The end year must be between ${fromYear} and ${currentYear}.`;
+  }
+  if (!(draft.description || '').trim()) errors.description = 'Describe what the photo shows.';
+  if (!(draft.source || '').trim()) errors.source = 'Say where the photo comes from.';
+  if (!LICENSES.some(license => license.value === draft.license)) errors.license = 'Choose a license.';
+  return errors;
+};
+
+// Live library images from the given decades (see entryDecades), most recent years
+// first. Images without an https link are left out. Returns the unsubscribe function.
+export const subscribeToHistoricalImages = (db, appId, decades, onChange, onError) => {
+  if (decades.length === 0) {
+    onChange([]);
+    return () => {};
+  }
+  return onSnapshot(
+    query(
+      collection(db, historicalImagesPath(appId)),
+      where('decades', 'array-contains-any', decades.slice(0, MAX_QUERY_DECADES)),
+      limit(LIBRARY_LIMIT)
+    ),
+    (snapshot) => {
+      const images = snapshot.docs
+        .map(d => ({ id: d.id, ...d.data() }))
+        .filter(image => safeImageUrl(image.imageUrl));
+      onChange(images.sort((a, b) => (imageYears(b).from || 0) - (imageYears(a).from || 0)));
+    },
+    onError
+  );
+};
+
+// Uploads the photo when a file is given and saves the image. Resolves to the new
+// image's id. `coordinates` come from the caller's geocoder and may be null.
+export const addHistoricalImage = async (db, appId, mediaStorage, contributor, draft, coordinates = null) => {
+  const errors = Object.values(validateHistoricalImage(draft));
+  if (errors.length > 0) throw new Error(errors[0]);
+  const fromYear = Number(draft.fromYear);
+  const toYear = String(draft.toYear || '').trim() ? Number(draft.toYear) : fromYear;
+
+  let uploaded = null;
+  if (draft.file) {
+    if (!mediaStorage) throw new Error('Photo uploads are not available right now. Link to the photo instead.');
+    uploaded = await uploadMediaFile(mediaStorage, `${historicalImagesPath(appId)}/${contributor.uid}`, draft.file);
+    if (!safeImageUrl(uploaded.url)) throw new Error('The photo was not stored at an https link, so it cannot be shared. Link to the photo instead.');
+  }
+  const imageRef = doc(collection(db, historicalImagesPath(appId)));
+  await setDoc(imageRef, {
+    location: draft.location.trim(),
+    coordinates,
+    fromYear,
+    toYear,
+    decades: decadesBetween(fromYear, toYear),
+    description: draft.description.trim(),
+    imageUrl: uploaded ? uploaded.url : draft.imageUrl.trim(),
+    path: uploaded ? uploaded.path : null,
+    thumbnailUrl: uploaded ? safeImageUrl(uploaded.thumbnailUrl) : null,
+    thumbnailPath: uploaded ? uploaded.thumbnailPath : null,
+    source: draft.source.trim(),
+    license: draft.license,
+    contributorId: contributor.uid,
+    contributorName: contributor.displayName || 'Anonymous',
+    addedAt: new Date()
+  });
+  return imageRef.id;
+};
+
+// Contributors can remove their own images
+export const deleteHistoricalImage = (db, appId, imageId) => deleteDoc(doc(db, historicalImagesPath(appId), imageId));
+
+// Pre-fills a contribution with an entry's place and year
+export const contributionFromEntry = (entry) => {
+  const parsed = parseEntryDate(entry.date);
+  return { ...EMPTY_HISTORICAL_IMAGE, location: entry.location || '', fromYear: parsed ? String(parsed.year) : '' };
+};
+
+// --- Matching ---
+
+const placeParts = location => normalizePlace(location).split(',').map(part => part.trim()).filter(Boolean);
+
+const distanceKm = (a, b) => {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const dLat = toRadians(b.lat - a.lat);
+  const dLng = toRadians(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 6371 * 2 * Math.asin(Math.sqrt(h));
+};
+
+// The parts of a place below its region: the last part of "Gainesville, FL" is a
+// state or country that many unrelated places share
+const localParts = parts => (parts.length > 1 ? parts.slice(0, -1) : parts);
+
+// How well an image's place fits an entry's: 3 for the same place, 2 when one's
+// place or city is part of the other ("Gainesville" in "Gainesville, FL") or the
+// two lie within NEARBY_KM, 0 for no match
+const placeScore = (entry, image) => {
+  const entryParts = placeParts(entry.location);
+  const imageParts = placeParts(image.location);
+  if (entryParts.length > 0 && entryParts.join(',') === imageParts.join(',')) return 3;
+  if (entryParts.length > 0 && imageParts.length > 0
+    && (localParts(imageParts).includes(entryParts[0]) || localParts(entryParts).includes(imageParts[0]))) return 2;
+  if (hasCoordinates(entry) && hasCoordinates(image) && distanceKm(entry.coordinates, image.coordinates) <= NEARBY_KM) return 2;
+  return 0;
+};
+
+// 2 when the entry's year is in the image's range, 1 when it is within
+// YEAR_TOLERANCE years of it, null when it is further off. Undated sides score 0.
+const timeScore = (entry, image) => {
+  const parsed = parseEntryDate(entry.date);
+  const { from, to } = imageYears(image);
+  if (!parsed || !from) return 0;
+  if (parsed.year >= from && parsed.year <= to) return 2;
+  const gap = parsed.year < from ? from - parsed.year : parsed.year - to;
+  return gap <= YEAR_TOLERANCE ? 1 : null;
+};
+
+// Library images that fit an entry's place and time, best first, leaving out the
+// ones already pinned to it
+export const matchHistoricalImages = (entry, images, { max = 6 } = {}) => {
+  const pinned = new Set(entry.pinnedImageIds || []);
+  return images
+    .filter(image => !pinned.has(image.id))
+    .map((image) => {
+      const place = placeScore(entry, image);
+      const time = timeScore(entry, image);
+      return { image, score: place === 0 || time === null ? 0 : place + time };
+    })
+    .filter(match => match.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, max)
+    .map(match => match.image);
+};
+
+export const pinnedImages = (entry, images) => (entry.pinnedImageIds || [])
+  .map(imageId => images.find(image => image.id === imageId))
+  .filter(Boolean);
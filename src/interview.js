@@ -0,0 +1,147 @@
+// --- Guided Interview ---
+// The AI Assistant asks its questions one at a time. Where each question stands is
+// kept on its aiQuestions document:
+//
+//   status:       'open' (default), 'answered', 'skipped' or 'snoozed'
+//   skippedAt:    when it was skipped; skipped questions wait until asked for again
+//   snoozedUntil: when a snoozed question comes back on its own
+//   chapter:      life chapter it belongs to, set on follow-ups so they stay with their parent
+//
+// Questions written before the interview existed only have `answered`, so status is
+// always read through questionStatus().
+
+import { doc, updateDoc } from 'firebase/firestore';
+
+import { parseEntryDate } from './timeline';
+import { analyzeEntry } from './sentiment';
+
+export const LIFE_CHAPTERS = [
+  { id: 'childhood', label: 'Childhood' },
+  { id: 'school', label: 'School' },
+  { id: 'career', label: 'Career' },
+  { id: 'family', label: 'Love & Family' },
+  { id: 'places', label: 'Homes & Travels' },
+  { id: 'later-life', label: 'Later Life' },
+  { id: 'reflections', label: 'Reflections' }
+];
+
+export const SNOOZE_OPTIONS = [
+  { days: 1, label: 'Tomorrow' },
+  { days: 7, label: 'Next week' },
+  { days: 30, label: 'Next month' }
+];
+
+// Themes (see sentiment.js) that place a question in a chapter
+const CHAPTER_FOR_THEME = {
+  education: 'school',
+  work: 'career',
+  family: 'family',
+  love: 'family',
+  friendship: 'family',
+  home: 'places',
+  travel: 'places'
+};
+
+const CHILDHOOD_UNTIL_AGE = 12;
+const SCHOOL_UNTIL_AGE = 21;
+const LATER_LIFE_FROM_AGE = 65;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDate = value => (value && typeof value.toDate === 'function' ? value.toDate() : new Date(value));
+
+const toMillis = value => (value ? toDate(value).getTime() : 0);
+
+export const questionStatus = (question) => {
+  if (question.answered) return 'answered';
+  return question.status || 'open';
+};
+
+// Snoozed questions count as open again once their time is up
+export const isDue = (question, now = new Date()) => {
+  const status = questionStatus(question);
+  if (status === 'open') return true;
+  return status === 'snoozed' && toMillis(question.snoozedUntil) <= now.getTime();
+};
+
+export const chapterLabel = id => (LIFE_CHAPTERS.find(chapter => chapter.id === id) || { label: id }).label;
+
+// The life chapter a question belongs to. Early and late years go by age when the
+// birth year is known; otherwise the question's wording and its related entry decide.
+export const questionChapter = (question, { entries = [], birthYear = null } = {}) => {
+  if (question.chapter) return question.chapter;
+  const relatedEntry = question.relatedEntry ? entries.find(entry => entry.id === question.relatedEntry) : null;
+  const parsed = relatedEntry ? parseEntryDate(relatedEntry.date) : null;
+  const year = question.year || (parsed ? parsed.year : null);
+  const age = year && birthYear ? year - birthYear : null;
+  if (age !== null && age <= CHILDHOOD_UNTIL_AGE) return 'childhood';
+  if (age !== null && age >= LATER_LIFE_FROM_AGE) return 'later-life';
+
+  const { themes } = analyzeEntry({
+    title: relatedEntry ? relatedEntry.title : '',
+    content: question.question,
+    tags: relatedEntry ? relatedEntry.tags || [] : []
+  });
+  const themed = themes.map(theme => CHAPTER_FOR_THEME[theme]).find(Boolean);
+  if (themed) return themed;
+  if (age !== null && age <= SCHOOL_UNTIL_AGE) return 'school';
+  return 'reflections';
+};
+
+// Questions waiting to be asked, in the order the interview asks them: follow-ups
+// to the latest answers first, then the rest oldest first. `chapter` narrows the
+// queue to one life chapter.
+export const interviewQueue = (questions, { entries = [], birthYear = null, chapter = null, now = new Date() } = {}) => questions
+  .filter(question => isDue(question, now))
+  .filter(question => !chapter || questionChapter(question, { entries, birthYear }) === chapter)
+  .sort((a, b) => {
+    const followUpOrder = (b.parentQuestionId ? 1 : 0) - (a.parentQuestionId ? 1 : 0);
+    if (followUpOrder !== 0) return followUpOrder;
+    return a.parentQuestionId
+      ? toMillis(b.createdAt) - toMillis(a.createdAt)
+      : toMillis(a.createdAt) - toMillis(b.createdAt);
+  });
+
+// Counts per life chapter, in LIFE_CHAPTERS order, leaving out chapters with no questions:
+// [{ id, label, total, answered, skipped, snoozed, waiting }]
+export const chapterProgress = (questions, { entries = [], birthYear = null, now = new Date() } = {}) => {
+  const counts = {};
+  questions.forEach((question) => {
+    const id = questionChapter(question, { entries, birthYear });
+    if (!counts[id]) counts[id] = { total: 0, answered: 0, skipped: 0, snoozed: 0, waiting: 0 };
+    const status = questionStatus(question);
+    counts[id].total += 1;
+    if (status === 'answered') counts[id].answered += 1;
+    else if (status === 'skipped') counts[id].skipped += 1;
+    else if (!isDue(question, now)) counts[id].snoozed += 1;
+    else counts[id].waiting += 1;
+  });
+  return LIFE_CHAPTERS
+    .filter(chapter => counts[chapter.id])
+    .map(chapter => ({ ...chapter, ...counts[chapter.id] }));
+};
+
+// --- Status writes ---
+
+const questionRef = (db, appId, userId, questionId) => doc(db, `artifacts/${appId}/users/${userId}/aiQuestions`, questionId);
+
+export const skipQuestion = (db, appId, userId, questionId) => updateDoc(
+  questionRef(db, appId, userId, questionId),
+  { status: 'skipped', skippedAt: new Date(), snoozedUntil: null }
+);
+
+export const snoozeQuestion = (db, appId, userId, questionId, days, now = new Date()) => updateDoc(
+  questionRef(db, appId, userId, questionId),
+  { status: 'snoozed', snoozedUntil: new Date(now.getTime() + days * DAY_MS), skippedAt: null }
+);
+
+// Puts a skipped or snoozed question back in the queue
+export const reopenQuestion = (db, appId, userId, questionId) => updateDoc(
+  questionRef(db, appId, userId, questionId),
+  { status: 'open', skippedAt: null, snoozedUntil: null }
+);
+
+export const answerQuestion = (db, appId, userId, questionId, answer) => updateDoc(
+  questionRef(db, appId, userId, questionId),
+  { answered: true, status: 'answered', answer, answeredAt: new Date(), skippedAt: null, snoozedUntil: null }
+);
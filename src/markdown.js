@@ -0,0 +1,319 @@
+// --- Entry Markdown ---
+// Entry content is written in a small Markdown dialect:
+//
+//   # Heading, ## Subheading, ### Small heading
+//   **bold**, *italic* (or _italic_), `code`, [link](https://...)
+//   > quote, - bulleted list, 1. numbered list, --- rule
+//   ![caption](url)   an inline photo or video; only the entry's own media is shown
+//   @[Name](personId) a mention of someone from the people list
+//
+// Content is parsed into a tree and rendered from that tree (React elements in the
+// app, escaped HTML in exports), so no markup typed into an entry ever reaches the
+// page as HTML. Single line breaks inside a paragraph are kept.
+//
+// Entries written before Markdown have no `contentFormat`; they are shown as plain
+// text by escaping them first, and are converted the same way when next edited.
+
+export const CONTENT_FORMAT = 'markdown';
+
+// --- Plain text migration ---
+
+const MENTION_SPLIT = /(@\[[^\]]+\]\([^)\s]+\))/;
+
+const escapeInline = text => text.replace(/[\\`*_[\]]/g, char => `\\${char}`);
+
+// Escapes plain text so it renders exactly as written. Mention tokens are kept.
+export const escapeMarkdown = text => (text || '').split('\n').map((line) => {
+  const parts = line.split(MENTION_SPLIT).map((part, index) => (index % 2 === 1 ? part : escapeInline(part)));
+  let escaped = parts.join('');
+  escaped = escaped.replace(/^(\s*)(#|>|[-+*](?=\s)|-{3,}\s*$)/, (match, space, marker) => `${space}\\${marker}`);
+  escaped = escaped.replace(/^(\s*\d+)([.)])(?=\s)/, (match, number, dot) => `${number}\\${dot}`);
+  return escaped;
+}).join('\n');
+
+// The Markdown source of an entry, converting plain-text entries on the fly
+export const entryMarkdown = entry => (
+  entry.contentFormat === CONTENT_FORMAT ? entry.content || '' : escapeMarkdown(entry.content)
+);
+
+// --- Inline parsing ---
+
+const INLINE_RULES = [
+  { type: 'escape', pattern: /\\([\\`*_{}[\]()#+\-.!>@|~])/y },
+  { type: 'code', pattern: /`([^`\n]+)`/y },
+  { type: 'image', pattern: /!\[([^\]\n]*)\]\(([^)\s]+)\)/y },
+  { type: 'mention', pattern: /@\[([^\]\n]+)\]\(([^)\s]+)\)/y },
+  { type: 'link', pattern: /\[([^\]\n]+)\]\(([^)\s]+)\)/y },
+  { type: 'strong', pattern: /\*\*(?=\S)([\s\S]+?)\*\*/y },
+  { type: 'strong', pattern: /__(?=\S)([\s\S]+?)__(?!\w)/y },
+  { type: 'em', pattern: /\*(?=\S)([^*]+?)\*/y },
+  { type: 'em', pattern: /_(?=\S)([^_]+?)_(?!\w)/y }
+];
+
+const SAFE_URL = /^(https?:|mailto:)/i;
+
+// Parses one block's text into [{ type: 'text' | 'break' | 'code' | 'strong' | 'em' | 'link' | 'image' | 'mention', ... }]
+export const parseInline = (text) => {
+  const nodes = [];
+  let buffer = '';
+  const flush = () => {
+    if (buffer) nodes.push({ type: 'text', text: buffer });
+    buffer = '';
+  };
+
+  let i = 0;
+  while (i < text.length) {
+    if (text[i] === '\n') {
+      flush();
+      nodes.push({ type: 'break' });
+      i++;
+      continue;
+    }
+    // Underscores inside words (snake_case, file_names) are not emphasis
+    const midWord = text[i] === '_' && i > 0 && /\w/.test(text[i - 1]);
+    let matched = null;
+    for (const rule of INLINE_RULES) {
+      if (midWord && rule.type === 'em') continue;
+      rule.pattern.lastIndex = i;
+      const match = rule.pattern.exec(text);
+      if (match) {
+        matched = { rule, match };
+        break;
+      }
+    }
+    if (!matched) {
+      buffer += text[i];
+      i++;
+      continue;
+    }
+    const { rule, match } = matched;
+    i += match[0].length;
+    if (rule.type === 'escape') {
+      buffer += match[1];
+      continue;
+    }
+    flush();
+    if (rule.type === 'code') nodes.push({ type: 'code', text: match[1] });
+    else if (rule.type === 'image') nodes.push({ type: 'image', alt: match[1], url: match[2] });
+    else if (rule.type === 'mention') nodes.push({ type: 'mention', name: match[1], personId: match[2] });
+    else if (rule.type === 'link') {
+      // Unsafe schemes (javascript: and friends) are dropped, leaving the text
+      nodes.push(SAFE_URL.test(match[2])
+        ? { type: 'link', url: match[2], children: parseInline(match[1]) }
+        : { type: 'text', text: match[1] });
+    } else nodes.push({ type: rule.type, children: parseInline(match[1]) });
+  }
+  flush();
+  return nodes;
+};
+
+// --- Block parsing ---
+
+const HEADING = /^(#{1,6})\s+(.*)$/;
+const QUOTE = /^\s*>\s?(.*)$/;
+const BULLET = /^\s*[-+*]\s+(.*)$/;
+const NUMBERED = /^\s*\d+[.)]\s+(.*)$/;
+const RULE = /^\s*(?:-\s*){3,}$|^\s*(?:\*\s*){3,}$/;
+const BLANK = /^\s*$/;
+
+const isBlockStart = line => HEADING.test(line) || QUOTE.test(line) || RULE.test(line) || BULLET.test(line) || NUMBERED.test(line);
+
+// Parses Markdown into blocks:
+// [{ type: 'heading', level, children } | { type: 'paragraph', children } | { type: 'quote', blocks }
+//  | { type: 'list', ordered, items: [children] } | { type: 'rule' }]
+export const parseMarkdown = (source) => {
+  const lines = (source || '').replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    if (BLANK.test(line)) {
+      i++;
+    } else if (RULE.test(line)) {
+      blocks.push({ type: 'rule' });
+      i++;
+    } else if (HEADING.test(line)) {
+      const [, hashes, text] = line.match(HEADING);
+      blocks.push({ type: 'heading', level: Math.min(hashes.length, 3), children: parseInline(text.replace(/\s+#+\s*$/, '')) });
+      i++;
+    } else if (QUOTE.test(line)) {
+      const quoted = [];
+      while (i < lines.length && QUOTE.test(lines[i])) quoted.push(lines[i++].match(QUOTE)[1]);
+      blocks.push({ type: 'quote', blocks: parseMarkdown(quoted.join('\n')) });
+    } else if (BULLET.test(line) || NUMBERED.test(line)) {
+      const ordered = NUMBERED.test(line);
+      const pattern = ordered ? NUMBERED : BULLET;
+      const items = [];
+      while (i < lines.length && pattern.test(lines[i])) {
+        const itemLines = [lines[i++].match(pattern)[1]];
+        // Indented lines continue the item
+        while (i < lines.length && /^\s{2,}\S/.test(lines[i]) && !BULLET.test(lines[i]) && !NUMBERED.test(lines[i])) {
+          itemLines.push(lines[i++].trim());
+        }
+        items.push(parseInline(itemLines.join('\n')));
+      }
+      blocks.push({ type: 'list', ordered, items });
+    } else {
+      const paragraph = [];
+      while (i < lines.length && !BLANK.test(lines[i]) && (paragraph.length === 0 || !isBlockStart(lines[i]))) {
+        paragraph.push(lines[i++]);
+      }
+      blocks.push({ type: 'paragraph', children: parseInline(paragraph.join('\n')) });
+    }
+  }
+  return blocks;
+};
+
+// A paragraph holding nothing but one image is shown as a figure
+export const soleImage = block => (
+  block.type === 'paragraph' && block.children.length === 1 && block.children[0].type === 'image' ? block.children[0] : null
+);
+
+// --- Plain text ---
+
+const inlineText = nodes => nodes.map((node) => {
+  if (node.type === 'text' || node.type === 'code') return node.text;
+  if (node.type === 'break') return '\n';
+  if (node.type === 'image') return node.alt;
+  if (node.type === 'mention') return node.name;
+  return inlineText(node.children);
+}).join('');
+
+const blocksText = blocks => blocks.map((block) => {
+  if (block.type === 'rule') return '';
+  if (block.type === 'quote') return blocksText(block.blocks);
+  if (block.type === 'list') return block.items.map(inlineText).join('\n');
+  return inlineText(block.children);
+}).filter(Boolean).join('\n\n');
+
+// Entry text without any markup or mention tokens, for search, previews and questions
+export const entryPlainText = entry => blocksText(parseMarkdown(entryMarkdown(entry)));
+
+// --- HTML (exports) ---
+
+const escapeHtml = (text = '') => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// `imageSrc(url)` maps an inline image URL to the src to use, or null to leave it
+// out (e.g. a URL that is not one of the entry's own media).
+const inlineHtml = (nodes, imageSrc) => nodes.map((node) => {
+  switch (node.type) {
+    case 'text': return escapeHtml(node.text);
+    case 'break': return '<br/>';
+    case 'code': return `<code>${escapeHtml(node.text)}</code>`;
+    case 'mention': return escapeHtml(node.name);
+    case 'strong': return `<strong>${inlineHtml(node.children, imageSrc)}</strong>`;
+    case 'em': return `<em>${inlineHtml(node.children, imageSrc)}</em>`;
+    case 'link': return `<a href="${escapeHtml(node.url)}">${inlineHtml(node.children, imageSrc)}</a>`;
+    case 'image': {
+      const src = imageSrc(node.url);
+      return src ? `<img src="${escapeHtml(src)}" alt="${escapeHtml(node.alt)}"/>` : escapeHtml(node.alt);
+    }
+    default: return '';
+  }
+}).join('');
+
+const blocksHtml = (blocks, imageSrc) => blocks.map((block) => {
+  const image = soleImage(block);
+  if (image) {
+    const src = imageSrc(image.url);
+    if (!src) return image.alt ? `<p>${escapeHtml(image.alt)}</p>` : '';
+    return `<figure><img src="${escapeHtml(src)}" alt="${escapeHtml(image.alt)}"/>${image.alt ? `<figcaption>${escapeHtml(image.alt)}</figcaption>` : ''}</figure>`;
+  }
+  switch (block.type) {
+    // Entry headings sit below the book's chapter (h2) and entry (h3) headings
+    case 'heading': return `<h${block.level + 3}>${inlineHtml(block.children, imageSrc)}</h${block.level + 3}>`;
+    case 'paragraph': return `<p>${inlineHtml(block.children, imageSrc)}</p>`;
+    case 'quote': return `<blockquote>${blocksHtml(block.blocks, imageSrc)}</blockquote>`;
+    case 'list': {
+      const tag = block.ordered ? 'ol' : 'ul';
+      return `<${tag}>${block.items.map(item => `<li>${inlineHtml(item, imageSrc)}</li>`).join('')}</${tag}>`;
+    }
+    case 'rule': return '<hr/>';
+    default: return '';
+  }
+}).join('\n');
+
+export const markdownToHtml = (source, imageSrc = () => null) => blocksHtml(parseMarkdown(source), imageSrc);
+
+// Inline image URLs used in a piece of Markdown, in order
+export const inlineImageUrls = (source) => {
+  const urls = [];
+  const collect = nodes => nodes.forEach((node) => {
+    if (node.type === 'image' && !urls.includes(node.url)) urls.push(node.url);
+    if (node.children) collect(node.children);
+  });
+  const walk = blocks => blocks.forEach((block) => {
+    if (block.children) collect(block.children);
+    if (block.items) block.items.forEach(collect);
+    if (block.blocks) walk(block.blocks);
+  });
+  walk(parseMarkdown(source));
+  return urls;
+};
+
+// Replaces the inline images whose URL fails `keep(url)` with their captions, e.g.
+// photos that were removed from the entry (and from storage) since a revision was
+// saved. Escapes and code spans are skipped, as the parser skips them.
+export const dropInlineImages = (source, keep) => (source || '').replace(
+  /\\[\s\S]|`[^`\n]+`|!\[([^\]\n]*)\]\(([^)\s]+)\)/g,
+  (match, alt, url) => (url === undefined || keep(url) ? match : alt)
+);
+
+// Pushes headings down by `levels` (to at most ######), for embedding entries in a
+// larger Markdown document
+export const shiftHeadings = (source, levels) => (source || '')
+  .replace(/^(#{1,6})(?=\s)/gm, hashes => '#'.repeat(Math.min(6, hashes.length + levels)));
+
+// --- Editing helpers ---
+// Each returns { text, selectionStart, selectionEnd } for the textarea.
+
+// Wraps the selection, e.g. in ** for bold; with no selection inserts a placeholder
+export const wrapSelection = (text, start, end, marker, placeholder = 'text') => {
+  const selected = text.slice(start, end) || placeholder;
+  return {
+    text: `${text.slice(0, start)}${marker}${selected}${marker}${text.slice(end)}`,
+    selectionStart: start + marker.length,
+    selectionEnd: start + marker.length + selected.length
+  };
+};
+
+// Adds a line prefix ("# ", "> ", "- ", "1. ") to every line the selection touches,
+// or removes it when every line already has it
+export const toggleLinePrefix = (text, start, end, prefix) => {
+  const lineStart = text.lastIndexOf('\n', start - 1) + 1;
+  const nextBreak = text.indexOf('\n', end);
+  const lineEnd = nextBreak === -1 ? text.length : nextBreak;
+  const lines = text.slice(lineStart, lineEnd).split('\n');
+  const numbered = prefix === '1. ';
+  const prefixPattern = numbered ? /^\d+\.\s/ : new RegExp(`^${prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`);
+  const allPrefixed = lines.every(line => prefixPattern.test(line));
+  const changed = lines.map((line, index) => {
+    if (allPrefixed) return line.replace(prefixPattern, '');
+    const bare = line.replace(/^(#{1,6}\s|>\s|[-+*]\s|\d+\.\s)/, '');
+    return `${numbered ? `${index + 1}. ` : prefix}${bare}`;
+  }).join('\n');
+  return {
+    text: `${text.slice(0, lineStart)}${changed}${text.slice(lineEnd)}`,
+    selectionStart: lineStart,
+    selectionEnd: lineStart + changed.length
+  };
+};
+
+// Inserts a block (e.g. an image) on its own line at the caret
+export const insertBlock = (text, caret, block) => {
+  const before = text.slice(0, caret);
+  const after = text.slice(caret);
+  const lead = before === '' || before.endsWith('\n\n') ? '' : before.endsWith('\n') ? '\n' : '\n\n';
+  const trail = after === '' || after.startsWith('\n\n') ? '' : after.startsWith('\n') ? '\n' : '\n\n';
+  const inserted = `${lead}${block}${trail}`;
+  const position = caret + lead.length + block.length;
+  return { text: `${before}${inserted}${after}`, selectionStart: position, selectionEnd: position };
+};
+
+export const imageMarkdown = (url, caption = '') => `![${escapeInline(caption).replace(/[()]/g, '')}](${url})`;
@@ -0,0 +1,239 @@
+// --- Media Storage ---
+// Entry media goes through a storage backend:
+//   { name, upload(path, blob, { contentType, onProgress }) => Promise<{ url, path }>, remove(path) => Promise }
+// The Firebase implementation uploads to Firebase Storage; the in-memory one keeps
+// blobs in a Map and serves object URLs, for tests and emulator runs that ask for it
+// (its URLs only live as long as the page).
+
+import { ref, uploadBytesResumable, getDownloadURL, deleteObject } from 'firebase/storage';
+
+export const MEDIA_LIMITS = {
+  image: {
+    types: ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/heic'],
+    maxBytes: 10 * 1024 * 1024
+  },
+  video: {
+    types: ['video/mp4', 'video/webm', 'video/quicktime'],
+    maxBytes: 100 * 1024 * 1024
+  }
+};
+
+const THUMBNAIL_SIZE = 320;
+const THUMBNAIL_TIMEOUT_MS = 10000; // Files the browser never finishes decoding get no thumbnail
+
+export const getMediaKind = (contentType = '') => {
+  if (MEDIA_LIMITS.image.types.includes(contentType)) return 'image';
+  if (MEDIA_LIMITS.video.types.includes(contentType)) return 'video';
+  return null;
+};
+
+const formatMegabytes = (bytes) => `${Math.round(bytes / (1024 * 1024))} MB`;
+
+// Returns an error message, or null when the file can be uploaded
+export const validateMediaFile = (file) => {
+  if (!file) return 'No file selected.';
+  const kind = getMediaKind(file.type);
+  if (!kind) return `"${file.name}" is not a supported image or video type.`;
+  if (file.size > MEDIA_LIMITS[kind].maxBytes) {
+    return `"${file.name}" is too large. ${kind === 'image' ? 'Images' : 'Videos'} must be under ${formatMegabytes(MEDIA_LIMITS[kind].maxBytes)}.`;
+  }
+  return null;
+};
+
+// Storage object names: <base>/<timestamp>-<random>-<sanitized file name>
+export const buildMediaPath = (basePath, fileName) => {
+  const safeName = fileName.toLowerCase().replace(/[^a-z0-9.]+/g, '-').replace(/^-+|-+$/g, '') || 'file';
+  return `${basePath}/${Date.now()}-${Math.random().toString(36).slice(2, 8)}-${safeName}`;
+};
+
+export const createFirebaseMediaStorage = (storage) => ({
+  name: 'firebase',
+  upload: (path, blob, { contentType, onProgress } = {}) => new Promise((resolve, reject) => {
+    const storageRef = ref(storage, path);
+    const task = uploadBytesResumable(storageRef, blob, contentType ? { contentType } : undefined);
+    task.on('state_changed',
+      (snapshot) => {
+        if (onProgress && snapshot.totalBytes) onProgress(snapshot.bytesTransferred / snapshot.totalBytes);
+      },
+      reject,
+      async () => {
+        try {
+          resolve({ url: await getDownloadURL(task.snapshot.ref), path });
+        } catch (err) {
+          reject(err);
+        }
+      }
+    );
+  }),
+  remove: async (path) => {
+    try {
+      await deleteObject(ref(storage, path));
+    } catch (err) {
+      // Already gone is fine for cleanup purposes
+      if (err.code !== 'storage/object-not-found') throw err;
+    }
+  }
+});
+
+export const createMemoryMediaStorage = () => {
+  const files = new Map();
+  const toUrl = (blob) => (typeof URL !== 'undefined' && URL.createObjectURL ? URL.createObjectURL(blob) : `memory://${files.size}`);
+
+  return {
+    name: 'memory',
+    files,
+    upload: async (path, blob, { onProgress } = {}) => {
+      if (onProgress) onProgress(1);
+      const url = toUrl(blob);
+      files.set(path, { blob, url });
+      return { url, path };
+    },
+    remove: async (path) => {
+      const file = files.get(path);
+      if (file && typeof URL !== 'undefined' && URL.revokeObjectURL && file.url.startsWith('blob:')) {
+        URL.revokeObjectURL(file.url);
+      }
+      files.delete(path);
+    }
+  };
+};
+
+const canvasToBlob = (canvas) => new Promise((resolve, reject) => {
+  canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not encode thumbnail'))), 'image/jpeg', 0.8);
+});
+
+// Draws a source (image or video frame) scaled to fit THUMBNAIL_SIZE
+const drawThumbnail = (source, width, height) => {
+  const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(width, height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(width * scale));
+  canvas.height = Math.max(1, Math.round(height * scale));
+  canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height);
+  return canvasToBlob(canvas);
+};
+
+const loadImage = (url) => new Promise((resolve, reject) => {
+  const image = new window.Image();
+  image.onload = () => resolve(image);
+  image.onerror = () => reject(new Error('Could not read image'));
+  image.src = url;
+});
+
+// Rejects when `promise` has not settled within `ms`
+const withTimeout = (promise, ms, message) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => reject(new Error(message)), ms);
+  promise.then(
+    (value) => {
+      clearTimeout(timer);
+      resolve(value);
+    },
+    (err) => {
+      clearTimeout(timer);
+      reject(err);
+    }
+  );
+});
+
+// Some videos load but never fire `seeked`, so loading stops after THUMBNAIL_TIMEOUT_MS
+const loadVideoFrame = (url) => new Promise((resolve, reject) => {
+  const video = document.createElement('video');
+  const timer = setTimeout(() => {
+    video.removeAttribute('src');
+    video.load();
+    reject(new Error('Timed out reading video'));
+  }, THUMBNAIL_TIMEOUT_MS);
+  video.muted = true;
+  video.preload = 'metadata';
+  video.onloadeddata = () => {
+    video.currentTime = Math.min(1, (video.duration || 0) / 2);
+  };
+  video.onseeked = () => {
+    clearTimeout(timer);
+    resolve(video);
+  };
+  video.onerror = () => {
+    clearTimeout(timer);
+    reject(new Error('Could not read video'));
+  };
+  video.src = url;
+});
+
+// Client-side JPEG thumbnail for an image or the first second of a video.
+// Resolves to null when the browser cannot decode the file (e.g. HEIC) or takes
+// longer than THUMBNAIL_TIMEOUT_MS, so an upload never waits on it for long.
+export const generateThumbnail = async (file) => {
+  const kind = getMediaKind(file.type);
+  if (!kind || typeof document === 'undefined') return null;
+  const url = URL.createObjectURL(file);
+  const draw = async () => {
+    if (kind === 'image') {
+      const image = await loadImage(url);
+      return drawThumbnail(image, image.naturalWidth, image.naturalHeight);
+    }
+    const video = await loadVideoFrame(url);
+    return drawThumbnail(video, video.videoWidth, video.videoHeight);
+  };
+  try {
+    return await withTimeout(draw(), THUMBNAIL_TIMEOUT_MS, 'Timed out making a thumbnail');
+  } catch (err) {
+    console.warn("Thumbnail generation failed:", err);
+    return null;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+};
+
+// Validates, thumbnails and uploads one file. Resolves to the media item stored on
+// the entry: { url, path, thumbnailUrl, thumbnailPath, kind, name, size, contentType }.
+export const uploadMediaFile = async (mediaStorage, basePath, file, onProgress) => {
+  const validationError = validateMediaFile(file);
+  if (validationError) throw new Error(validationError);
+
+  const kind = getMediaKind(file.type);
+  const thumbnail = await generateThumbnail(file);
+  const uploaded = await mediaStorage.upload(buildMediaPath(basePath, file.name), file, {
+    contentType: file.type,
+    onProgress
+  });
+
+  let thumbnailUpload = null;
+  if (thumbnail) {
+    try {
+      thumbnailUpload = await mediaStorage.upload(`${uploaded.path}.thumb.jpg`, thumbnail, { contentType: 'image/jpeg' });
+    } catch (err) {
+      console.warn("Thumbnail upload failed:", err);
+    }
+  }
+
+  return {
+    url: uploaded.url,
+    path: uploaded.path,
+    thumbnailUrl: thumbnailUpload ? thumbnailUpload.url : null,
+    thumbnailPath: thumbnailUpload ? thumbnailUpload.path : null,
+    kind,
+    name: file.name,
+    size: file.size,
+    contentType: file.type
+  };
+};
+
+// Deletes the stored files behind media items; logs rather than throws so one
+// missing file does not stop the rest from being cleaned up.
+export const removeMediaFiles = async (mediaStorage, mediaItems = []) => {
+  const paths = mediaItems.flatMap(item => [item.path, item.thumbnailPath]).filter(Boolean);
+  await Promise.all(paths.map(path => mediaStorage.remove(path).catch((err) => {
+    console.error(`Failed to remove media file ${path}:`, err);
+  })));
+};
+
+// Media items present in `before` but not in `after` (matched by storage path)
+export const findOrphanedMedia = (before = [], after = []) => {
+  const kept = new Set(after.map(item => item.path));
+  return before.filter(item => item.path && !kept.has(item.path));
+};
+
+// An entry's media as items in display order. Entries from before uploads were
+// tracked only have `mediaUrls`; those are treated as images.
+export const entryMediaItems = entry => (entry.mediaUrls || []).map(url => (
+  (entry.media || []).find(item => item.url === url) || { url, kind: 'image' }
+));
@@ -0,0 +1,134 @@
+// --- Memory Map ---
+// Projection, clustering and point building for the map view. The map is a plain
+// SVG in an equirectangular projection (x = longitude, y = latitude), drawn over
+// simplified continent outlines so it needs no tile server or map library.
+
+import { parseEntryDate } from './timeline';
+import { hasCoordinates } from './geocoding';
+
+export const MAP_WIDTH = 720;
+export const MAP_HEIGHT = 360;
+
+// Latitudes shown when fully zoomed out (Antarctica is cropped)
+export const MAP_TOP_LAT = 84;
+export const MAP_BOTTOM_LAT = -58;
+
+export const project = (lat, lng) => ({
+  x: ((lng + 180) / 360) * MAP_WIDTH,
+  y: ((90 - lat) / 180) * MAP_HEIGHT
+});
+
+// Coarse continent outlines as [lng, lat] rings; enough to orient by, not to navigate with
+export const WORLD_OUTLINES = [
+  // North America
+  [[-168, 66], [-162, 70], [-140, 70], [-125, 70], [-95, 72], [-80, 73], [-62, 66], [-55, 52], [-66, 45], [-70, 42],
+    [-76, 35], [-81, 31], [-80, 25], [-82, 28], [-84, 30], [-90, 30], [-97, 27], [-97, 22], [-92, 18], [-87, 21],
+    [-88, 16], [-83, 10], [-79, 9], [-82, 8], [-86, 12], [-92, 15], [-105, 20], [-110, 24], [-112, 30], [-117, 32],
+    [-120, 35], [-124, 40], [-124, 48], [-130, 55], [-140, 60], [-150, 60], [-158, 57], [-165, 60]],
+  // Greenland
+  [[-55, 60], [-45, 60], [-20, 70], [-18, 78], [-30, 83], [-60, 82], [-70, 77], [-55, 70]],
+  // South America
+  [[-80, 9], [-72, 12], [-62, 11], [-52, 5], [-50, 0], [-35, -5], [-38, -13], [-41, -22], [-48, -26], [-54, -34],
+    [-58, -38], [-65, -42], [-68, -50], [-70, -55], [-75, -50], [-73, -40], [-71, -30], [-70, -18], [-76, -14],
+    [-81, -6], [-80, 0], [-78, 3], [-77, 8]],
+  // Europe and Asia
+  [[-10, 36], [-9, 43], [-2, 44], [-5, 48], [2, 51], [5, 53], [8, 55], [10, 58], [5, 60], [5, 62], [14, 68], [20, 70],
+    [30, 71], [40, 68], [60, 70], [80, 73], [100, 78], [130, 72], [160, 70], [180, 68], [180, 65], [170, 60],
+    [160, 55], [155, 50], [140, 45], [135, 35], [127, 35], [122, 30], [122, 25], [110, 20], [108, 15], [105, 10],
+    [100, 13], [100, 5], [103, 1], [98, 8], [97, 16], [92, 22], [88, 22], [80, 15], [77, 8], [73, 17], [67, 24],
+    [57, 25], [52, 27], [48, 30], [56, 26], [59, 22], [52, 16], [43, 12], [39, 20], [35, 28], [34, 31], [36, 36],
+    [27, 37], [23, 36], [22, 40], [19, 42], [16, 38], [12, 40], [12, 44], [8, 44], [3, 43], [-1, 37], [-6, 36]],
+  // Africa
+  [[-17, 21], [-13, 28], [-6, 36], [10, 37], [11, 33], [20, 31], [32, 31], [34, 28], [43, 12], [51, 12], [44, 0],
+    [40, -10], [40, -16], [35, -24], [32, -29], [27, -34], [20, -35], [17, -29], [12, -17], [13, -10], [9, -1],
+    [9, 4], [4, 6], [-8, 4], [-13, 8], [-17, 14]],
+  // Great Britain
+  [[-5, 50], [1, 51], [2, 53], [0, 55], [-2, 57], [-3, 59], [-6, 58], [-5, 55], [-3, 54], [-5, 52]],
+  // Japan
+  [[130, 31], [135, 34], [140, 35], [142, 40], [141, 45], [145, 44], [141, 41], [139, 38], [136, 37], [131, 34]],
+  // Madagascar
+  [[44, -25], [47, -25], [50, -15], [49, -12], [44, -17]],
+  // Australia
+  [[114, -22], [114, -34], [118, -35], [130, -32], [138, -35], [147, -39], [151, -34], [153, -27], [146, -19],
+    [142, -11], [136, -12], [130, -12], [126, -14], [122, -17]],
+  // New Zealand
+  [[172, -34], [178, -38], [175, -42], [170, -46], [167, -46], [172, -41], [174, -37]]
+];
+
+export const outlinePath = ring => `${ring.map(([lng, lat], i) => {
+  const { x, y } = project(lat, lng);
+  return `${i === 0 ? 'M' : 'L'}${x.toFixed(1)},${y.toFixed(1)}`;
+}).join(' ')} Z`;
+
+// Map points for located entries and historical images:
+// [{ id, kind: 'entry' | 'historical', lat, lng, x, y, year, title, subtitle, item }]
+export const buildMapPoints = (entries, historicalImages = []) => {
+  const points = [];
+  entries.filter(hasCoordinates).forEach((entry) => {
+    const parsed = parseEntryDate(entry.date);
+    points.push({
+      id: `entry-${entry.id}`,
+      kind: 'entry',
+      ...entry.coordinates,
+      ...project(entry.coordinates.lat, entry.coordinates.lng),
+      year: parsed ? parsed.year : null,
+      title: entry.title,
+      subtitle: [entry.date, entry.location].filter(Boolean).join(' · '),
+      item: entry
+    });
+  });
+  historicalImages.filter(hasCoordinates).forEach((image) => {
+    points.push({
+      id: `historical-${image.id}`,
+      kind: 'historical',
+      ...image.coordinates,
+      ...project(image.coordinates.lat, image.coordinates.lng),
+      year: image.fromYear || image.year || null,
+      title: image.description,
+      subtitle: [image.toYear && image.toYear !== image.fromYear ? `${image.fromYear}–${image.toYear}` : image.fromYear || image.year, image.location].filter(Boolean).join(' · '),
+      item: image
+    });
+  });
+  return points;
+};
+
+// Groups points that would overlap on screen. `radius` is in map units, so callers
+// divide by the zoom level. Uses a grid so large archives stay fast.
+// Returns [{ id, x, y, points }] with x/y at the cluster's centroid.
+export const clusterPoints = (points, radius) => {
+  const clusters = [];
+  const grid = new Map();
+  const cellKey = (cx, cy) => `${cx}:${cy}`;
+
+  points.forEach((point) => {
+    const cx = Math.floor(point.x / radius);
+    const cy = Math.floor(point.y / radius);
+    let target = null;
+    for (let dx = -1; dx <= 1 && !target; dx++) {
+      for (let dy = -1; dy <= 1 && !target; dy++) {
+        (grid.get(cellKey(cx + dx, cy + dy)) || []).some((cluster) => {
+          if (Math.hypot(cluster.x - point.x, cluster.y - point.y) <= radius) {
+            target = cluster;
+            return true;
+          }
+          return false;
+        });
+      }
+    }
+    if (target) {
+      target.points.push(point);
+      target.x += (point.x - target.x) / target.points.length;
+      target.y += (point.y - target.y) / target.points.length;
+    } else {
+      const cluster = { id: point.id, x: point.x, y: point.y, points: [point] };
+      clusters.push(cluster);
+      const key = cellKey(cx, cy);
+      if (!grid.has(key)) grid.set(key, []);
+      grid.get(key).push(cluster);
+    }
+  });
+  return clusters;
+};
+
+// Entries with a location typed in but no coordinates chosen yet
+export const findUnplacedEntries = entries => entries.filter(entry => (entry.location || '').trim() && !hasCoordinates(entry));
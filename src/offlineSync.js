@@ -0,0 +1,118 @@
+// --- Offline Sync ---
+// Firestore's persistent cache queues writes while offline and replays them when the
+// connection comes back. This module adds what the app needs on top of that:
+//   - revision numbers and a device id on every entry write
+//   - a per-device log of unconfirmed entry edits, persisted in localStorage
+//   - conflict detection when the same entry was edited on two devices
+//
+// An edit is in conflict when the server copy came from another device that did not
+// build on our revision (its baseRevision is older than the revision we wrote).
+
+import { initializeFirestore, getFirestore, persistentLocalCache, persistentMultipleTabManager } from 'firebase/firestore';
+
+const DEVICE_KEY = 'living-story-device-id';
+
+// Firestore with offline persistence, falling back to memory-only where IndexedDB is unavailable
+export const initOfflineFirestore = (app) => {
+  try {
+    return initializeFirestore(app, { localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }) });
+  } catch (err) {
+    console.warn("Offline persistence unavailable, continuing online-only:", err);
+    return getFirestore(app);
+  }
+};
+
+const storage = () => (typeof window !== 'undefined' && window.localStorage ? window.localStorage : null);
+
+export const getDeviceId = () => {
+  const store = storage();
+  let deviceId = store ? store.getItem(DEVICE_KEY) : null;
+  if (!deviceId) {
+    deviceId = `device-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    if (store) store.setItem(DEVICE_KEY, deviceId);
+  }
+  return deviceId;
+};
+
+// Adds revision bookkeeping to an entry write. `previous` is the entry being edited.
+export const withRevision = (entryData, previous = null) => {
+  const baseRevision = previous && typeof previous.revision === 'number' ? previous.revision : 0;
+  return {
+    ...entryData,
+    revision: baseRevision + 1,
+    baseRevision,
+    deviceId: getDeviceId()
+  };
+};
+
+// --- Edit log ---
+
+const logKey = (appId, userId) => `living-story-edits-${appId}-${userId}`;
+
+export const readEditLog = (appId, userId) => {
+  const store = storage();
+  if (!store) return {};
+  try {
+    return JSON.parse(store.getItem(logKey(appId, userId)) || '{}');
+  } catch (err) {
+    return {};
+  }
+};
+
+const writeEditLog = (appId, userId, log) => {
+  const store = storage();
+  if (store) store.setItem(logKey(appId, userId), JSON.stringify(log));
+};
+
+// Remembers an entry edit until the server confirms it
+export const recordEdit = (appId, userId, entryId, entryData) => {
+  const log = readEditLog(appId, userId);
+  log[entryId] = {
+    entryId,
+    revision: entryData.revision,
+    data: entryData,
+    savedAt: new Date().toISOString()
+  };
+  writeEditLog(appId, userId, log);
+};
+
+export const clearEdit = (appId, userId, entryId) => {
+  const log = readEditLog(appId, userId);
+  if (!log[entryId]) return;
+  delete log[entryId];
+  writeEditLog(appId, userId, log);
+};
+
+// Compares the edit log with the latest server snapshot. Confirmed edits are
+// dropped from the log; edits that lost to another device come back as conflicts:
+// [{ entryId, mine, theirs }]
+export const reconcileEdits = (appId, userId, entries, pendingEntryIds) => {
+  const log = readEditLog(appId, userId);
+  const deviceId = getDeviceId();
+  const conflicts = [];
+  let changed = false;
+
+  Object.values(log).forEach((edit) => {
+    if (pendingEntryIds.has(edit.entryId)) return; // Still waiting to reach the server
+    const server = entries.find(entry => entry.id === edit.entryId);
+    if (!server) {
+      delete log[edit.entryId]; // Deleted since; nothing left to reconcile
+      changed = true;
+      return;
+    }
+    if (server.deviceId === deviceId && server.revision >= edit.revision) {
+      delete log[edit.entryId]; // Our edit (or a later one of ours) won
+      changed = true;
+      return;
+    }
+    if (server.deviceId !== deviceId && (server.baseRevision || 0) < edit.revision) {
+      conflicts.push({ entryId: edit.entryId, mine: edit.data, theirs: server });
+    } else {
+      delete log[edit.entryId]; // The other device built on top of our edit
+      changed = true;
+    }
+  });
+
+  if (changed) writeEditLog(appId, userId, log);
+  return conflicts;
+};
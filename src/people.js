@@ -0,0 +1,148 @@
+// --- People ---
+// The people in a user's story, with their relationship and the dates known about
+// them, stored in
+//
+//   artifacts/{appId}/users/{userId}/people/{personId}
+//
+// Entries mention people inline as `@[Name](personId)`. The name is kept in the
+// token so the text still reads correctly if the person is later deleted, and so
+// exports and shared copies need no people list. Renaming a person rewrites their
+// tokens (see renameMentions), and the app draws mentions with the current name in
+// case an entry has not caught up yet. The ids are also saved on the entry as
+// `mentions` for filtering.
+
+import { collection, doc, setDoc, updateDoc, deleteDoc } from 'firebase/firestore';
+
+import { parseEntryDate } from './timeline';
+
+export const RELATIONSHIPS = ['Family', 'Partner', 'Friend', 'Mentor', 'Colleague', 'Neighbor', 'Other'];
+
+export const peoplePath = (appId, userId) => `artifacts/${appId}/users/${userId}/people`;
+
+const MENTION_PATTERN = /@\[([^\]]+)\]\(([^)\s]+)\)/g;
+
+export const mentionToken = person => `@[${person.name.replace(/[[\]]/g, '')}](${person.id})`;
+
+// Person ids mentioned in a text, in order of first appearance
+export const extractMentionIds = (text) => {
+  const ids = [];
+  (text || '').replace(MENTION_PATTERN, (match, name, id) => {
+    if (!ids.includes(id)) ids.push(id);
+    return match;
+  });
+  return ids;
+};
+
+// Splits text into [{ type: 'text', text } | { type: 'mention', text: name, personId }]
+export const splitMentions = (text) => {
+  const parts = [];
+  let cursor = 0;
+  const source = text || '';
+  source.replace(MENTION_PATTERN, (match, name, personId, offset) => {
+    if (offset > cursor) parts.push({ type: 'text', text: source.slice(cursor, offset) });
+    parts.push({ type: 'mention', text: name, personId });
+    cursor = offset + match.length;
+    return match;
+  });
+  if (cursor < source.length) parts.push({ type: 'text', text: source.slice(cursor) });
+  return parts;
+};
+
+// Plain text with mentions replaced by the names, for search, export and sharing
+export const stripMentions = text => (text || '').replace(MENTION_PATTERN, (match, name) => name);
+
+// Turns one person's mentions back into plain names, used when the person is deleted
+export const unlinkMentions = (text, personId) => (text || '')
+  .replace(MENTION_PATTERN, (match, name, id) => (id === personId ? name : match));
+
+// Puts a person's current name into their mention tokens, used when they are renamed
+export const renameMentions = (text, person) => (text || '')
+  .replace(MENTION_PATTERN, (match, name, id) => (id === person.id ? mentionToken(person) : match));
+
+// The "@partial" being typed just before the caret, or null
+export const findMentionQuery = (text, caret) => {
+  const before = (text || '').slice(0, caret);
+  const match = before.match(/(^|\s)@([\p{L}'-]*(?: [\p{L}'-]*)?)$/u);
+  if (!match) return null;
+  return { start: caret - match[2].length - 1, query: match[2] };
+};
+
+// Replaces the typed "@partial" with a mention token. Returns { text, caret }.
+export const insertMention = (text, start, caret, person) => {
+  const token = `${mentionToken(person)} `;
+  return {
+    text: `${text.slice(0, start)}${token}${text.slice(caret).replace(/^ /, '')}`,
+    caret: start + token.length
+  };
+};
+
+// People whose name starts with (or has a word starting with) the query
+export const matchPeople = (people, query, limit = 6) => {
+  const needle = (query || '').trim().toLowerCase();
+  return people
+    .filter(person => !needle || person.name.toLowerCase().split(/\s+/).some(word => word.startsWith(needle))
+      || person.name.toLowerCase().startsWith(needle))
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .slice(0, limit);
+};
+
+// Entries that mention a person, oldest first
+export const entriesMentioning = (entries, personId) => entries
+  .filter(entry => (entry.mentions || extractMentionIds(entry.content)).includes(personId))
+  .sort((a, b) => String(a.date || '').localeCompare(String(b.date || '')));
+
+// { personId: count } over all entries
+export const countMentions = (entries) => {
+  const counts = {};
+  entries.forEach((entry) => {
+    (entry.mentions || extractMentionIds(entry.content)).forEach((id) => {
+      counts[id] = (counts[id] || 0) + 1;
+    });
+  });
+  return counts;
+};
+
+// People mentioned in entries from a given year, most mentioned first
+export const peopleInYear = (entries, people, year) => {
+  const counts = {};
+  entries.forEach((entry) => {
+    const parsed = parseEntryDate(entry.date);
+    if (!parsed || parsed.year !== Number(year)) return;
+    (entry.mentions || extractMentionIds(entry.content)).forEach((id) => {
+      counts[id] = (counts[id] || 0) + 1;
+    });
+  });
+  return people
+    .filter(person => counts[person.id])
+    .sort((a, b) => counts[b.id] - counts[a.id]);
+};
+
+// --- Writes ---
+
+const cleanPerson = (person) => {
+  const name = (person.name || '').trim();
+  if (!name) throw new Error('A person needs a name.');
+  return {
+    name,
+    relationship: person.relationship || '',
+    born: person.born || '',
+    met: person.met || '',
+    died: person.died || '',
+    notes: person.notes || ''
+  };
+};
+
+// Creates a person with a locally generated id, so a mention can be inserted straight
+// away. Returns { person, write }; the write is tracked by the caller, not awaited.
+export const addPerson = (db, appId, userId, person) => {
+  const ref = doc(collection(db, peoplePath(appId, userId)));
+  const data = { ...cleanPerson(person), createdAt: new Date() };
+  return { person: { id: ref.id, ...data }, write: setDoc(ref, data) };
+};
+
+export const updatePerson = (db, appId, userId, personId, person) => updateDoc(
+  doc(db, peoplePath(appId, userId), personId),
+  { ...cleanPerson(person), updatedAt: new Date() }
+);
+
+export const deletePerson = (db, appId, userId, personId) => deleteDoc(doc(db, peoplePath(appId, userId), personId));
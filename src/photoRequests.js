@@ -0,0 +1,249 @@
+// --- Photo Requests ---
+// A photo request asks the community for pictures of a place and time. The owner's
+// record lives with their private data; a published copy with the same id sits on
+// a community board where any signed-in user can answer it with a photo:
+//
+//   artifacts/{appId}/users/{ownerId}/photoRequests/{requestId}   owner's record
+//   artifacts/{appId}/photoRequests/{requestId}                    community copy
+//   artifacts/{appId}/photoRequests/{requestId}/responses/{responseId}
+//
+// A response is one uploaded photo with a caption and an attribution (who took it
+// or which archive it comes from). The owner accepts or rejects each response,
+// attaches accepted photos to an entry and marks the request fulfilled.
+
+import { collection, doc, addDoc, updateDoc, onSnapshot, query, where, orderBy, limit, writeBatch } from 'firebase/firestore';
+
+import { uploadMediaFile, getMediaKind } from './mediaStorage';
+import { parseEntryDate } from './timeline';
+
+export const REQUEST_STATUS = { pending: 'pending', fulfilled: 'fulfilled' };
+export const RESPONSE_STATUS = { pending: 'pending', accepted: 'accepted', rejected: 'rejected' };
+
+export const MAX_CAPTION_LENGTH = 500;
+export const MIN_REQUEST_YEAR = 1800;
+
+// A request as edited in the form; years are kept as typed until it is saved
+export const EMPTY_PHOTO_REQUEST = { location: '', fromYear: '', toYear: '', description: '', entryId: '' };
+const COMMUNITY_LIMIT = 50;
+
+const toDate = value => (value && typeof value.toDate === 'function' ? value.toDate() : new Date(value));
+
+export const photoRequestsPath = (appId, userId) => `artifacts/${appId}/users/${userId}/photoRequests`;
+export const communityRequestsPath = appId => `artifacts/${appId}/photoRequests`;
+export const responsesPath = (appId, requestId) => `artifacts/${appId}/photoRequests/${requestId}/responses`;
+
+// "1968" for a single year, "1965–1970" for a range
+export const formatTimeframe = (fromYear, toYear) => (
+  !toYear || Number(toYear) === Number(fromYear) ? `${fromYear}` : `${fromYear}–${toYear}`
+);
+
+const parseYear = value => (/^\d{4}$/.test(String(value).trim()) ? Number(value) : null);
+
+// Problems with a draft as { field: message }; empty when it can be submitted
+export const validatePhotoRequest = (draft, currentYear = new Date().getFullYear()) => {
+  const errors = {};
+  if (!(draft.location || '').trim()) errors.location = 'Enter the place the photos should show.';
+  const fromYear = parseYear(draft.fromYear);
+  const toYear = String(draft.toYear || '').trim() ? parseYear(draft.toYear) : fromYear;
+  if (fromYear === null) {
+    errors.fromYear = 'Enter a four-digit year.';
+  } else if (fromYear < MIN_REQUEST_YEAR || fromYear > currentYear) {
+    errors.fromYear = `Enter a year between ${MIN_REQUEST_YEAR} and ${currentYear}.`;
+  }
+  if (toYear === null) {
+    errors.toYear = 'Enter a four-digit year, or leave it empty for a single year.';
+  } else if (fromYear !== null && (toYear < fromYear || toYear > currentYear)) {
+    errors.toYear = `The end year must be between ${fromYear} and ${currentYear}.`;
+  }
+  if (!(draft.description || '').trim()) errors.description = 'Describe what you are hoping to see.';
+  return errors;
+};
+
+// Pre-fills a request for photos of one memory. The description is posted to the
+// community board, so it only repeats the place and year and never the entry's
+// title or content, which may be private.
+export const draftFromEntry = (entry) => {
+  const parsed = parseEntryDate(entry.date);
+  const year = parsed ? String(parsed.year) : '';
+  const location = (entry.location || '').trim();
+  return {
+    location,
+    fromYear: year,
+    toYear: '',
+    description: location ? `Looking for photos of ${location}${year ? ` from around ${year}` : ''}.` : '',
+    entryId: entry.id
+  };
+};
+
+// Distinct entry locations, most used first, for the location autocomplete
+export const locationSuggestions = (entries) => {
+  const counts = {};
+  entries.forEach((entry) => {
+    const location = (entry.location || '').trim();
+    if (location) counts[location] = (counts[location] || 0) + 1;
+  });
+  return Object.keys(counts).sort((a, b) => counts[b] - counts[a] || a.localeCompare(b));
+};
+
+// The fields readers of the community board see
+const toCommunityRequest = (request, owner) => ({
+  ownerId: owner.uid,
+  ownerName: owner.displayName || 'Anonymous',
+  location: request.location,
+  timeframe: request.timeframe,
+  fromYear: request.fromYear || null,
+  toYear: request.toYear || null,
+  description: request.description || '',
+  status: request.status || REQUEST_STATUS.pending,
+  requestedAt: request.requestedAt || new Date()
+});
+
+// Saves the owner's record and its community copy together. Returns { id, write }
+// with the id generated locally so the request shows up while offline. The linked
+// entry stays on the owner's record only.
+export const createPhotoRequest = (db, appId, owner, draft) => {
+  const errors = Object.values(validatePhotoRequest(draft));
+  if (errors.length > 0) throw new Error(errors[0]);
+  const fromYear = Number(draft.fromYear);
+  const toYear = String(draft.toYear || '').trim() ? Number(draft.toYear) : fromYear;
+  const request = {
+    location: draft.location.trim(),
+    fromYear,
+    toYear,
+    timeframe: formatTimeframe(fromYear, toYear),
+    description: draft.description.trim(),
+    entryId: draft.entryId || null,
+    status: REQUEST_STATUS.pending,
+    published: true,
+    requestedAt: new Date()
+  };
+  const requestRef = doc(collection(db, photoRequestsPath(appId, owner.uid)));
+  const batch = writeBatch(db);
+  batch.set(requestRef, request);
+  batch.set(doc(db, communityRequestsPath(appId), requestRef.id), toCommunityRequest(request, owner));
+  return { id: requestRef.id, write: batch.commit() };
+};
+
+// Requests saved before the community board existed have no `published` flag. They
+// were private when they were made, so they are only posted once the owner agrees;
+// `published: false` records that the owner chose to keep them private.
+export const unreviewedPhotoRequests = requests => requests.filter(request => request.published === undefined);
+
+export const publishPhotoRequests = (db, appId, owner, requests) => {
+  const batch = writeBatch(db);
+  requests.forEach((request) => {
+    batch.set(doc(db, communityRequestsPath(appId), request.id), toCommunityRequest(request, owner));
+    batch.update(doc(db, photoRequestsPath(appId, owner.uid), request.id), { published: true });
+  });
+  return batch.commit();
+};
+
+export const keepPhotoRequestsPrivate = (db, appId, ownerId, requests) => {
+  const batch = writeBatch(db);
+  requests.forEach((request) => {
+    batch.update(doc(db, photoRequestsPath(appId, ownerId), request.id), { published: false });
+  });
+  return batch.commit();
+};
+
+// Opens or closes a request on the owner's record and, when it is published, the
+// community copy
+export const setPhotoRequestStatus = (db, appId, ownerId, request, status) => {
+  const batch = writeBatch(db);
+  const changes = { status, fulfilledAt: status === REQUEST_STATUS.fulfilled ? new Date() : null };
+  batch.update(doc(db, photoRequestsPath(appId, ownerId), request.id), changes);
+  if (request.published) batch.update(doc(db, communityRequestsPath(appId), request.id), changes);
+  return batch.commit();
+};
+
+// Live open requests from everyone, newest first. Returns the unsubscribe function.
+export const subscribeToCommunityRequests = (db, appId, onChange, onError) => onSnapshot(
+  query(collection(db, communityRequestsPath(appId)), where('status', '==', REQUEST_STATUS.pending), limit(COMMUNITY_LIMIT)),
+  (snapshot) => {
+    const requests = snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+    onChange(requests.sort((a, b) => toDate(b.requestedAt) - toDate(a.requestedAt)));
+  },
+  onError
+);
+
+// Live responses for several of the owner's requests as { requestId: responses },
+// oldest first, one listener per request. Returns the unsubscribe function.
+export const subscribeToResponses = (db, appId, requestIds, onChange) => {
+  const responses = {};
+  const unsubscribes = requestIds.map(requestId => onSnapshot(
+    query(collection(db, responsesPath(appId, requestId)), orderBy('submittedAt', 'asc')),
+    (snapshot) => {
+      responses[requestId] = snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+      onChange({ ...responses });
+    },
+    err => console.error("Error fetching photo request responses:", err)
+  ));
+  return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+};
+
+// Uploads the responder's photo and records it as a pending response
+export const submitPhotoResponse = async (db, appId, mediaStorage, request, responder, { file, caption, attribution }) => {
+  if (!responder || !responder.uid) throw new Error('Sign in to share a photo.');
+  if (request.ownerId === responder.uid) throw new Error('You cannot answer your own request.');
+  if (!file) throw new Error('Choose a photo to share.');
+  if (getMediaKind(file.type) !== 'image') throw new Error(`"${file.name}" is not a photo.`);
+  const cleanAttribution = (attribution || '').trim();
+  if (!cleanAttribution) throw new Error('Say who took the photo or where it comes from.');
+  const cleanCaption = (caption || '').trim();
+  if (cleanCaption.length > MAX_CAPTION_LENGTH) throw new Error(`Captions are limited to ${MAX_CAPTION_LENGTH} characters.`);
+
+  const photo = await uploadMediaFile(mediaStorage, `artifacts/${appId}/photoRequests/${request.id}/${responder.uid}`, file);
+  return addDoc(collection(db, responsesPath(appId, request.id)), {
+    authorId: responder.uid,
+    authorName: responder.displayName || 'Anonymous',
+    photo,
+    caption: cleanCaption,
+    attribution: cleanAttribution,
+    status: RESPONSE_STATUS.pending,
+    attachedTo: null,
+    submittedAt: new Date(),
+    reviewedAt: null
+  });
+};
+
+export const reviewPhotoResponse = (db, appId, requestId, responseId, status) => updateDoc(
+  doc(db, responsesPath(appId, requestId), responseId),
+  { status, reviewedAt: new Date() }
+);
+
+export const markResponsesAttached = (db, appId, requestId, responseIds, entryId) => {
+  const batch = writeBatch(db);
+  responseIds.forEach((responseId) => {
+    batch.update(doc(db, responsesPath(appId, requestId), responseId), { attachedTo: entryId });
+  });
+  return batch.commit();
+};
+
+// The entry's media with the responses' photos appended (skipping any already on
+// it), as the { media, mediaUrls } fields to write back to the entry. The files
+// belong to the responders, so only their links are copied: without the storage
+// paths, editing or deleting the entry never tries to remove someone else's files.
+export const withResponsePhotos = (entry, responses) => {
+  const mediaUrls = [...(entry.mediaUrls || [])];
+  const media = [...(entry.media || [])];
+  responses.forEach((response) => {
+    const { photo } = response;
+    if (!photo || !photo.url || mediaUrls.includes(photo.url)) return;
+    mediaUrls.push(photo.url);
+    media.push({
+      url: photo.url,
+      thumbnailUrl: photo.thumbnailUrl || null,
+      kind: photo.kind || 'image',
+      caption: response.caption || '',
+      attribution: response.attribution
+    });
+  });
+  return { media, mediaUrls };
+};
+
+// Counts for a request's status badge
+export const summarizeResponses = (responses = []) => ({
+  total: responses.length,
+  pending: responses.filter(r => r.status === RESPONSE_STATUS.pending).length,
+  accepted: responses.filter(r => r.status === RESPONSE_STATUS.accepted).length
+});
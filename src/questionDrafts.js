@@ -0,0 +1,58 @@
+// --- AI Answer → Entry Drafts ---
+// Turns an answered AI question into a draft for the entry modal. The draft keeps a
+// backlink to its question (`sourceQuestionId`) so the question can point at the
+// entry once it is saved.
+
+import { CONTENT_FORMAT, escapeMarkdown } from './markdown';
+
+// Question types map onto the entry types the entry modal offers
+const ENTRY_TYPE_FOR_QUESTION = {
+  reflection: 'reflection',
+  followup: 'personal',
+  detail: 'personal',
+  gap: 'personal',
+  people: 'personal'
+};
+
+const truncate = (text, length) => (text.length > length ? `${text.slice(0, length - 1).trim()}…` : text);
+
+// Titles a draft after its related entry, or else after the first sentence of the answer
+const draftTitle = (question, answer, relatedEntry) => {
+  if (relatedEntry && relatedEntry.title) {
+    return question.type === 'followup' ? `What happened after ${relatedEntry.title}` : `More about ${relatedEntry.title}`;
+  }
+  const firstSentence = answer.split(/(?<=[.!?])\s/)[0].trim();
+  if (firstSentence) return truncate(firstSentence.replace(/[.!?]+$/, ''), 60);
+  return question.year ? `Memories from ${question.year}` : 'A new memory';
+};
+
+export const draftEntryFromQuestion = (question, answer, entries = []) => {
+  const relatedEntry = question.relatedEntry ? entries.find(entry => entry.id === question.relatedEntry) : null;
+
+  // Dates: the related entry's date if there is one, else the question's year, else today.
+  // A year-only date is flagged so the timeline files it under "Sometime this year".
+  let date = new Date().toISOString().split('T')[0];
+  let datePrecision = 'day';
+  if (relatedEntry && relatedEntry.date) {
+    date = relatedEntry.date;
+    datePrecision = relatedEntry.datePrecision || 'day';
+  } else if (question.year) {
+    date = `${question.year}-01-01`;
+    datePrecision = 'year';
+  }
+
+  return {
+    title: draftTitle(question, answer.trim(), relatedEntry),
+    content: escapeMarkdown(answer.trim()), // Answers are plain text; keep them as typed
+    contentFormat: CONTENT_FORMAT,
+    date,
+    datePrecision,
+    location: relatedEntry ? relatedEntry.location || '' : '',
+    tags: relatedEntry ? [...(relatedEntry.tags || [])] : [],
+    privacy: relatedEntry ? relatedEntry.privacy || 'private' : 'private',
+    type: ENTRY_TYPE_FOR_QUESTION[question.type] || 'personal',
+    sourceQuestionId: question.id,
+    sourceQuestion: question.question,
+    relatedEntryId: relatedEntry ? relatedEntry.id : null
+  };
+};
@@ -0,0 +1,334 @@
+// --- AI Question Generation ---
+// Question generation goes through a provider: { name, generateQuestions(context) }.
+// `context` is { entries, people?, year?, entry?, answer?, limit? } and providers resolve to an array of
+// question documents ready to be written to the `aiQuestions` collection. With `answer`
+// ({ question, text }, an answered question document and what was said) they resolve to
+// follow-ups that point back at it through `parentQuestionId`.
+//
+// The rule-based provider is deterministic and works offline. The LLM provider posts
+// the same context to an HTTP endpoint and falls back to the rule-based provider
+// whenever the endpoint is unavailable or returns something unusable.
+
+import { parseEntryDate } from './timeline';
+import { extractMentionIds, splitMentions, peopleInYear, countMentions } from './people';
+import { entryPlainText } from './markdown';
+
+export const QUESTION_TYPES = ['followup', 'detail', 'gap', 'reflection', 'people'];
+
+const DEFAULT_LIMIT = 5;
+const LLM_TIMEOUT_MS = 15000;
+
+const STOP_WORDS = new Set([
+  'a', 'about', 'after', 'again', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'because',
+  'been', 'before', 'being', 'but', 'by', 'can', 'could', 'day', 'did', 'do', 'does', 'down', 'each', 'even',
+  'every', 'felt', 'few', 'first', 'for', 'from', 'got', 'had', 'has', 'have', 'he', 'her', 'here', 'him',
+  'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'just', 'last', 'like', 'me', 'more', 'most',
+  'my', 'myself', 'never', 'new', 'no', 'not', 'now', 'of', 'off', 'on', 'once', 'one', 'only', 'or', 'other',
+  'our', 'out', 'over', 'really', 'said', 'she', 'so', 'some', 'still', 'such', 'than', 'that', 'the',
+  'their', 'them', 'then', 'there', 'these', 'they', 'thing', 'things', 'this', 'those', 'time', 'to', 'too',
+  'up', 'us', 'very', 'was', 'we', 'went', 'were', 'what', 'when', 'where', 'which', 'while', 'who', 'will',
+  'with', 'would', 'year', 'years', 'you', 'your'
+]);
+
+// Capitalized words that start sentences or name months/days rather than people
+const NON_NAME_WORDS = new Set([
+  'I', 'The', 'A', 'An', 'My', 'We', 'Our', 'He', 'She', 'They', 'It', 'This', 'That', 'Then', 'When',
+  'After', 'Before', 'Later', 'Today', 'Yesterday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday',
+  'Saturday', 'Sunday', 'January', 'February', 'March', 'April', 'May', 'June', 'July', 'August',
+  'September', 'October', 'November', 'December', 'Christmas', 'Easter', 'Thanksgiving'
+]);
+
+// Small, stable string hash so the same question always gets the same document ID.
+// Writing with setDoc then naturally de-duplicates repeated generations.
+export const hashString = (value) => {
+  let hash = 0;
+  for (let i = 0; i < value.length; i++) {
+    hash = ((hash << 5) - hash + value.charCodeAt(i)) | 0;
+  }
+  return (hash >>> 0).toString(36);
+};
+
+export const makeQuestion = (question, type, { relatedEntry = null, year = null, source = 'rule-based' } = {}) => ({
+  id: `q-${hashString(`${type}|${relatedEntry || ''}|${question}`)}`,
+  question,
+  relatedEntry,
+  type,
+  year,
+  source,
+  answered: false
+});
+
+export const getEntryYear = (entry) => {
+  const parsed = parseEntryDate(entry && entry.date);
+  return parsed ? parsed.year : null;
+};
+
+// Most frequent meaningful words in a piece of text
+export const extractKeywords = (text = '', limit = 3) => {
+  const counts = new Map();
+  (text.toLowerCase().match(/[a-z][a-z'-]{3,}/g) || []).forEach((word) => {
+    if (STOP_WORDS.has(word)) return;
+    counts.set(word, (counts.get(word) || 0) + 1);
+  });
+  return Array.from(counts.entries())
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, limit)
+    .map(([word]) => word);
+};
+
+// Capitalized names that do not start a sentence, e.g. "...dinner with Aunt Rosa"
+export const extractPeople = (text = '') => {
+  const people = new Set();
+  const pattern = /(?:[^.!?\s]\s+)([A-Z][a-z]+(?:\s+[A-Z][a-z]+)?)/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    const name = match[1];
+    if (!NON_NAME_WORDS.has(name.split(/\s+/)[0])) people.add(name);
+  }
+  return Array.from(people);
+};
+
+// Years between the earliest and latest entry that have no entries at all,
+// collapsed into ranges: [{ from: 2012, to: 2014 }, ...]
+export const findYearGaps = (entries = []) => {
+  const years = Array.from(new Set(entries.map(getEntryYear).filter(year => year !== null))).sort((a, b) => a - b);
+  const gaps = [];
+  for (let i = 1; i < years.length; i++) {
+    if (years[i] - years[i - 1] > 1) {
+      gaps.push({ from: years[i - 1] + 1, to: years[i] - 1 });
+    }
+  }
+  return gaps;
+};
+
+// People @-mentioned in an entry, resolved against the people collection when possible
+const mentionedPeopleOf = (entry, people) => {
+  const names = {};
+  splitMentions(entry.content).forEach((part) => {
+    if (part.type === 'mention') names[part.personId] = part.text;
+  });
+  return extractMentionIds(entry.content).map(id => people.find(person => person.id === id) || { id, name: names[id] });
+};
+
+const questionsForEntry = (entry, source, people = []) => {
+  const questions = [];
+  const year = getEntryYear(entry);
+  const options = { relatedEntry: entry.id || null, year, source };
+  const title = entry.title || 'this memory';
+  const content = entryPlainText(entry);
+
+  questions.push(makeQuestion(`You wrote about "${title}". What happened next, and how did it change things for you?`, 'followup', options));
+
+  const [keyword] = extractKeywords(`${entry.title || ''} ${content}`, 1);
+  if (keyword) {
+    questions.push(makeQuestion(`You mentioned "${keyword}" in "${title}". Can you describe it in more detail?`, 'detail', options));
+  }
+
+  // Tagged people first; names guessed from capitalization only when nobody is tagged
+  const mentioned = mentionedPeopleOf(entry, people);
+  if (mentioned.length > 0) {
+    mentioned.slice(0, 2).forEach((person) => {
+      const relationship = person.relationship ? ` (${person.relationship.toLowerCase()})` : '';
+      questions.push(makeQuestion(`What do you remember most about ${person.name}${relationship} from "${title}"?`, 'people', options));
+    });
+  } else {
+    extractPeople(content).slice(0, 2).forEach((person) => {
+      questions.push(makeQuestion(`What do you remember most about ${person} from "${title}"?`, 'detail', options));
+    });
+  }
+
+  if (entry.location) {
+    questions.push(makeQuestion(
+      `What did ${entry.location} look, sound and feel like${year ? ` in ${year}` : ''}?`,
+      'detail',
+      options
+    ));
+  } else {
+    questions.push(makeQuestion(`Where were you when "${title}" happened?`, 'detail', options));
+  }
+
+  return questions;
+};
+
+const gapQuestion = (gap, source) => {
+  const span = gap.from === gap.to ? `${gap.from}` : `${gap.from} and ${gap.to}`;
+  return makeQuestion(
+    `Your story has no entries ${gap.from === gap.to ? 'from' : 'between'} ${span}. What was happening in your life then?`,
+    'gap',
+    { year: gap.from, source }
+  );
+};
+
+// Follow-ups are keyed by their parent as well, so the same wording can come up
+// again after a different answer
+const asFollowUps = (questions, parent) => questions.map(question => ({
+  ...question,
+  id: `q-${hashString(`${parent.id}|${question.question}`)}`,
+  relatedEntry: question.relatedEntry || parent.relatedEntry || null,
+  year: question.year || parent.year || null,
+  parentQuestionId: parent.id
+}));
+
+const questionsForAnswer = ({ question: parent, text }, source) => {
+  const options = { relatedEntry: parent.relatedEntry || null, year: parent.year || null, source };
+  const questions = [];
+  const [keyword] = extractKeywords(text, 1);
+  if (keyword) {
+    questions.push(makeQuestion(`You mentioned "${keyword}". What else do you remember about it?`, 'detail', options));
+  }
+  const [person] = extractPeople(text);
+  if (person) {
+    questions.push(makeQuestion(`What was ${person} like back then?`, 'people', options));
+  }
+  questions.push(text.split(/\s+/).length > 40
+    ? makeQuestion('Looking back, how did that shape who you became?', 'reflection', options)
+    : makeQuestion('What happened next?', 'followup', options));
+  return asFollowUps(questions, parent);
+};
+
+// Interleaves question lists so one prolific entry does not crowd out the others
+const interleave = (lists) => {
+  const result = [];
+  const longest = Math.max(0, ...lists.map(list => list.length));
+  for (let i = 0; i < longest; i++) {
+    lists.forEach((list) => {
+      if (list[i]) result.push(list[i]);
+    });
+  }
+  return result;
+};
+
+const uniqueById = (questions) => {
+  const seen = new Set();
+  return questions.filter((question) => {
+    if (seen.has(question.id)) return false;
+    seen.add(question.id);
+    return true;
+  });
+};
+
+export const createRuleBasedProvider = () => ({
+  name: 'rule-based',
+  generateQuestions: async ({ entries = [], people = [], year = null, entry = null, answer = null, limit = DEFAULT_LIMIT } = {}) => {
+    const source = 'rule-based';
+
+    // Follow-ups to an interview answer
+    if (answer) {
+      return uniqueById(questionsForAnswer(answer, source)).slice(0, limit);
+    }
+
+    // Suggestions for a single entry
+    if (entry) {
+      return uniqueById(questionsForEntry(entry, source, people)).slice(0, limit);
+    }
+
+    // Questions about a specific year
+    if (year !== null) {
+      const yearEntries = entries.filter(e => getEntryYear(e) === Number(year));
+      const questions = interleave(yearEntries.map(e => questionsForEntry(e, source, people)));
+      if (yearEntries.length === 0) {
+        questions.push(gapQuestion({ from: Number(year), to: Number(year) }, source));
+      }
+      questions.push(makeQuestion(`What were your biggest aspirations or dreams during ${year}?`, 'reflection', { year: Number(year), source }));
+      const [closest] = peopleInYear(entries, people, year);
+      questions.push(closest
+        ? makeQuestion(`${closest.name} appears often in your memories of ${year}. How did they influence you that year?`, 'people', { year: Number(year), source })
+        : makeQuestion(`Who were your closest friends or mentors in ${year} and how did they influence you?`, 'people', { year: Number(year), source }));
+      return uniqueById(questions).slice(0, limit);
+    }
+
+    // Questions across the whole story: gaps first, then the most recent entries,
+    // then people who have been added but never written about
+    const recentEntries = [...entries].sort((a, b) => (b.date || '').localeCompare(a.date || ''));
+    const mentionCounts = countMentions(entries);
+    const questions = [
+      ...findYearGaps(entries).map(gap => gapQuestion(gap, source)),
+      ...interleave(recentEntries.map(e => questionsForEntry(e, source, people))),
+      ...people.filter(person => !mentionCounts[person.id]).map(person => makeQuestion(
+        `You have not written about ${person.name} yet. What is your first memory of them?`,
+        'people',
+        { source }
+      ))
+    ];
+    return uniqueById(questions).slice(0, limit);
+  }
+});
+
+// Trims entries down to what an LLM needs to see; content is sent as plain text
+// with mentioned people listed by id
+const serializeEntries = (entries) => entries.map(entry => ({
+  id: entry.id,
+  title: entry.title,
+  content: entryPlainText(entry),
+  date: entry.date,
+  location: entry.location,
+  tags: entry.tags || [],
+  people: extractMentionIds(entry.content)
+}));
+
+const serializePeople = people => people.map(person => ({
+  id: person.id,
+  name: person.name,
+  relationship: person.relationship || '',
+  born: person.born || '',
+  met: person.met || '',
+  died: person.died || ''
+}));
+
+// Adapter for an LLM endpoint. The endpoint receives
+// { task: 'generate-questions', entries, people, entry, year, answer, limit, types } and must answer
+// with { questions: [{ question, type, relatedEntry? }] }. Requests taking longer
+// than `timeoutMs` are aborted and answered by the fallback.
+export const createLLMProvider = ({ endpoint, apiKey = null, model = null, fetchImpl = null, fallback = createRuleBasedProvider(), timeoutMs = LLM_TIMEOUT_MS } = {}) => ({
+  name: 'llm',
+  generateQuestions: async (context = {}) => {
+    const { entries = [], people = [], year = null, entry = null, answer = null, limit = DEFAULT_LIMIT } = context;
+    const doFetch = fetchImpl || (typeof fetch !== 'undefined' ? fetch : null);
+    if (!endpoint || !doFetch) return fallback.generateQuestions(context);
+
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    const timer = controller ? setTimeout(() => controller.abort(), timeoutMs) : null;
+    try {
+      const response = await doFetch(endpoint, {
+        method: 'POST',
+        signal: controller ? controller.signal : undefined,
+        headers: {
+          'Content-Type': 'application/json',
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+        },
+        body: JSON.stringify({
+          task: 'generate-questions',
+          model,
+          entries: serializeEntries(entries),
+          people: serializePeople(people),
+          entry: entry ? serializeEntries([entry])[0] : null,
+          year,
+          answer: answer ? { question: answer.question.question, text: answer.text } : null,
+          limit,
+          types: QUESTION_TYPES
+        })
+      });
+      if (!response.ok) throw new Error(`LLM endpoint responded with ${response.status}`);
+      const data = await response.json();
+      const questions = (data.questions || [])
+        .filter(q => q && typeof q.question === 'string' && q.question.trim())
+        .map(q => makeQuestion(
+          q.question.trim(),
+          QUESTION_TYPES.includes(q.type) ? q.type : 'followup',
+          { relatedEntry: q.relatedEntry || (entry && entry.id) || null, year, source: 'llm' }
+        ));
+      if (questions.length === 0) throw new Error('LLM endpoint returned no questions');
+      return uniqueById(answer ? asFollowUps(questions, answer.question) : questions).slice(0, limit);
+    } catch (err) {
+      console.warn("LLM question provider failed, using rule-based fallback:", err);
+      return fallback.generateQuestions(context);
+    } finally {
+      if (timer) clearTimeout(timer);
+    }
+  }
+});
+
+// Picks the LLM provider when an endpoint is configured, otherwise the offline one
+export const createQuestionProvider = ({ endpoint = null, apiKey = null, model = null } = {}) => (
+  endpoint ? createLLMProvider({ endpoint, apiKey, model }) : createRuleBasedProvider()
+);
@@ -0,0 +1,133 @@
+// --- Entry Revisions ---
+// Every save of an entry records a snapshot of its text and details in a
+// subcollection, so earlier drafts can be compared and restored:
+//
+//   artifacts/{appId}/users/{userId}/entries/{entryId}/revisions/{revisionId}
+//
+// Photos and videos are not versioned: files removed from an entry are deleted
+// from storage, so an old revision could not bring them back. Restoring one keeps
+// the entry's current media, and inline images of files removed since then are
+// dropped from the restored text (leaving their captions).
+
+import { collection, doc, getDocs, onSnapshot, orderBy, query, setDoc, writeBatch } from 'firebase/firestore';
+
+export const REVISION_FIELDS = ['title', 'content', 'contentFormat', 'date', 'datePrecision', 'location', 'coordinates', 'tags', 'privacy', 'type'];
+
+export const revisionsPath = (appId, userId, entryId) => `artifacts/${appId}/users/${userId}/entries/${entryId}/revisions`;
+
+export const snapshotEntry = (entry) => {
+  const snapshot = {};
+  REVISION_FIELDS.forEach((field) => {
+    snapshot[field] = entry[field] === undefined ? null : entry[field];
+  });
+  return snapshot;
+};
+
+// Records a revision. Like other entry writes it is not awaited by the caller, so it
+// queues while offline; the id is generated locally.
+export const recordRevision = (db, appId, userId, entryId, entry, author) => {
+  const ref = doc(collection(db, revisionsPath(appId, userId, entryId)));
+  return setDoc(ref, {
+    ...snapshotEntry(entry),
+    revision: entry.revision || 0,
+    authorId: author.uid,
+    authorName: author.displayName || 'You',
+    savedAt: entry.timestamp || new Date()
+  });
+};
+
+// Live revisions for an entry, newest first. Returns the unsubscribe function.
+export const subscribeToRevisions = (db, appId, userId, entryId, onChange, onError) => onSnapshot(
+  query(collection(db, revisionsPath(appId, userId, entryId)), orderBy('savedAt', 'desc')),
+  snapshot => onChange(snapshot.docs.map(d => ({ id: d.id, ...d.data() }))),
+  onError
+);
+
+// Removes an entry's whole history, used when the entry itself is deleted
+export const deleteEntryRevisions = async (db, appId, userId, entryId) => {
+  const snapshot = await getDocs(collection(db, revisionsPath(appId, userId, entryId)));
+  if (snapshot.empty) return;
+  const batch = writeBatch(db);
+  snapshot.docs.forEach(d => batch.delete(d.ref));
+  await batch.commit();
+};
+
+// Names of the fields other than content that differ between two snapshots
+export const changedFields = (before, after) => REVISION_FIELDS
+  .filter(field => field !== 'content' && field !== 'contentFormat')
+  .filter(field => JSON.stringify(before[field] === undefined ? null : before[field]) !== JSON.stringify(after[field] === undefined ? null : after[field]));
+
+// --- Word diff ---
+
+// Above this many word pairs the diff falls back to "everything changed" rather
+// than allocating a huge table; memoir entries are far below it.
+const MAX_DIFF_CELLS = 4000000;
+
+const tokenize = text => (text || '').split(/(\s+)/).filter(token => token !== '');
+
+const pushPart = (parts, type, text) => {
+  const last = parts[parts.length - 1];
+  if (last && last.type === type) {
+    last.text += text;
+  } else {
+    parts.push({ type, text });
+  }
+};
+
+// Word-level diff of two texts as [{ type: 'same' | 'added' | 'removed', text }].
+// Whitespace is kept so the parts join back into the original texts.
+export const diffWords = (oldText, newText) => {
+  const a = tokenize(oldText);
+  const b = tokenize(newText);
+
+  // Common prefix and suffix need no table
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const parts = [];
+  if (start > 0) pushPart(parts, 'same', a.slice(0, start).join(''));
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const rows = midA.length + 1;
+  const cols = midB.length + 1;
+
+  if (rows * cols > MAX_DIFF_CELLS) {
+    if (midA.length) pushPart(parts, 'removed', midA.join(''));
+    if (midB.length) pushPart(parts, 'added', midB.join(''));
+  } else {
+    // Longest common subsequence lengths, filled from the end
+    const lcs = new Uint32Array(rows * cols);
+    for (let i = midA.length - 1; i >= 0; i--) {
+      for (let j = midB.length - 1; j >= 0; j--) {
+        lcs[i * cols + j] = midA[i] === midB[j]
+          ? lcs[(i + 1) * cols + j + 1] + 1
+          : Math.max(lcs[(i + 1) * cols + j], lcs[i * cols + j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < midA.length && j < midB.length) {
+      if (midA[i] === midB[j]) {
+        pushPart(parts, 'same', midA[i]);
+        i++;
+        j++;
+      } else if (lcs[(i + 1) * cols + j] >= lcs[i * cols + j + 1]) {
+        pushPart(parts, 'removed', midA[i++]);
+      } else {
+        pushPart(parts, 'added', midB[j++]);
+      }
+    }
+    while (i < midA.length) pushPart(parts, 'removed', midA[i++]);
+    while (j < midB.length) pushPart(parts, 'added', midB[j++]);
+  }
+
+  if (endA < a.length) pushPart(parts, 'same', a.slice(endA).join(''));
+  return parts;
+};
@@ -0,0 +1,100 @@
+// --- Routing ---
+// Each view has a URL in the hash (#/timeline, #/entries/<entryId>), so views can be
+// bookmarked, shared and reached with the browser's back and forward buttons. The
+// hash is used rather than the path so deep links work wherever the app is hosted
+// without server rewrites, and so query parameters (entry view filters, invite
+// links) are left alone.
+//
+// A route is { view, params }, e.g. { view: 'entry', params: { entryId: 'abc' } }.
+
+const ROUTES = [
+  { view: 'entries', path: '/' },
+  { view: 'entry', path: '/entries/:entryId' },
+  { view: 'timeline', path: '/timeline' },
+  { view: 'map', path: '/map' },
+  { view: 'people', path: '/people/:personId?' },
+  { view: 'ai-assistant', path: '/assistant' },
+  { view: 'photo-requests', path: '/photos' },
+  { view: 'sharing', path: '/sharing' },
+  { view: 'trash', path: '/trash' },
+  { view: 'reader', path: '/story/:ownerId/:entryId?' }
+];
+
+export const DEFAULT_ROUTE = { view: 'entries', params: {} };
+
+const segmentsOf = path => path.split('/').filter(Boolean);
+
+// Matches a path like "/entries/abc" against a route pattern; returns params or null
+const matchPath = (pattern, path) => {
+  const expected = segmentsOf(pattern);
+  const actual = segmentsOf(path);
+  const required = expected.filter(segment => !segment.endsWith('?')).length;
+  if (actual.length < required || actual.length > expected.length) return null;
+  const params = {};
+  for (let i = 0; i < expected.length; i++) {
+    const segment = expected[i];
+    if (segment.startsWith(':')) {
+      if (actual[i] !== undefined) params[segment.replace(/^:|\?$/g, '')] = decodeURIComponent(actual[i]);
+    } else if (segment !== actual[i]) {
+      return null;
+    }
+  }
+  return params;
+};
+
+// Parses a location hash ("#/entries/abc") into a route; unknown hashes give null
+export const parseRoute = (hash) => {
+  const path = (hash || '').replace(/^#/, '') || '/';
+  for (const route of ROUTES) {
+    const params = matchPath(route.path, path);
+    if (params) return { view: route.view, params };
+  }
+  return null;
+};
+
+export const buildHash = ({ view, params = {} }) => {
+  const route = ROUTES.find(r => r.view === view);
+  if (!route) throw new Error(`Unknown view "${view}"`);
+  const path = segmentsOf(route.path)
+    .map((segment) => {
+      if (!segment.startsWith(':')) return segment;
+      const value = params[segment.replace(/^:|\?$/g, '')];
+      return value === undefined || value === null ? null : encodeURIComponent(value);
+    })
+    .filter(segment => segment !== null)
+    .join('/');
+  return `#/${path}`;
+};
+
+export const sameRoute = (a, b) => buildHash(a) === buildHash(b);
+
+// Puts a route in the address bar. Returns false when it is already there.
+export const pushRoute = (route, { replace = false } = {}) => {
+  const hash = buildHash(route);
+  if (hash === (window.location.hash || '#/')) return false;
+  const url = `${window.location.pathname}${window.location.search}${hash}`;
+  if (replace) {
+    window.history.replaceState(null, '', url);
+  } else {
+    window.history.pushState(null, '', url);
+  }
+  return true;
+};
+
+// Calls `onChange(route)` when the user goes back/forward or edits the hash.
+// Returns the unsubscribe function.
+export const subscribeToRoute = (onChange) => {
+  const handle = () => onChange(parseRoute(window.location.hash) || DEFAULT_ROUTE);
+  window.addEventListener('popstate', handle);
+  window.addEventListener('hashchange', handle);
+  return () => {
+    window.removeEventListener('popstate', handle);
+    window.removeEventListener('hashchange', handle);
+  };
+};
+
+// Absolute link to a route, e.g. for sharing a public entry
+export const buildRouteLink = (route) => {
+  const base = typeof window !== 'undefined' ? `${window.location.origin}${window.location.pathname}` : '';
+  return `${base}${buildHash(route)}`;
+};
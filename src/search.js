@@ -0,0 +1,336 @@
+// --- Entry Search ---
+// An in-memory inverted index over the user's entries. Words are normalized
+// (lowercase, accents removed) and stemmed, so "wedding" finds "weddings" and
+// "married" finds "marry". The index is updated incrementally: only entries whose
+// searchable fields changed are re-tokenized.
+//
+// Query syntax (combine freely):
+//   word word       every word must appear (the last one also matches as a prefix)
+//   "exact phrase"  the phrase must appear as written
+//   tag:family      entries tagged "family" (tag:"high school" for spaces)
+//   in:paris        location contains "paris"
+//   type:event      personal, event or reflection
+//   before:1990     dated before 1990 (also 1990-06 or 1990-06-15)
+//   after:1990      dated after 1990
+
+import { parseEntryDate } from './timeline';
+import { entryPlainText } from './markdown';
+
+// Field weights for ranking: a match in the title counts three times a match in the text
+const FIELD_WEIGHTS = { title: 3, tags: 2.5, location: 1.5, content: 1 };
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+const SNIPPET_LENGTH = 160;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'if', 'in', 'into', 'is', 'it',
+  'of', 'on', 'or', 'so', 'that', 'the', 'their', 'then', 'there', 'these', 'this', 'to', 'was', 'were', 'with'
+]);
+
+const WORD_PATTERN = /[\p{L}\p{N}]+(?:'[\p{L}]+)?/gu;
+
+// Lowercases and strips accents; keeps string length for plain ASCII text
+export const normalizeText = text => (text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+// A light suffix-stripping stemmer (a subset of Porter's rules). Good enough to
+// fold plurals and common verb forms; it never has to produce real words.
+export const stem = (word) => {
+  let w = word.replace(/'s$/, '');
+  if (w.length <= 3) return w;
+  if (w.endsWith('sses')) w = w.slice(0, -2);
+  else if (w.endsWith('ies')) w = `${w.slice(0, -3)}y`;
+  else if (w.endsWith('s') && !w.endsWith('ss') && !w.endsWith('us')) w = w.slice(0, -1);
+
+  const strip = (suffix, replacement = '') => {
+    if (w.endsWith(suffix) && w.length - suffix.length >= 3) {
+      w = w.slice(0, -suffix.length) + replacement;
+      return true;
+    }
+    return false;
+  };
+  if (strip('ational', 'ate') || strip('fulness', 'ful') || strip('iveness', 'ive') || strip('ization', 'ize')) return w;
+  if (strip('ment') || strip('ness') || strip('ly')) return w;
+  if (strip('ied', 'y')) return w;
+  if (strip('ing') || strip('ed')) {
+    // "planned" -> "plan", "hoping" -> "hop" (same stem as "hoped")
+    if (/([b-df-hj-np-tv-z])\1$/.test(w) && !/(ll|ss|zz)$/.test(w)) w = w.slice(0, -1);
+    return w;
+  }
+  if (w.endsWith('e') && w.length > 4) w = w.slice(0, -1);
+  return w;
+};
+
+export const tokenize = text => (normalizeText(text).match(WORD_PATTERN) || [])
+  .filter(word => !STOP_WORDS.has(word))
+  .map(stem);
+
+// --- Index ---
+
+const entryFields = entry => ({
+  title: entry.title || '',
+  content: entryPlainText(entry),
+  tags: (entry.tags || []).join(' '),
+  location: entry.location || ''
+});
+
+// Changes to any of these mean the entry must be re-indexed. Built from the raw
+// fields so unchanged entries are not re-parsed.
+const entrySignature = entry => [
+  entry.title || '',
+  entry.content || '',
+  entry.contentFormat || '',
+  (entry.tags || []).join(' '),
+  entry.location || ''
+].join('\u0000');
+
+export const createSearchIndex = () => ({
+  docs: new Map(), // entryId -> { entry, signature, length, terms: Map(term -> weighted tf) }
+  postings: new Map(), // term -> Set(entryId)
+  totalLength: 0
+});
+
+const removeDoc = (index, entryId) => {
+  const existing = index.docs.get(entryId);
+  if (!existing) return;
+  existing.terms.forEach((_, term) => {
+    const ids = index.postings.get(term);
+    ids.delete(entryId);
+    if (ids.size === 0) index.postings.delete(term);
+  });
+  index.totalLength -= existing.length;
+  index.docs.delete(entryId);
+};
+
+const addDoc = (index, entry, signature) => {
+  const fields = entryFields(entry);
+  const terms = new Map();
+  let length = 0;
+  Object.entries(fields).forEach(([field, text]) => {
+    tokenize(text).forEach((term) => {
+      terms.set(term, (terms.get(term) || 0) + FIELD_WEIGHTS[field]);
+      length++;
+    });
+  });
+  terms.forEach((_, term) => {
+    if (!index.postings.has(term)) index.postings.set(term, new Set());
+    index.postings.get(term).add(entry.id);
+  });
+  index.docs.set(entry.id, { entry, signature, length, terms });
+  index.totalLength += length;
+};
+
+// Brings the index in line with `entries`, re-tokenizing only what changed. Returns the index.
+export const updateSearchIndex = (index, entries) => {
+  const seen = new Set();
+  entries.forEach((entry) => {
+    seen.add(entry.id);
+    const signature = entrySignature(entry);
+    const existing = index.docs.get(entry.id);
+    if (existing && existing.signature === signature) {
+      existing.entry = entry; // Keep non-indexed fields (privacy, media...) current
+      return;
+    }
+    removeDoc(index, entry.id);
+    addDoc(index, entry, signature);
+  });
+  Array.from(index.docs.keys()).forEach((entryId) => {
+    if (!seen.has(entryId)) removeDoc(index, entryId);
+  });
+  return index;
+};
+
+// --- Query parsing ---
+
+const OPERATOR_PATTERN = /(tag|in|type|before|after):("([^"]*)"|\S+)|"([^"]+)"|(\S+)/g;
+
+// Sortable number for an entry or query date; `end` rounds partial dates up
+const dateKey = (parsed, end = false) => {
+  const month = parsed.month === null ? (end ? 11 : 0) : parsed.month;
+  const day = parsed.day === null ? (end ? 31 : 1) : parsed.day;
+  return parsed.year * 10000 + month * 100 + day;
+};
+
+// Returns { text, terms, prefix, phrases, filters: { tags, locations, types, before, after } }
+export const parseQuery = (queryText) => {
+  const query = {
+    text: queryText || '',
+    terms: [],
+    prefix: null,
+    phrases: [],
+    filters: { tags: [], locations: [], types: [], before: null, after: null }
+  };
+  const words = [];
+  let lastWordEndsQuery = false;
+  let match;
+  OPERATOR_PATTERN.lastIndex = 0;
+  while ((match = OPERATOR_PATTERN.exec(query.text)) !== null) {
+    const [, operator, rawValue, quotedValue, phrase, word] = match;
+    lastWordEndsQuery = false;
+    if (operator) {
+      const value = normalizeText(quotedValue !== undefined ? quotedValue : rawValue).trim();
+      if (!value) continue;
+      if (operator === 'tag') query.filters.tags.push(value);
+      if (operator === 'in') query.filters.locations.push(value);
+      if (operator === 'type') query.filters.types.push(value);
+      if (operator === 'before' || operator === 'after') {
+        const parsed = parseEntryDate(value);
+        if (parsed) {
+          // before:1990 means before 1990 began; after:1990 means after it ended
+          query.filters[operator] = operator === 'before' ? dateKey(parsed) : dateKey(parsed, true);
+        }
+      }
+    } else if (phrase !== undefined) {
+      const normalized = normalizeText(phrase).replace(/\s+/g, ' ').trim();
+      if (normalized) query.phrases.push(normalized);
+    } else if (word) {
+      words.push(word);
+      lastWordEndsQuery = match.index + word.length === query.text.length;
+    }
+  }
+
+  words.forEach((word, i) => {
+    const terms = tokenize(word);
+    // While typing, the last word is matched as a prefix of indexed terms too
+    if (i === words.length - 1 && lastWordEndsQuery && terms.length === 1) {
+      query.prefix = normalizeText(word).replace(/[^\p{L}\p{N}]/gu, '');
+    }
+    query.terms.push(...terms);
+  });
+  query.terms = Array.from(new Set(query.terms));
+  return query;
+};
+
+export const isEmptyQuery = query => query.terms.length === 0 && query.phrases.length === 0 && !query.prefix
+  && Object.values(query.filters).every(value => (Array.isArray(value) ? value.length === 0 : value === null));
+
+// --- Searching ---
+
+const matchesFilters = (entry, filters) => {
+  const tags = (entry.tags || []).map(normalizeText);
+  if (filters.tags.some(tag => !tags.includes(tag))) return false;
+  const location = normalizeText(entry.location);
+  if (filters.locations.some(place => !location.includes(place))) return false;
+  if (filters.types.length > 0 && !filters.types.includes(entry.type)) return false;
+  if (filters.before !== null || filters.after !== null) {
+    const parsed = parseEntryDate(entry.date);
+    if (!parsed) return false;
+    if (filters.before !== null && dateKey(parsed, true) >= filters.before) return false;
+    if (filters.after !== null && dateKey(parsed) <= filters.after) return false;
+  }
+  return true;
+};
+
+const searchableText = entry => normalizeText(Object.values(entryFields(entry)).join(' ')).replace(/\s+/g, ' ');
+
+// Runs a query against the index. Returns null for an empty query (the caller
+// shows its normal list), otherwise [{ entry, score }] best match first.
+export const searchEntries = (index, queryText) => {
+  const query = parseQuery(queryText);
+  if (isEmptyQuery(query)) return null;
+
+  const docCount = index.docs.size || 1;
+  const avgLength = index.totalLength / docCount || 1;
+
+  // Each term narrows the candidates; the prefix term may expand to several indexed terms
+  const termGroups = query.terms.map(term => [term]);
+  if (query.prefix) {
+    const lastTerm = query.terms[query.terms.length - 1];
+    // A half-typed word can also run past its stem ("wedd" for "wed", the stem of "wedding")
+    const expansions = Array.from(index.postings.keys()).filter(term => term.startsWith(query.prefix)
+      || (term.length >= 3 && query.prefix.startsWith(term) && query.prefix.length - term.length <= 2));
+    const group = Array.from(new Set([lastTerm, ...expansions].filter(Boolean)));
+    if (lastTerm) termGroups[termGroups.length - 1] = group;
+    else termGroups.push(group);
+  }
+
+  let candidates = null;
+  termGroups.forEach((group) => {
+    const ids = new Set();
+    group.forEach(term => (index.postings.get(term) || []).forEach(id => ids.add(id)));
+    candidates = candidates === null ? ids : new Set([...candidates].filter(id => ids.has(id)));
+  });
+  if (candidates === null) candidates = new Set(index.docs.keys());
+
+  const results = [];
+  candidates.forEach((entryId) => {
+    const doc = index.docs.get(entryId);
+    if (!matchesFilters(doc.entry, query.filters)) return;
+    if (query.phrases.length > 0) {
+      const text = searchableText(doc.entry);
+      if (!query.phrases.every(phrase => text.includes(phrase))) return;
+    }
+    let score = 0;
+    termGroups.forEach((group) => {
+      group.forEach((term) => {
+        const tf = doc.terms.get(term);
+        if (!tf) return;
+        const df = index.postings.get(term).size;
+        const idf = Math.log(1 + (docCount - df + 0.5) / (df + 0.5));
+        score += idf * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * (doc.length / avgLength)));
+      });
+    });
+    score += query.phrases.length * 2;
+    results.push({ entry: doc.entry, score });
+  });
+
+  return results.sort((a, b) => b.score - a.score || String(b.entry.date).localeCompare(String(a.entry.date)));
+};
+
+// --- Highlighting ---
+
+// Splits text into [{ text, match }] parts, marking words and phrases from the query.
+// With `maxLength`, returns a snippet around the first match instead of the whole text.
+export const highlightText = (text, queryText, maxLength = null) => {
+  const source = text || '';
+  const query = parseQuery(queryText);
+  const termSet = new Set(query.terms);
+  const ranges = [];
+
+  const lower = source.toLowerCase();
+  const wordPattern = new RegExp(WORD_PATTERN.source, 'gu');
+  let match;
+  while ((match = wordPattern.exec(source)) !== null) {
+    const normalized = normalizeText(match[0]);
+    if (termSet.has(stem(normalized)) || (query.prefix && normalized.startsWith(query.prefix))) {
+      ranges.push([match.index, match.index + match[0].length]);
+    }
+  }
+  query.phrases.forEach((phrase) => {
+    let from = lower.indexOf(phrase);
+    while (from !== -1) {
+      ranges.push([from, from + phrase.length]);
+      from = lower.indexOf(phrase, from + phrase.length);
+    }
+  });
+  ranges.sort((a, b) => a[0] - b[0]);
+
+  let start = 0;
+  let end = source.length;
+  if (maxLength && source.length > maxLength) {
+    const focus = ranges.length > 0 ? ranges[0][0] : 0;
+    start = Math.max(0, focus - Math.floor(maxLength / 3));
+    end = Math.min(source.length, start + maxLength);
+    // Avoid cutting words in half
+    if (start > 0) start = source.indexOf(' ', start) + 1 || start;
+    if (end < source.length) end = source.lastIndexOf(' ', end) > start ? source.lastIndexOf(' ', end) : end;
+  }
+
+  const parts = [];
+  if (start > 0) parts.push({ text: '…', match: false });
+  let cursor = start;
+  ranges.forEach(([from, to]) => {
+    if (to <= cursor || from >= end) return;
+    const clippedFrom = Math.max(from, cursor);
+    if (clippedFrom > cursor) parts.push({ text: source.slice(cursor, clippedFrom), match: false });
+    parts.push({ text: source.slice(clippedFrom, Math.min(to, end)), match: true });
+    cursor = Math.min(to, end);
+  });
+  if (cursor < end) parts.push({ text: source.slice(cursor, end), match: false });
+  if (end < source.length) parts.push({ text: '…', match: false });
+  return parts;
+};
+
+export const snippetFor = (entry, queryText) => highlightText(entryPlainText(entry), queryText, SNIPPET_LENGTH);
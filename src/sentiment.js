@@ -0,0 +1,234 @@
+// --- Sentiment and Theme Analysis ---
+// Entry analysis goes through a provider: { name, analyzeEntries(entries) }, resolving
+// to { [entryId]: analysis } where an analysis is
+//   { score, label, themes, positive, negative }
+// `score` runs from -1 (very negative) to 1 (very positive); `label` is 'positive',
+// 'negative', 'mixed' or 'neutral'; `themes` are ids from THEMES, strongest first;
+// `positive`/`negative` are the words that moved the score, for explaining it.
+//
+// The lexicon provider is deterministic and works offline. The model provider posts
+// entries to an HTTP endpoint and falls back to the lexicon for anything the
+// endpoint cannot answer, like the question providers in questionGenerator.js.
+
+import { normalizeText, stem } from './search';
+import { parseEntryDate } from './timeline';
+import { entryPlainText } from './markdown';
+
+// Word weights from -3 to 3. Words are stemmed when the lexicon is built, so
+// "laughed" and "laughing" both count as "laugh".
+const LEXICON_WORDS = {
+  // Positive
+  adore: 3, amazing: 3, beautiful: 3, best: 3, blessed: 3, delighted: 3, ecstatic: 3, love: 3, loved: 3,
+  thrilled: 3, wonderful: 3, overjoyed: 3, joy: 3, perfect: 3,
+  accomplished: 2, celebrate: 2, cheerful: 2, excited: 2, fantastic: 2, fun: 2, glad: 2, grateful: 2,
+  happy: 2, hope: 2, laugh: 2, lucky: 2, peaceful: 2, pleased: 2, proud: 2, relieved: 2, smile: 2,
+  success: 2, thankful: 2, win: 2, warm: 2, brave: 2, inspired: 2, adventure: 2, welcome: 2,
+  calm: 1, comfortable: 1, enjoy: 1, fine: 1, friend: 1, good: 1, kind: 1, like: 1, nice: 1, safe: 1,
+  better: 1, free: 1, gentle: 1, interesting: 1, together: 1, reunion: 1, honor: 1,
+  // Negative
+  devastated: -3, heartbroken: -3, hate: -3, horrible: -3, miserable: -3, terrible: -3, tragedy: -3,
+  awful: -3, died: -3, death: -3, funeral: -3, grief: -3, despair: -3, traumatic: -3,
+  afraid: -2, alone: -2, angry: -2, anxious: -2, ashamed: -2, broke: -2, cried: -2, cry: -2,
+  depressed: -2, disappointed: -2, failed: -2, fear: -2, fight: -2, guilty: -2, hurt: -2, lonely: -2,
+  lost: -2, pain: -2, sad: -2, scared: -2, sick: -2, upset: -2, worried: -2, divorce: -2, accident: -2,
+  bored: -1, difficult: -1, hard: -1, miss: -1, nervous: -1, stress: -1, struggle: -1, tired: -1,
+  wrong: -1, worse: -1, problem: -1, leave: -1, goodbye: -1
+};
+
+const LEXICON = new Map(Object.entries(LEXICON_WORDS).map(([word, weight]) => [stem(word), weight]));
+
+// Words that flip the next sentiment word within a short window ("not happy")
+const NEGATORS = new Set(['not', 'no', 'never', 'nothing', 'without', "don't", "didn't", "wasn't", "weren't", "isn't", "couldn't", "can't", "won't", 'hardly']);
+const NEGATION_WINDOW = 3;
+
+// Words that strengthen the next sentiment word ("very happy")
+const INTENSIFIERS = new Set(['very', 'so', 'really', 'extremely', 'incredibly', 'truly', 'deeply', 'completely', 'totally']);
+const INTENSIFIER_BOOST = 1.5;
+
+// Scales a raw sum into -1..1; larger values make the score grow more slowly
+const NORMALIZATION_ALPHA = 15;
+const LABEL_THRESHOLD = 0.2;
+
+export const THEMES = [
+  { id: 'family', label: 'Family', words: ['family', 'mother', 'mom', 'father', 'dad', 'parent', 'brother', 'sister', 'grandmother', 'grandfather', 'grandma', 'grandpa', 'aunt', 'uncle', 'cousin', 'son', 'daughter', 'child', 'baby', 'kids'] },
+  { id: 'love', label: 'Love & Relationships', words: ['love', 'wedding', 'married', 'marriage', 'husband', 'wife', 'boyfriend', 'girlfriend', 'date', 'romance', 'partner', 'engaged', 'kiss'] },
+  { id: 'friendship', label: 'Friendship', words: ['friend', 'friendship', 'buddy', 'roommate', 'neighbor', 'gang', 'classmate'] },
+  { id: 'education', label: 'School & Learning', words: ['school', 'class', 'teacher', 'college', 'university', 'graduation', 'graduate', 'exam', 'study', 'student', 'degree', 'homework', 'lesson'] },
+  { id: 'work', label: 'Work & Career', words: ['job', 'work', 'career', 'boss', 'office', 'promotion', 'hired', 'interview', 'business', 'company', 'colleague', 'retire', 'salary'] },
+  { id: 'home', label: 'Home & Moves', words: ['home', 'house', 'apartment', 'moved', 'move', 'neighborhood', 'kitchen', 'garden', 'room'] },
+  { id: 'travel', label: 'Travel & Adventure', words: ['trip', 'travel', 'vacation', 'journey', 'flight', 'abroad', 'beach', 'road', 'visit', 'adventure', 'holiday', 'camping'] },
+  { id: 'health', label: 'Health', words: ['hospital', 'doctor', 'sick', 'illness', 'surgery', 'health', 'recovery', 'cancer', 'injury', 'diagnosis', 'pregnant'] },
+  { id: 'loss', label: 'Loss & Grief', words: ['died', 'death', 'funeral', 'passed', 'grief', 'loss', 'mourning', 'goodbye', 'memorial'] },
+  { id: 'achievement', label: 'Milestones & Achievements', words: ['award', 'won', 'win', 'first', 'achievement', 'accomplished', 'milestone', 'proud', 'champion', 'record', 'birthday', 'anniversary'] },
+  { id: 'faith', label: 'Faith & Spirituality', words: ['church', 'faith', 'prayer', 'pray', 'god', 'temple', 'mosque', 'synagogue', 'spiritual', 'baptism'] },
+  { id: 'creativity', label: 'Music & Creativity', words: ['music', 'song', 'sing', 'band', 'concert', 'piano', 'guitar', 'paint', 'art', 'write', 'book', 'dance', 'theater'] },
+  { id: 'sports', label: 'Sports & Play', words: ['game', 'team', 'soccer', 'football', 'baseball', 'basketball', 'swim', 'race', 'match', 'coach', 'tennis', 'hockey'] },
+  { id: 'nature', label: 'Nature & Outdoors', words: ['lake', 'mountain', 'forest', 'river', 'ocean', 'park', 'hike', 'snow', 'farm', 'fishing', 'sunset', 'tree'] },
+  { id: 'pets', label: 'Pets', words: ['dog', 'cat', 'puppy', 'kitten', 'pet', 'horse'] }
+];
+
+const THEME_STEMS = THEMES.map(theme => ({ id: theme.id, stems: new Set(theme.words.map(stem)) }));
+
+const MAX_THEMES = 3;
+const MAX_WORDS = 5;
+
+export const themeLabel = id => (THEMES.find(theme => theme.id === id) || { label: id }).label;
+
+export const labelForScore = (score, { positiveSum = 0, negativeSum = 0 } = {}) => {
+  if (score >= LABEL_THRESHOLD) return 'positive';
+  if (score <= -LABEL_THRESHOLD) return 'negative';
+  if (positiveSum >= 2 && negativeSum >= 2) return 'mixed';
+  return 'neutral';
+};
+
+const clampScore = score => Math.max(-1, Math.min(1, score));
+
+const rankThemes = (tokens, tags = []) => {
+  const stems = [...tokens, ...tags.map(tag => stem(normalizeText(tag)))];
+  return THEME_STEMS
+    .map(theme => ({ id: theme.id, hits: stems.filter(token => theme.stems.has(token)).length + (tags.map(normalizeText).includes(theme.id) ? 2 : 0) }))
+    .filter(theme => theme.hits > 0)
+    .sort((a, b) => b.hits - a.hits)
+    .slice(0, MAX_THEMES)
+    .map(theme => theme.id);
+};
+
+// Scores one entry with the lexicon
+export const analyzeEntry = (entry) => {
+  const words = normalizeText(`${entry.title || ''}. ${entryPlainText(entry)}`).match(/[a-z]+(?:'[a-z]+)?/g) || [];
+  const stems = words.map(stem);
+  let positiveSum = 0;
+  let negativeSum = 0;
+  const positive = new Set();
+  const negative = new Set();
+
+  stems.forEach((token, index) => {
+    const weight = LEXICON.get(token);
+    if (!weight) return;
+    const preceding = words.slice(Math.max(0, index - NEGATION_WINDOW), index);
+    const negated = preceding.some(word => NEGATORS.has(word));
+    const intensified = index > 0 && INTENSIFIERS.has(words[index - 1]);
+    const value = weight * (negated ? -1 : 1) * (intensified ? INTENSIFIER_BOOST : 1);
+    if (value > 0) {
+      positiveSum += value;
+      if (!negated) positive.add(words[index]);
+    } else {
+      negativeSum -= value;
+      if (!negated) negative.add(words[index]);
+    }
+  });
+
+  const raw = positiveSum - negativeSum;
+  const score = clampScore(raw / Math.sqrt(raw * raw + NORMALIZATION_ALPHA));
+  return {
+    score: Math.round(score * 100) / 100,
+    label: labelForScore(score, { positiveSum, negativeSum }),
+    themes: rankThemes(stems, entry.tags || []),
+    positive: [...positive].slice(0, MAX_WORDS),
+    negative: [...negative].slice(0, MAX_WORDS)
+  };
+};
+
+export const createLexiconProvider = () => ({
+  name: 'lexicon',
+  analyzeEntries: async (entries = []) => Object.fromEntries(entries.map(entry => [entry.id, analyzeEntry(entry)]))
+});
+
+// Adapter for a model endpoint. The endpoint receives
+// { task: 'analyze-entries', model, entries, themes } and must answer with
+// { results: [{ entryId, score, themes? }] }. Entries it leaves out are scored by the fallback.
+export const createModelSentimentProvider = ({ endpoint, apiKey = null, model = null, fetchImpl = null, fallback = createLexiconProvider() } = {}) => ({
+  name: 'model',
+  analyzeEntries: async (entries = []) => {
+    const doFetch = fetchImpl || (typeof fetch !== 'undefined' ? fetch : null);
+    if (!endpoint || !doFetch || entries.length === 0) return fallback.analyzeEntries(entries);
+
+    try {
+      const response = await doFetch(endpoint, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+        },
+        body: JSON.stringify({
+          task: 'analyze-entries',
+          model,
+          entries: entries.map(entry => ({ id: entry.id, title: entry.title, content: entryPlainText(entry), date: entry.date, tags: entry.tags || [] })),
+          themes: THEMES.map(theme => ({ id: theme.id, label: theme.label }))
+        })
+      });
+      if (!response.ok) throw new Error(`Analysis endpoint responded with ${response.status}`);
+      const data = await response.json();
+      const known = new Set(entries.map(entry => entry.id));
+      const results = {};
+      (data.results || []).forEach((result) => {
+        if (!result || !known.has(result.entryId) || !Number.isFinite(result.score)) return;
+        const score = clampScore(result.score);
+        results[result.entryId] = {
+          score: Math.round(score * 100) / 100,
+          label: labelForScore(score),
+          themes: (result.themes || []).filter(id => THEMES.some(theme => theme.id === id)).slice(0, MAX_THEMES),
+          positive: [],
+          negative: []
+        };
+      });
+      const missing = entries.filter(entry => !results[entry.id]);
+      return { ...(missing.length > 0 ? await fallback.analyzeEntries(missing) : {}), ...results };
+    } catch (err) {
+      console.warn("Sentiment model failed, using the lexicon:", err);
+      return fallback.analyzeEntries(entries);
+    }
+  }
+});
+
+// Picks the model provider when an endpoint is configured, otherwise the offline one
+export const createSentimentProvider = ({ endpoint = null, apiKey = null, model = null } = {}) => (
+  endpoint ? createModelSentimentProvider({ endpoint, apiKey, model }) : createLexiconProvider()
+);
+
+// Changes when an entry needs to be analyzed again
+export const analysisSignature = entry => JSON.stringify([entry.title, entry.content, entry.contentFormat, entry.tags]);
+
+// --- Summaries ---
+
+// Mood and themes per year, oldest first:
+// [{ year, count, mood, labels: { positive, ... }, themes: [{ id, count }] }]
+export const summarizeByYear = (entries, analyses) => {
+  const years = new Map();
+  entries.forEach((entry) => {
+    const analysis = analyses[entry.id];
+    const parsed = parseEntryDate(entry.date);
+    if (!analysis || !parsed) return;
+    if (!years.has(parsed.year)) years.set(parsed.year, { year: parsed.year, total: 0, count: 0, labels: {}, themes: {} });
+    const bucket = years.get(parsed.year);
+    bucket.total += analysis.score;
+    bucket.count += 1;
+    bucket.labels[analysis.label] = (bucket.labels[analysis.label] || 0) + 1;
+    analysis.themes.forEach((id) => {
+      bucket.themes[id] = (bucket.themes[id] || 0) + 1;
+    });
+  });
+  return [...years.values()]
+    .sort((a, b) => a.year - b.year)
+    .map(({ year, total, count, labels, themes }) => ({
+      year,
+      count,
+      mood: Math.round((total / count) * 100) / 100,
+      labels,
+      themes: Object.entries(themes).map(([id, themeCount]) => ({ id, count: themeCount })).sort((a, b) => b.count - a.count)
+    }));
+};
+
+// Themes that run through more than one entry, most common first
+export const recurringThemes = (analyses, minEntries = 2) => {
+  const counts = {};
+  Object.values(analyses).forEach((analysis) => {
+    analysis.themes.forEach((id) => {
+      counts[id] = (counts[id] || 0) + 1;
+    });
+  });
+  return Object.entries(counts)
+    .filter(([, count]) => count >= minEntries)
+    .map(([id, count]) => ({ id, label: themeLabel(id), count }))
+    .sort((a, b) => b.count - a.count);
+};
@@ -0,0 +1,176 @@
+// --- Sharing: invites, friends and published entries ---
+// Private data lives under artifacts/{appId}/users/{uid} and is only readable by its
+// owner. Entries marked 'friends' or 'public' are copied to a readable location:
+//
+//   artifacts/{appId}/shared/{ownerId}                   owner's sharing profile
+//   artifacts/{appId}/shared/{ownerId}/entries/{entryId}  published copies of entries
+//   artifacts/{appId}/shared/{ownerId}/friends/{uid}      owner's friend list
+//   artifacts/{appId}/invites/{inviteId}                  invite links (id is the secret)
+//   artifacts/{appId}/users/{uid}/following/{ownerId}     stories shared with uid
+//
+// firestore.rules enforces that private entries can never be published and that
+// 'friends' entries are only readable by people on the owner's friend list.
+
+import { collection, doc, getDoc, getDocs, setDoc, deleteDoc, query, where, writeBatch } from 'firebase/firestore';
+
+import { stripMentions } from './people';
+
+export const SHARED_PRIVACY_LEVELS = ['friends', 'public'];
+
+const INVITE_TTL_DAYS = 14;
+
+export const sharedProfilePath = (appId, ownerId) => `artifacts/${appId}/shared/${ownerId}`;
+export const sharedEntriesPath = (appId, ownerId) => `artifacts/${appId}/shared/${ownerId}/entries`;
+export const friendsPath = (appId, ownerId) => `artifacts/${appId}/shared/${ownerId}/friends`;
+export const invitesPath = (appId) => `artifacts/${appId}/invites`;
+export const followingPath = (appId, userId) => `artifacts/${appId}/users/${userId}/following`;
+
+export const isSharedPrivacy = (privacy) => SHARED_PRIVACY_LEVELS.includes(privacy);
+
+// The fields of an entry a reader may see. Everything else (AI suggestions,
+// question backlinks, storage paths) stays private.
+export const toSharedEntry = (entry, ownerId) => ({
+  ownerId,
+  entryId: entry.id,
+  privacy: entry.privacy,
+  title: entry.title || '',
+  content: stripMentions(entry.content), // Readers see names, not links to the private people list
+  contentFormat: entry.contentFormat || null,
+  date: entry.date || '',
+  datePrecision: entry.datePrecision || 'day',
+  location: entry.location || '',
+  tags: entry.tags || [],
+  type: entry.type || 'personal',
+  mediaUrls: entry.mediaUrls || [],
+  authorName: entry.authorName || ''
+});
+
+// Compares the fields a reader sees, so unchanged entries are not rewritten
+const sameSharedContent = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// What is published now, as entryId -> shared copy, for syncSharedEntries to diff against
+export const fetchPublishedEntries = async (db, appId, ownerId) => {
+  const snapshot = await getDocs(collection(db, sharedEntriesPath(appId, ownerId)));
+  return new Map(snapshot.docs.map(d => [d.id, toSharedEntry({ id: d.id, ...d.data() }, ownerId)]));
+};
+
+// Brings the published copies in line with the owner's entries: publishes
+// friends/public entries, and unpublishes entries that were deleted or made private.
+// `published` is what is published now (from fetchPublishedEntries or the previous
+// sync), so only the entries that changed are written. Resolves to what is published
+// afterwards.
+export const syncSharedEntries = async (db, appId, ownerId, entries, published) => {
+  const sharedColRef = collection(db, sharedEntriesPath(appId, ownerId));
+  const next = new Map();
+  const batch = writeBatch(db);
+  let changes = 0;
+
+  entries.forEach((entry) => {
+    if (!isSharedPrivacy(entry.privacy)) return;
+    const shared = toSharedEntry(entry, ownerId);
+    next.set(entry.id, shared);
+    const existing = published.get(entry.id);
+    if (!existing || !sameSharedContent(existing, shared)) {
+      batch.set(doc(sharedColRef, entry.id), shared);
+      changes++;
+    }
+  });
+
+  published.forEach((_, entryId) => {
+    if (!next.has(entryId)) {
+      batch.delete(doc(sharedColRef, entryId));
+      changes++;
+    }
+  });
+
+  if (changes > 0) await batch.commit();
+  return next;
+};
+
+export const updateSharedProfile = (db, appId, ownerId, displayName) => setDoc(
+  doc(db, sharedProfilePath(appId, ownerId)),
+  { ownerId, displayName: displayName || '', updatedAt: new Date() },
+  { merge: true }
+);
+
+const randomToken = () => {
+  const bytes = new Uint8Array(16);
+  if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+    crypto.getRandomValues(bytes);
+  } else {
+    for (let i = 0; i < bytes.length; i++) bytes[i] = Math.floor(Math.random() * 256);
+  }
+  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+};
+
+// Creates an invite and resolves to its id; the id itself is the secret in the link
+export const createInvite = async (db, appId, ownerId, ownerName) => {
+  const inviteId = randomToken();
+  const expiresAt = new Date(Date.now() + INVITE_TTL_DAYS * 24 * 60 * 60 * 1000);
+  await setDoc(doc(db, invitesPath(appId), inviteId), {
+    ownerId,
+    ownerName: ownerName || '',
+    createdAt: new Date(),
+    expiresAt
+  });
+  return inviteId;
+};
+
+export const buildInviteLink = (inviteId) => {
+  const base = typeof window !== 'undefined' ? `${window.location.origin}${window.location.pathname}` : '';
+  return `${base}?invite=${inviteId}`;
+};
+
+const toDate = (value) => (value && typeof value.toDate === 'function' ? value.toDate() : new Date(value));
+
+// Accepts an invite for `userId`: adds them to the owner's friend list and records
+// the owner under the user's `following` so the story shows up in "Shared with me".
+export const acceptInvite = async (db, appId, inviteId, userId, displayName) => {
+  const inviteSnap = await getDoc(doc(db, invitesPath(appId), inviteId));
+  if (!inviteSnap.exists()) throw new Error('This invite link is not valid.');
+  const invite = inviteSnap.data();
+  if (invite.expiresAt && toDate(invite.expiresAt) < new Date()) throw new Error('This invite link has expired.');
+  if (invite.ownerId === userId) throw new Error('You cannot accept your own invite.');
+
+  await setDoc(doc(db, friendsPath(appId, invite.ownerId), userId), {
+    uid: userId,
+    displayName: displayName || '',
+    inviteId,
+    addedAt: new Date()
+  });
+  await setDoc(doc(db, followingPath(appId, userId), invite.ownerId), {
+    ownerId: invite.ownerId,
+    ownerName: invite.ownerName || '',
+    addedAt: new Date()
+  });
+  return invite;
+};
+
+export const removeFriend = (db, appId, ownerId, friendId) => deleteDoc(doc(db, friendsPath(appId, ownerId), friendId));
+
+// Entries of `ownerId` that `viewerId` may read. Friends (and the owner) list the
+// friends and public entries, anyone else only the public ones. Firestore refuses a
+// query it cannot prove the rules allow, so the privacy filter is always part of it.
+export const fetchVisibleEntries = async (db, appId, ownerId, viewerId) => {
+  const sharedColRef = collection(db, sharedEntriesPath(appId, ownerId));
+  let isFriend = viewerId === ownerId;
+  if (!isFriend && viewerId) {
+    try {
+      isFriend = (await getDoc(doc(db, friendsPath(appId, ownerId), viewerId))).exists();
+    } catch (err) {
+      isFriend = false; // Not allowed to read the friend doc means not a friend
+    }
+  }
+  const snapshot = await getDocs(isFriend
+    ? query(sharedColRef, where('privacy', 'in', SHARED_PRIVACY_LEVELS))
+    : query(sharedColRef, where('privacy', '==', 'public')));
+  const profileSnap = await getDoc(doc(db, sharedProfilePath(appId, ownerId)));
+  return {
+    isFriend,
+    ownerName: profileSnap.exists() ? profileSnap.data().displayName || '' : '',
+    entries: snapshot.docs
+      .map(d => ({ id: d.id, ...d.data() }))
+      .filter(entry => isSharedPrivacy(entry.privacy))
+      .sort((a, b) => (b.date || '').localeCompare(a.date || ''))
+  };
+};
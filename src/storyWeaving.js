@@ -0,0 +1,280 @@
+// --- Story Weaving ---
+// Drafts a narrative chapter or a period summary from several entries. The entries
+// come from a selection: hand-picked entries, a range of years or a tag.
+//
+// Drafting goes through a provider: { name, weaveStory({ kind, title, entries }) },
+// resolving to { title, body } where `body` is Markdown that cites entries as [1],
+// [2], ... in the order they were given. The template provider works offline; the
+// model provider posts to an HTTP endpoint and falls back to the template.
+//
+// The finished draft is a `reflection` entry whose content ends with a numbered
+// Sources list and which keeps the cited entries' ids as `sourceEntryIds`.
+
+import { CONTENT_FORMAT, escapeMarkdown, entryPlainText } from './markdown';
+import { parseEntryDate, MONTH_NAMES } from './timeline';
+import { formatEntryDate } from './bookExport';
+import { formatTimeframe } from './photoRequests';
+import { analyzeEntry, recurringThemes, themeLabel } from './sentiment';
+
+export const STORY_SOURCES = [
+  { value: 'years', label: 'A range of years' },
+  { value: 'tag', label: 'A tag' },
+  { value: 'entries', label: 'Entries I pick' }
+];
+
+export const STORY_KINDS = [
+  { value: 'chapter', label: 'Narrative chapter' },
+  { value: 'summary', label: 'Period summary' }
+];
+
+export const EMPTY_STORY_SELECTION = {
+  source: 'years', fromYear: '', toYear: '', tag: '', entryIds: [], kind: 'chapter', title: ''
+};
+
+export const MAX_STORY_ENTRIES = 30;
+const EXCERPT_LENGTH = 280;
+
+const parseYear = value => (/^\d{4}$/.test(String(value).trim()) ? Number(value) : null);
+
+const entryYear = entry => (parseEntryDate(entry.date) || { year: null }).year;
+
+// Oldest first; undated entries go last
+const chronological = (a, b) => {
+  const dateA = parseEntryDate(a.date);
+  const dateB = parseEntryDate(b.date);
+  if (!dateA || !dateB) return (dateA ? 0 : 1) - (dateB ? 0 : 1);
+  return (a.date || '').localeCompare(b.date || '');
+};
+
+// Entries a selection covers, in chronological order. Earlier woven stories are
+// left out so a chapter is never built from summaries of itself.
+export const selectStoryEntries = (entries, selection) => {
+  const candidates = entries.filter(entry => !(entry.sourceEntryIds && entry.sourceEntryIds.length > 0));
+  let chosen = [];
+  if (selection.source === 'entries') {
+    const ids = new Set(selection.entryIds);
+    chosen = candidates.filter(entry => ids.has(entry.id));
+  } else if (selection.source === 'tag') {
+    const tag = (selection.tag || '').trim().toLowerCase();
+    chosen = candidates.filter(entry => (entry.tags || []).some(t => t.trim().toLowerCase() === tag));
+  } else {
+    const fromYear = parseYear(selection.fromYear);
+    const toYear = String(selection.toYear || '').trim() ? parseYear(selection.toYear) : fromYear;
+    chosen = candidates.filter((entry) => {
+      const year = entryYear(entry);
+      return year !== null && year >= fromYear && year <= toYear;
+    });
+  }
+  return [...chosen].sort(chronological);
+};
+
+// Problems with a selection as { field: message }; empty when it can be woven
+export const validateStorySelection = (selection, entries) => {
+  const errors = {};
+  if (selection.source === 'years') {
+    const fromYear = parseYear(selection.fromYear);
+    const toYear = String(selection.toYear || '').trim() ? parseYear(selection.toYear) : fromYear;
+    if (fromYear === null) errors.fromYear = 'Enter a four-digit year, or the first year of a range.';
+    else if (toYear === null || toYear < fromYear) errors.toYear = `The end year must be ${fromYear} or later.`;
+  } else if (selection.source === 'tag') {
+    if (!(selection.tag || '').trim()) errors.tag = 'Choose a tag.';
+  } else if (selection.entryIds.length === 0) {
+    errors.entryIds = 'Pick the entries to weave together.';
+  }
+  if (Object.keys(errors).length > 0) return errors;
+
+  const count = selectStoryEntries(entries, selection).length;
+  if (count === 0) errors.entryIds = 'No entries match this selection.';
+  else if (count > MAX_STORY_ENTRIES) errors.entryIds = `That covers ${count} entries; narrow it to ${MAX_STORY_ENTRIES} or fewer.`;
+  return errors;
+};
+
+// The years a set of entries spans, e.g. "1985–1990"; empty when none are dated
+const storyTimeframe = (entries) => {
+  const years = entries.map(entryYear).filter(year => year !== null);
+  return years.length > 0 ? formatTimeframe(Math.min(...years), Math.max(...years)) : '';
+};
+
+// Title for a draft when the user gives none
+export const defaultStoryTitle = (selection, entries) => {
+  const timeframe = storyTimeframe(entries);
+  if (selection.source === 'tag' && selection.tag.trim()) return `Stories of ${selection.tag.trim()}`;
+  if (selection.kind === 'summary') return timeframe ? `Looking Back on ${timeframe}` : 'Looking Back';
+  return timeframe ? `A Chapter: ${timeframe}` : 'A Chapter of My Story';
+};
+
+// --- Template provider ---
+
+// The first couple of sentences of an entry, as escaped Markdown
+const excerpt = (entry) => {
+  const text = entryPlainText(entry).replace(/\s+/g, ' ').trim();
+  const sentences = text.split(/(?<=[.!?])\s/).slice(0, 2).join(' ');
+  const short = sentences.length > EXCERPT_LENGTH ? `${sentences.slice(0, EXCERPT_LENGTH - 1).trim()}…` : sentences;
+  return escapeMarkdown(short);
+};
+
+// "in June 1985", "in 1985" or '' for undated entries
+const whenPhrase = (entry) => {
+  const parsed = parseEntryDate(entry.date);
+  if (!parsed) return '';
+  return parsed.month === null || entry.datePrecision === 'year' ? `in ${parsed.year}` : `in ${MONTH_NAMES[parsed.month]} ${parsed.year}`;
+};
+
+// How a paragraph opens, given the entry before it
+const transition = (entry, previous) => {
+  const year = entryYear(entry);
+  const when = whenPhrase(entry);
+  if (!previous) return when ? `The story opens ${when} with` : 'The story opens with';
+  const previousYear = entryYear(previous);
+  if (year === null) return 'Another memory from this time is';
+  if (year === previousYear) return 'Later that year came';
+  if (previousYear !== null && year === previousYear + 1) return 'The following year brought';
+  return `Then, ${when}, came`;
+};
+
+const quotedTitle = entry => `"${escapeMarkdown(entry.title || 'Untitled')}"`;
+const atPlace = entry => (entry.location ? ` at ${escapeMarkdown(entry.location)}` : '');
+
+const storyTone = (entries) => {
+  const analyses = Object.fromEntries(entries.map(entry => [entry.id, analyzeEntry(entry)]));
+  const themes = recurringThemes(analyses).slice(0, 3).map(theme => themeLabel(theme.id).toLowerCase());
+  const mood = entries.reduce((sum, entry) => sum + analyses[entry.id].score, 0) / entries.length;
+  return {
+    themes: themes.length > 1 ? `${themes.slice(0, -1).join(', ')} and ${themes[themes.length - 1]}` : themes[0] || '',
+    mood: mood >= 0.2 ? 'a mostly happy time' : mood <= -0.2 ? 'a hard stretch' : 'a time of ups and downs'
+  };
+};
+
+const weaveChapter = (entries) => {
+  const timeframe = storyTimeframe(entries);
+  const { themes, mood } = storyTone(entries);
+  const intro = [
+    `This chapter gathers ${entries.length} ${entries.length === 1 ? 'memory' : 'memories'}${timeframe ? ` from ${timeframe}` : ''}.`,
+    themes ? `Again and again they come back to ${themes}.` : ''
+  ].filter(Boolean).join(' ');
+
+  const paragraphs = entries.map((entry, index) => {
+    const opening = `${transition(entry, entries[index - 1])} ${quotedTitle(entry)}${atPlace(entry)}.`;
+    const text = excerpt(entry);
+    return `${opening}${text ? ` ${text}` : ''} [${index + 1}]`;
+  });
+
+  const closing = `Looking back, it reads as ${mood}.`;
+  return [intro, ...paragraphs, closing].join('\n\n');
+};
+
+const weaveSummary = (entries) => {
+  const timeframe = storyTimeframe(entries);
+  const { themes, mood } = storyTone(entries);
+  const summary = `${entries.length} ${entries.length === 1 ? 'memory' : 'memories'}${timeframe ? ` from ${timeframe}` : ''}, ${mood}${themes ? `, centred on ${themes}` : ''}.`;
+
+  // One heading per year with a bullet per entry
+  const groups = [];
+  entries.forEach((entry, index) => {
+    const year = entryYear(entry);
+    if (groups.length === 0 || groups[groups.length - 1].year !== year) groups.push({ year, items: [] });
+    const firstSentence = excerpt(entry).split(/(?<=[.!?])\s/)[0];
+    groups[groups.length - 1].items.push(
+      `- **${escapeMarkdown(entry.title || 'Untitled')}**${atPlace(entry)}${firstSentence ? `: ${firstSentence}` : ''} [${index + 1}]`
+    );
+  });
+  return [summary, ...groups.map(group => `### ${group.year === null ? 'Undated' : group.year}\n\n${group.items.join('\n')}`)].join('\n\n');
+};
+
+export const createTemplateStoryProvider = () => ({
+  name: 'template',
+  weaveStory: async ({ kind = 'chapter', title, entries }) => ({
+    title,
+    body: kind === 'summary' ? weaveSummary(entries) : weaveChapter(entries)
+  })
+});
+
+// Adapter for a text-generation endpoint. The endpoint receives
+// { task: 'weave-story', model, kind, title, entries: [{ ref, id, title, date, location, content }] }
+// and must answer with { body, title? }, citing entries as [ref].
+export const createModelStoryProvider = ({ endpoint, apiKey = null, model = null, fetchImpl = null, fallback = createTemplateStoryProvider() } = {}) => ({
+  name: 'model',
+  weaveStory: async (request) => {
+    const doFetch = fetchImpl || (typeof fetch !== 'undefined' ? fetch : null);
+    if (!endpoint || !doFetch) return fallback.weaveStory(request);
+
+    try {
+      const response = await doFetch(endpoint, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+        },
+        body: JSON.stringify({
+          task: 'weave-story',
+          model,
+          kind: request.kind,
+          title: request.title,
+          entries: request.entries.map((entry, index) => ({
+            ref: index + 1,
+            id: entry.id,
+            title: entry.title,
+            date: entry.date,
+            location: entry.location || '',
+            content: entryPlainText(entry)
+          }))
+        })
+      });
+      if (!response.ok) throw new Error(`Story endpoint responded with ${response.status}`);
+      const data = await response.json();
+      if (!data || typeof data.body !== 'string' || !data.body.trim()) throw new Error('Story endpoint returned no text');
+      return {
+        title: typeof data.title === 'string' && data.title.trim() ? data.title.trim() : request.title,
+        body: data.body.trim()
+      };
+    } catch (err) {
+      console.warn("Story model failed, using the template:", err);
+      return fallback.weaveStory(request);
+    }
+  }
+});
+
+// Picks the model provider when an endpoint is configured, otherwise the offline one
+export const createStoryProvider = ({ endpoint = null, apiKey = null, model = null } = {}) => (
+  endpoint ? createModelStoryProvider({ endpoint, apiKey, model }) : createTemplateStoryProvider()
+);
+
+// --- Drafts ---
+
+// The numbered Sources list that closes a woven story
+export const sourcesMarkdown = entries => [
+  '## Sources',
+  entries.map((entry, index) => {
+    const when = formatEntryDate(entry);
+    return `${index + 1}. ${escapeMarkdown(entry.title || 'Untitled')}${when ? `, ${when}` : ''}`;
+  }).join('\n')
+].join('\n\n');
+
+// Turns a woven story into a draft for the entry modal. The draft is dated to the
+// first year it covers so it sits at the start of that period on the timeline.
+export const draftEntryFromStory = (story, sources) => {
+  const years = sources.map(entryYear).filter(year => year !== null);
+  const sharedTags = sources.length > 0
+    ? (sources[0].tags || []).filter(tag => sources.every(entry => (entry.tags || []).includes(tag)))
+    : [];
+  return {
+    title: story.title,
+    content: `${story.body}\n\n${sourcesMarkdown(sources)}`,
+    contentFormat: CONTENT_FORMAT,
+    date: years.length > 0 ? `${Math.min(...years)}-01-01` : new Date().toISOString().split('T')[0],
+    datePrecision: years.length > 0 ? 'year' : 'day',
+    location: '',
+    tags: sharedTags,
+    privacy: 'private',
+    type: 'reflection',
+    sourceEntryIds: sources.map(entry => entry.id)
+  };
+};
+
+// Builds a story from a selection and turns it into an entry draft
+export const weaveStoryDraft = async (provider, entries, selection) => {
+  const sources = selectStoryEntries(entries, selection);
+  const title = selection.title.trim() || defaultStoryTitle(selection, sources);
+  const story = await provider.weaveStory({ kind: selection.kind, title, entries: sources });
+  return draftEntryFromStory(story, sources);
+};
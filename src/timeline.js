@@ -0,0 +1,120 @@
+// --- Life Timeline Engine ---
+// Builds the Life Timeline from the user's entries (grouped by year and month of
+// `entry.date`) and merges in any hand-curated documents from `timelineEvents`.
+
+export const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+// Colors cycle by year so neighbouring years are easy to tell apart
+const YEAR_COLORS = ['bg-purple-500', 'bg-blue-500', 'bg-green-500', 'bg-yellow-500', 'bg-pink-500', 'bg-indigo-500'];
+
+// Parses an entry date ('YYYY-MM-DD', 'YYYY-MM' or 'YYYY') without going through
+// `new Date()`, which would shift dates across timezones.
+export const parseEntryDate = (date) => {
+  if (!date || typeof date !== 'string') return null;
+  const match = date.match(/^(\d{4})(?:-(\d{1,2}))?(?:-(\d{1,2}))?/);
+  if (!match) return null;
+  const year = Number(match[1]);
+  const month = match[2] ? Number(match[2]) - 1 : null; // 0-based, null when unknown
+  const day = match[3] ? Number(match[3]) : null;
+  if (month !== null && (month < 0 || month > 11)) return { year, month: null, day: null };
+  return { year, month, day };
+};
+
+const getYearBucket = (yearsMap, year) => {
+  if (!yearsMap.has(year)) {
+    yearsMap.set(year, {
+      year,
+      color: YEAR_COLORS[Math.abs(year) % YEAR_COLORS.length],
+      months: new Map(),
+      curated: []
+    });
+  }
+  return yearsMap.get(year);
+};
+
+const getMonthBucket = (yearBucket, month) => {
+  const key = month === null ? 'unknown' : month;
+  if (!yearBucket.months.has(key)) {
+    yearBucket.months.set(key, {
+      month,
+      label: month === null ? 'Sometime this year' : MONTH_NAMES[month],
+      items: []
+    });
+  }
+  return yearBucket.months.get(key);
+};
+
+// Converts an entry into a timeline item that links back to its source entry
+export const entryToTimelineItem = (entry) => {
+  const parsed = parseEntryDate(entry.date);
+  if (!parsed) return null;
+  // Entries drafted from a year-only answer carry a placeholder day and month
+  if (entry.datePrecision === 'year') {
+    parsed.month = null;
+    parsed.day = null;
+  }
+  return {
+    id: `entry-${entry.id}`,
+    source: 'entry',
+    entryId: entry.id,
+    title: entry.title || 'Untitled memory',
+    date: entry.date,
+    year: parsed.year,
+    month: parsed.month,
+    day: parsed.day,
+    type: entry.type,
+    location: entry.location || '',
+    fromQuestion: Boolean(entry.sourceQuestionId)
+  };
+};
+
+// Builds the timeline as an array of years (newest first). Each year holds its
+// months (chronological) with entry items, plus any curated events for that year.
+export const buildTimeline = (entries = [], timelineEvents = []) => {
+  const yearsMap = new Map();
+
+  entries.forEach((entry) => {
+    const item = entryToTimelineItem(entry);
+    if (!item) return;
+    const yearBucket = getYearBucket(yearsMap, item.year);
+    getMonthBucket(yearBucket, item.month).items.push(item);
+  });
+
+  // Hand-curated timeline documents: { year, color?, events: [string] }
+  timelineEvents.forEach((timelineEvent) => {
+    const year = Number(timelineEvent.year);
+    if (!Number.isFinite(year)) return;
+    const yearBucket = getYearBucket(yearsMap, year);
+    if (timelineEvent.color) yearBucket.color = timelineEvent.color;
+    (timelineEvent.events || []).forEach((event, index) => {
+      yearBucket.curated.push({
+        id: `event-${timelineEvent.id}-${index}`,
+        source: 'timelineEvent',
+        timelineEventId: timelineEvent.id,
+        title: event,
+        year
+      });
+    });
+  });
+
+  return Array.from(yearsMap.values())
+    .sort((a, b) => b.year - a.year)
+    .map((yearBucket) => {
+      const months = Array.from(yearBucket.months.values())
+        .sort((a, b) => (a.month === null ? 12 : a.month) - (b.month === null ? 12 : b.month))
+        .map((monthBucket) => ({
+          ...monthBucket,
+          items: monthBucket.items.sort((a, b) => (a.day || 0) - (b.day || 0))
+        }));
+      return {
+        year: yearBucket.year,
+        color: yearBucket.color,
+        months,
+        curated: yearBucket.curated,
+        entryCount: months.reduce((total, monthBucket) => total + monthBucket.items.length, 0)
+      };
+    });
+};
@@ -0,0 +1,60 @@
+// --- Trash ---
+// Deleting an entry only stamps it with `deletedAt`; it stays in the entries
+// collection, hidden everywhere except the Trash view, until it is restored,
+// purged by hand, or expires after the retention period saved on the profile.
+// Purging removes the entry together with its comments, revisions and media.
+
+import { doc, deleteDoc, setDoc, updateDoc } from 'firebase/firestore';
+
+import { profilePath } from './account';
+import { deleteEntryComments } from './comments';
+import { deleteEntryRevisions } from './revisions';
+import { removeMediaFiles } from './mediaStorage';
+
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+// 0 keeps deleted entries until they are purged by hand
+export const TRASH_RETENTION_OPTIONS = [
+  { days: 7, label: '7 days' },
+  { days: 30, label: '30 days' },
+  { days: 90, label: '90 days' },
+  { days: 0, label: 'Never' }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const entryRef = (db, appId, userId, entryId) => doc(db, `artifacts/${appId}/users/${userId}/entries`, entryId);
+
+export const isTrashed = entry => Boolean(entry.deletedAt);
+
+const toDate = value => (value && typeof value.toDate === 'function' ? value.toDate() : new Date(value));
+
+// When a trashed entry will be purged, or null when it is kept indefinitely
+export const trashExpiresAt = (entry, retentionDays) => {
+  if (!entry.deletedAt || !retentionDays) return null;
+  return new Date(toDate(entry.deletedAt).getTime() + retentionDays * DAY_MS);
+};
+
+export const findExpiredEntries = (trashedEntries, retentionDays, now = new Date()) => trashedEntries.filter((entry) => {
+  const expiresAt = trashExpiresAt(entry, retentionDays);
+  return expiresAt && expiresAt <= now;
+});
+
+export const trashEntry = (db, appId, userId, entryId) => updateDoc(entryRef(db, appId, userId, entryId), { deletedAt: new Date() });
+
+export const restoreEntry = (db, appId, userId, entryId) => updateDoc(entryRef(db, appId, userId, entryId), { deletedAt: null });
+
+// Permanently deletes an entry. Comments, revisions and files are cleaned up
+// best-effort; only the entry deletion itself is returned to the caller.
+export const purgeEntry = (db, appId, userId, entry, mediaStorage) => {
+  deleteEntryComments(db, appId, userId, entry.id).catch(err => console.error("Error deleting comments:", err));
+  deleteEntryRevisions(db, appId, userId, entry.id).catch(err => console.error("Error deleting revisions:", err));
+  if (mediaStorage && entry.media) removeMediaFiles(mediaStorage, entry.media);
+  return deleteDoc(entryRef(db, appId, userId, entry.id));
+};
+
+export const saveTrashRetention = (db, appId, userId, days) => setDoc(
+  doc(db, profilePath(appId, userId), 'main'),
+  { trashRetentionDays: days, updatedAt: new Date() },
+  { merge: true }
+);
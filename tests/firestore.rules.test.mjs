@@ -0,0 +1,195 @@
+// Security rule tests for the sharing model, run against the Firestore emulator
+// with `npm run test:rules`. Covers who can read published entry copies, joining a
+// friend list with an invite, and comments on shared entries.
+//
+// The emulators need Java. `npm run test:unit` runs the tests of the app's own
+// modules (tests/unit) without them; `npm test` runs both.
+
+import { readFileSync } from 'node:fs';
+import { describe, it, before, after, beforeEach } from 'node:test';
+
+import { initializeTestEnvironment, assertSucceeds, assertFails } from '@firebase/rules-unit-testing';
+import { doc, getDoc, setDoc, addDoc, updateDoc, getDocs, getCountFromServer, collection, query, where } from 'firebase/firestore';
+
+const APP_ID = 'test-app';
+const OWNER = 'owner';
+const FRIEND = 'friend';
+const OTHER_FRIEND = 'other-friend';
+const STRANGER = 'stranger';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const sharedEntryPath = entryId => `artifacts/${APP_ID}/shared/${OWNER}/entries/${entryId}`;
+const commentsPath = entryId => `${sharedEntryPath(entryId)}/comments`;
+const friendPath = friendId => `artifacts/${APP_ID}/shared/${OWNER}/friends/${friendId}`;
+const invitePath = inviteId => `artifacts/${APP_ID}/invites/${inviteId}`;
+
+const entryCopy = (entryId, privacy) => ({ ownerId: OWNER, entryId, privacy, title: `A ${privacy} memory`, content: '' });
+
+const newComment = (authorId, fields = {}) => ({
+  authorId,
+  authorName: 'A reader',
+  content: 'Lovely memory.',
+  likedBy: [],
+  likes: 0,
+  hidden: false,
+  timestamp: new Date(),
+  editedAt: null,
+  ...fields
+});
+
+let testEnv;
+
+const as = uid => (uid ? testEnv.authenticatedContext(uid) : testEnv.unauthenticatedContext()).firestore();
+
+// Writes fixtures as an admin would, without the rules
+const seed = docs => testEnv.withSecurityRulesDisabled(async (context) => {
+  const db = context.firestore();
+  await Promise.all(Object.entries(docs).map(([path, data]) => setDoc(doc(db, path), data)));
+});
+
+before(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: 'demo-autobiography',
+    firestore: { rules: readFileSync(new URL('../firestore.rules', import.meta.url), 'utf8') }
+  });
+});
+
+after(async () => {
+  await testEnv.cleanup();
+});
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+  await seed({
+    [sharedEntryPath('public-entry')]: entryCopy('public-entry', 'public'),
+    [sharedEntryPath('friends-entry')]: entryCopy('friends-entry', 'friends'),
+    [friendPath(FRIEND)]: { uid: FRIEND, inviteId: 'seeded' },
+    [friendPath(OTHER_FRIEND)]: { uid: OTHER_FRIEND, inviteId: 'seeded' }
+  });
+});
+
+describe('published entry copies', () => {
+  it('lets anyone read public entries', async () => {
+    await assertSucceeds(getDoc(doc(as(STRANGER), sharedEntryPath('public-entry'))));
+    await assertSucceeds(getDoc(doc(as(null), sharedEntryPath('public-entry'))));
+  });
+
+  it('lets only friends and the owner read friends entries', async () => {
+    await assertSucceeds(getDoc(doc(as(FRIEND), sharedEntryPath('friends-entry'))));
+    await assertSucceeds(getDoc(doc(as(OWNER), sharedEntryPath('friends-entry'))));
+    await assertFails(getDoc(doc(as(STRANGER), sharedEntryPath('friends-entry'))));
+    await assertFails(getDoc(doc(as(null), sharedEntryPath('friends-entry'))));
+  });
+
+  it('lets friends list published entries only through a privacy filter', async () => {
+    const entries = db => collection(db, `artifacts/${APP_ID}/shared/${OWNER}/entries`);
+    await assertSucceeds(getDocs(query(entries(as(FRIEND)), where('privacy', 'in', ['friends', 'public']))));
+    await assertFails(getDocs(entries(as(FRIEND))));
+    await assertSucceeds(getDocs(entries(as(OWNER))));
+  });
+
+  it('lets strangers list public entries only', async () => {
+    const entries = db => collection(db, `artifacts/${APP_ID}/shared/${OWNER}/entries`);
+    await assertSucceeds(getDocs(query(entries(as(STRANGER)), where('privacy', '==', 'public'))));
+    await assertFails(getDocs(query(entries(as(STRANGER)), where('privacy', 'in', ['friends', 'public']))));
+    await assertFails(getDocs(entries(as(STRANGER))));
+  });
+
+  it('never publishes private entries', async () => {
+    await assertFails(setDoc(doc(as(OWNER), sharedEntryPath('private-entry')), entryCopy('private-entry', 'private')));
+  });
+
+  it('keeps private data to its owner', async () => {
+    await seed({ [`artifacts/${APP_ID}/users/${OWNER}/entries/private-entry`]: { title: 'Mine', privacy: 'private' } });
+    await assertSucceeds(getDoc(doc(as(OWNER), `artifacts/${APP_ID}/users/${OWNER}/entries/private-entry`)));
+    await assertFails(getDoc(doc(as(FRIEND), `artifacts/${APP_ID}/users/${OWNER}/entries/private-entry`)));
+  });
+
+  it('lets only the owner publish', async () => {
+    await assertSucceeds(setDoc(doc(as(OWNER), sharedEntryPath('new-entry')), entryCopy('new-entry', 'public')));
+    await assertFails(setDoc(doc(as(FRIEND), sharedEntryPath('new-entry')), entryCopy('new-entry', 'public')));
+  });
+});
+
+describe('joining a friend list with an invite', () => {
+  beforeEach(async () => {
+    await seed({
+      [invitePath('valid')]: { ownerId: OWNER, ownerName: 'Owner', expiresAt: new Date(Date.now() + HOUR_MS) },
+      [invitePath('expired')]: { ownerId: OWNER, ownerName: 'Owner', expiresAt: new Date(Date.now() - HOUR_MS) },
+      [invitePath('someone-else')]: { ownerId: 'someone-else', ownerName: 'Someone', expiresAt: new Date(Date.now() + HOUR_MS) }
+    });
+  });
+
+  it('accepts a valid invite of the owner', async () => {
+    await assertSucceeds(setDoc(doc(as(STRANGER), friendPath(STRANGER)), { uid: STRANGER, inviteId: 'valid' }));
+  });
+
+  it('refuses expired invites and invites of other owners', async () => {
+    await assertFails(setDoc(doc(as(STRANGER), friendPath(STRANGER)), { uid: STRANGER, inviteId: 'expired' }));
+    await assertFails(setDoc(doc(as(STRANGER), friendPath(STRANGER)), { uid: STRANGER, inviteId: 'someone-else' }));
+    await assertFails(setDoc(doc(as(STRANGER), friendPath(STRANGER)), { uid: STRANGER, inviteId: 'missing' }));
+  });
+
+  it('only lets users add themselves', async () => {
+    await assertFails(setDoc(doc(as(STRANGER), friendPath('somebody')), { uid: 'somebody', inviteId: 'valid' }));
+    await assertFails(setDoc(doc(as(OWNER), friendPath(OWNER)), { uid: OWNER, inviteId: 'valid' }));
+  });
+});
+
+describe('comments', () => {
+  beforeEach(async () => {
+    await seed({
+      [`${commentsPath('friends-entry')}/visible`]: newComment(OTHER_FRIEND),
+      [`${commentsPath('friends-entry')}/hidden`]: newComment(OTHER_FRIEND, { hidden: true })
+    });
+  });
+
+  it('lets readers of the entry comment with their name', async () => {
+    await assertSucceeds(addDoc(collection(as(FRIEND), commentsPath('friends-entry')), newComment(FRIEND)));
+    await assertSucceeds(addDoc(collection(as(STRANGER), commentsPath('public-entry')), newComment(STRANGER)));
+  });
+
+  it('refuses comments from users who cannot read the entry', async () => {
+    await assertFails(addDoc(collection(as(STRANGER), commentsPath('friends-entry')), newComment(STRANGER)));
+    await assertFails(getDoc(doc(as(STRANGER), `${commentsPath('friends-entry')}/visible`)));
+  });
+
+  it('refuses comments posing as someone else or without a valid name', async () => {
+    await assertFails(addDoc(collection(as(FRIEND), commentsPath('friends-entry')), newComment(OWNER)));
+    await assertFails(addDoc(collection(as(FRIEND), commentsPath('friends-entry')), newComment(FRIEND, { authorName: '' })));
+    await assertFails(addDoc(collection(as(FRIEND), commentsPath('friends-entry')), newComment(FRIEND, { authorName: 42 })));
+    await assertFails(addDoc(collection(as(FRIEND), commentsPath('friends-entry')), newComment(FRIEND, { hidden: true })));
+    await assertFails(addDoc(collection(as(FRIEND), commentsPath('friends-entry')), newComment(FRIEND, { likes: 5 })));
+  });
+
+  it('lets the owner comment on private entries, which have no published copy', async () => {
+    await assertSucceeds(addDoc(collection(as(OWNER), commentsPath('private-entry')), newComment(OWNER)));
+    await assertFails(addDoc(collection(as(FRIEND), commentsPath('private-entry')), newComment(FRIEND)));
+  });
+
+  it('shows hidden comments only to the owner and their author', async () => {
+    await assertSucceeds(getDoc(doc(as(OWNER), `${commentsPath('friends-entry')}/hidden`)));
+    await assertSucceeds(getDoc(doc(as(OTHER_FRIEND), `${commentsPath('friends-entry')}/hidden`)));
+    await assertFails(getDoc(doc(as(FRIEND), `${commentsPath('friends-entry')}/hidden`)));
+  });
+
+  it('lets readers list only visible comments', async () => {
+    const comments = collection(as(FRIEND), commentsPath('friends-entry'));
+    await assertSucceeds(getDocs(query(comments, where('hidden', '==', false))));
+    await assertSucceeds(getDocs(query(comments, where('authorId', '==', FRIEND))));
+    await assertFails(getDocs(comments));
+    await assertSucceeds(getDocs(collection(as(OWNER), commentsPath('friends-entry'))));
+  });
+
+  it('lets the owner count every comment on an entry', async () => {
+    await assertSucceeds(getCountFromServer(collection(as(OWNER), commentsPath('friends-entry'))));
+    await assertFails(getCountFromServer(collection(as(FRIEND), commentsPath('friends-entry'))));
+  });
+
+  it('lets only the owner hide comments', async () => {
+    await assertFails(updateDoc(doc(as(FRIEND), `${commentsPath('friends-entry')}/visible`), { hidden: true }));
+    await assertFails(updateDoc(doc(as(OTHER_FRIEND), `${commentsPath('friends-entry')}/visible`), { hidden: true }));
+    await assertSucceeds(updateDoc(doc(as(OWNER), `${commentsPath('friends-entry')}/visible`), { hidden: true }));
+  });
+});
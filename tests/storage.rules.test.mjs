@@ -0,0 +1,104 @@
+// Storage rule tests, run against the Storage emulator with `npm run test:rules`.
+// Covers who can add and remove entry media, library photos and photo request
+// answers, and the type and size limits.
+
+import { readFileSync } from 'node:fs';
+import { describe, it, before, after, beforeEach } from 'node:test';
+
+import { initializeTestEnvironment, assertSucceeds, assertFails } from '@firebase/rules-unit-testing';
+
+const APP_ID = 'test-app';
+const OWNER = 'owner';
+const STRANGER = 'stranger';
+
+const MB = 1024 * 1024;
+
+const mediaPath = (uid, name) => `artifacts/${APP_ID}/users/${uid}/media/${name}`;
+const libraryPath = (uid, name) => `artifacts/${APP_ID}/historicalImages/${uid}/${name}`;
+const answerPath = (uid, name) => `artifacts/${APP_ID}/photoRequests/request-1/${uid}/${name}`;
+
+const bytes = (size = 16) => new Uint8Array(size);
+
+let testEnv;
+
+const as = uid => (uid ? testEnv.authenticatedContext(uid) : testEnv.unauthenticatedContext()).storage();
+
+const upload = (storage, path, contentType, size) => storage.ref(path).put(bytes(size), { contentType });
+
+// Writes fixtures as an admin would, without the rules
+const seed = paths => testEnv.withSecurityRulesDisabled(async (context) => {
+  await Promise.all(paths.map(path => upload(context.storage(), path, 'image/jpeg')));
+});
+
+before(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: 'demo-autobiography',
+    storage: { rules: readFileSync(new URL('../storage.rules', import.meta.url), 'utf8') }
+  });
+});
+
+after(async () => {
+  await testEnv.cleanup();
+});
+
+beforeEach(async () => {
+  await testEnv.clearStorage();
+  await seed([mediaPath(OWNER, 'seeded.jpg'), libraryPath(OWNER, 'seeded.jpg'), answerPath(OWNER, 'seeded.jpg')]);
+});
+
+describe('entry media', () => {
+  it('lets only the owner upload', async () => {
+    await assertSucceeds(upload(as(OWNER), mediaPath(OWNER, 'photo.jpg'), 'image/jpeg'));
+    await assertSucceeds(upload(as(OWNER), mediaPath(OWNER, 'photo.jpg.thumb.jpg'), 'image/jpeg'));
+    await assertSucceeds(upload(as(OWNER), mediaPath(OWNER, 'clip.mp4'), 'video/mp4'));
+    await assertFails(upload(as(STRANGER), mediaPath(OWNER, 'photo.jpg'), 'image/jpeg'));
+    await assertFails(upload(as(null), mediaPath(OWNER, 'photo.jpg'), 'image/jpeg'));
+  });
+
+  it('lets only the owner read and delete', async () => {
+    await assertSucceeds(as(OWNER).ref(mediaPath(OWNER, 'seeded.jpg')).getMetadata());
+    await assertFails(as(STRANGER).ref(mediaPath(OWNER, 'seeded.jpg')).getMetadata());
+    await assertFails(as(STRANGER).ref(mediaPath(OWNER, 'seeded.jpg')).delete());
+    await assertSucceeds(as(OWNER).ref(mediaPath(OWNER, 'seeded.jpg')).delete());
+  });
+
+  it('refuses other file types and files over the size limits', async () => {
+    await assertFails(upload(as(OWNER), mediaPath(OWNER, 'page.html'), 'text/html'));
+    await assertFails(upload(as(OWNER), mediaPath(OWNER, 'image.svg'), 'image/svg+xml'));
+    await assertSucceeds(upload(as(OWNER), mediaPath(OWNER, 'large.jpg'), 'image/jpeg', 10 * MB));
+    await assertFails(upload(as(OWNER), mediaPath(OWNER, 'huge.jpg'), 'image/jpeg', 10 * MB + 1));
+  });
+
+  it('does not let anyone write outside the media folder', async () => {
+    await assertFails(upload(as(OWNER), `artifacts/${APP_ID}/users/${OWNER}/other/photo.jpg`, 'image/jpeg'));
+    await assertFails(upload(as(OWNER), `artifacts/${APP_ID}/photo.jpg`, 'image/jpeg'));
+  });
+});
+
+describe('historical image library', () => {
+  it('lets contributors upload photos only under their own uid', async () => {
+    await assertSucceeds(upload(as(STRANGER), libraryPath(STRANGER, 'street.jpg'), 'image/jpeg'));
+    await assertFails(upload(as(STRANGER), libraryPath(OWNER, 'street.jpg'), 'image/jpeg'));
+    await assertFails(upload(as(null), libraryPath(STRANGER, 'street.jpg'), 'image/jpeg'));
+  });
+
+  it('takes photos only', async () => {
+    await assertFails(upload(as(STRANGER), libraryPath(STRANGER, 'clip.mp4'), 'video/mp4'));
+  });
+
+  it('lets signed-in users read, and only the contributor delete', async () => {
+    await assertSucceeds(as(STRANGER).ref(libraryPath(OWNER, 'seeded.jpg')).getMetadata());
+    await assertFails(as(null).ref(libraryPath(OWNER, 'seeded.jpg')).getMetadata());
+    await assertFails(as(STRANGER).ref(libraryPath(OWNER, 'seeded.jpg')).delete());
+    await assertSucceeds(as(OWNER).ref(libraryPath(OWNER, 'seeded.jpg')).delete());
+  });
+});
+
+describe('photo request answers', () => {
+  it('lets users upload photos only under their own uid', async () => {
+    await assertSucceeds(upload(as(STRANGER), answerPath(STRANGER, 'answer.jpg'), 'image/jpeg'));
+    await assertFails(upload(as(STRANGER), answerPath(OWNER, 'answer.jpg'), 'image/jpeg'));
+    await assertFails(upload(as(STRANGER), answerPath(STRANGER, 'answer.mp4'), 'video/mp4'));
+    await assertFails(as(STRANGER).ref(answerPath(OWNER, 'seeded.jpg')).delete());
+  });
+});
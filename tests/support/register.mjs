@@ -0,0 +1,6 @@
+// The app's modules import each other without file extensions, as the bundler
+// allows. Loading this first (`node --import`) lets Node resolve them the same way.
+
+import { register } from 'node:module';
+
+register('./resolve.mjs', import.meta.url);
@@ -0,0 +1,13 @@
+// Module resolution hook: a relative import with no extension ("./timeline") is
+// tried again as a .js file.
+
+const RELATIVE_WITHOUT_EXTENSION = /^\.{1,2}\/(?:.*\/)?[^./]+$/;
+
+export const resolve = async (specifier, context, nextResolve) => {
+  try {
+    return await nextResolve(specifier, context);
+  } catch (error) {
+    if (error.code !== 'ERR_MODULE_NOT_FOUND' || !RELATIVE_WITHOUT_EXTENSION.test(specifier)) throw error;
+    return nextResolve(`${specifier}.js`, context);
+  }
+};
@@ -0,0 +1,80 @@
+// Backup archives: what a restore accepts and what it writes.
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ARCHIVE_FORMAT, ARCHIVE_VERSION, createArchive, validateArchive, detachForeignMedia, planRestore } from '../../src/backup.js';
+
+const media = { url: 'https://example.com/a.jpg', path: 'artifacts/app/users/someone/media/a.jpg', thumbnailUrl: 'https://example.com/t.jpg', thumbnailPath: 'artifacts/app/users/someone/media/t.jpg', kind: 'image' };
+const entry = { id: 'e1', title: 'First day', content: 'It rained.', media: [media], timestamp: new Date('2020-01-01') };
+
+const archiveOf = (collections, fields = {}) => ({ format: ARCHIVE_FORMAT, version: ARCHIVE_VERSION, sourceUserId: 'someone', collections, ...fields });
+
+describe('validateArchive', () => {
+  it('accepts an archive it created', () => {
+    const result = validateArchive(JSON.parse(JSON.stringify(createArchive({ entries: [entry] }, { appId: 'app', userId: 'someone' }))));
+    assert.equal(result.valid, true);
+    assert.deepEqual(result.errors, []);
+    assert.equal(result.counts.entries, 1);
+  });
+
+  it('refuses files that are not archives', () => {
+    [null, 'text', 42].forEach(value => assert.equal(validateArchive(value).valid, false));
+    assert.equal(validateArchive({ format: 'other', version: 1, collections: {} }).valid, false);
+    assert.equal(validateArchive(archiveOf(undefined)).valid, false);
+  });
+
+  it('refuses archives from a newer version or without one', () => {
+    assert.equal(validateArchive(archiveOf({}, { version: ARCHIVE_VERSION + 1 })).valid, false);
+    assert.equal(validateArchive(archiveOf({}, { version: '2' })).valid, false);
+  });
+
+  it('refuses malformed collections and documents without ids', () => {
+    assert.equal(validateArchive(archiveOf({ entries: {} })).valid, false);
+    assert.equal(validateArchive(archiveOf({ entries: [{ title: 'No id' }] })).valid, false);
+    assert.equal(validateArchive(archiveOf({ entries: [null] })).valid, false);
+  });
+
+  it('warns about duplicates, unknown collections and missing collections', () => {
+    const result = validateArchive(archiveOf({ entries: [entry, entry], secrets: [] }));
+    assert.equal(result.valid, true);
+    assert.equal(result.counts.entries, 1);
+    assert.ok(result.warnings.some(warning => warning.includes('more than once')));
+    assert.ok(result.warnings.some(warning => warning.includes('"secrets"')));
+    assert.ok(result.warnings.some(warning => warning.includes('no people')));
+  });
+
+  it('does not expect people in version 1 archives', () => {
+    const result = validateArchive(archiveOf({ entries: [] }, { version: 1 }));
+    assert.equal(result.warnings.some(warning => warning.includes('people')), false);
+  });
+});
+
+describe('detachForeignMedia', () => {
+  it('drops storage paths but keeps the links', () => {
+    const detached = detachForeignMedia(entry);
+    assert.deepEqual(detached.media, [{ ...media, path: null, thumbnailPath: null }]);
+    assert.equal(entry.media[0].path, media.path);
+  });
+
+  it('is applied when restoring another account\'s archive only', () => {
+    const archive = JSON.parse(JSON.stringify(createArchive({ entries: [entry] }, { appId: 'app', userId: 'someone' })));
+    const foreign = planRestore(archive, {}, { userId: 'me' });
+    assert.equal(foreign.writes[0].data.media[0].path, null);
+    const own = planRestore(archive, {}, { userId: 'someone' });
+    assert.equal(own.writes[0].data.media[0].path, media.path);
+  });
+});
+
+describe('planRestore', () => {
+  it('leaves collections missing from the archive alone in replace mode', () => {
+    const plan = planRestore(archiveOf({ entries: [] }, { version: 1 }), { entries: [entry], people: [{ id: 'p1', name: 'Ann' }] }, { mode: 'replace' });
+    assert.deepEqual(plan.deletes, [{ collection: 'entries', id: 'e1' }]);
+  });
+
+  it('keeps existing documents on conflict unless told otherwise', () => {
+    const archive = archiveOf({ entries: [{ ...entry, title: 'Renamed' }] });
+    assert.equal(planRestore(archive, { entries: [entry] }).writes.length, 0);
+    assert.equal(planRestore(archive, { entries: [entry] }, { conflictStrategy: 'use-archive' }).writes.length, 1);
+  });
+});
@@ -0,0 +1,50 @@
+// The shared historical image library: links written by other users and matching
+// images to entries.
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { safeImageUrl, decadesBetween, entryDecades, matchHistoricalImages } from '../../src/historicalImages.js';
+
+describe('safeImageUrl', () => {
+  it('accepts https links', () => {
+    assert.equal(safeImageUrl('https://example.com/a.jpg'), 'https://example.com/a.jpg');
+    assert.equal(safeImageUrl('  HTTPS://example.com/a.jpg '), 'HTTPS://example.com/a.jpg');
+  });
+
+  it('refuses everything else', () => {
+    ['http://example.com/a.jpg', 'javascript:alert(1)', 'data:image/png;base64,AAAA', '//example.com/a.jpg',
+      'https://example.com/a b.jpg', '', null, undefined, 42, {}].forEach((url) => {
+      assert.equal(safeImageUrl(url), null, String(url));
+    });
+  });
+});
+
+describe('decades', () => {
+  it('lists the decades a range touches', () => {
+    assert.deepEqual(decadesBetween(1968, 1981), [1960, 1970, 1980]);
+    assert.deepEqual(decadesBetween(1975), [1970]);
+  });
+
+  it('widens entry years and puts the newest first', () => {
+    const decades = entryDecades([{ date: '1975' }, { date: 'someday' }]);
+    assert.ok(decades.includes(1970));
+    assert.deepEqual(decades, [...decades].sort((a, b) => b - a));
+  });
+});
+
+describe('matchHistoricalImages', () => {
+  const entry = { date: '1975-06-01', location: 'Chicago, Illinois', coordinates: null, pinnedImageIds: ['pinned'] };
+  const image = (id, fields) => ({ id, imageUrl: `https://example.com/${id}.jpg`, ...fields });
+
+  it('matches images of the same place and time, leaving out pinned ones', () => {
+    const images = [
+      image('same-year', { location: 'Chicago', fromYear: 1975 }),
+      image('near-year', { location: 'Chicago', fromYear: 1978 }),
+      image('other-place', { location: 'Paris', fromYear: 1975 }),
+      image('long-after', { location: 'Chicago', fromYear: 2010 }),
+      image('pinned', { location: 'Chicago', fromYear: 1975 })
+    ];
+    assert.deepEqual(matchHistoricalImages(entry, images).map(match => match.id), ['same-year', 'near-year']);
+  });
+});
@@ -0,0 +1,74 @@
+// Entry Markdown: links and images must never turn typed text into live markup.
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseInline, markdownToHtml, inlineImageUrls, dropInlineImages, escapeMarkdown, entryPlainText } from '../../src/markdown.js';
+
+describe('links', () => {
+  it('keeps http, https and mailto links', () => {
+    assert.deepEqual(parseInline('[site](https://example.com)'), [
+      { type: 'link', url: 'https://example.com', children: [{ type: 'text', text: 'site' }] }
+    ]);
+    assert.equal(parseInline('[mail](mailto:me@example.com)')[0].type, 'link');
+  });
+
+  it('drops links with unsafe schemes, leaving their text', () => {
+    ['javascript:alert%281%29', 'JavaScript:void', 'data:text/html,x', 'vbscript:x', '//evil.example'].forEach((url) => {
+      assert.deepEqual(parseInline(`[click](${url})`), [{ type: 'text', text: 'click' }]);
+    });
+    assert.equal(markdownToHtml('[click](javascript:alert(1))').includes('href'), false);
+  });
+
+  it('escapes link text and urls in HTML', () => {
+    assert.equal(markdownToHtml('[<b>"x"</b>](https://example.com/?a="b")'),
+      '<p><a href="https://example.com/?a=&quot;b&quot;">&lt;b&gt;&quot;x&quot;&lt;/b&gt;</a></p>');
+  });
+});
+
+describe('HTML', () => {
+  it('escapes markup typed into an entry', () => {
+    assert.equal(markdownToHtml('<script>alert(1)</script>'), '<p>&lt;script&gt;alert(1)&lt;/script&gt;</p>');
+    assert.equal(markdownToHtml('# <img src=x onerror=alert(1)>'), '<h4>&lt;img src=x onerror=alert(1)&gt;</h4>');
+  });
+});
+
+describe('images', () => {
+  const ownMedia = url => (url === 'https://example.com/mine.jpg' ? url : null);
+
+  it('shows only images the caller allows', () => {
+    assert.equal(markdownToHtml('![Me](https://example.com/mine.jpg)', ownMedia),
+      '<figure><img src="https://example.com/mine.jpg" alt="Me"/><figcaption>Me</figcaption></figure>');
+    assert.equal(markdownToHtml('![Tracker](https://evil.example/pixel.gif)', ownMedia), '<p>Tracker</p>');
+  });
+
+  it('leaves images out by default', () => {
+    assert.equal(markdownToHtml('Look ![a photo](https://example.com/mine.jpg) here'), '<p>Look a photo here</p>');
+  });
+
+  it('escapes image attributes', () => {
+    assert.equal(markdownToHtml('![a" onerror="x](https://example.com/mine.jpg)', ownMedia).includes('onerror="x"'), false);
+  });
+
+  it('drops images that are no longer kept, leaving their captions', () => {
+    const source = 'Before ![Kept](https://x/1.jpg) ![Gone](https://x/2.jpg)\n\n![](https://x/3.jpg)\n\n`![code](https://x/2.jpg)` \\![escaped](https://x/2.jpg)';
+    assert.equal(dropInlineImages(source, url => url === 'https://x/1.jpg'),
+      'Before ![Kept](https://x/1.jpg) Gone\n\n\n\n`![code](https://x/2.jpg)` \\![escaped](https://x/2.jpg)');
+  });
+
+  it('lists inline image urls once, in order', () => {
+    assert.deepEqual(inlineImageUrls('![a](https://x/1.jpg)\n\n> ![b](https://x/2.jpg) ![a](https://x/1.jpg)'), ['https://x/1.jpg', 'https://x/2.jpg']);
+  });
+});
+
+describe('plain text', () => {
+  it('escapes plain text so it renders as written', () => {
+    const text = '# not a heading\n*not em* [not](a link)';
+    assert.equal(entryPlainText({ content: text }), text);
+    assert.equal(entryPlainText({ content: escapeMarkdown(text), contentFormat: 'markdown' }), text);
+  });
+
+  it('keeps mention tokens', () => {
+    assert.equal(escapeMarkdown('With @[Ann](p1)'), 'With @[Ann](p1)');
+  });
+});
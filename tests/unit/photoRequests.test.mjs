@@ -0,0 +1,43 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { withResponsePhotos } from '../../src/photoRequests.js';
+
+const response = (id, fields = {}) => ({
+  id,
+  caption: `Photo ${id}`,
+  attribution: 'Ann Lee',
+  photo: {
+    url: `https://example.com/${id}.jpg`,
+    path: `artifacts/app/photoRequests/r1/responder/${id}.jpg`,
+    thumbnailUrl: `https://example.com/${id}-thumb.jpg`,
+    thumbnailPath: `artifacts/app/photoRequests/r1/responder/${id}-thumb.jpg`,
+    kind: 'image',
+    name: `${id}.jpg`
+  },
+  ...fields
+});
+
+describe('withResponsePhotos', () => {
+  it('attaches response photos by link only, without the responder\'s storage paths', () => {
+    const { media, mediaUrls } = withResponsePhotos({ media: [], mediaUrls: [] }, [response('a')]);
+    assert.deepEqual(mediaUrls, ['https://example.com/a.jpg']);
+    assert.deepEqual(media, [{
+      url: 'https://example.com/a.jpg',
+      thumbnailUrl: 'https://example.com/a-thumb.jpg',
+      kind: 'image',
+      caption: 'Photo a',
+      attribution: 'Ann Lee'
+    }]);
+    assert.equal('path' in media[0], false);
+    assert.equal('thumbnailPath' in media[0], false);
+  });
+
+  it('keeps the entry\'s own media and skips photos already on it or missing', () => {
+    const own = { url: 'https://example.com/mine.jpg', path: 'artifacts/app/users/me/media/mine.jpg', kind: 'image' };
+    const entry = { media: [own], mediaUrls: [own.url, 'https://example.com/a.jpg'] };
+    const { media } = withResponsePhotos(entry, [response('a'), response('b'), response('c', { photo: null })]);
+    assert.deepEqual(media.map(item => item.url), [own.url, 'https://example.com/b.jpg']);
+    assert.equal(media[0].path, own.path);
+  });
+});
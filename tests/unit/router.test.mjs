@@ -0,0 +1,28 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseRoute, buildHash, sameRoute } from '../../src/router.js';
+
+describe('routes', () => {
+  it('parses hashes into routes', () => {
+    assert.deepEqual(parseRoute(''), { view: 'entries', params: {} });
+    assert.deepEqual(parseRoute('#/entries/abc'), { view: 'entry', params: { entryId: 'abc' } });
+    assert.deepEqual(parseRoute('#/people'), { view: 'people', params: {} });
+    assert.deepEqual(parseRoute('#/story/owner/e1'), { view: 'reader', params: { ownerId: 'owner', entryId: 'e1' } });
+    assert.equal(parseRoute('#/nowhere'), null);
+    assert.equal(parseRoute('#/entries'), null);
+  });
+
+  it('builds hashes that parse back to the same route', () => {
+    const route = { view: 'entry', params: { entryId: 'a/b c' } };
+    assert.equal(buildHash(route), '#/entries/a%2Fb%20c');
+    assert.deepEqual(parseRoute(buildHash(route)), route);
+    assert.equal(buildHash({ view: 'reader', params: { ownerId: 'owner' } }), '#/story/owner');
+    assert.throws(() => buildHash({ view: 'nowhere' }));
+  });
+
+  it('compares routes by their hash', () => {
+    assert.ok(sameRoute({ view: 'people', params: {} }, { view: 'people', params: { personId: null } }));
+    assert.ok(!sameRoute({ view: 'people', params: {} }, { view: 'people', params: { personId: 'p1' } }));
+  });
+});
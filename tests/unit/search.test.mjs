@@ -0,0 +1,45 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createSearchIndex, updateSearchIndex, searchEntries, parseQuery } from '../../src/search.js';
+
+const entries = [
+  { id: 'wedding', title: 'Our wedding', content: 'We married in the rain.', date: '1980-06-14', location: 'Chicago', tags: ['family'], type: 'memory' },
+  { id: 'school', title: 'First day of school', content: 'I cried at the gate.', date: '1962-09-01', location: 'Dublin', tags: ['school'], type: 'memory' },
+  { id: 'move', title: 'Moving house', content: 'The wedding photos got lost in the move.', date: '1995', location: 'Chicago', tags: [], type: 'milestone' }
+];
+
+const search = (queryText) => {
+  const index = createSearchIndex();
+  updateSearchIndex(index, entries);
+  const results = searchEntries(index, queryText);
+  return results && results.map(result => result.entry.id);
+};
+
+describe('search', () => {
+  it('returns null for an empty query', () => {
+    assert.equal(search(''), null);
+  });
+
+  it('matches stems, accents and half-typed words', () => {
+    assert.deepEqual(search('weddings').sort(), ['move', 'wedding']);
+    assert.deepEqual(search('cafe'), []);
+    assert.deepEqual(search('schoo'), ['school']);
+  });
+
+  it('ranks title matches first', () => {
+    assert.equal(search('wedding')[0], 'wedding');
+  });
+
+  it('applies filters and phrases', () => {
+    assert.deepEqual(search('in:chicago type:milestone'), ['move']);
+    assert.deepEqual(search('tag:family'), ['wedding']);
+    assert.deepEqual(search('before:1970'), ['school']);
+    assert.deepEqual(search('after:1980'), ['move']);
+    assert.deepEqual(search('"in the rain"'), ['wedding']);
+  });
+
+  it('parses operators with quoted values', () => {
+    assert.deepEqual(parseQuery('in:"New York" cake').filters.locations, ['new york']);
+  });
+});
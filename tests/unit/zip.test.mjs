@@ -0,0 +1,22 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { crc32, createZip } from '../../src/zip.js';
+
+const bytes = text => new TextEncoder().encode(text);
+
+describe('zip', () => {
+  it('computes CRC-32 checksums', () => {
+    assert.equal(crc32(bytes('')), 0);
+    assert.equal(crc32(bytes('123456789')), 0xcbf43926);
+  });
+
+  it('stores files in order with their names', () => {
+    const zip = createZip([{ name: 'mimetype', data: 'application/epub+zip' }, { name: 'a.txt', data: bytes('hi') }]);
+    const view = new DataView(zip.buffer, zip.byteOffset, zip.byteLength);
+    assert.equal(view.getUint32(0, true), 0x04034b50);
+    assert.equal(new TextDecoder().decode(zip.subarray(30, 38)), 'mimetype');
+    assert.equal(view.getUint32(zip.byteLength - 22, true), 0x06054b50);
+    assert.equal(view.getUint16(zip.byteLength - 12, true), 2);
+  });
+});